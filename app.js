@@ -35,9 +35,28 @@ const subscriptionRoutes = require('./routes/subscription')
 const patientBalanceRoutes = require('./routes/patientBalance')
 const staffSalaryRoutes = require('./routes/staffSalary')
 const paymentRoutes = require('./routes/payments')
+const permissionRoutes = require("./routes/permissions")
+const serviceAccountRoutes = require("./routes/serviceAccounts")
+const familyRoutes = require("./routes/family")
+const invitationRoutes = require("./routes/invitations")
+const auditRoutes = require("./routes/audit")
+const consentRoutes = require("./routes/consents")
+const privacyRoutes = require("./routes/privacy")
+const trashRoutes = require("./routes/trash")
+const waitlistRoutes = require("./routes/waitlist")
+const appointmentSeriesRoutes = require("./routes/appointmentSeries")
+const reminderRoutes = require("./routes/reminders")
+const noShowRoutes = require("./routes/noShows")
+const calendarRoutes = require("./routes/calendar")
+const slotHoldRoutes = require("./routes/slotHolds")
 
 const app = express()
 
+// Behind a reverse proxy, trust its X-Forwarded-For so rate limits and audit logs see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY)
+}
+
 // Security middleware
 app.use(
   helmet({
@@ -88,8 +107,12 @@ app.use(
       "Origin",
       "Access-Control-Request-Method",
       "Access-Control-Request-Headers",
+      "X-Clinic-Id",
+      "X-API-Key",
+      "X-Patient-Id",
+      "X-Access-Purpose",
     ],
-    exposedHeaders: ["Authorization"],
+    exposedHeaders: ["Authorization", "X-Impersonated-By"],
     preflightContinue: false,
     optionsSuccessStatus: 204,
   }),
@@ -132,6 +155,20 @@ app.use('/api/subscription', subscriptionRoutes)
 app.use('/api/patientBalance', patientBalanceRoutes)
 app.use('/api/staff-salary', staffSalaryRoutes)
 app.use('/api/payments', paymentRoutes)
+app.use("/api/permissions", permissionRoutes)
+app.use("/api/service-accounts", serviceAccountRoutes)
+app.use("/api/family", familyRoutes)
+app.use("/api/invitations", invitationRoutes)
+app.use("/api/audit", auditRoutes)
+app.use("/api/consents", consentRoutes)
+app.use("/api/privacy", privacyRoutes)
+app.use("/api/trash", trashRoutes)
+app.use("/api/waitlist", waitlistRoutes)
+app.use("/api/appointment-series", appointmentSeriesRoutes)
+app.use("/api/reminders", reminderRoutes)
+app.use("/api/no-shows", noShowRoutes)
+app.use("/api/calendar", calendarRoutes)
+app.use("/api/slot-holds", slotHoldRoutes)
 
 // Serve static files
 app.use("/uploads", express.static(path.join(__dirname, "uploads")))
@@ -1,6 +1,7 @@
 const { executeQuery } = require("../utils/dbUtils")
 const logger = require("../middleware/logger")
 const asyncHandler = require("../utils/asyncHandler")
+const EncryptionService = require("../services/encryptionService")
 
 class PatientController {
   /**
@@ -19,7 +20,7 @@ class PatientController {
             SELECT DISTINCT u.id, u.full_name, u.email, u.phone, u.created_at, u.updated_at
             FROM users u
             JOIN appointments a ON u.id = a.patient_id
-            WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+            WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
             ORDER BY u.full_name
           `
           params = [req.user.id]
@@ -31,7 +32,7 @@ class PatientController {
           query = `
             SELECT u.id, u.full_name, u.email, u.phone, u.created_at, u.updated_at
             FROM users u
-            WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+            WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
             ORDER BY u.full_name
           `
           break
@@ -67,7 +68,7 @@ class PatientController {
           LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
           JOIN appointments a ON u.id = a.patient_id
           WHERE a.doctor_id = $1
-            AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+            AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
             AND (
               LOWER(u.full_name) LIKE LOWER($2) OR
               LOWER(u.email) LIKE LOWER($2) OR
@@ -84,7 +85,7 @@ class PatientController {
                  pmp.allergies, pmp.emergency_contact_name, pmp.emergency_contact_phone
           FROM users u
           LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
-          WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+          WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
             AND (
               LOWER(u.full_name) LIKE LOWER($1) OR
               LOWER(u.email) LIKE LOWER($1) OR
@@ -99,7 +100,7 @@ class PatientController {
       const result = await executeQuery(query, params)
 
       // Parse JSON fields safely
-      const patients = result.rows.map((patient) => ({
+      const patients = EncryptionService.decryptRows(result.rows, ["allergies"]).map((patient) => ({
         ...patient,
         allergies: patient.allergies
           ? typeof patient.allergies === "string"
@@ -126,7 +127,7 @@ class PatientController {
       const patientQuery = `
         SELECT u.id, u.full_name, u.email, u.phone, u.created_at, u.updated_at
         FROM users u
-        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
       `
 
       const patientResult = await executeQuery(patientQuery, [patientId])
@@ -148,7 +149,7 @@ class PatientController {
 
       const profile = {
         ...patientResult.rows[0],
-        medical_profile: medicalResult.rows[0] || null,
+        medical_profile: EncryptionService.decryptFields(medicalResult.rows[0], "patient_medical_profiles") || null,
       }
 
       res.status(200).json({ success: true, data: profile })
@@ -216,7 +217,7 @@ class PatientController {
         await executeQuery(medicalUpdateQuery, [
           emergency_contact_name,
           emergency_contact_phone,
-          allergies ? JSON.stringify(allergies) : null,
+          allergies ? EncryptionService.encrypt(JSON.stringify(allergies)) : null,
           insurance_provider,
           insurance_policy_number,
           patientId,
@@ -233,7 +234,7 @@ class PatientController {
           patientId,
           emergency_contact_name,
           emergency_contact_phone,
-          allergies ? JSON.stringify(allergies) : null,
+          allergies ? EncryptionService.encrypt(JSON.stringify(allergies)) : null,
           insurance_provider,
           insurance_policy_number,
         ])
@@ -300,7 +301,7 @@ class PatientController {
       const query = `
         SELECT u.id, u.full_name, u.email, u.phone, u.created_at, u.updated_at
         FROM users u
-        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
       `
 
       const result = await executeQuery(query, [id])
@@ -335,7 +336,7 @@ class PatientController {
             email = COALESCE($2, email),
             phone = COALESCE($3, phone),
             updated_at = NOW()
-        WHERE id = $4 AND role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE id = $4 AND role_id = (SELECT id FROM roles WHERE name = 'patient') AND deleted_at IS NULL
         RETURNING *
       `
 
@@ -0,0 +1,94 @@
+/**
+ * Access Log Controller
+ *
+ * Lets patients (or guardians acting for them with X-Patient-Id) see who accessed their
+ * clinical data, get alerted about accesses from outside their care team and report
+ * accesses they do not recognize.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const AuditService = require("../services/auditService")
+const AccessAlertService = require("../services/accessAlertService")
+
+// Reads limit/offset from the query string
+const parsePagination = (query) => ({
+  limit: Math.min(Number.parseInt(query.limit) || 50, 200),
+  offset: Number.parseInt(query.offset) || 0,
+})
+
+class AccessLogController {
+  /**
+   * Lists who accessed the patient's clinical data (?from, ?to)
+   */
+  static getAccessLog = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query)
+    const { entries, total } = await AuditService.listPatientAccesses(
+      req.patientId,
+      { from: req.query.from || null, to: req.query.to || null },
+      pagination,
+    )
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { total, ...pagination },
+    })
+  })
+
+  /**
+   * Reports an access the patient does not recognize
+   */
+  static reportAccess = asyncHandler(async (req, res) => {
+    const access = await AuditService.getPatientAccess(req.patientId, req.params.entryId)
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        error: "Access not found",
+      })
+    }
+
+    const report = await AccessAlertService.reportAccess(req.patientId, access.id, {
+      reportedBy: req.user.id,
+      reason: req.body.reason,
+    })
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        error: "This access has already been reported",
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Thank you. The access will be reviewed by the clinic's administrators",
+      data: report,
+    })
+  })
+
+  /**
+   * Whether the patient is alerted about accesses from outside their care team
+   */
+  static getAlertSettings = asyncHandler(async (req, res) => {
+    const enabled = await AccessAlertService.isEnabled(req.patientId)
+
+    res.json({
+      success: true,
+      data: { enabled },
+    })
+  })
+
+  /**
+   * Turns access alerts on or off
+   */
+  static updateAlertSettings = asyncHandler(async (req, res) => {
+    const enabled = Boolean(req.body.enabled)
+    await AccessAlertService.setEnabled(req.patientId, enabled)
+
+    res.json({
+      success: true,
+      message: enabled ? "Access alerts enabled" : "Access alerts disabled",
+      data: { enabled },
+    })
+  })
+}
+
+module.exports = AccessLogController
@@ -0,0 +1,287 @@
+/**
+ * API Key Controller
+ *
+ * Platform admins manage service accounts for machine clients (lab analyzers,
+ * pharmacy systems, reporting jobs) and issue, rotate and revoke their API keys.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const { pool } = require("../config/database")
+const ApiKeyService = require("../services/apiKeyService")
+
+// Returns an error message when the key settings cannot be saved, null when they are valid
+const checkKeySettings = async ({ scopes, clinicId, expiresAt }) => {
+  if (scopes) {
+    if (scopes.length === 0) {
+      return "At least one scope is required"
+    }
+    const unknown = ApiKeyService.findUnknownScopes(scopes)
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(", ")}`
+    }
+  }
+
+  if (clinicId) {
+    const clinic = await pool.query("SELECT 1 FROM clinics WHERE id = $1", [clinicId])
+    if (clinic.rows.length === 0) {
+      return "Clinic not found"
+    }
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return "Expiry date must be in the future"
+  }
+
+  return null
+}
+
+// Sends 404 and returns null unless the service account exists
+const findServiceAccount = async (req, res) => {
+  const account = await ApiKeyService.getServiceAccount(req.params.accountId)
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: "Service account not found",
+    })
+  }
+  return account
+}
+
+// Sends 404 and returns null unless the key belongs to the service account
+const findKey = async (req, res) => {
+  const apiKey = await ApiKeyService.getKey(req.params.accountId, req.params.keyId)
+  if (!apiKey) {
+    res.status(404).json({
+      success: false,
+      error: "API key not found",
+    })
+  }
+  return apiKey
+}
+
+// Clinic restriction from the request body: undefined keeps it, null removes it
+const parseClinicId = (value) => (value === undefined || value === null ? value : Number.parseInt(value))
+
+class ApiKeyController {
+  /**
+   * Lists the scopes a key can carry
+   */
+  static getScopes = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: Object.entries(ApiKeyService.API_KEY_SCOPES).map(([scope, definition]) => ({
+        scope,
+        description: definition.description,
+      })),
+    })
+  })
+
+  /**
+   * Lists service accounts
+   */
+  static getServiceAccounts = asyncHandler(async (req, res) => {
+    const accounts = await ApiKeyService.listServiceAccounts()
+
+    res.json({
+      success: true,
+      data: accounts,
+    })
+  })
+
+  /**
+   * Creates a service account
+   */
+  static createServiceAccount = asyncHandler(async (req, res) => {
+    const account = await ApiKeyService.createServiceAccount({ name: req.body.name })
+    logger.info(`[API KEYS] Service account ${account.id} (${account.name}) created by user ${req.user.id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Service account created",
+      data: account,
+    })
+  })
+
+  /**
+   * Returns a service account with its keys
+   */
+  static getServiceAccount = asyncHandler(async (req, res) => {
+    const account = await findServiceAccount(req, res)
+    if (!account) {
+      return
+    }
+
+    const keys = await ApiKeyService.listKeys(account.id)
+
+    res.json({
+      success: true,
+      data: { ...account, keys },
+    })
+  })
+
+  /**
+   * Renames a service account
+   */
+  static updateServiceAccount = asyncHandler(async (req, res) => {
+    const account = await findServiceAccount(req, res)
+    if (!account) {
+      return
+    }
+
+    await ApiKeyService.updateServiceAccount(account.id, { name: req.body.name })
+
+    res.json({
+      success: true,
+      message: "Service account updated",
+    })
+  })
+
+  /**
+   * Disables a service account by revoking all of its keys
+   */
+  static deleteServiceAccount = asyncHandler(async (req, res) => {
+    const account = await findServiceAccount(req, res)
+    if (!account) {
+      return
+    }
+
+    const revoked = await ApiKeyService.revokeAllKeys(account.id, req.user.id)
+    logger.info(`[API KEYS] Service account ${account.id} disabled by user ${req.user.id}, ${revoked} key(s) revoked`)
+
+    res.json({
+      success: true,
+      message: "Service account disabled",
+      data: { revokedKeys: revoked },
+    })
+  })
+
+  /**
+   * Lists the keys of a service account
+   */
+  static getKeys = asyncHandler(async (req, res) => {
+    const account = await findServiceAccount(req, res)
+    if (!account) {
+      return
+    }
+
+    const keys = await ApiKeyService.listKeys(account.id)
+
+    res.json({
+      success: true,
+      data: keys,
+    })
+  })
+
+  /**
+   * Issues a key. The plain key is only shown in this response.
+   */
+  static createKey = asyncHandler(async (req, res) => {
+    const account = await findServiceAccount(req, res)
+    if (!account) {
+      return
+    }
+
+    const scopes = [...new Set(req.body.scopes)]
+    const clinicId = parseClinicId(req.body.clinicId) || null
+    const expiresAt = req.body.expiresAt || null
+
+    const invalid = await checkKeySettings({ scopes, clinicId, expiresAt })
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    const { key, apiKey } = await ApiKeyService.createKey(
+      account.id,
+      { name: req.body.name, scopes, clinicId, expiresAt },
+      req.user.id,
+    )
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now, it will not be shown again",
+      data: { ...apiKey, key },
+    })
+  })
+
+  /**
+   * Changes the name, scopes, clinic restriction or expiry of a key
+   */
+  static updateKey = asyncHandler(async (req, res) => {
+    const apiKey = await findKey(req, res)
+    if (!apiKey) {
+      return
+    }
+
+    if (apiKey.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: "Revoked keys cannot be changed",
+      })
+    }
+
+    const scopes = req.body.scopes ? [...new Set(req.body.scopes)] : undefined
+    const clinicId = parseClinicId(req.body.clinicId)
+    const { expiresAt } = req.body
+
+    const invalid = await checkKeySettings({ scopes, clinicId, expiresAt })
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    await ApiKeyService.updateKey(apiKey.id, { name: req.body.name, scopes, clinicId, expiresAt })
+    logger.info(`[API KEYS] Key ${apiKey.key_prefix} updated by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "API key updated",
+    })
+  })
+
+  /**
+   * Revokes a key
+   */
+  static revokeKey = asyncHandler(async (req, res) => {
+    const apiKey = await findKey(req, res)
+    if (!apiKey) {
+      return
+    }
+
+    const revoked = await ApiKeyService.revokeKey(apiKey.id, req.user.id)
+    if (revoked) {
+      logger.info(`[API KEYS] Key ${apiKey.key_prefix} revoked by user ${req.user.id}`)
+    }
+
+    res.json({
+      success: true,
+      message: revoked ? "API key revoked" : "API key was already revoked",
+    })
+  })
+
+  /**
+   * Replaces a key with a new one; the old key stops working now or after the grace period
+   */
+  static rotateKey = asyncHandler(async (req, res) => {
+    const apiKey = await findKey(req, res)
+    if (!apiKey) {
+      return
+    }
+
+    if (apiKey.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: "Revoked keys cannot be rotated",
+      })
+    }
+
+    const graceMinutes = Number.parseInt(req.body.graceMinutes) || 0
+    const { key, apiKey: rotated } = await ApiKeyService.rotateKey(apiKey, req.user.id, { graceMinutes })
+
+    res.status(201).json({
+      success: true,
+      message: "API key rotated. Store the new key now, it will not be shown again",
+      data: { ...rotated, key },
+    })
+  })
+}
+
+module.exports = ApiKeyController
@@ -3,40 +3,34 @@ const logger = require("../middleware/logger")
 const { executeQuery } = require("../utils/dbUtils")
 const PaymentService = require("../services/paymentService")
 const NotificationController = require("./notificationController")
-
-// Helper function to parse date strings without timezone conversion
-function parseLocalDateString(dateTimeString) {
-  // If the string already has timezone info, use it as is
-  if (dateTimeString.endsWith("Z") || /[+-]\d{2}:\d{2}$/.test(dateTimeString)) {
-    return new Date(dateTimeString)
+const ClinicContextService = require("../services/clinicContextService")
+const WaitlistService = require("../services/waitlistService")
+const NoShowService = require("../services/noShowService")
+const AppointmentListService = require("../services/appointmentListService")
+const CalendarService = require("../services/calendarService")
+const SlotBookingService = require("../services/slotBookingService")
+const { parseLocalDateString } = require("../utils/dateUtils")
+
+// Picks the clinic a clinic-level listing is filtered on: ?clinicId when the user may see it,
+// otherwise the active clinic. Platform admins without either see every clinic (null).
+// Sends 403/400 and returns false when no usable clinic can be determined.
+async function resolveClinicFilter(req, res) {
+  const requested = req.query.clinicId ? Number.parseInt(req.query.clinicId) : null
+
+  if (requested) {
+    if (!(await ClinicContextService.hasClinicAccess(req.user, requested))) {
+      res.status(403).json({ error: "Access denied to this clinic" })
+      return false
+    }
+    return requested
   }
 
-  // Remove any milliseconds and parse as local time
-  const cleanDateString = dateTimeString.split(".")[0]
-  const [datePart, timePart] = cleanDateString.split("T")
-
-  if (!timePart) {
-    // If only date is provided (YYYY-MM-DD)
-    const [year, month, day] = datePart.split("-").map(Number)
-    return new Date(year, month - 1, day)
+  if (!req.user.clinic_id && req.user.role !== "platform_admin") {
+    res.status(400).json({ error: "No active clinic selected", code: "CLINIC_CONTEXT_REQUIRED" })
+    return false
   }
 
-  // If date and time are provided (YYYY-MM-DDTHH:MM:SS)
-  const [year, month, day] = datePart.split("-").map(Number)
-  const [hour, minute, second] = timePart.split(":").map(Number)
-  return new Date(year, month - 1, day, hour, minute, second || 0)
-}
-
-// Format date for database without timezone conversion
-function formatDateForDB(date) {
-  const year = date.getFullYear()
-  const month = String(date.getMonth() + 1).padStart(2, "0")
-  const day = String(date.getDate()).padStart(2, "0")
-  const hours = String(date.getHours()).padStart(2, "0")
-  const minutes = String(date.getMinutes()).padStart(2, "0")
-  const seconds = String(date.getSeconds()).padStart(2, "0")
-
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`
+  return req.user.clinic_id || null
 }
 
 const AppointmentController = {
@@ -46,23 +40,15 @@ const AppointmentController = {
       const userId = req.user.id
       const userRole = req.user.role
 
+      if (userRole === "patient") {
+        // req.patientId is a dependent when a guardian sends X-Patient-Id
+        const appointments = await AppointmentListService.forPatient(req.patientId || userId)
+        return res.status(200).json({ success: true, data: appointments })
+      }
+
       let query, params
 
-      if (userRole === "patient") {
-        query = `
-          SELECT a.*, u1.full_name AS patient_name, u2.full_name AS doctor_name,
-                 c.name AS clinic_name, s.start_time AS appointment_time,
-                 s.end_time AS appointment_end_time
-          FROM appointments a
-          JOIN users u1 ON a.patient_id = u1.id
-          JOIN users u2 ON a.doctor_id = u2.id
-          LEFT JOIN clinics c ON a.clinic_id = c.id
-          LEFT JOIN availability_slots s ON a.slot_id = s.id
-          WHERE a.patient_id = $1
-          ORDER BY COALESCE(s.start_time, a.created_at) DESC
-        `
-        params = [userId]
-      } else if (userRole === "doctor") {
+      if (userRole === "doctor") {
         query = `
           SELECT a.*, u1.full_name AS patient_name, u2.full_name AS doctor_name,
                  c.name AS clinic_name, s.start_time AS appointment_time,
@@ -77,7 +63,12 @@ const AppointmentController = {
         `
         params = [userId]
       } else {
-        // Admin users see all appointments
+        // Platform admins see all appointments unless they picked a clinic; other staff see their active clinic
+        const clinicScoped = userRole !== "platform_admin" || req.user.clinic_id
+        // API keys without a clinic (and staff without one) must pick it with X-Clinic-Id
+        if (clinicScoped && !req.user.clinic_id) {
+          return res.status(400).json({ error: "No active clinic selected", code: "CLINIC_CONTEXT_REQUIRED" })
+        }
         query = `
           SELECT a.*, u1.full_name AS patient_name, u2.full_name AS doctor_name,
                  c.name AS clinic_name, s.start_time AS appointment_time,
@@ -87,9 +78,10 @@ const AppointmentController = {
           JOIN users u2 ON a.doctor_id = u2.id
           LEFT JOIN clinics c ON a.clinic_id = c.id
           LEFT JOIN availability_slots s ON a.slot_id = s.id
+          ${clinicScoped ? "WHERE a.clinic_id = $1" : ""}
           ORDER BY COALESCE(s.start_time, a.created_at) DESC
         `
-        params = []
+        params = clinicScoped ? [req.user.clinic_id] : []
       }
 
       const result = await executeQuery(query, params)
@@ -177,7 +169,7 @@ const AppointmentController = {
       // Add user-specific filtering for non-admin users
       if (userRole === "patient") {
         query += ` AND a.patient_id = $2`
-        params.push(userId)
+        params.push(req.patientId || userId)
       } else if (userRole === "doctor") {
         query += ` AND a.doctor_id = $2`
         params.push(userId)
@@ -218,29 +210,10 @@ const AppointmentController = {
 
       logger.info(`Fetching appointments for doctor ${doctorId}${date ? ` on date ${date}` : ""}`)
 
-      let query = `
-        SELECT a.*, u.full_name AS patient_name, c.name AS clinic_name,
-               s.start_time AS appointment_time, s.end_time AS appointment_end_time
-        FROM appointments a
-        JOIN users u ON a.patient_id = u.id
-        LEFT JOIN clinics c ON a.clinic_id = c.id
-        LEFT JOIN availability_slots s ON a.slot_id = s.id
-        WHERE a.doctor_id = $1
-      `
-
-      const params = [doctorId]
-
-      if (date) {
-        query += ` AND (DATE(s.start_time) = $2 OR (s.start_time IS NULL AND DATE(a.created_at) = $2))`
-        params.push(date)
-      }
-
-      query += ` ORDER BY COALESCE(s.start_time, a.created_at) ASC`
-
-      const result = await executeQuery(query, params)
+      const appointments = await AppointmentListService.forDoctor(doctorId, { date })
 
-      logger.info(`Found ${result.rows.length} appointments for doctor ${doctorId}`)
-      res.status(200).json({ success: true, data: result.rows })
+      logger.info(`Found ${appointments.length} appointments for doctor ${doctorId}`)
+      res.status(200).json({ success: true, data: appointments })
     } catch (error) {
       logger.error(`Get doctor appointments error: ${error.message}`)
       res.status(500).json({ success: false, error: "Server error", details: error.message })
@@ -259,7 +232,8 @@ const AppointmentController = {
         specialty, 
         duration = 30,
         paymentMethod = 'balance',
-        appointmentFee = 0
+        appointmentFee = 0,
+        holdId
       } = req.body
       const userRole = req.user.role
       const userId = req.user.id
@@ -282,7 +256,21 @@ const AppointmentController = {
       // Determine patient ID
       let patientId
       if (userRole === "patient") {
-        patientId = userId
+        // A guardian books for the dependent chosen with X-Patient-Id
+        patientId = req.patientId || userId
+
+        // Paying from a dependent's wallet needs the wallet permission as well
+        const { dependent } = req.user
+        if (dependent && (paymentMethod || "balance") === "balance" && !dependent.permissions.includes("wallet:pay")) {
+          if (req.dbTransaction) {
+            await req.dbTransaction.rollback()
+          }
+          return res.status(403).json({
+            error: "You are not allowed to pay from this family member's wallet",
+            code: "DELEGATION_PERMISSION_DENIED",
+            permission: "wallet:pay",
+          })
+        }
       } else if (req.body.patientId) {
         patientId = req.body.patientId
       } else {
@@ -349,6 +337,19 @@ const AppointmentController = {
         finalClinicId = null
       }
 
+      // Patients with repeated no-shows may have to prepay, or may no longer book online
+      if (userRole === "patient") {
+        try {
+          await NoShowService.checkBookingAllowed(patientId, finalClinicId, paymentMethod || "balance")
+        } catch (policyError) {
+          if (!(policyError instanceof NoShowService.NoShowError)) {
+            throw policyError
+          }
+          await req.dbTransaction.rollback()
+          return res.status(policyError.status).json({ error: policyError.message, code: policyError.code })
+        }
+      }
+
       // Get doctor's specialty if not provided
       let doctorSpecialty = specialty
       if (!doctorSpecialty) {
@@ -370,63 +371,32 @@ const AppointmentController = {
         specialty: doctorSpecialty,
       })
 
-      // Parse the appointment date
-      const appointmentDate = parseLocalDateString(date)
-      const endTime = new Date(appointmentDate.getTime() + duration * 60 * 1000)
-
-      console.log("Appointment date (local time):", appointmentDate)
-      console.log("End time (local time):", endTime)
-
-      // Check if there's an existing availability slot
-      const slotQuery = `
-        SELECT id, is_available FROM availability_slots 
-        WHERE provider_id = $1 
-        AND provider_type = 'doctor'
-        AND start_time <= $2 
-        AND end_time >= $3
-        AND is_available = TRUE
-      `
-
-      const slotParams = [doctorId, formatDateForDB(appointmentDate), formatDateForDB(endTime)]
-
-      console.log("=== SLOT SEARCH DEBUG ===")
-      console.log("Searching for available slot with query:", slotQuery)
-      console.log("Slot search params:", slotParams)
-
-      const existingSlot = await req.dbTransaction.query(slotQuery, slotParams)
-
-      console.log("Found existing slots:", existingSlot.rows.length)
-      if (existingSlot.rows.length > 0) {
-        console.log("Existing slot details:", existingSlot.rows[0])
-      }
-
+      // Take the slot held for the patient, or reserve one now; both run under the doctor's booking
+      // lock so two patients can never get the same time
       let slotId
-      if (existingSlot.rows.length > 0) {
-        slotId = existingSlot.rows[0].id
-        console.log("Using existing slot:", slotId, "- Available:", existingSlot.rows[0].is_available)
+      if (holdId) {
+        const hold = await SlotBookingService.consumeHold(req.dbTransaction, Number.parseInt(holdId), {
+          patientId: Number.parseInt(patientId),
+          doctorId: Number.parseInt(doctorId),
+          type,
+          clinicId: finalClinicId,
+        })
+        slotId = hold.slot_id
+        logger.info(`[SLOTS] Hold ${hold.id} used for slot ${slotId}`)
       } else {
-        // Create a new availability slot
-        const createSlotQuery = `
-          INSERT INTO availability_slots 
-          (provider_id, provider_type, clinic_id, start_time, end_time, is_available)
-          VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING id, is_available
-        `
-        const createSlotParams = [
-          doctorId,
-          "doctor",
-          type === "in-person" ? finalClinicId : null,
-          formatDateForDB(appointmentDate),
-          formatDateForDB(endTime),
-          true, // Initially available, will be marked unavailable after appointment creation
-        ]
+        const appointmentDate = parseLocalDateString(date)
+        const endTime = new Date(appointmentDate.getTime() + duration * 60 * 1000)
 
-        console.log("Creating new slot from", appointmentDate, "to", endTime)
-        console.log("Create slot params:", createSlotParams)
+        console.log("Appointment date (local time):", appointmentDate)
+        console.log("End time (local time):", endTime)
 
-        const newSlot = await req.dbTransaction.query(createSlotQuery, createSlotParams)
-        slotId = newSlot.rows[0].id
-        console.log("Created new slot:", slotId, "- Available:", newSlot.rows[0].is_available)
+        slotId = await SlotBookingService.reserveSlot(req.dbTransaction, {
+          doctorId,
+          clinicId: type === "in-person" ? finalClinicId : null,
+          start: appointmentDate,
+          end: endTime,
+        })
+        logger.info(`[SLOTS] Slot ${slotId} of doctor ${doctorId} reserved`)
       }
 
       // Check if specialty column exists in appointments table
@@ -571,41 +541,11 @@ const AppointmentController = {
         await req.dbTransaction.query(sessionQuery, sessionParams)
       }
 
-      // CRITICAL: Mark the slot as unavailable - This is the main fix
-      console.log("=== SLOT UPDATE DEBUG ===")
-      console.log("Updating slot ID:", slotId)
-      console.log("Slot exists:", slotId ? "YES" : "NO")
-
-      // First, verify the slot exists and is currently available
-      const verifySlotQuery = `SELECT id, is_available FROM availability_slots WHERE id = $1`
-      const verifySlotResult = await req.dbTransaction.query(verifySlotQuery, [slotId])
-
-      if (verifySlotResult.rows.length === 0) {
-        console.log("ERROR: Slot not found for update!")
-        throw new Error(`Availability slot ${slotId} not found`)
-      }
-
-      console.log("Slot before update:", verifySlotResult.rows[0])
-
-      const updateResult = await req.dbTransaction.query(
-        "UPDATE availability_slots SET is_available = FALSE WHERE id = $1 RETURNING id, is_available",
-        [slotId],
-      )
-
-      console.log("Update result rows affected:", updateResult.rowCount)
-      console.log("Slot after update:", updateResult.rows[0])
-
-      if (updateResult.rowCount === 0) {
-        console.log("WARNING: No rows were updated when marking slot as unavailable!")
-        throw new Error(`Failed to update availability slot ${slotId}`)
-      }
-
-      console.log("=== END SLOT UPDATE ===")
 
       // Commit the transaction
       await req.dbTransaction.commit()
 
-      logger.info(`Appointment created successfully: ${appointment.id}, Slot ${slotId} marked as unavailable`)
+      logger.info(`Appointment created successfully: ${appointment.id}, Slot ${slotId} reserved`)
 
       // Get the full appointment details with all joins for the response
       const fullAppointmentQuery = `
@@ -661,11 +601,17 @@ const AppointmentController = {
         message: "Appointment created successfully",
         notifications: "Created for doctor and patient"
       })
+
+      // Confirmation email with the .ics file that adds the appointment to the patient's calendar
+      CalendarService.sendAppointmentEmail([fullAppointment.id], "booked")
     } catch (error) {
       // Rollback transaction on error
       if (req.dbTransaction) {
         await req.dbTransaction.rollback()
       }
+      if (error instanceof SlotBookingService.SlotError) {
+        return res.status(error.status).json({ success: false, error: error.message, code: error.code })
+      }
       logger.error(`Create appointment error: ${error.message}`)
       console.log("Full error:", error)
       res.status(500).json({ success: false, error: "Server error", details: error.message })
@@ -876,6 +822,16 @@ const AppointmentController = {
         message: `Appointment ${status ? `marked as ${status}` : 'updated'} successfully`
       })
 
+      // Offer the freed slot to the next patient on the doctor's waitlist
+      if (appointment.slot_id && ['cancelled', 'no-show', 'missed', 'error'].includes(status)) {
+        WaitlistService.offerSlot(appointment.slot_id)
+      }
+
+      // Removes the appointment from the calendar the patient added it to
+      if (status === 'cancelled') {
+        CalendarService.sendAppointmentEmail([appointment.id], "cancelled")
+      }
+
       // After successful update
       await NotificationController.createNotification({
         userId: updatedAppointment.doctor_id,
@@ -935,11 +891,9 @@ const AppointmentController = {
   // Get clinic appointments (for clinic admins)
   async getClinicAppointments(req, res) {
     try {
-      const { clinicId } = req.query
-      const userRole = req.user.role
-
-      if (!["clinic_admin", "platform_admin"].includes(userRole)) {
-        return res.status(403).json({ error: "Access denied" })
+      const clinicId = await resolveClinicFilter(req, res)
+      if (clinicId === false) {
+        return
       }
 
       let query = `
@@ -972,7 +926,10 @@ const AppointmentController = {
   // Get clinic appointment statistics
   async getClinicStats(req, res) {
     try {
-      const { clinicId } = req.query
+      const clinicId = await resolveClinicFilter(req, res)
+      if (clinicId === false) {
+        return
+      }
 
       let whereClause = ""
       let params = []
@@ -1006,17 +963,16 @@ const AppointmentController = {
   async getClinicStatsByClinicId(req, res) {
     try {
       const clinicId = req.params.id
-      const userRole = req.user.role
-
-      if (!["clinic_admin", "platform_admin"].includes(userRole)) {
-        return res.status(403).json({ error: "Access denied" })
-      }
 
       // Validate clinic ID
       if (isNaN(clinicId) || !Number.isInteger(Number(clinicId))) {
         return res.status(400).json({ error: "Invalid clinic ID format" })
       }
 
+      if (req.user.role !== "platform_admin" && !(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({ error: "Access denied to this clinic" })
+      }
+
       logger.info(`Fetching stats for clinic ${clinicId}`)
 
       // Check if clinic exists
@@ -1485,6 +1441,14 @@ const AppointmentController = {
         refundMessage: refundResult?.message
       })
 
+      // Offer the freed slot to the next patient on the doctor's waitlist
+      if (appointment.slot_id) {
+        WaitlistService.offerSlot(appointment.slot_id)
+      }
+
+      // Removes the appointment from the calendar the patient added it to
+      CalendarService.sendAppointmentEmail([appointment.id], "cancelled")
+
       // After successful cancellation
       await NotificationController.createNotification({
         userId: appointment.doctor_id,
@@ -1545,23 +1509,14 @@ const AppointmentController = {
 
       const newEndTime = new Date(newAppointmentDate.getTime() + duration * 60 * 1000)
 
-      // Create new availability slot
-      const createSlotQuery = `
-  INSERT INTO availability_slots 
-  (provider_id, provider_type, clinic_id, start_time, end_time, is_available)
-  VALUES ($1, $2, $3, $4, $5, $6)
-  RETURNING id
-`
-      const newSlotResult = await client.query(createSlotQuery, [
-        appointment.doctor_id,
-        "doctor",
-        appointment.clinic_id,
-        formatDateForDB(newAppointmentDate),
-        formatDateForDB(newEndTime),
-        false, // Mark as unavailable since it's being used for the rescheduled appointment
-      ])
-
-      const newSlotId = newSlotResult.rows[0].id
+      // Reserve the new time under the doctor's booking lock; it may overlap the time it moves from
+      const newSlotId = await SlotBookingService.reserveSlot(client, {
+        doctorId: appointment.doctor_id,
+        clinicId: appointment.clinic_id,
+        start: newAppointmentDate,
+        end: newEndTime,
+        ignoreSlotIds: appointment.slot_id ? [appointment.slot_id] : [],
+      })
 
       // Update appointment
       await client.query(
@@ -1589,6 +1544,14 @@ const AppointmentController = {
 
       res.status(200).json({ success: true, message: "Appointment rescheduled successfully" })
 
+      // Offer the freed slot to the next patient on the doctor's waitlist
+      if (appointment.slot_id) {
+        WaitlistService.offerSlot(appointment.slot_id)
+      }
+
+      // Moves the appointment in the calendar the patient added it to
+      CalendarService.sendAppointmentEmail([appointment.id], "updated")
+
       // After successful rescheduling
       await NotificationController.createNotification({
         userId: appointment.doctor_id,
@@ -1607,6 +1570,9 @@ const AppointmentController = {
       })
     } catch (error) {
       await client.query('ROLLBACK')
+      if (error instanceof SlotBookingService.SlotError) {
+        return res.status(error.status).json({ success: false, error: error.message, code: error.code })
+      }
       logger.error(`Reschedule appointment error: ${error.message}`)
       res.status(500).json({ success: false, error: "Server error", details: error.message })
     } finally {
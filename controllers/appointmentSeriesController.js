@@ -0,0 +1,189 @@
+/**
+ * Appointment Series Controller
+ *
+ * Recurring appointments (physiotherapy, dialysis follow-ups, prenatal visits): a recurrence rule
+ * books every occurrence at once, paid up front or per occurrence. Occurrences are moved, edited
+ * or cancelled one at a time, from one onwards, or all together.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const AppointmentSeriesService = require("../services/appointmentSeriesService")
+const NoShowService = require("../services/noShowService")
+
+// Sends the error of a refused series change (or of the no-show policy), rethrows anything else
+const handleSeriesError = (res, error) => {
+  if (error instanceof AppointmentSeriesService.SeriesError || error instanceof NoShowService.NoShowError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts }),
+      ...(error.code && { code: error.code }),
+    })
+  }
+  throw error
+}
+
+// The patient (or their guardian), the doctor, staff of the series' clinic and platform admins
+const canManageSeries = (req, series) => {
+  if (req.user.role === "platform_admin") {
+    return true
+  }
+  if (req.user.role === "patient") {
+    return series.patient_id === req.patientId
+  }
+  if (req.user.role === "doctor" && series.doctor_id === req.user.id) {
+    return true
+  }
+  return Boolean(series.clinic_id) && series.clinic_id === req.user.clinic_id
+}
+
+// Loads the series of the request, or sends 404 and returns null
+const loadSeries = async (req, res) => {
+  const series = await AppointmentSeriesService.getById(Number.parseInt(req.params.id))
+  if (!series || !canManageSeries(req, series)) {
+    res.status(404).json({
+      success: false,
+      error: "Series not found",
+    })
+    return null
+  }
+  return series
+}
+
+class AppointmentSeriesController {
+  /**
+   * Books a recurring series
+   */
+  static create = asyncHandler(async (req, res) => {
+    const paymentMethod = req.body.paymentMethod || "balance"
+    let patientId
+
+    if (req.user.role === "patient") {
+      // A guardian books for the dependent chosen with X-Patient-Id
+      patientId = req.patientId
+
+      // Paying from a dependent's wallet needs the wallet permission as well
+      const { dependent } = req.user
+      if (dependent && paymentMethod === "balance" && !dependent.permissions.includes("wallet:pay")) {
+        return res.status(403).json({
+          error: "You are not allowed to pay from this family member's wallet",
+          code: "DELEGATION_PERMISSION_DENIED",
+          permission: "wallet:pay",
+        })
+      }
+    } else if (req.body.patientId) {
+      patientId = Number.parseInt(req.body.patientId)
+    } else {
+      return res.status(400).json({ success: false, error: "Patient ID is required for non-patient users" })
+    }
+
+    const { doctorId, clinicId, type, reason, date, duration, frequency, interval, until, count, paymentMode } = req.body
+
+    try {
+      // Patients with repeated no-shows may have to prepay, or may no longer book online
+      if (req.user.role === "patient") {
+        await NoShowService.checkBookingAllowed(patientId, type === "in-person" ? Number.parseInt(clinicId) : null, paymentMethod)
+      }
+
+      const result = await AppointmentSeriesService.create(
+        patientId,
+        {
+          doctorId: Number.parseInt(doctorId),
+          clinicId: clinicId ? Number.parseInt(clinicId) : null,
+          type,
+          reason: reason || null,
+          start: date,
+          duration: Number.parseInt(duration) || 30,
+          frequency,
+          interval: Number.parseInt(interval) || 1,
+          until: until || null,
+          count: count ? Number.parseInt(count) : null,
+          paymentMode,
+          paymentMethod,
+          skipConflicts: req.body.skipConflicts === true,
+        },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: `${result.appointments.length} appointment(s) booked`,
+        data: result,
+      })
+    } catch (error) {
+      return handleSeriesError(res, error)
+    }
+  })
+
+  /**
+   * Shows a series and its occurrences
+   */
+  static getById = asyncHandler(async (req, res) => {
+    const series = await loadSeries(req, res)
+    if (!series) {
+      return
+    }
+
+    res.json({
+      success: true,
+      data: series,
+    })
+  })
+
+  /**
+   * Moves or edits this occurrence, this and the following ones, or all of them
+   */
+  static update = asyncHandler(async (req, res) => {
+    const series = await loadSeries(req, res)
+    if (!series) {
+      return
+    }
+
+    const { scope, appointmentId, date, duration, reason } = req.body
+    try {
+      const updated = await AppointmentSeriesService.update(series.id, {
+        scope,
+        appointmentId: appointmentId ? Number.parseInt(appointmentId) : null,
+        date: date || null,
+        duration: duration ? Number.parseInt(duration) : null,
+        reason,
+      })
+
+      res.json({
+        success: true,
+        message: `${updated} appointment(s) updated`,
+        data: await AppointmentSeriesService.getById(series.id),
+      })
+    } catch (error) {
+      return handleSeriesError(res, error)
+    }
+  })
+
+  /**
+   * Cancels this occurrence, this and the following ones, or all of them
+   */
+  static cancel = asyncHandler(async (req, res) => {
+    const series = await loadSeries(req, res)
+    if (!series) {
+      return
+    }
+
+    const { scope, appointmentId, reason } = req.body
+    try {
+      const result = await AppointmentSeriesService.cancel(series.id, {
+        scope,
+        appointmentId: appointmentId ? Number.parseInt(appointmentId) : null,
+        reason: reason || undefined,
+      })
+
+      res.json({
+        success: true,
+        message: `${result.cancelled} appointment(s) cancelled`,
+        data: result,
+      })
+    } catch (error) {
+      return handleSeriesError(res, error)
+    }
+  })
+}
+
+module.exports = AppointmentSeriesController
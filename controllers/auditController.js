@@ -0,0 +1,200 @@
+/**
+ * Audit Controller
+ *
+ * Search over the clinical data (PHI) access log, review of the accesses patients reported and
+ * verification of the log's hash chain, and the review queue of break-the-glass emergency accesses.
+ * Clinic admins only see accesses made from their active clinic; platform admins see everything.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const AuditService = require("../services/auditService")
+const AccessAlertService = require("../services/accessAlertService")
+const EmergencyAccessService = require("../services/emergencyAccessService")
+
+// Reads limit/offset from the query string
+const parsePagination = (query) => ({
+  limit: Math.min(Number.parseInt(query.limit) || 50, 200),
+  offset: Number.parseInt(query.offset) || 0,
+})
+
+// Clinics whose entries the user may read (null: all). Sends an error and returns false when the
+// requested clinic is not the user's active one.
+const resolveClinicScope = (req, res) => {
+  const requested = req.query.clinicId ? [Number.parseInt(req.query.clinicId)] : null
+  if (req.user.role === "platform_admin") {
+    return requested
+  }
+
+  if (!req.user.clinic_id) {
+    res.status(400).json({
+      success: false,
+      error: "Select a clinic with the X-Clinic-Id header",
+    })
+    return false
+  }
+  if (requested && requested[0] !== req.user.clinic_id) {
+    res.status(403).json({
+      success: false,
+      error: "Switch to this clinic (X-Clinic-Id header) to read its access log",
+    })
+    return false
+  }
+  return [req.user.clinic_id]
+}
+
+class AuditController {
+  /**
+   * Lists the filters the log can be searched with
+   */
+  static getOptions = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        actions: AuditService.ACTIONS,
+        purposes: AuditService.PURPOSES,
+      },
+    })
+  })
+
+  /**
+   * Searches accesses to clinical data
+   * (?patientId, ?actorId, ?clinicId, ?resourceType, ?action, ?purpose, ?from, ?to)
+   */
+  static getPhiAccessLog = asyncHandler(async (req, res) => {
+    const clinicIds = resolveClinicScope(req, res)
+    if (clinicIds === false) {
+      return
+    }
+
+    const { entries, total } = await AuditService.search(
+      {
+        patientId: Number.parseInt(req.query.patientId) || null,
+        actorId: Number.parseInt(req.query.actorId) || null,
+        clinicIds,
+        resourceType: req.query.resourceType || null,
+        action: req.query.action || null,
+        purpose: req.query.purpose || null,
+        from: req.query.from || null,
+        to: req.query.to || null,
+      },
+      parsePagination(req.query),
+    )
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { total, ...parsePagination(req.query) },
+    })
+  })
+
+  /**
+   * Lists accesses patients reported as suspicious (?status=open|reviewed)
+   */
+  static getAccessReports = asyncHandler(async (req, res) => {
+    const clinicIds = resolveClinicScope(req, res)
+    if (clinicIds === false) {
+      return
+    }
+
+    const reports = await AccessAlertService.listReports(
+      { clinicIds, status: req.query.status || null },
+      parsePagination(req.query),
+    )
+
+    res.json({
+      success: true,
+      data: reports,
+    })
+  })
+
+  /**
+   * Closes a report once the access has been looked into
+   */
+  static reviewAccessReport = asyncHandler(async (req, res) => {
+    const clinicIds = resolveClinicScope(req, res)
+    if (clinicIds === false) {
+      return
+    }
+
+    const reviewed = await AccessAlertService.reviewReport(req.params.reportId, {
+      reviewedBy: req.user.id,
+      note: req.body.note || null,
+      clinicIds,
+    })
+    if (!reviewed) {
+      return res.status(404).json({
+        success: false,
+        error: "No open report with this ID",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Report marked as reviewed",
+    })
+  })
+
+  /**
+   * Lists break-the-glass emergency accesses (?status=pending|justified|unjustified)
+   */
+  static getEmergencyAccesses = asyncHandler(async (req, res) => {
+    const clinicIds = resolveClinicScope(req, res)
+    if (clinicIds === false) {
+      return
+    }
+
+    const grants = await EmergencyAccessService.listGrants(
+      { clinicIds, status: req.query.status || null },
+      parsePagination(req.query),
+    )
+
+    res.json({
+      success: true,
+      data: grants,
+    })
+  })
+
+  /**
+   * Records whether an emergency access was justified; an unjustified one ends right away
+   */
+  static reviewEmergencyAccess = asyncHandler(async (req, res) => {
+    const clinicIds = resolveClinicScope(req, res)
+    if (clinicIds === false) {
+      return
+    }
+
+    const reviewed = await EmergencyAccessService.reviewGrant(req.params.grantId, {
+      reviewedBy: req.user.id,
+      status: req.body.status,
+      note: req.body.note || null,
+      clinicIds,
+    })
+    if (!reviewed) {
+      return res.status(404).json({
+        success: false,
+        error: "No emergency access waiting for review with this ID",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `Emergency access marked as ${req.body.status}`,
+    })
+  })
+
+  /**
+   * Recomputes the hash chain (optionally between ?fromId and ?toId)
+   */
+  static verifyPhiAccessLog = asyncHandler(async (req, res) => {
+    const result = await AuditService.verifyChain({
+      fromId: Number.parseInt(req.query.fromId) || null,
+      toId: Number.parseInt(req.query.toId) || null,
+    })
+
+    res.json({
+      success: true,
+      data: result,
+    })
+  })
+}
+
+module.exports = AuditController
@@ -4,21 +4,19 @@
  * Handles user registration, login, account management.
  */
 const bcrypt = require("bcryptjs")
-const jwt = require("jsonwebtoken")
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const asyncHandler = require("../utils/asyncHandler")
+const MailService = require("../services/mailService")
+const SessionService = require("../services/sessionService")
+const MfaService = require("../services/mfaService")
+const VerificationService = require("../services/verificationService")
+const LoginSecurityService = require("../services/loginSecurityService")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: "10h",
-  })
-  const refreshToken = jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: "7d",
-  })
-  return { accessToken, refreshToken }
-}
+const PASSWORD_RESET_TTL_MINUTES = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "30")
+// Compared against when the e-mail has no account, so that the attempt costs as much as a real one
+const UNKNOWN_ACCOUNT_HASH = "$2a$12$xXICvT3da3U.YoJAjMYAeOuBSkmRdhAbMNGaEo4iuOEZ2vX0Qimb."
 
 class AuthController {
   /**
@@ -28,6 +26,14 @@ class AuthController {
     try {
       const { full_name, email, password, role = "patient", phone } = req.body
 
+      // Staff and admin accounts only come from clinic invitations
+      if (role !== "patient") {
+        return res.status(403).json({
+          success: false,
+          error: "Staff accounts are created through clinic invitations",
+        })
+      }
+
       // Check if user already exists
       const existingUser = await pool.query("SELECT id FROM users WHERE email = $1", [email])
       if (existingUser.rows.length > 0) {
@@ -67,7 +73,22 @@ class AuthController {
 
       logger.info(`User registered successfully: ${email}`)
 
-      const { accessToken, refreshToken } = generateTokens(user.id)
+      // Prove ownership of the email and phone; failures here must not fail the registration
+      let phoneOtpSent = false
+      try {
+        await VerificationService.sendEmailVerification(user)
+        if (user.phone) {
+          phoneOtpSent = await VerificationService.sendPhoneOtp(user)
+        }
+      } catch (verificationError) {
+        logger.error(`Verification delivery failed for user ${user.id}: ${verificationError.message}`)
+      }
+
+      const { accessToken, refreshToken } = await SessionService.createSession(user.id, {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        deviceName: req.body.deviceName,
+      })
 
       res.status(201).json({
         success: true,
@@ -79,6 +100,11 @@ class AuthController {
           role: userRole,
           phone: user.phone,
         },
+        verification: {
+          emailVerified: false,
+          phoneVerified: false,
+          phoneOtpSent,
+        },
         token: accessToken,
         refreshToken,
       })
@@ -103,30 +129,77 @@ class AuthController {
         `SELECT u.id, u.full_name, u.email, u.password_hash, r.name as role, u.phone 
          FROM users u 
          LEFT JOIN roles r ON u.role_id = r.id 
-         WHERE u.email = $1`,
+         WHERE u.email = $1 AND u.deleted_at IS NULL`,
         [email],
       )
 
-      if (result.rows.length === 0) {
-        return res.status(401).json({
+      const attemptContext = { ip: req.ip, userAgent: req.get("user-agent") }
+
+      // Unknown addresses go through the same throttling, lockout and password hashing as real
+      // accounts, so that the responses and their timing don't reveal which addresses exist
+      const user = result.rows[0] || null
+
+      // Locked or throttled accounts are rejected before the password is even checked
+      const gate = user
+        ? await LoginSecurityService.checkAllowed(user.id)
+        : await LoginSecurityService.checkAllowedForEmail(email)
+      if (!gate.allowed) {
+        await LoginSecurityService.logAttempt({
+          userId: user ? user.id : null,
+          email,
+          ...attemptContext,
           success: false,
-          error: "Invalid email or password",
+          reason: gate.locked ? "locked" : "throttled",
+        })
+        res.set("Retry-After", String(gate.retryAfterSeconds))
+        return res.status(gate.locked ? 423 : 429).json({
+          success: false,
+          error: gate.locked
+            ? "Account temporarily locked after too many failed attempts"
+            : "Too many failed attempts, please wait before trying again",
+          retryAfter: gate.retryAfterSeconds,
         })
       }
 
-      const user = result.rows[0]
-
       // Check password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash)
-      if (!isValidPassword) {
+      const isValidPassword = await bcrypt.compare(password, user ? user.password_hash : UNKNOWN_ACCOUNT_HASH)
+      if (!user || !isValidPassword) {
+        const failure = user
+          ? await LoginSecurityService.recordFailure(user, attemptContext)
+          : await LoginSecurityService.recordUnknownEmailFailure(email, attemptContext)
+        if (failure.locked) {
+          res.set("Retry-After", String(failure.retryAfterSeconds))
+          return res.status(423).json({
+            success: false,
+            error: "Account temporarily locked after too many failed attempts",
+            retryAfter: failure.retryAfterSeconds,
+          })
+        }
         return res.status(401).json({
           success: false,
           error: "Invalid email or password",
         })
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user.id)
+      // Users with an authenticator must complete the second step first
+      if (await MfaService.isEnabled(user.id)) {
+        logger.info(`Password accepted, two-factor code required: ${email}`)
+        return res.json({
+          success: true,
+          mfaRequired: true,
+          mfaToken: MfaService.signChallengeToken(user.id),
+          message: "Two-factor authentication code required",
+        })
+      }
+
+      await LoginSecurityService.recordSuccess(user, attemptContext)
+
+      // Open a session and generate its tokens
+      const { accessToken, refreshToken } = await SessionService.createSession(user.id, {
+        ...attemptContext,
+        deviceName: req.body.deviceName,
+      })
+      const mfaEnrollmentRequired = MfaService.isRequiredForRole(user.role)
 
       logger.info(`User logged in successfully: ${email}`)
 
@@ -142,6 +215,7 @@ class AuthController {
         },
         token: accessToken,
         refreshToken,
+        mfaEnrollmentRequired,
       })
     } catch (error) {
       logger.error("Login error:", error)
@@ -216,7 +290,8 @@ class AuthController {
   })
 
   /**
-   * Refreshes access tokens using a valid refresh token
+   * Refreshes access tokens using a valid refresh token.
+   * The refresh token is rotated: the one presented is consumed and a new one returned.
    */
   static refreshToken = asyncHandler(async (req, res) => {
     try {
@@ -229,16 +304,15 @@ class AuthController {
         })
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
+      const rotated = await SessionService.rotateRefreshToken(refreshToken)
 
       // Get user data for new token with proper role join
       const userResult = await pool.query(
         `SELECT u.id, r.name as role 
          FROM users u 
          LEFT JOIN roles r ON u.role_id = r.id 
-         WHERE u.id = $1`,
-        [decoded.userId],
+         WHERE u.id = $1 AND u.deleted_at IS NULL`,
+        [rotated.userId],
       )
 
       if (userResult.rows.length === 0) {
@@ -249,31 +323,45 @@ class AuthController {
       }
 
       const user = userResult.rows[0]
-      const { accessToken: newAccessToken, refreshToken: newRefreshToken } = generateTokens(user.id)
 
       res.json({
         success: true,
-        token: newAccessToken,
-        refreshToken: newRefreshToken,
+        token: rotated.accessToken,
+        refreshToken: rotated.refreshToken,
         user: {
           id: user.id,
           role: user.role,
         },
       })
     } catch (error) {
+      if (error instanceof SessionService.RefreshTokenError) {
+        logger.warn(`Token refresh rejected (${error.reason}): ${error.message}`)
+        return res.status(401).json({
+          success: false,
+          error: error.reason === "reuse" ? "Refresh token reuse detected, please log in again" : "Invalid refresh token",
+        })
+      }
+
       logger.error("Token refresh error:", error)
-      res.status(401).json({
+      res.status(500).json({
         success: false,
-        error: "Invalid refresh token",
+        error: "Internal server error during token refresh",
       })
     }
   })
 
   /**
-   * Logs out a user by invalidating their refresh token
+   * Logs out a user by revoking the session of their refresh token
    */
   static logout = asyncHandler(async (req, res) => {
     try {
+      const { refreshToken } = req.body
+
+      const revoked = await SessionService.revokeByRefreshToken(refreshToken)
+      if (revoked) {
+        logger.info("User session revoked on logout")
+      }
+
       res.json({
         success: true,
         message: "Logged out successfully",
@@ -287,25 +375,152 @@ class AuthController {
     }
   })
 
+  /**
+   * Confirms an email address from the link sent at registration
+   */
+  static verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    const userId = await VerificationService.verifyEmailToken(token)
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired verification link",
+      })
+    }
+
+    logger.info(`Email verified for user ${userId}`)
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    })
+  })
+
+  /**
+   * Sends a new email verification link to the current user
+   */
+  static resendEmailVerification = asyncHandler(async (req, res) => {
+    const result = await pool.query("SELECT id, email, full_name, email_verified_at FROM users WHERE id = $1", [
+      req.user.id,
+    ])
+    const user = result.rows[0]
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is already verified",
+      })
+    }
+
+    await VerificationService.sendEmailVerification(user)
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    })
+  })
+
+  /**
+   * Sends an SMS one-time code to the current user's phone
+   */
+  static sendPhoneVerification = asyncHandler(async (req, res) => {
+    const result = await pool.query("SELECT id, phone, phone_verified_at FROM users WHERE id = $1", [req.user.id])
+    const user = result.rows[0]
+
+    if (!user.phone) {
+      return res.status(400).json({
+        success: false,
+        error: "No phone number on file",
+      })
+    }
+
+    if (user.phone_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: "Phone number is already verified",
+      })
+    }
+
+    const sent = await VerificationService.sendPhoneOtp(user)
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        error: "SMS delivery is currently unavailable",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Verification code sent",
+    })
+  })
+
+  /**
+   * Confirms the current user's phone with the SMS code
+   */
+  static verifyPhone = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    const verified = await VerificationService.verifyPhoneOtp(req.user.id, code)
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired verification code",
+      })
+    }
+
+    logger.info(`Phone verified for user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Phone number verified successfully",
+    })
+  })
+
   /**
    * Handles password reset request
+   *
+   * Always answers with the same message so the endpoint cannot be used to
+   * discover which emails have an account.
    */
   static forgotPassword = asyncHandler(async (req, res) => {
     try {
       const { email } = req.body
 
-      // Check if user exists
-      const result = await pool.query("SELECT id FROM users WHERE email = $1", [email])
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: "User not found",
+      const result = await pool.query("SELECT id, full_name, email FROM users WHERE email = $1 AND deleted_at IS NULL", [email])
+
+      if (result.rows.length > 0) {
+        const user = result.rows[0]
+        const token = generateToken()
+
+        await pool.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+          [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES, req.ip || null],
+        )
+
+        const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`
+
+        // Not awaited: answering only after the mail server would reveal that the account exists,
+        // and delivery problems are not the caller's business either
+        MailService.sendPasswordResetEmail({
+          to: user.email,
+          fullName: user.full_name,
+          resetUrl,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        }).catch((mailError) => {
+          logger.error(`Password reset email failed for user ${user.id}: ${mailError.message}`)
         })
+
+        logger.info(`Password reset requested for user ${user.id}`)
+      } else {
+        logger.info("Password reset requested for an unknown email")
       }
 
       res.json({
         success: true,
-        message: "Password reset instructions sent to your email",
+        message: "If an account exists for this email, password reset instructions have been sent",
       })
     } catch (error) {
       logger.error("Forgot password error:", error)
@@ -317,22 +532,67 @@ class AuthController {
   })
 
   /**
-   * Resets a user's password
+   * Resets a user's password using a single-use reset token
    */
   static resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body
+    const client = await pool.connect()
+
     try {
-      const { token, password } = req.body
+      await client.query("BEGIN")
+
+      // Lock the token row so it cannot be redeemed twice concurrently
+      const tokenResult = await client.query(
+        `SELECT id, user_id FROM password_reset_tokens
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)],
+      )
+
+      if (tokenResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(400).json({
+          success: false,
+          error: "Invalid or expired reset token",
+        })
+      }
+
+      const { id: tokenId, user_id: userId } = tokenResult.rows[0]
+      const hashedPassword = await bcrypt.hash(password, 12)
+
+      await client.query(
+        "UPDATE users SET password_hash = $1, password_changed_at = NOW(), updated_at = NOW() WHERE id = $2",
+        [hashedPassword, userId],
+      )
+
+      await client.query("UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1", [tokenId])
+
+      // Sign the user out everywhere: existing refresh tokens must not outlive the old password
+      await SessionService.revokeAllUserSessions(userId, "password_reset", client)
+
+      // Any other outstanding reset links for this user become unusable
+      await client.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+        [userId],
+      )
+
+      await client.query("COMMIT")
+
+      logger.info(`Password reset completed for user ${userId}`)
 
       res.json({
         success: true,
         message: "Password reset successfully",
       })
     } catch (error) {
+      await client.query("ROLLBACK")
       logger.error("Reset password error:", error)
       res.status(500).json({
         success: false,
         error: "Internal server error",
       })
+    } finally {
+      client.release()
     }
   })
 }
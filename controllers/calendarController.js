@@ -0,0 +1,94 @@
+/**
+ * Calendar Controller
+ *
+ * Doctors and patients subscribe their calendar app to a secret ICS feed URL. The URL is shown once
+ * when issued; issuing a new one or revoking it cuts off the old URL. Calendar apps fetch the feed
+ * without signing in: the token in the URL is the credential.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const CalendarService = require("../services/calendarService")
+
+// Sends the error of a refused feed request, rethrows anything else
+const handleCalendarError = (res, error) => {
+  if (error instanceof CalendarService.CalendarError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    })
+  }
+  throw error
+}
+
+const buildFeedUrl = (req, token) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get("host")}`}/api/calendar/feed/${token}.ics`
+
+class CalendarController {
+  /**
+   * Shows whether the user has an active feed
+   */
+  static getFeed = asyncHandler(async (req, res) => {
+    const feed = await CalendarService.getFeed(req.user.id)
+
+    res.json({
+      success: true,
+      data: feed ? { active: true, createdAt: feed.created_at, lastUsedAt: feed.last_used_at } : { active: false },
+    })
+  })
+
+  /**
+   * Issues the feed URL, replacing any previous one
+   */
+  static createFeed = asyncHandler(async (req, res) => {
+    try {
+      const token = await CalendarService.createFeed(req.user)
+
+      res.status(201).json({
+        success: true,
+        message: "Add this URL to your calendar app as a subscription. It is only shown once; keep it private.",
+        data: { url: buildFeedUrl(req, token) },
+      })
+    } catch (error) {
+      return handleCalendarError(res, error)
+    }
+  })
+
+  /**
+   * Revokes the feed URL
+   */
+  static revokeFeed = asyncHandler(async (req, res) => {
+    const revoked = await CalendarService.revokeFeed(req.user.id)
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "No active calendar feed",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Calendar feed revoked",
+    })
+  })
+
+  /**
+   * Serves the ICS feed of a token
+   */
+  static serveFeed = asyncHandler(async (req, res) => {
+    const calendar = await CalendarService.renderFeed(req.params.token)
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: "Calendar feed not found",
+      })
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="sehhapro.ics"',
+      "Cache-Control": "private, no-store",
+    })
+    res.send(calendar)
+  })
+}
+
+module.exports = CalendarController
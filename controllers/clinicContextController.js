@@ -0,0 +1,60 @@
+/**
+ * Clinic Context Controller
+ *
+ * Lets staff who work at several clinics see them and choose the one they act for.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const ClinicContextService = require("../services/clinicContextService")
+
+class ClinicContextController {
+  /**
+   * Lists the current user's clinics and the active one
+   */
+  static getMyClinics = asyncHandler(async (req, res) => {
+    const clinics = await ClinicContextService.listUserClinics(req.user)
+
+    res.json({
+      success: true,
+      data: {
+        activeClinicId: req.user.clinic_id || null,
+        clinics: clinics.map((clinic) => ({ ...clinic, active: clinic.id === req.user.clinic_id })),
+      },
+    })
+  })
+
+  /**
+   * Sets the active clinic for the current session (null goes back to the primary clinic)
+   */
+  static switchClinic = asyncHandler(async (req, res) => {
+    const clinicId = req.body.clinicId === null ? null : Number.parseInt(req.body.clinicId)
+
+    if (!req.user.sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: "This token has no session; send the X-Clinic-Id header instead",
+      })
+    }
+
+    if (clinicId !== null && !(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+      return res.status(403).json({
+        success: false,
+        error: "You are not a member of this clinic",
+        code: "CLINIC_ACCESS_DENIED",
+      })
+    }
+
+    await ClinicContextService.setSessionClinic(req.user.sessionId, clinicId)
+    const context = await ClinicContextService.resolve(req.user, { sessionId: req.user.sessionId })
+
+    logger.info(`User ${req.user.id} switched session ${req.user.sessionId} to clinic ${clinicId}`)
+
+    res.json({
+      success: true,
+      message: "Active clinic updated",
+      data: { activeClinicId: context.clinicId },
+    })
+  })
+}
+
+module.exports = ClinicContextController
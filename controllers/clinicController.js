@@ -6,6 +6,8 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const asyncHandler = require("../utils/asyncHandler")
+const PermissionService = require("../services/permissionService")
+const TrashService = require("../services/trashService")
 
 class ClinicController {
   /**
@@ -28,7 +30,7 @@ class ClinicController {
           created_at,
           updated_at
         FROM clinics 
-        WHERE type IN ('parent', 'main', 'child')
+        WHERE type IN ('parent', 'main', 'child') AND deleted_at IS NULL
         ORDER BY name
       `
 
@@ -105,7 +107,7 @@ class ClinicController {
 
       // Verify parent clinic exists if type is "child" or "lab"
       if ((type === "child" || type === "lab") && parentId) {
-        const parentCheck = await pool.query("SELECT 1 FROM clinics WHERE id = $1", [parentId])
+        const parentCheck = await pool.query("SELECT 1 FROM clinics WHERE id = $1 AND deleted_at IS NULL", [parentId])
         if (parentCheck.rows.length === 0) {
           return res.status(400).json({ error: "Parent clinic not found" })
         }
@@ -155,7 +157,7 @@ class ClinicController {
       // Build query with optional filters
       let query = "SELECT * FROM clinics"
       const params = []
-      const conditions = []
+      const conditions = ["deleted_at IS NULL"]
 
       // Role-based filtering
       if (req.user.role === "platform_admin") {
@@ -216,7 +218,7 @@ class ClinicController {
 
     try {
       // Get clinic details
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({ error: "Clinic not found" })
       }
@@ -292,7 +294,7 @@ class ClinicController {
       // Get associated doctors if table exists
       if (doctorClinicsCheck.rows[0].exists) {
         const doctorsResult = await pool.query(
-          "SELECT u.id, u.full_name, u.email FROM users u JOIN doctor_clinics dc ON u.id = dc.doctor_id WHERE dc.clinic_id = $1",
+          "SELECT u.id, u.full_name, u.email FROM users u JOIN doctor_clinics dc ON u.id = dc.doctor_id WHERE dc.clinic_id = $1 AND u.deleted_at IS NULL",
           [id],
         )
         doctors = doctorsResult.rows
@@ -301,7 +303,7 @@ class ClinicController {
       // Get associated labs if table exists
       if (labClinicsCheck.rows[0].exists) {
         const labsResult = await pool.query(
-          "SELECT u.id, u.full_name, u.email FROM users u JOIN lab_clinics lc ON u.id = lc.lab_id WHERE lc.clinic_id = $1",
+          "SELECT u.id, u.full_name, u.email FROM users u JOIN lab_clinics lc ON u.id = lc.lab_id WHERE lc.clinic_id = $1 AND u.deleted_at IS NULL",
           [id],
         )
         labs = labsResult.rows
@@ -310,7 +312,7 @@ class ClinicController {
       // Get associated patients if table exists
       if (patientClinicsCheck.rows[0].exists) {
         const patientsResult = await pool.query(
-          "SELECT u.id, u.full_name, u.email, pc.is_primary FROM users u JOIN patient_clinics pc ON u.id = pc.patient_id WHERE pc.clinic_id = $1",
+          "SELECT u.id, u.full_name, u.email, pc.is_primary FROM users u JOIN patient_clinics pc ON u.id = pc.patient_id WHERE pc.clinic_id = $1 AND u.deleted_at IS NULL",
           [id],
         )
         patients = patientsResult.rows
@@ -319,7 +321,7 @@ class ClinicController {
       // Get associated admins if table exists
       if (adminClinicsCheck.rows[0].exists) {
         const adminsResult = await pool.query(
-          "SELECT u.id, u.full_name, u.email, r.name AS role, ac.is_primary FROM users u JOIN admin_clinics ac ON u.id = ac.admin_id JOIN roles r ON u.role_id = r.id WHERE ac.clinic_id = $1",
+          "SELECT u.id, u.full_name, u.email, r.name AS role, ac.is_primary FROM users u JOIN admin_clinics ac ON u.id = ac.admin_id JOIN roles r ON u.role_id = r.id WHERE ac.clinic_id = $1 AND u.deleted_at IS NULL",
           [id],
         )
         admins = adminsResult.rows
@@ -327,7 +329,7 @@ class ClinicController {
 
       // Get child clinics
       const childClinicsResult = await pool.query(
-        "SELECT id, name, type, address, phone, email FROM clinics WHERE parent_id = $1",
+        "SELECT id, name, type, address, phone, email FROM clinics WHERE parent_id = $1 AND deleted_at IS NULL",
         [id],
       )
       childClinics = childClinicsResult.rows
@@ -359,7 +361,7 @@ class ClinicController {
       console.log(`[ClinicController] Getting staff for clinic ${id}`)
 
       // Check if clinic exists
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({ error: "Clinic not found" })
       }
@@ -389,7 +391,8 @@ class ClinicController {
         if (adminClinicCheck.rows.length === 0) {
           return res.status(403).json({ error: "Not authorized to access this clinic staff" })
         }
-      } else {
+      } else if (!(await PermissionService.isClinicMember(req.user.id, id))) {
+        // Other roles reach this point through a custom clinic role (e.g. receptionist) and must work at the clinic
         return res.status(403).json({ error: "Not authorized to access clinic staff" })
       }
 
@@ -436,7 +439,7 @@ class ClinicController {
                 COALESCE(u.specialization, '') as specialization_or_department
               FROM ${tableInfo.table} assoc
               JOIN users u ON u.id = assoc.${tableInfo.idCol}
-              WHERE assoc.clinic_id = $1
+              WHERE assoc.clinic_id = $1 AND u.deleted_at IS NULL
               ORDER BY u.full_name
             `
 
@@ -551,7 +554,7 @@ class ClinicController {
       console.log(`[ClinicController] User: ${req.user.id}, Role: ${req.user.role}`)
 
       // Check if clinic exists
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       console.log(`[ClinicController] Clinic check result: ${clinicResult.rows.length > 0 ? 'Found' : 'Not found'}`)
       
       if (!clinicResult.rows.length) {
@@ -827,7 +830,7 @@ class ClinicController {
       }
 
       // Check if clinic exists
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({
           success: false,
@@ -1042,7 +1045,7 @@ class ClinicController {
 
     try {
       // Get clinic details
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({ error: "Clinic not found" })
       }
@@ -1101,7 +1104,7 @@ class ClinicController {
 
       // Verify parent clinic exists if provided
       if (parent_id) {
-        const parentCheck = await pool.query("SELECT 1 FROM clinics WHERE id = $1", [parent_id])
+        const parentCheck = await pool.query("SELECT 1 FROM clinics WHERE id = $1 AND deleted_at IS NULL", [parent_id])
         if (parentCheck.rows.length === 0) {
           return res.status(400).json({ error: "Parent clinic not found" })
         }
@@ -1169,7 +1172,7 @@ class ClinicController {
   }
 
   /**
-   * Deletes a clinic if it has no child clinics
+   * Moves a clinic to the trash if it has no child clinics (or with them, ?deleteChildren=true)
    */
   static async deleteClinic(req, res) {
     const { id } = req.params
@@ -1177,7 +1180,7 @@ class ClinicController {
 
     try {
       // Get clinic details
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({ error: "Clinic not found" })
       }
@@ -1214,7 +1217,7 @@ class ClinicController {
       }
 
       // Check for child clinics
-      const childClinicsCheck = await pool.query("SELECT id FROM clinics WHERE parent_id = $1", [id])
+      const childClinicsCheck = await pool.query("SELECT id FROM clinics WHERE parent_id = $1 AND deleted_at IS NULL", [id])
 
       if (childClinicsCheck.rows.length > 0 && !deleteChildren) {
         return res.status(400).json({
@@ -1224,99 +1227,43 @@ class ClinicController {
         })
       }
 
-      await pool.query("BEGIN")
-
-      // Delete child clinics if requested
+      // Clinics go to the trash with their memberships intact, so restoring one brings its staff
+      // and patients back. Upcoming bookings are cancelled and open slots removed.
+      const clinicIds = [Number(id)]
       if (deleteChildren && childClinicsCheck.rows.length > 0) {
         logger.info(`Deleting ${childClinicsCheck.rows.length} child clinics of clinic ${id}`)
-
-        for (const childClinic of childClinicsCheck.rows) {
-          // Remove associations for child clinics
-          await pool.query("DELETE FROM doctor_clinics WHERE clinic_id = $1", [childClinic.id])
-          await pool.query("DELETE FROM lab_clinics WHERE clinic_id = $1", [childClinic.id])
-          await pool.query("DELETE FROM patient_clinics WHERE clinic_id = $1", [childClinic.id])
-          await pool.query("DELETE FROM admin_clinics WHERE clinic_id = $1", [childClinic.id])
-          await pool.query("UPDATE appointments SET status = 'cancelled' WHERE clinic_id = $1", [childClinic.id])
-
-          // Delete the child clinic
-          await pool.query("DELETE FROM clinics WHERE id = $1", [childClinic.id])
-        }
+        clinicIds.push(...childClinicsCheck.rows.map((childClinic) => childClinic.id))
       }
 
-      // Check if association tables exist
-      const doctorClinicsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'doctor_clinics')",
-      )
-      const labClinicsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'lab_clinics')",
-      )
-      const patientClinicsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'patient_clinics')",
-      )
-      const adminClinicsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'admin_clinics')",
-      )
-      const appointmentsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'appointments')",
-      )
+      const client = await pool.connect()
 
-      // Delete associations if tables exist
-      if (doctorClinicsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM doctor_clinics WHERE clinic_id = $1", [id])
-      }
-
-      if (labClinicsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM lab_clinics WHERE clinic_id = $1", [id])
-      }
-
-      if (patientClinicsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM patient_clinics WHERE clinic_id = $1", [id])
-      }
-
-      if (adminClinicsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM admin_clinics WHERE clinic_id = $1", [id])
-      }
-
-      if (appointmentsCheck.rows[0].exists) {
-        await pool.query("UPDATE appointments SET status = 'cancelled' WHERE clinic_id = $1", [id])
-      }
-
-      // Check if nurse_clinics table exists
-      const nurseClinicsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'nurse_clinics')",
-      )
-
-      if (nurseClinicsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM nurse_clinics WHERE clinic_id = $1", [id])
-      }
-
-      // Check if availability_slots table exists
-      const availabilitySlotsCheck = await pool.query(
-        "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'availability_slots')",
-      )
+      try {
+        await client.query("BEGIN")
 
-      if (availabilitySlotsCheck.rows[0].exists) {
-        await pool.query("DELETE FROM availability_slots WHERE clinic_id = $1", [id])
-      }
+        for (const clinicId of clinicIds) {
+          await TrashService.softDelete("clinic", clinicId, req.user.id, client)
+        }
+        await client.query("UPDATE appointments SET status = 'cancelled' WHERE clinic_id = ANY($1::int[]) AND status = 'booked'", [
+          clinicIds,
+        ])
+        await client.query("DELETE FROM availability_slots WHERE clinic_id = ANY($1::int[]) AND is_available = TRUE", [clinicIds])
 
-      // Delete the clinic
-      const result = await pool.query("DELETE FROM clinics WHERE id = $1 RETURNING id", [id])
-      if (!result.rows.length) {
-        await pool.query("ROLLBACK")
-        return res.status(404).json({ error: "Clinic not found" })
+        await client.query("COMMIT")
+      } catch (error) {
+        await client.query("ROLLBACK")
+        throw error
+      } finally {
+        client.release()
       }
 
-      await pool.query("COMMIT")
-
       logger.info(`Clinic deleted: ${id}`)
       res.status(200).json({
         message:
-          deleteChildren && childClinicsCheck.rows.length > 0
-            ? `Clinic deleted successfully along with ${childClinicsCheck.rows.length} child clinics`
-            : "Clinic deleted successfully",
+          clinicIds.length > 1
+            ? `Clinic moved to the trash along with ${clinicIds.length - 1} child clinics`
+            : "Clinic moved to the trash",
       })
     } catch (err) {
-      await pool.query("ROLLBACK")
       logger.error(`Delete clinic error: ${err.message}`)
       res.status(500).json({ error: "Server error", details: err.message })
     }
@@ -1394,7 +1341,7 @@ class ClinicController {
       }
 
       // Verify clinic exists
-      const clinicCheck = await pool.query("SELECT * FROM clinics WHERE id = $1", [clinicId])
+      const clinicCheck = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [clinicId])
       if (!clinicCheck.rows.length) {
         return res.status(404).json({ error: "Clinic not found" })
       }
@@ -1536,7 +1483,7 @@ class ClinicController {
       console.log(`[ClinicController] Getting schedule for staff member ${staffId} in clinic ${id}`)
 
       // Check if clinic exists
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({
           success: false,
@@ -1673,7 +1620,7 @@ class ClinicController {
       }
 
       // Check if clinic exists
-      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1", [id])
+      const clinicResult = await pool.query("SELECT * FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
       if (!clinicResult.rows.length) {
         return res.status(404).json({
           success: false,
@@ -0,0 +1,207 @@
+/**
+ * Consent Controller
+ *
+ * Patients (or guardians with X-Patient-Id) decide which clinics may see their medical record:
+ * one clinic, every clinic, or emergency data only. Clinics ask for consent and the patient
+ * answers the request. Revoked consents stay in the history. Without consent, a doctor can break
+ * the glass: state a reason and read the emergency data for a limited time, subject to review.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const ConsentService = require("../services/consentService")
+const EmergencyAccessService = require("../services/emergencyAccessService")
+
+// Sends the error of a rejected consent change, rethrows anything else
+const handleConsentError = (res, error) => {
+  if (error instanceof ConsentService.ConsentError) {
+    return res.status(error.status).json({ success: false, error: error.message })
+  }
+  if (error instanceof EmergencyAccessService.EmergencyAccessError) {
+    return res.status(error.status).json({ success: false, error: error.message })
+  }
+  throw error
+}
+
+class ConsentController {
+  /**
+   * Lists the patient's consents (?history=true includes revoked and expired ones)
+   */
+  static getConsents = asyncHandler(async (req, res) => {
+    const consents = await ConsentService.listConsents(req.patientId, req.query.history === "true")
+
+    res.json({
+      success: true,
+      data: consents,
+    })
+  })
+
+  /**
+   * Gives consent to share the medical record
+   */
+  static grantConsent = asyncHandler(async (req, res) => {
+    try {
+      const consent = await ConsentService.grantConsent(
+        req.patientId,
+        {
+          scope: req.body.scope,
+          clinicId: req.body.clinicId ? Number(req.body.clinicId) : null,
+          expiresAt: req.body.expiresAt || null,
+          note: req.body.note || null,
+        },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Consent given",
+        data: consent,
+      })
+    } catch (error) {
+      return handleConsentError(res, error)
+    }
+  })
+
+  /**
+   * Withdraws a consent
+   */
+  static revokeConsent = asyncHandler(async (req, res) => {
+    const revoked = await ConsentService.revokeConsent(req.patientId, req.params.consentId, req.user.id, req.body.reason || null)
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "No active consent with this ID",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Consent withdrawn",
+    })
+  })
+
+  /**
+   * Lists the consent requests clinics sent to the patient (?status=pending...)
+   */
+  static getRequests = asyncHandler(async (req, res) => {
+    const requests = await ConsentService.listRequests(req.patientId, req.query.status || null)
+
+    res.json({
+      success: true,
+      data: requests,
+    })
+  })
+
+  /**
+   * Approves or declines a consent request
+   */
+  static respondToRequest = asyncHandler(async (req, res) => {
+    const request = await ConsentService.getPendingRequest(req.patientId, req.params.requestId)
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: "No pending request with this ID",
+      })
+    }
+
+    const approve = req.body.decision === "approve"
+    try {
+      const consent = await ConsentService.respondToRequest(request, approve, req.user.id)
+
+      res.json({
+        success: true,
+        message: approve ? "Consent given" : "Request declined",
+        data: consent,
+      })
+    } catch (error) {
+      return handleConsentError(res, error)
+    }
+  })
+
+  /**
+   * Asks a patient for consent on behalf of the active clinic
+   */
+  static requestConsent = asyncHandler(async (req, res) => {
+    if (!req.user.clinic_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Select a clinic with the X-Clinic-Id header",
+      })
+    }
+
+    try {
+      const request = await ConsentService.requestConsent(
+        {
+          patientId: Number(req.body.patientId),
+          clinicId: req.user.clinic_id,
+          scope: req.body.scope || "clinic",
+          reason: req.body.reason,
+        },
+        req.user,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Consent requested. The patient has been notified",
+        data: request,
+      })
+    } catch (error) {
+      return handleConsentError(res, error)
+    }
+  })
+
+  /**
+   * What the active clinic may see of a patient
+   */
+  static getAccessStatus = asyncHandler(async (req, res) => {
+    const access = await ConsentService.getAccessLevel(req.user, req.params.patientId)
+
+    res.json({
+      success: true,
+      data: { patientId: Number(req.params.patientId), clinicId: req.user.clinic_id || null, access },
+    })
+  })
+
+  /**
+   * Emergency data of a patient (blood type, allergies, medications, emergency contact)
+   */
+  static getEmergencyData = asyncHandler(async (req, res) => {
+    const data = await ConsentService.getEmergencyData(req.params.id)
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: "Patient not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data,
+    })
+  })
+
+  /**
+   * Breaks the glass: grants emergency access without consent and returns the emergency data
+   */
+  static breakGlass = asyncHandler(async (req, res) => {
+    const patientId = Number(req.params.id)
+
+    try {
+      const grant = await EmergencyAccessService.breakGlass(patientId, req.user, req.body.reason.trim())
+      req.auditPurpose = "emergency"
+      const data = await ConsentService.getEmergencyData(patientId)
+
+      res.status(201).json({
+        success: true,
+        message: `Emergency access granted until ${new Date(grant.expires_at).toISOString()}. This access will be reviewed.`,
+        data,
+        grant: {
+          id: grant.id,
+          expiresAt: grant.expires_at,
+        },
+      })
+    } catch (error) {
+      return handleConsentError(res, error)
+    }
+  })
+}
+
+module.exports = ConsentController
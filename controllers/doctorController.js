@@ -15,7 +15,7 @@ class DoctorController {
                dp.consultation_fee, dp.bio, dp.available_for_telemedicine
         FROM users u
         JOIN doctor_portfolios dp ON u.id = dp.doctor_id
-        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor')
+        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor') AND u.deleted_at IS NULL
         ORDER BY u.full_name
       `
 
@@ -46,7 +46,7 @@ class DoctorController {
         FROM users u
         JOIN doctor_portfolios dp ON u.id = dp.doctor_id
         JOIN doctor_clinics dc ON u.id = dc.doctor_id
-        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor')
+        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor') AND u.deleted_at IS NULL
         AND dc.clinic_id = $1
         ORDER BY u.full_name
       `
@@ -73,7 +73,7 @@ class DoctorController {
                dp.consultation_fee, dp.bio, dp.available_for_telemedicine
         FROM users u
         JOIN doctor_portfolios dp ON u.id = dp.doctor_id
-        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'doctor')
+        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'doctor') AND u.deleted_at IS NULL
       `
 
       const result = await executeQuery(query, [id])
@@ -101,7 +101,7 @@ class DoctorController {
         SELECT DISTINCT u.id, u.full_name, u.email, u.phone, u.created_at
         FROM users u
         JOIN appointments a ON u.id = a.patient_id
-        WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
         ORDER BY u.full_name
       `
 
@@ -174,7 +174,7 @@ class DoctorController {
                dp.consultation_fee, dp.bio, dp.available_for_telemedicine
         FROM users u
         LEFT JOIN doctor_portfolios dp ON u.id = dp.doctor_id
-        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'doctor')
+        WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'doctor') AND u.deleted_at IS NULL
       `
 
       const result = await executeQuery(query, [id])
@@ -0,0 +1,272 @@
+/**
+ * Family Controller
+ *
+ * Guardians manage their children's accounts and adult patients let relatives act for them.
+ * Acting for a dependent is done on patient endpoints with the X-Patient-Id header.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const DelegationService = require("../services/delegationService")
+
+// Sends the error of a rejected guardianship change, rethrows anything else
+const handleDelegationError = (res, error) => {
+  if (error instanceof DelegationService.DelegationError) {
+    return res.status(error.status).json({ success: false, error: error.message })
+  }
+  throw error
+}
+
+// Returns an error message when a permission list cannot be saved, null when it is valid
+const checkPermissions = (permissions) => {
+  if (permissions.length === 0) {
+    return "At least one permission is required"
+  }
+  const unknown = DelegationService.findUnknownPermissions(permissions)
+  return unknown.length > 0 ? `Unknown permissions: ${unknown.join(", ")}` : null
+}
+
+class FamilyController {
+  /**
+   * Lists the permissions a patient can give and the relationships
+   */
+  static getOptions = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: DelegationService.DELEGATION_PERMISSIONS,
+        relationships: DelegationService.RELATIONSHIPS,
+        majorityAge: DelegationService.MAJORITY_AGE,
+      },
+    })
+  })
+
+  /**
+   * Lists the family members the current user can act for
+   */
+  static getDependents = asyncHandler(async (req, res) => {
+    const dependents = await DelegationService.listDependents(req.user.id)
+
+    res.json({
+      success: true,
+      data: dependents,
+    })
+  })
+
+  /**
+   * Creates an account for the current user's child
+   */
+  static createDependent = asyncHandler(async (req, res) => {
+    try {
+      const dependent = await DelegationService.createMinorDependent(req.user.id, {
+        fullName: req.body.full_name,
+        dateOfBirth: req.body.date_of_birth,
+        gender: req.body.gender,
+        relationship: req.body.relationship,
+        email: req.body.email,
+        phone: req.body.phone,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Family member added",
+        data: dependent,
+      })
+    } catch (error) {
+      return handleDelegationError(res, error)
+    }
+  })
+
+  /**
+   * Stops acting for a family member
+   */
+  static removeDependent = asyncHandler(async (req, res) => {
+    const delegation = await DelegationService.getActiveDelegation(req.user.id, req.params.dependentId)
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        error: "Family member not found",
+      })
+    }
+
+    await DelegationService.endDelegation(delegation.id, req.user.id, "guardian_removed")
+    logger.info(`[DELEGATION] User ${req.user.id} stopped acting for patient ${req.params.dependentId}`)
+
+    res.json({
+      success: true,
+      message: "You no longer act for this family member",
+    })
+  })
+
+  /**
+   * Lists the people who can act for the current user
+   */
+  static getGuardians = asyncHandler(async (req, res) => {
+    const guardians = await DelegationService.listGuardians(req.user.id)
+
+    res.json({
+      success: true,
+      data: guardians,
+    })
+  })
+
+  /**
+   * Lets another patient (found by email or phone) act for the current user
+   */
+  static addGuardian = asyncHandler(async (req, res) => {
+    const permissions = [...new Set(req.body.permissions)]
+    const invalid = checkPermissions(permissions)
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    const guardian = await DelegationService.findPatient({ email: req.body.email, phone: req.body.phone })
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        error: "No patient account found with this email or phone",
+      })
+    }
+
+    try {
+      const delegation = await DelegationService.createDelegation(
+        {
+          guardianId: guardian.id,
+          dependentId: req.user.id,
+          kind: "delegated",
+          relationship: req.body.relationship,
+          permissions,
+        },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: `${guardian.full_name} can now act for you`,
+        data: { ...delegation, guardian },
+      })
+    } catch (error) {
+      return handleDelegationError(res, error)
+    }
+  })
+
+  /**
+   * Changes what someone may do for the current user
+   */
+  static updateGuardian = asyncHandler(async (req, res) => {
+    const delegation = await DelegationService.getDelegation(req.params.delegationId)
+    if (!delegation || delegation.dependent_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: "Guardian not found",
+      })
+    }
+
+    if (delegation.kind === "minor") {
+      return res.status(400).json({
+        success: false,
+        error: "A minor's guardianship cannot be changed from the minor's account",
+      })
+    }
+
+    const permissions = [...new Set(req.body.permissions)]
+    const invalid = checkPermissions(permissions)
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    await DelegationService.updatePermissions(delegation.id, permissions)
+    logger.info(`[DELEGATION] Patient ${req.user.id} set permissions of delegation ${delegation.id} to [${permissions.join(", ")}]`)
+
+    res.json({
+      success: true,
+      message: "Permissions updated",
+      data: { ...delegation, permissions },
+    })
+  })
+
+  /**
+   * Stops someone from acting for the current user
+   */
+  static removeGuardian = asyncHandler(async (req, res) => {
+    const delegation = await DelegationService.getDelegation(req.params.delegationId)
+    if (!delegation || delegation.dependent_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: "Guardian not found",
+      })
+    }
+
+    if (delegation.kind === "minor") {
+      return res.status(400).json({
+        success: false,
+        error: "A minor's guardianship ends at the age of majority or through support",
+      })
+    }
+
+    await DelegationService.endDelegation(delegation.id, req.user.id, "revoked")
+    logger.info(`[DELEGATION] Patient ${req.user.id} revoked delegation ${delegation.id}`)
+
+    res.json({
+      success: true,
+      message: "Access revoked",
+    })
+  })
+
+  /**
+   * Links a guardian to an existing patient account (support, e.g. a child registered at a clinic)
+   */
+  static createLink = asyncHandler(async (req, res) => {
+    const kind = req.body.kind || "minor"
+    const permissions = kind === "minor" ? [] : [...new Set(req.body.permissions || [])]
+
+    if (kind === "delegated") {
+      const invalid = checkPermissions(permissions)
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid })
+      }
+    }
+
+    try {
+      const delegation = await DelegationService.createDelegation(
+        {
+          guardianId: Number(req.body.guardianId),
+          dependentId: Number(req.body.dependentId),
+          kind,
+          relationship: req.body.relationship,
+          permissions,
+        },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Guardian linked",
+        data: delegation,
+      })
+    } catch (error) {
+      return handleDelegationError(res, error)
+    }
+  })
+
+  /**
+   * Ends any guardianship (support)
+   */
+  static endLink = asyncHandler(async (req, res) => {
+    const ended = await DelegationService.endDelegation(req.params.delegationId, req.user.id, "admin_removed")
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: "Guardianship not found",
+      })
+    }
+
+    logger.warn(`[DELEGATION] Delegation ${req.params.delegationId} ended by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Guardianship ended",
+    })
+  })
+}
+
+module.exports = FamilyController
@@ -0,0 +1,161 @@
+/**
+ * Impersonation Controller
+ *
+ * Platform support acts as a clinic admin, doctor or patient to see what they see.
+ * Every impersonated request is audited and the impersonated user can read the trail.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const ImpersonationService = require("../services/impersonationService")
+
+// Reads limit/offset from the query string
+const parsePagination = (query) => ({
+  limit: Math.min(Number.parseInt(query.limit) || 50, 200),
+  offset: Number.parseInt(query.offset) || 0,
+})
+
+class ImpersonationController {
+  /**
+   * Starts acting as a user and returns the impersonation token (no refresh token)
+   */
+  static start = asyncHandler(async (req, res) => {
+    try {
+      const { token, impersonation } = await ImpersonationService.start(req.user, Number(req.params.id), {
+        reason: req.body.reason,
+        ip: req.ip,
+        userAgent: req.get("user-agent") || null,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: `Impersonating ${impersonation.target.full_name}`,
+        data: {
+          token,
+          impersonating: true,
+          impersonation: {
+            id: impersonation.id,
+            reason: impersonation.reason,
+            started_at: impersonation.started_at,
+            expires_at: impersonation.expires_at,
+          },
+          user: impersonation.target,
+        },
+      })
+    } catch (error) {
+      if (error instanceof ImpersonationService.ImpersonationError) {
+        return res.status(error.status).json({ success: false, error: error.message })
+      }
+      throw error
+    }
+  })
+
+  /**
+   * Ends the impersonation the request is made with
+   */
+  static endCurrent = asyncHandler(async (req, res) => {
+    if (!req.user.impersonation) {
+      return res.status(400).json({
+        success: false,
+        error: "This request is not made while impersonating",
+      })
+    }
+
+    await ImpersonationService.end(req.user.impersonation.id)
+
+    res.json({
+      success: true,
+      message: "Impersonation ended",
+    })
+  })
+
+  /**
+   * Lists the impersonations of the current user's account
+   */
+  static getMyImpersonations = asyncHandler(async (req, res) => {
+    const impersonations = await ImpersonationService.listImpersonations(
+      { targetUserId: req.user.id },
+      parsePagination(req.query),
+    )
+
+    res.json({
+      success: true,
+      data: impersonations,
+    })
+  })
+
+  /**
+   * Requests made while the current user's account was impersonated
+   */
+  static getMyImpersonationTrail = asyncHandler(async (req, res) => {
+    const trail = await ImpersonationService.getAuditTrail(req.params.impersonationId, req.user.id)
+    if (!trail) {
+      return res.status(404).json({
+        success: false,
+        error: "Impersonation not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: trail,
+    })
+  })
+
+  /**
+   * Lists impersonations across the platform (filter with ?adminId= and ?userId=)
+   */
+  static getImpersonations = asyncHandler(async (req, res) => {
+    const impersonations = await ImpersonationService.listImpersonations(
+      {
+        adminId: Number.parseInt(req.query.adminId) || null,
+        targetUserId: Number.parseInt(req.query.userId) || null,
+      },
+      parsePagination(req.query),
+    )
+
+    res.json({
+      success: true,
+      data: impersonations,
+    })
+  })
+
+  /**
+   * Requests made during any impersonation
+   */
+  static getImpersonationTrail = asyncHandler(async (req, res) => {
+    const trail = await ImpersonationService.getAuditTrail(req.params.impersonationId)
+    if (!trail) {
+      return res.status(404).json({
+        success: false,
+        error: "Impersonation not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: trail,
+    })
+  })
+
+  /**
+   * Ends any running impersonation
+   */
+  static end = asyncHandler(async (req, res) => {
+    const ended = await ImpersonationService.end(req.params.impersonationId)
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: "No running impersonation with this ID",
+      })
+    }
+
+    logger.warn(`[IMPERSONATION] Impersonation ${req.params.impersonationId} ended by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Impersonation ended",
+    })
+  })
+}
+
+module.exports = ImpersonationController
@@ -0,0 +1,237 @@
+/**
+ * Invitation Controller
+ *
+ * Clinic admins invite staff by email or phone with a role. The invitee opens the
+ * tokenized link and either creates an account or signs in, and is linked to the clinic.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const InvitationService = require("../services/invitationService")
+const SessionService = require("../services/sessionService")
+const PermissionService = require("../services/permissionService")
+const ClinicContextService = require("../services/clinicContextService")
+
+// Sends the error of an unusable invitation, rethrows anything else
+const handleInvitationError = (res, error) => {
+  if (error instanceof InvitationService.InvitationError) {
+    return res.status(error.status).json({ success: false, error: error.message, code: error.code })
+  }
+  throw error
+}
+
+// Sends 403 and returns false unless the user may manage invitations of the clinic
+const checkClinicAccess = async (req, res) => {
+  if (!(await ClinicContextService.hasClinicAccess(req.user, req.params.clinicId))) {
+    res.status(403).json({
+      success: false,
+      error: "You do not have access to this clinic",
+    })
+    return false
+  }
+  return true
+}
+
+// Sends 404 and returns null unless the invitation belongs to the clinic
+const findInvitation = async (req, res) => {
+  const invitation = await InvitationService.getInvitation(req.params.clinicId, req.params.invitationId)
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      error: "Invitation not found",
+    })
+  }
+  return invitation
+}
+
+// What the invitee may see about an invitation before accepting it
+const toPreview = (invitation) => ({
+  clinic: { id: invitation.clinic_id, name: invitation.clinic_name },
+  role: invitation.role,
+  email: invitation.email,
+  phone: invitation.phone,
+  expires_at: invitation.expires_at,
+  existing_account: invitation.existing_account,
+})
+
+class InvitationController {
+  /**
+   * Lists the invitations of a clinic (filter with ?status=)
+   */
+  static getInvitations = asyncHandler(async (req, res) => {
+    if (!(await checkClinicAccess(req, res))) {
+      return
+    }
+
+    const invitations = await InvitationService.listInvitations(req.params.clinicId, req.query.status || null)
+
+    res.json({
+      success: true,
+      data: invitations,
+    })
+  })
+
+  /**
+   * Invites an email or phone to join the clinic with a role
+   */
+  static createInvitation = asyncHandler(async (req, res) => {
+    if (!(await checkClinicAccess(req, res))) {
+      return
+    }
+
+    const { email, phone, role } = req.body
+    if (
+      InvitationService.ADMIN_ROLES.includes(role) &&
+      !(await PermissionService.hasAny(req.user, ["clinics:admins:manage"], req.params.clinicId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Inviting administrators requires the clinics:admins:manage permission",
+      })
+    }
+
+    try {
+      const { invitation, delivered } = await InvitationService.createInvitation(
+        Number(req.params.clinicId),
+        { email: email || null, phone: email ? null : phone, role },
+        req.user,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: delivered ? "Invitation sent" : "Invitation created but could not be delivered; try resending it",
+        data: { ...invitation, delivered },
+      })
+    } catch (error) {
+      return handleInvitationError(res, error)
+    }
+  })
+
+  /**
+   * Sends a pending invitation again with a new link and expiry
+   */
+  static resendInvitation = asyncHandler(async (req, res) => {
+    if (!(await checkClinicAccess(req, res))) {
+      return
+    }
+
+    const invitation = await findInvitation(req, res)
+    if (!invitation) {
+      return
+    }
+
+    if (!["pending", "expired"].includes(invitation.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `This invitation has been ${invitation.status}`,
+      })
+    }
+
+    const { invitation: refreshed, delivered } = await InvitationService.resendInvitation(invitation, req.user)
+
+    res.json({
+      success: true,
+      message: delivered ? "Invitation sent" : "Invitation could not be delivered",
+      data: { ...refreshed, delivered },
+    })
+  })
+
+  /**
+   * Revokes a pending invitation; its link stops working
+   */
+  static revokeInvitation = asyncHandler(async (req, res) => {
+    if (!(await checkClinicAccess(req, res))) {
+      return
+    }
+
+    const invitation = await findInvitation(req, res)
+    if (!invitation) {
+      return
+    }
+
+    const revoked = await InvitationService.revokeInvitation(invitation.id, req.user.id)
+    if (!revoked) {
+      return res.status(400).json({
+        success: false,
+        error: `This invitation has been ${invitation.status}`,
+      })
+    }
+
+    logger.info(`[INVITATIONS] Invitation ${invitation.id} revoked by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+    })
+  })
+
+  /**
+   * Shows the invitation behind a link so the invitee can choose to sign up or sign in
+   */
+  static previewInvitation = asyncHandler(async (req, res) => {
+    try {
+      const invitation = await InvitationService.findByToken(req.params.token)
+
+      res.json({
+        success: true,
+        data: toPreview(invitation),
+      })
+    } catch (error) {
+      return handleInvitationError(res, error)
+    }
+  })
+
+  /**
+   * Creates the invitee's account from the invitation and signs them in
+   */
+  static register = asyncHandler(async (req, res) => {
+    try {
+      const invitation = await InvitationService.findByToken(req.params.token)
+      const user = await InvitationService.registerAndAccept(invitation, {
+        full_name: req.body.full_name,
+        password: req.body.password,
+        email: req.body.email,
+        phone: req.body.phone,
+      })
+
+      const { accessToken, refreshToken } = await SessionService.createSession(user.id, {
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        deviceName: req.body.deviceName,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: `Welcome to ${invitation.clinic_name}`,
+        user,
+        clinic: { id: invitation.clinic_id, name: invitation.clinic_name },
+        token: accessToken,
+        refreshToken,
+      })
+    } catch (error) {
+      return handleInvitationError(res, error)
+    }
+  })
+
+  /**
+   * Accepts the invitation with the signed-in account
+   */
+  static accept = asyncHandler(async (req, res) => {
+    try {
+      const invitation = await InvitationService.findByToken(req.params.token)
+      await InvitationService.acceptForUser(invitation, req.user)
+
+      res.json({
+        success: true,
+        message: `You joined ${invitation.clinic_name}`,
+        data: {
+          clinic: { id: invitation.clinic_id, name: invitation.clinic_name },
+          role: invitation.role,
+        },
+      })
+    } catch (error) {
+      return handleInvitationError(res, error)
+    }
+  })
+}
+
+module.exports = InvitationController
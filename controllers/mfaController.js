@@ -0,0 +1,221 @@
+/**
+ * Two-Factor Authentication Controller
+ *
+ * Handles TOTP enrollment, backup codes and the second step of login.
+ */
+const bcrypt = require("bcryptjs")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const MfaService = require("../services/mfaService")
+const SessionService = require("../services/sessionService")
+const LoginSecurityService = require("../services/loginSecurityService")
+
+class MfaController {
+  /**
+   * Gets the two-factor status of the current user
+   */
+  static getStatus = asyncHandler(async (req, res) => {
+    const status = await MfaService.getStatus(req.user.id)
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        required: MfaService.isRequiredForRole(req.user.role),
+        sessionVerified: req.user.mfaVerified,
+      },
+    })
+  })
+
+  /**
+   * Starts enrollment and returns the secret and provisioning URI for the authenticator app
+   */
+  static setup = asyncHandler(async (req, res) => {
+    if (await MfaService.isEnabled(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled",
+      })
+    }
+
+    const { secret, otpauthUri } = await MfaService.startEnrollment(req.user)
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: { secret, otpauthUri },
+    })
+  })
+
+  /**
+   * Confirms enrollment with a first code and returns the backup codes.
+   * The current session is upgraded so users forced to enroll can continue without logging in again.
+   */
+  static enable = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (await MfaService.isEnabled(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled",
+      })
+    }
+
+    const backupCodes = await MfaService.enable(req.user.id, code)
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid verification code",
+      })
+    }
+
+    let token = null
+    if (req.user.sessionId) {
+      await SessionService.markSessionMfaVerified(req.user.sessionId)
+      token = SessionService.signAccessToken(req.user.id, req.user.sessionId, true)
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your backup codes in a safe place.",
+      data: { backupCodes },
+      token,
+    })
+  })
+
+  /**
+   * Completes a login that requires a second factor
+   */
+  static verifyLogin = asyncHandler(async (req, res) => {
+    const { mfaToken, code, backupCode } = req.body
+
+    const userId = MfaService.verifyChallengeToken(mfaToken)
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "Login challenge expired, please log in again",
+      })
+    }
+
+    const result = await pool.query(
+      `SELECT u.id, u.full_name, u.email, r.name as role, u.phone
+       FROM users u
+       LEFT JOIN roles r ON u.role_id = r.id
+       WHERE u.id = $1`,
+      [userId],
+    )
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password",
+      })
+    }
+
+    const user = result.rows[0]
+    const attemptContext = { ip: req.ip, userAgent: req.get("user-agent") }
+
+    // Codes are guessable too: they share the account's failure counter and lockout
+    const gate = await LoginSecurityService.checkAllowed(user.id)
+    if (!gate.allowed) {
+      res.set("Retry-After", String(gate.retryAfterSeconds))
+      return res.status(gate.locked ? 423 : 429).json({
+        success: false,
+        error: gate.locked
+          ? "Account temporarily locked after too many failed attempts"
+          : "Too many failed attempts, please wait before trying again",
+        retryAfter: gate.retryAfterSeconds,
+      })
+    }
+
+    const valid = code ? await MfaService.verifyTotp(userId, code) : await MfaService.consumeBackupCode(userId, backupCode)
+    if (!valid) {
+      logger.warn(`[MFA] Invalid second factor for user ${userId}`)
+      const failure = await LoginSecurityService.recordFailure(user, { ...attemptContext, reason: "invalid_mfa_code" })
+      return res.status(failure.locked ? 423 : 401).json({
+        success: false,
+        error: failure.locked
+          ? "Account temporarily locked after too many failed attempts"
+          : "Invalid verification code",
+      })
+    }
+
+    await LoginSecurityService.recordSuccess(user, attemptContext)
+    const { accessToken, refreshToken } = await SessionService.createSession(user.id, {
+      ...attemptContext,
+      mfaVerified: true,
+      deviceName: req.body.deviceName,
+    })
+
+    logger.info(`User logged in successfully with two-factor authentication: ${user.email}`)
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      user: {
+        id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+      },
+      token: accessToken,
+      refreshToken,
+    })
+  })
+
+  /**
+   * Issues a new set of backup codes, invalidating the old ones
+   */
+  static regenerateBackupCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (!(await MfaService.verifyTotp(req.user.id, code))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid verification code",
+      })
+    }
+
+    const backupCodes = await MfaService.regenerateBackupCodes(req.user.id)
+
+    res.json({
+      success: true,
+      message: "New backup codes generated",
+      data: { backupCodes },
+    })
+  })
+
+  /**
+   * Disables two-factor authentication (not allowed for roles where it is mandatory)
+   */
+  static disable = asyncHandler(async (req, res) => {
+    const { password, code } = req.body
+
+    if (MfaService.isRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: "Two-factor authentication is mandatory for your role",
+      })
+    }
+
+    const userResult = await pool.query("SELECT password_hash FROM users WHERE id = $1", [req.user.id])
+    const passwordValid = await bcrypt.compare(password, userResult.rows[0].password_hash)
+
+    if (!passwordValid || !(await MfaService.verifyTotp(req.user.id, code))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid password or verification code",
+      })
+    }
+
+    await MfaService.disable(req.user.id)
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  })
+}
+
+module.exports = MfaController
@@ -0,0 +1,143 @@
+/**
+ * No-Show Controller
+ *
+ * Clinic admins set the clinic's no-show policy (grace period, penalty, prepayment and blocking
+ * thresholds), look at a patient's missed appointments and waive the ones with a good excuse.
+ * Patients see their own history.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const NoShowService = require("../services/noShowService")
+
+// Sends the error of a refused change, rethrows anything else
+const handleNoShowError = (res, error) => {
+  if (error instanceof NoShowService.NoShowError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    })
+  }
+  throw error
+}
+
+// Clinic the request is about: the current clinic, or ?clinicId for platform admins (none: the
+// platform default policy, or every clinic). Sends an error and returns false when it cannot be used.
+const resolveClinicScope = (req, res) => {
+  const requested = req.query.clinicId ? Number.parseInt(req.query.clinicId) : null
+  if (req.user.role === "platform_admin") {
+    return requested
+  }
+
+  if (!req.user.clinic_id) {
+    res.status(400).json({
+      success: false,
+      error: "Select a clinic with the X-Clinic-Id header",
+    })
+    return false
+  }
+  if (requested && requested !== req.user.clinic_id) {
+    res.status(403).json({
+      success: false,
+      error: "Switch to this clinic (X-Clinic-Id header) to manage its no-shows",
+    })
+    return false
+  }
+  return req.user.clinic_id
+}
+
+class NoShowController {
+  /**
+   * Lists the patient's own missed appointments
+   */
+  static getMyHistory = asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await NoShowService.getHistory(req.patientId),
+    })
+  })
+
+  /**
+   * Shows the no-show policy in effect
+   */
+  static getPolicy = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const policy = await NoShowService.getPolicy(clinicId)
+    res.json({
+      success: true,
+      data: { ...policy, isDefault: Boolean(clinicId) && policy.clinic_id !== clinicId },
+    })
+  })
+
+  /**
+   * Changes the no-show policy
+   */
+  static updatePolicy = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    try {
+      const policy = await NoShowService.setPolicy(clinicId, req.body, req.user.id)
+
+      res.json({
+        success: true,
+        message: "No-show policy saved",
+        data: policy,
+      })
+    } catch (error) {
+      return handleNoShowError(res, error)
+    }
+  })
+
+  /**
+   * Lists a patient's missed appointments at the clinic
+   */
+  static getPatientHistory = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const history = await NoShowService.getHistory(Number.parseInt(req.params.patientId), {
+      clinicIds: clinicId ? [clinicId] : null,
+    })
+    res.json({
+      success: true,
+      data: history,
+    })
+  })
+
+  /**
+   * Waives a no-show so it no longer counts towards prepayment or blocking
+   */
+  static waive = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const record = await NoShowService.waive(Number.parseInt(req.params.id), {
+      waivedBy: req.user.id,
+      reason: req.body.reason,
+      clinicIds: clinicId ? [clinicId] : null,
+    })
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: "No-show not found or already waived",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "No-show waived",
+      data: record,
+    })
+  })
+}
+
+module.exports = NoShowController
@@ -65,6 +65,39 @@ class NotificationController {
     }
   }
 
+  /**
+   * Whether SMS can be sent (Twilio is configured)
+   * @returns {boolean}
+   */
+  static isSmsEnabled() {
+    return Boolean(twilioClient)
+  }
+
+  /**
+   * Sends a plain SMS through Twilio, outside of the notifications table
+   * (verification codes and other messages that must not be stored)
+   * @returns {boolean} Whether the message was handed to Twilio
+   */
+  static async sendSms({ to, body }) {
+    if (!twilioClient) {
+      logger.warn(`Twilio not configured; SMS to ${to} skipped`)
+      return false
+    }
+
+    try {
+      await twilioClient.messages.create({
+        body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to,
+      })
+      logger.info(`SMS sent to ${to}`)
+      return true
+    } catch (smsErr) {
+      logger.error(`SMS to ${to} failed: ${smsErr.message}`)
+      return false
+    }
+  }
+
   static async create(req, res) {
     const { userId, message, type, priority, sendSms, refId } = req.body
     try {
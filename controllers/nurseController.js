@@ -6,6 +6,8 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const asyncHandler = require("../utils/asyncHandler")
+const SessionService = require("../services/sessionService")
+const TrashService = require("../services/trashService")
 
 class NurseController {
   /**
@@ -21,7 +23,7 @@ class NurseController {
       FROM users u 
       JOIN roles r ON u.role_id = r.id 
       LEFT JOIN nurse_portfolios np ON u.id = np.nurse_id 
-      WHERE r.name = 'nurse'
+      WHERE r.name = 'nurse' AND u.deleted_at IS NULL
     `
 
     const params = []
@@ -62,7 +64,7 @@ class NurseController {
       `SELECT u.id, u.full_name, u.email, u.phone, np.* 
        FROM users u 
        LEFT JOIN nurse_portfolios np ON u.id = np.nurse_id 
-       WHERE u.id = $1`,
+       WHERE u.id = $1 AND u.deleted_at IS NULL`,
       [nurseId],
     )
 
@@ -104,7 +106,7 @@ class NurseController {
 
     // Verify nurse exists
     const nurseCheck = await pool.query(
-      "SELECT 1 FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND r.name = 'nurse'",
+      "SELECT 1 FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND r.name = 'nurse' AND u.deleted_at IS NULL",
       [nurseId],
     )
 
@@ -166,14 +168,14 @@ class NurseController {
   }
 
   /**
-   * Deletes a nurse and related records (admin function)
+   * Moves a nurse to the trash (admin function); clinic memberships and portfolio are kept for restoring
    */
   static deleteNurse = asyncHandler(async (req, res) => {
     const { id } = req.params
 
     // Verify nurse exists
     const nurseCheck = await pool.query(
-      "SELECT 1 FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND r.name = 'nurse'",
+      "SELECT 1 FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND r.name = 'nurse' AND u.deleted_at IS NULL",
       [id],
     )
 
@@ -181,24 +183,21 @@ class NurseController {
       return res.status(404).json({ error: "Nurse not found" })
     }
 
-    // Delete nurse and related data in a transaction
-    await pool.query("BEGIN")
+    const client = await pool.connect()
 
     try {
-      // Delete associations
-      await pool.query("DELETE FROM nurse_clinics WHERE nurse_id = $1", [id])
-      await pool.query("DELETE FROM nurse_portfolios WHERE nurse_id = $1", [id])
-
-      // Delete the user
-      await pool.query("DELETE FROM users WHERE id = $1", [id])
-
-      await pool.query("COMMIT")
+      await client.query("BEGIN")
+      await TrashService.softDelete("user", Number(id), req.user.id, client)
+      await SessionService.revokeAllUserSessions(Number(id), "account_deleted", client, { revokedBy: req.user.id })
+      await client.query("COMMIT")
 
       logger.info(`Nurse deleted: ${id}`)
-      res.status(200).json({ message: "Nurse deleted successfully" })
+      res.status(200).json({ message: "Nurse moved to the trash" })
     } catch (error) {
-      await pool.query("ROLLBACK")
+      await client.query("ROLLBACK")
       throw error
+    } finally {
+      client.release()
     }
   })
 }
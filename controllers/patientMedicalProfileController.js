@@ -1,6 +1,8 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const { executeQuery } = require("../utils/dbUtils")
+const DelegationService = require("../services/delegationService")
+const EncryptionService = require("../services/encryptionService")
 
 const PatientMedicalProfileController = {
   // Get a patient's medical profile
@@ -10,8 +12,8 @@ const PatientMedicalProfileController = {
       const userId = req.user.id
       const userRole = req.user.role
 
-      // Check if user has permission to access this patient's profile
-      if (userRole === "patient" && userId !== Number.parseInt(patientId)) {
+      // Check if user has permission to access this patient's profile (own, or a dependent's)
+      if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
         return res.status(403).json({ success: false, error: "Access denied" })
       }
 
@@ -108,7 +110,7 @@ const PatientMedicalProfileController = {
       }
 
       // Process the result to ensure arrays are properly formatted
-      const profile = result.rows[0]
+      const profile = EncryptionService.decryptFields(result.rows[0], "patient_medical_profiles")
 
       // Convert string arrays to actual arrays if they're stored as strings
       ;["allergies", "chronic_conditions", "current_medications"].forEach((field) => {
@@ -143,8 +145,8 @@ const PatientMedicalProfileController = {
       const userRole = req.user.role
       const profileData = req.body
 
-      // Check if user has permission to update this patient's profile
-      if (userRole === "patient" && userId !== Number.parseInt(patientId)) {
+      // Check if user has permission to update this patient's profile (own, or a dependent's)
+      if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "profile:manage"))) {
         return res.status(403).json({ success: false, error: "Access denied" })
       }
 
@@ -194,11 +196,14 @@ const PatientMedicalProfileController = {
         }
       })
 
+      // Sensitive fields are stored encrypted
+      const storedData = EncryptionService.encryptFields("patient_medical_profiles", updateData)
+
       let result
 
       if (profileExists) {
         // Update existing profile
-        const setClause = Object.keys(updateData)
+        const setClause = Object.keys(storedData)
           .map((key, index) => `${key} = $${index + 2}`)
           .join(", ")
 
@@ -209,11 +214,11 @@ const PatientMedicalProfileController = {
           RETURNING *
         `
 
-        const params = [patientId, ...Object.values(updateData)]
+        const params = [patientId, ...Object.values(storedData)]
         result = await executeQuery(updateQuery, params)
       } else {
         // Insert new profile
-        const columns = ["patient_id", ...Object.keys(updateData)]
+        const columns = ["patient_id", ...Object.keys(storedData)]
         const placeholders = columns.map((_, index) => `$${index + 1}`)
 
         const insertQuery = `
@@ -222,12 +227,12 @@ const PatientMedicalProfileController = {
           RETURNING *
         `
 
-        const params = [patientId, ...Object.values(updateData)]
+        const params = [patientId, ...Object.values(storedData)]
         result = await executeQuery(insertQuery, params)
       }
 
       // Process the result to ensure arrays are properly formatted
-      const profile = result.rows[0]
+      const profile = EncryptionService.decryptFields(result.rows[0], "patient_medical_profiles")
 
       // Convert string arrays to actual arrays
       ;["allergies", "chronic_conditions", "current_medications"].forEach((field) => {
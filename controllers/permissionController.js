@@ -0,0 +1,310 @@
+/**
+ * Permission Controller
+ *
+ * Platform admins edit which permissions each system role holds; clinic admins
+ * define custom roles (receptionist, cashier...) for their own clinic staff.
+ */
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const PermissionService = require("../services/permissionService")
+
+// Returns an error message when a permission list cannot be saved, null when it is valid
+const checkPermissionList = async (keys, { forClinicRole = false } = {}) => {
+  const unknown = await PermissionService.findUnknownKeys(keys)
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(", ")}`
+  }
+
+  if (forClinicRole) {
+    const reserved = keys.filter((key) => PermissionService.RESERVED_PERMISSIONS.includes(key))
+    if (reserved.length > 0) {
+      return `Permissions not available to clinic roles: ${reserved.join(", ")}`
+    }
+  }
+
+  return null
+}
+
+// Sends 403 and returns false unless the user administers the clinic
+const ensureClinicAccess = async (req, res) => {
+  if (await PermissionService.canManageClinic(req.user, req.params.clinicId)) {
+    return true
+  }
+  res.status(403).json({
+    success: false,
+    error: "Access denied to this clinic",
+  })
+  return false
+}
+
+class PermissionController {
+  /**
+   * Lists the permission catalogue and the custom role templates
+   */
+  static getPermissions = asyncHandler(async (req, res) => {
+    const permissions = await PermissionService.listPermissions()
+
+    res.json({
+      success: true,
+      data: {
+        permissions,
+        clinicRoleTemplates: PermissionService.CLINIC_ROLE_TEMPLATES,
+        reservedPermissions: PermissionService.RESERVED_PERMISSIONS,
+      },
+    })
+  })
+
+  /**
+   * Lists system roles with their permissions
+   */
+  static getRoles = asyncHandler(async (req, res) => {
+    const roles = await PermissionService.listRolePermissions()
+
+    res.json({
+      success: true,
+      data: roles,
+    })
+  })
+
+  /**
+   * Replaces the permissions of a system role
+   */
+  static updateRolePermissions = asyncHandler(async (req, res) => {
+    const { roleName } = req.params
+    const permissions = [...new Set(req.body.permissions)]
+
+    if (roleName === PermissionService.SUPER_ROLE) {
+      return res.status(400).json({
+        success: false,
+        error: "Platform admins always hold every permission",
+      })
+    }
+
+    const invalid = await checkPermissionList(permissions)
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    const updated = await PermissionService.setRolePermissions(roleName, permissions)
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: "Role not found",
+      })
+    }
+
+    logger.info(`[PERMISSIONS] Role ${roleName} permissions set to [${permissions.join(", ")}] by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Role permissions updated",
+      data: { role: roleName, permissions },
+    })
+  })
+
+  /**
+   * Lists the custom roles of a clinic
+   */
+  static getClinicRoles = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const roles = await PermissionService.listClinicRoles(req.params.clinicId)
+
+    res.json({
+      success: true,
+      data: roles,
+    })
+  })
+
+  /**
+   * Creates a custom clinic role, optionally starting from a template
+   */
+  static createClinicRole = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const { name, description, template } = req.body
+    const templateDefinition = template ? PermissionService.CLINIC_ROLE_TEMPLATES[template] : null
+
+    if (template && !templateDefinition) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown template. Available: ${Object.keys(PermissionService.CLINIC_ROLE_TEMPLATES).join(", ")}`,
+      })
+    }
+
+    const permissions = [...new Set(req.body.permissions || (templateDefinition ? templateDefinition.permissions : []))]
+    const invalid = await checkPermissionList(permissions, { forClinicRole: true })
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid })
+    }
+
+    try {
+      const role = await PermissionService.createClinicRole(
+        req.params.clinicId,
+        {
+          name: name || template,
+          description: description || (templateDefinition ? templateDefinition.description : null),
+          permissions,
+        },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Clinic role created",
+        data: role,
+      })
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          error: "A role with this name already exists in the clinic",
+        })
+      }
+      throw error
+    }
+  })
+
+  /**
+   * Renames a custom clinic role or replaces its permissions
+   */
+  static updateClinicRole = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const { clinicId, roleId } = req.params
+    const role = await PermissionService.getClinicRole(clinicId, roleId)
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: "Clinic role not found",
+      })
+    }
+
+    const permissions = req.body.permissions ? [...new Set(req.body.permissions)] : null
+    if (permissions) {
+      const invalid = await checkPermissionList(permissions, { forClinicRole: true })
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid })
+      }
+    }
+
+    try {
+      await PermissionService.updateClinicRole(roleId, {
+        name: req.body.name,
+        description: req.body.description,
+        permissions,
+      })
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({
+          success: false,
+          error: "A role with this name already exists in the clinic",
+        })
+      }
+      throw error
+    }
+
+    logger.info(`[PERMISSIONS] Clinic role ${roleId} updated in clinic ${clinicId} by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Clinic role updated",
+    })
+  })
+
+  /**
+   * Deletes a custom clinic role
+   */
+  static deleteClinicRole = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const { clinicId, roleId } = req.params
+    const role = await PermissionService.getClinicRole(clinicId, roleId)
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: "Clinic role not found",
+      })
+    }
+
+    await PermissionService.deleteClinicRole(roleId)
+    logger.info(`[PERMISSIONS] Clinic role ${roleId} deleted from clinic ${clinicId} by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Clinic role deleted",
+    })
+  })
+
+  /**
+   * Gives a custom clinic role to a member of the clinic's staff
+   */
+  static addClinicRoleMember = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const { clinicId, roleId } = req.params
+    const { userId } = req.body
+
+    const role = await PermissionService.getClinicRole(clinicId, roleId)
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: "Clinic role not found",
+      })
+    }
+
+    if (!(await PermissionService.isClinicMember(userId, clinicId))) {
+      return res.status(400).json({
+        success: false,
+        error: "User is not a staff member of this clinic",
+      })
+    }
+
+    await PermissionService.addClinicRoleMember(roleId, userId, req.user.id)
+    logger.info(`[PERMISSIONS] User ${userId} given clinic role ${roleId} by user ${req.user.id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Role assigned",
+    })
+  })
+
+  /**
+   * Takes a custom clinic role away from a user
+   */
+  static removeClinicRoleMember = asyncHandler(async (req, res) => {
+    if (!(await ensureClinicAccess(req, res))) {
+      return
+    }
+
+    const { clinicId, roleId, userId } = req.params
+    const role = await PermissionService.getClinicRole(clinicId, roleId)
+    const removed = role ? await PermissionService.removeClinicRoleMember(roleId, userId) : false
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "Role assignment not found",
+      })
+    }
+
+    logger.info(`[PERMISSIONS] User ${userId} removed from clinic role ${roleId} by user ${req.user.id}`)
+
+    res.json({
+      success: true,
+      message: "Role removed",
+    })
+  })
+}
+
+module.exports = PermissionController
@@ -7,6 +7,11 @@ const db = require("../config/database")
 const asyncHandler = require("../utils/asyncHandler")
 const { validationResult } = require("express-validator")
 const NotificationController = require("./notificationController")
+const TrashService = require("../services/trashService")
+const EncryptionService = require("../services/encryptionService")
+
+// Encrypted columns of the prescription queries (patient_allergies: joined from the medical profile)
+const ENCRYPTED_COLUMNS = ["diagnosis", "patient_allergies"]
 
 class PrescriptionController {
   /**
@@ -157,7 +162,7 @@ class PrescriptionController {
           effectiveClinicId,
           appointment_id || null,
           prescriptionNumber,
-          diagnosis,
+          EncryptionService.encrypt(diagnosis),
           medicationJson, // Use properly stringified JSON
           notes || null,
           follow_up_date || null,
@@ -168,7 +173,7 @@ class PrescriptionController {
 
       await dbTransaction.commit()
 
-      const prescription = result.rows[0]
+      const prescription = EncryptionService.decryptFields(result.rows[0], ENCRYPTED_COLUMNS)
 
       // Parse medications safely for response
       try {
@@ -226,7 +231,7 @@ class PrescriptionController {
 
       let query,
         params = []
-      const whereConditions = []
+      const whereConditions = ["p.deleted_at IS NULL"]
       let paramCount = 1
 
       // Base query with joins
@@ -251,7 +256,7 @@ class PrescriptionController {
       // Build WHERE conditions based on user role and filters
       if (req.user.role === "patient") {
         whereConditions.push(`p.patient_id = $${paramCount}`)
-        params.push(req.user.id)
+        params.push(req.patientId || req.user.id)
         paramCount++
 
         // Only show active prescriptions to patients unless they explicitly request a different status
@@ -266,6 +271,13 @@ class PrescriptionController {
         whereConditions.push(`p.clinic_id IN (SELECT clinic_id FROM admin_clinics WHERE admin_id = $${paramCount})`)
         params.push(req.user.id)
         paramCount++
+      } else if (req.user.apiKey) {
+        // API keys read the clinic they act for (every clinic when unrestricted and none was picked)
+        if (req.user.clinic_id) {
+          whereConditions.push(`p.clinic_id = $${paramCount}`)
+          params.push(req.user.clinic_id)
+          paramCount++
+        }
       } else if (req.user.role !== "platform_admin") {
         return res.status(403).json({ success: false, error: "Unauthorized access to prescriptions" })
       }
@@ -299,8 +311,8 @@ class PrescriptionController {
       }
 
       if (search) {
+        // The diagnosis is encrypted and cannot be searched
         whereConditions.push(`(
-          p.diagnosis ILIKE $${paramCount} OR 
           p.prescription_number ILIKE $${paramCount} OR
           u1.full_name ILIKE $${paramCount} OR
           u2.full_name ILIKE $${paramCount} OR
@@ -364,7 +376,7 @@ class PrescriptionController {
       const total = Number.parseInt(countResult.rows[0].total)
 
       // Parse medications JSON for each prescription safely
-      const prescriptions = result.rows.map((prescription) => {
+      const prescriptions = EncryptionService.decryptRows(result.rows, ENCRYPTED_COLUMNS).map((prescription) => {
         try {
           if (typeof prescription.medication === "string") {
             prescription.medications = JSON.parse(prescription.medication)
@@ -431,22 +443,25 @@ class PrescriptionController {
   LEFT JOIN clinics c ON p.clinic_id = c.id 
   LEFT JOIN appointments a ON p.appointment_id = a.id
   LEFT JOIN patient_medical_profiles pm ON p.patient_id = pm.patient_id
-  WHERE p.id = $1
+  WHERE p.id = $1 AND p.deleted_at IS NULL
 `
 
       // Add authorization based on user role
       if (req.user.role === "patient") {
         query = baseQuery + ` AND p.patient_id = $2`
-        params = [id, req.user.id]
+        params = [id, req.patientId || req.user.id]
       } else if (req.user.role === "doctor") {
         query = baseQuery + ` AND p.doctor_id = $2`
         params = [id, req.user.id]
       } else if (req.user.role === "clinic_admin") {
         query = baseQuery + ` AND p.clinic_id IN (SELECT clinic_id FROM admin_clinics WHERE admin_id = $2)`
         params = [id, req.user.id]
-      } else if (req.user.role === "platform_admin") {
+      } else if (req.user.role === "platform_admin" || (req.user.apiKey && !req.user.clinic_id)) {
         query = baseQuery
         params = [id]
+      } else if (req.user.apiKey) {
+        query = baseQuery + ` AND p.clinic_id = $2`
+        params = [id, req.user.clinic_id]
       } else {
         return res.status(403).json({ success: false, error: "Unauthorized access to prescription" })
       }
@@ -457,7 +472,7 @@ class PrescriptionController {
         return res.status(404).json({ success: false, error: "Prescription not found" })
       }
 
-      const prescription = result.rows[0]
+      const prescription = EncryptionService.decryptFields(result.rows[0], ENCRYPTED_COLUMNS)
 
       // Parse medications JSON safely
       try {
@@ -528,7 +543,7 @@ class PrescriptionController {
         `SELECT p.*, u.full_name as patient_name 
          FROM prescriptions p 
          JOIN users u ON p.patient_id = u.id 
-         WHERE p.id = $1`,
+         WHERE p.id = $1 AND p.deleted_at IS NULL`,
         [id],
       )
 
@@ -569,7 +584,7 @@ class PrescriptionController {
 
       if (diagnosis !== undefined) {
         updateFields.push(`diagnosis = $${paramCount}`)
-        updateValues.push(diagnosis)
+        updateValues.push(EncryptionService.encrypt(diagnosis))
         paramCount++
       }
 
@@ -625,7 +640,7 @@ class PrescriptionController {
 
       await dbTransaction.commit()
 
-      const prescription = result.rows[0]
+      const prescription = EncryptionService.decryptFields(result.rows[0], ENCRYPTED_COLUMNS)
 
       // Parse medications safely
       try {
@@ -691,7 +706,7 @@ class PrescriptionController {
         `SELECT p.*, u.full_name as patient_name 
          FROM prescriptions p 
          JOIN users u ON p.patient_id = u.id 
-         WHERE p.id = $1`,
+         WHERE p.id = $1 AND p.deleted_at IS NULL`,
         [id],
       )
 
@@ -720,18 +735,17 @@ class PrescriptionController {
         }
       }
 
-      if (prescription.status === "cancelled") {
-        return res.status(400).json({ success: false, error: "Prescription is already cancelled" })
-      }
-
+      // The prescription is cancelled and kept in the trash; restoring it does not reactivate it
+      const wasCancelled = prescription.status === "cancelled"
       const result = await dbTransaction.query(
         "UPDATE prescriptions SET status = 'cancelled', updated_at = NOW() WHERE id = $1 RETURNING *",
         [id],
       )
+      await TrashService.softDelete("prescription", id, req.user.id, dbTransaction)
 
       await dbTransaction.commit()
 
-      const updatedPrescription = result.rows[0]
+      const updatedPrescription = EncryptionService.decryptFields(result.rows[0], ENCRYPTED_COLUMNS)
 
       // Parse medications safely
       try {
@@ -750,12 +764,14 @@ class PrescriptionController {
       updatedPrescription.patient_name = prescription.patient_name
 
       // Create notification
-      await createNotification(
-        prescription.patient_id,
-        `Your prescription has been cancelled`,
-        "prescription_cancelled",
-        prescription.id,
-      )
+      if (!wasCancelled) {
+        await createNotification(
+          prescription.patient_id,
+          `Your prescription has been cancelled`,
+          "prescription_cancelled",
+          prescription.id,
+        )
+      }
 
       logger.info(`Prescription ${id} cancelled by ${req.user.role} ${req.user.id}`)
 
@@ -778,7 +794,7 @@ class PrescriptionController {
 
       res.status(200).json({
         success: true,
-        message: "Prescription cancelled successfully",
+        message: "Prescription cancelled and moved to the trash",
         data: updatedPrescription,
         notifications: "Created for patient and doctor"
       })
@@ -805,7 +821,7 @@ class PrescriptionController {
         `SELECT p.*, u.full_name as doctor_name 
          FROM prescriptions p 
          JOIN users u ON p.doctor_id = u.id 
-         WHERE p.id = $1 AND p.patient_id = $2 AND p.status = 'active'`,
+         WHERE p.id = $1 AND p.patient_id = $2 AND p.status = 'active' AND p.deleted_at IS NULL`,
         [id, req.user.id],
       )
 
@@ -828,7 +844,7 @@ class PrescriptionController {
 
       await dbTransaction.commit()
 
-      const updatedPrescription = result.rows[0]
+      const updatedPrescription = EncryptionService.decryptFields(result.rows[0], ENCRYPTED_COLUMNS)
 
       // Parse medications safely
       try {
@@ -920,7 +936,7 @@ class PrescriptionController {
  JOIN users u2 ON p.doctor_id = u2.id 
  LEFT JOIN clinics c ON p.clinic_id = c.id 
  LEFT JOIN patient_medical_profiles pm ON p.patient_id = pm.patient_id
- WHERE p.id = $1`,
+ WHERE p.id = $1 AND p.deleted_at IS NULL`,
         [id],
       )
 
@@ -928,7 +944,7 @@ class PrescriptionController {
         return res.status(404).json({ success: false, error: "Prescription not found" })
       }
 
-      const prescription = prescriptionResult.rows[0]
+      const prescription = EncryptionService.decryptFields(prescriptionResult.rows[0], ENCRYPTED_COLUMNS)
 
       // Authorization check
       let canAccess = false
@@ -1078,7 +1094,7 @@ class PrescriptionController {
  JOIN users u2 ON p.doctor_id = u2.id 
  LEFT JOIN clinics c ON p.clinic_id = c.id 
  LEFT JOIN patient_medical_profiles pm ON p.patient_id = pm.patient_id
- WHERE p.id = $1`,
+ WHERE p.id = $1 AND p.deleted_at IS NULL`,
         [id],
       )
 
@@ -1086,7 +1102,7 @@ class PrescriptionController {
         return res.status(404).json({ success: false, error: "Prescription not found" })
       }
 
-      const prescription = prescriptionResult.rows[0]
+      const prescription = EncryptionService.decryptFields(prescriptionResult.rows[0], ENCRYPTED_COLUMNS)
 
       // Authorization check
       let canAccess = false
@@ -1149,7 +1165,7 @@ class PrescriptionController {
         return res.status(403).json({ success: false, error: "Unauthorized access to patient prescriptions" })
       }
 
-      let whereCondition = "WHERE p.patient_id = $1"
+      let whereCondition = "WHERE p.patient_id = $1 AND p.deleted_at IS NULL"
       const params = [patientId]
       let paramCount = 2
 
@@ -1186,7 +1202,7 @@ class PrescriptionController {
       const result = await executeQuery(query, params)
 
       // Parse medications JSON for each prescription safely
-      const prescriptions = result.rows.map((prescription) => {
+      const prescriptions = EncryptionService.decryptRows(result.rows, ENCRYPTED_COLUMNS).map((prescription) => {
         try {
           if (typeof prescription.medication === "string") {
             prescription.medications = JSON.parse(prescription.medication)
@@ -1218,18 +1234,18 @@ class PrescriptionController {
    */
   static async getStats(req, res) {
     try {
-      let whereCondition = ""
+      let whereCondition = "WHERE deleted_at IS NULL"
       let params = []
 
       // Build where condition based on user role
       if (req.user.role === "patient") {
-        whereCondition = "WHERE patient_id = $1"
+        whereCondition += " AND patient_id = $1"
         params = [req.user.id]
       } else if (req.user.role === "doctor") {
-        whereCondition = "WHERE doctor_id = $1"
+        whereCondition += " AND doctor_id = $1"
         params = [req.user.id]
       } else if (req.user.role === "clinic_admin") {
-        whereCondition = "WHERE clinic_id IN (SELECT clinic_id FROM admin_clinics WHERE admin_id = $1)"
+        whereCondition += " AND clinic_id IN (SELECT clinic_id FROM admin_clinics WHERE admin_id = $1)"
         params = [req.user.id]
       }
 
@@ -0,0 +1,158 @@
+/**
+ * Privacy Controller
+ *
+ * Patients (or guardians with X-Patient-Id) download everything stored about them as JSON or ZIP
+ * and ask for their account to be erased. Platform admins export a patient's data and review
+ * erasure requests; approving one anonymizes the account and keeps the records that must be retained.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const PrivacyService = require("../services/privacyService")
+
+// Sends the error of a refused erasure, rethrows anything else
+const handlePrivacyError = (res, error) => {
+  if (error instanceof PrivacyService.PrivacyError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.blockers && { blockers: error.blockers }),
+    })
+  }
+  throw error
+}
+
+// Sends an export as a JSON document or a ZIP archive (?format=zip)
+const sendExport = async (req, res, patientId) => {
+  const data = await PrivacyService.buildExport(patientId)
+  const fileName = `patient-${patientId}-export-${data.exportedAt.slice(0, 10)}`
+
+  if (req.query.format === "zip") {
+    res.setHeader("Content-Type", "application/zip")
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.zip"`)
+    return res.send(PrivacyService.buildExportZip(data))
+  }
+
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.json"`)
+  res.json({
+    success: true,
+    data,
+  })
+}
+
+class PrivacyController {
+  /**
+   * Exports the patient's own data
+   */
+  static exportMyData = asyncHandler(async (req, res) => {
+    await sendExport(req, res, req.patientId)
+  })
+
+  /**
+   * Shows the patient's latest erasure request and what currently prevents erasure
+   */
+  static getMyDeletionRequest = asyncHandler(async (req, res) => {
+    const request = await PrivacyService.getLatestRequest(req.patientId)
+    const blockers = await PrivacyService.getErasureBlockers(req.patientId)
+
+    res.json({
+      success: true,
+      data: { request, blockers },
+    })
+  })
+
+  /**
+   * Asks for the patient's account to be erased
+   */
+  static requestDeletion = asyncHandler(async (req, res) => {
+    try {
+      const request = await PrivacyService.createDeletionRequest(req.patientId, { reason: req.body.reason || null }, req.user.id)
+      const blockers = await PrivacyService.getErasureBlockers(req.patientId)
+
+      res.status(201).json({
+        success: true,
+        message: "Erasure requested. Your medical and financial records are kept as the law requires, without your personal details.",
+        data: { request, blockers },
+      })
+    } catch (error) {
+      return handlePrivacyError(res, error)
+    }
+  })
+
+  /**
+   * Withdraws the patient's pending erasure request
+   */
+  static cancelDeletionRequest = asyncHandler(async (req, res) => {
+    const cancelled = await PrivacyService.cancelDeletionRequest(req.patientId)
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: "No pending erasure request",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Erasure request withdrawn",
+    })
+  })
+
+  /**
+   * Exports a patient's data for an admin
+   */
+  static exportPatientData = asyncHandler(async (req, res) => {
+    await sendExport(req, res, Number(req.params.patientId))
+  })
+
+  /**
+   * Lists erasure requests (?status=pending...)
+   */
+  static getDeletionRequests = asyncHandler(async (req, res) => {
+    const requests = await PrivacyService.listDeletionRequests(
+      { status: req.query.status || null },
+      {
+        limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+        offset: Number.parseInt(req.query.offset) || 0,
+      },
+    )
+
+    res.json({
+      success: true,
+      data: requests,
+    })
+  })
+
+  /**
+   * Approves an erasure request and anonymizes the account
+   */
+  static approveDeletionRequest = asyncHandler(async (req, res) => {
+    try {
+      await PrivacyService.approveDeletionRequest(req.params.requestId, req.user.id, req.body.note || null)
+
+      res.json({
+        success: true,
+        message: "Account erased",
+      })
+    } catch (error) {
+      return handlePrivacyError(res, error)
+    }
+  })
+
+  /**
+   * Declines an erasure request
+   */
+  static rejectDeletionRequest = asyncHandler(async (req, res) => {
+    const rejected = await PrivacyService.rejectDeletionRequest(req.params.requestId, req.user.id, req.body.note)
+    if (!rejected) {
+      return res.status(404).json({
+        success: false,
+        error: "No pending erasure request with this ID",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Erasure request declined",
+    })
+  })
+}
+
+module.exports = PrivacyController
@@ -1,5 +1,7 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
+const TrashService = require("../services/trashService")
+const EncryptionService = require("../services/encryptionService")
 
 class RecordController {
   static async create(req, res) {
@@ -94,12 +96,24 @@ class RecordController {
          (patient_id, doctor_id, clinic_id, appointment_id, entry_type, diagnosis, treatment, notes) 
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
          RETURNING *`,
-        [patientId, req.user.id, clinicId, appointmentId, recordType, diagnosis, treatment, notes],
+        [
+          patientId,
+          req.user.id,
+          clinicId,
+          appointmentId,
+          recordType,
+          EncryptionService.encrypt(diagnosis),
+          EncryptionService.encrypt(treatment),
+          EncryptionService.encrypt(notes),
+        ],
       );
 
       await pool.query("COMMIT")
       logger.info(`Medical record created for patient: ${patientId}`)
-      res.status(201).json({ message: "Record created", record: result.rows[0] })
+      res.status(201).json({
+        message: "Record created",
+        record: EncryptionService.decryptFields(result.rows[0], "medical_records"),
+      })
     } catch (err) {
       await pool.query("ROLLBACK")
       logger.error(`Create record error: ${err.message}`)
@@ -119,7 +133,7 @@ class RecordController {
           JOIN users u ON mr.doctor_id = u.id
           LEFT JOIN clinics c ON mr.clinic_id = c.id
           LEFT JOIN appointments a ON mr.appointment_id = a.id
-          WHERE mr.patient_id = $1 
+          WHERE mr.patient_id = $1 AND mr.deleted_at IS NULL
           ORDER BY mr.created_at DESC
         `
         params = [req.user.id]
@@ -131,7 +145,7 @@ class RecordController {
           JOIN users u ON mr.patient_id = u.id
           LEFT JOIN clinics c ON mr.clinic_id = c.id
           LEFT JOIN appointments a ON mr.appointment_id = a.id
-          WHERE mr.doctor_id = $1 
+          WHERE mr.doctor_id = $1 AND mr.deleted_at IS NULL
           ORDER BY mr.created_at DESC
         `
         params = [req.user.id]
@@ -148,6 +162,7 @@ class RecordController {
           JOIN users ud ON mr.doctor_id = ud.id
           LEFT JOIN clinics c ON mr.clinic_id = c.id
           LEFT JOIN appointments a ON mr.appointment_id = a.id
+          WHERE mr.deleted_at IS NULL
           ORDER BY mr.created_at DESC
         `
         params = []
@@ -156,7 +171,7 @@ class RecordController {
       }
 
       const result = await pool.query(query, params)
-      res.json(result.rows)
+      res.json(EncryptionService.decryptRows(result.rows, "medical_records"))
     } catch (err) {
       logger.error(`Get records error: ${err.message}`)
       res.status(500).json({ error: "Server error", details: err.message })
@@ -206,12 +221,12 @@ class RecordController {
         JOIN users u ON mr.doctor_id = u.id
         LEFT JOIN clinics c ON mr.clinic_id = c.id
         LEFT JOIN appointments a ON mr.appointment_id = a.id
-        WHERE mr.patient_id = $1 
+        WHERE mr.patient_id = $1 AND mr.deleted_at IS NULL
         ORDER BY mr.created_at DESC
       `
 
       const result = await pool.query(query, [patientId])
-      res.json(result.rows)
+      res.json(EncryptionService.decryptRows(result.rows, "medical_records"))
     } catch (err) {
       logger.error(`Get patient records error: ${err.message}`)
       res.status(500).json({ error: "Server error", details: err.message })
@@ -234,7 +249,7 @@ class RecordController {
 
       // Check if record exists and belongs to the doctor
       const recordCheck = await pool.query(
-        "SELECT * FROM medical_records WHERE id = $1 AND (doctor_id = $2 OR $3 = 'clinic_admin')",
+        "SELECT * FROM medical_records WHERE id = $1 AND deleted_at IS NULL AND (doctor_id = $2 OR $3 = 'clinic_admin')",
         [id, req.user.id, req.user.role],
       )
 
@@ -251,12 +266,15 @@ class RecordController {
              updated_at = NOW() 
          WHERE id = $4 
          RETURNING *`,
-        [diagnosis, treatment, notes, id],
+        [EncryptionService.encrypt(diagnosis), EncryptionService.encrypt(treatment), EncryptionService.encrypt(notes), id],
       )
 
       await pool.query("COMMIT")
       logger.info(`Medical record ${id} updated`)
-      res.json({ message: "Record updated", record: result.rows[0] })
+      res.json({
+        message: "Record updated",
+        record: EncryptionService.decryptFields(result.rows[0], "medical_records"),
+      })
     } catch (err) {
       await pool.query("ROLLBACK")
       logger.error(`Update record error: ${err.message}`)
@@ -276,7 +294,7 @@ class RecordController {
 
       // Check if record exists and user has permission to delete
       const recordCheck = await pool.query(
-        "SELECT * FROM medical_records WHERE id = $1 AND (doctor_id = $2 OR $3 = 'clinic_admin')",
+        "SELECT * FROM medical_records WHERE id = $1 AND deleted_at IS NULL AND (doctor_id = $2 OR $3 = 'clinic_admin')",
         [id, req.user.id, req.user.role],
       )
 
@@ -285,11 +303,12 @@ class RecordController {
         return res.status(404).json({ error: "Record not found or unauthorized" })
       }
 
-      await pool.query("DELETE FROM medical_records WHERE id = $1", [id])
+      // Kept in the trash until the retention period ends
+      await TrashService.softDelete("medical_record", id, req.user.id)
 
       await pool.query("COMMIT")
       logger.info(`Medical record ${id} deleted`)
-      res.json({ message: "Record deleted successfully" })
+      res.json({ message: "Record moved to the trash" })
     } catch (err) {
       await pool.query("ROLLBACK")
       logger.error(`Delete record error: ${err.message}`)
@@ -0,0 +1,201 @@
+/**
+ * Reminder Controller
+ *
+ * Clinic admins choose when appointment reminders go out, over which channels, and their wording
+ * (platform admins edit the defaults). Patients confirm or cancel from the link in a reminder,
+ * without signing in: the link's token is the credential.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const { pool } = require("../config/database")
+const ReminderService = require("../services/reminderService")
+
+// Sends the error of a refused change or reply, rethrows anything else
+const handleReminderError = (res, error) => {
+  if (error instanceof ReminderService.ReminderError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    })
+  }
+  throw error
+}
+
+// Clinic whose settings are edited: the current clinic, or ?clinicId for platform admins (none: the
+// platform defaults). Sends an error and returns false when it cannot be used.
+const resolveClinicScope = (req, res) => {
+  const requested = req.query.clinicId ? Number.parseInt(req.query.clinicId) : null
+  if (req.user.role === "platform_admin") {
+    return requested
+  }
+
+  if (!req.user.clinic_id) {
+    res.status(400).json({
+      success: false,
+      error: "Select a clinic with the X-Clinic-Id header",
+    })
+    return false
+  }
+  if (requested && requested !== req.user.clinic_id) {
+    res.status(403).json({
+      success: false,
+      error: "Switch to this clinic (X-Clinic-Id header) to change its reminders",
+    })
+    return false
+  }
+  return req.user.clinic_id
+}
+
+class ReminderController {
+  /**
+   * Shows the reminder rules and templates in effect
+   */
+  static getSettings = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    res.json({
+      success: true,
+      data: await ReminderService.getSettings(clinicId),
+    })
+  })
+
+  /**
+   * Replaces the reminder rules (an empty list goes back to the platform defaults)
+   */
+  static setRules = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    try {
+      await ReminderService.setRules(
+        clinicId,
+        req.body.rules.map((rule) => ({ offsetMinutes: Number.parseInt(rule.offsetMinutes), channels: rule.channels })),
+      )
+
+      res.json({
+        success: true,
+        message: "Reminder schedule saved",
+        data: await ReminderService.getSettings(clinicId),
+      })
+    } catch (error) {
+      return handleReminderError(res, error)
+    }
+  })
+
+  /**
+   * Sets the wording of a channel
+   */
+  static setTemplate = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    try {
+      await ReminderService.setTemplate(
+        clinicId,
+        req.params.channel,
+        { subject: req.body.subject || null, body: req.body.body },
+        req.user.id,
+      )
+
+      res.json({
+        success: true,
+        message: "Reminder template saved",
+        data: await ReminderService.getSettings(clinicId),
+      })
+    } catch (error) {
+      return handleReminderError(res, error)
+    }
+  })
+
+  /**
+   * Goes back to the platform wording for a channel
+   */
+  static resetTemplate = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+    if (!clinicId) {
+      return res.status(400).json({
+        success: false,
+        error: "The platform default template cannot be removed",
+      })
+    }
+
+    const removed = await ReminderService.resetTemplate(clinicId, req.params.channel)
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "The clinic already uses the default template",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Reminder template reset to the default",
+    })
+  })
+
+  /**
+   * Lists the reminders sent for an appointment and how their delivery went
+   */
+  static getDeliveries = asyncHandler(async (req, res) => {
+    const result = await pool.query("SELECT id, clinic_id, doctor_id FROM appointments WHERE id = $1", [req.params.id])
+    const appointment = result.rows[0]
+    const allowed =
+      appointment &&
+      (req.user.role === "platform_admin" ||
+        appointment.doctor_id === req.user.id ||
+        (appointment.clinic_id && appointment.clinic_id === req.user.clinic_id))
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await ReminderService.listDeliveries(appointment.id),
+    })
+  })
+
+  /**
+   * Shows the appointment a reply link is about (public)
+   */
+  static previewReply = asyncHandler(async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await ReminderService.getReply(req.params.token),
+      })
+    } catch (error) {
+      return handleReminderError(res, error)
+    }
+  })
+
+  /**
+   * Confirms or cancels the appointment from a reply link (public)
+   */
+  static reply = asyncHandler(async (req, res) => {
+    try {
+      const result = await ReminderService.reply(req.params.token, req.body.action)
+
+      res.json({
+        success: true,
+        message: result.status === "confirmed" ? "Thank you, your appointment is confirmed" : "Your appointment has been cancelled",
+        data: result,
+      })
+    } catch (error) {
+      return handleReminderError(res, error)
+    }
+  })
+}
+
+module.exports = ReminderController
@@ -21,7 +21,7 @@ class SearchController {
       if (!query && !phone) {
         // Return limited list of patients
         const allPatients = await pool.query(
-          "SELECT id, full_name, email, phone FROM users WHERE role_id = (SELECT id FROM roles WHERE name = 'patient') LIMIT 10",
+          "SELECT id, full_name, email, phone FROM users WHERE role_id = (SELECT id FROM roles WHERE name = 'patient') AND deleted_at IS NULL LIMIT 10",
         )
         return res.status(200).json(allPatients.rows)
       }
@@ -37,7 +37,7 @@ class SearchController {
         sqlQuery = `
           SELECT id, full_name, email, phone 
           FROM users 
-          WHERE id = $1 AND role_id = (SELECT id FROM roles WHERE name = 'patient')
+          WHERE id = $1 AND role_id = (SELECT id FROM roles WHERE name = 'patient') AND deleted_at IS NULL
         `
         params.push(req.user.id)
       } else if (req.user.role === "doctor") {
@@ -47,7 +47,7 @@ class SearchController {
           FROM users u 
           JOIN appointments a ON u.id = a.patient_id 
           WHERE a.doctor_id = $1 
-          AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+          AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
         `
         params.push(req.user.id)
       } else if (req.user.role === "clinic_admin") {
@@ -55,7 +55,7 @@ class SearchController {
         sqlQuery = `
           SELECT id, full_name, email, phone 
           FROM users 
-          WHERE role_id = (SELECT id FROM roles WHERE name = 'patient')
+          WHERE role_id = (SELECT id FROM roles WHERE name = 'patient') AND deleted_at IS NULL
         `
       } else {
         // Other roles can't search patients
@@ -93,7 +93,7 @@ class SearchController {
       // Provide fallback results for admins only if search was performed but returned no results
       if (result.rows.length === 0 && req.user.role === "clinic_admin" && (query || phone)) {
         const fallbackResult = await pool.query(
-          "SELECT id, full_name, email, phone FROM users WHERE role_id = (SELECT id FROM roles WHERE name = 'patient') LIMIT 5",
+          "SELECT id, full_name, email, phone FROM users WHERE role_id = (SELECT id FROM roles WHERE name = 'patient') AND deleted_at IS NULL LIMIT 5",
         )
         return res.json(fallbackResult.rows)
       }
@@ -132,7 +132,7 @@ class SearchController {
         SELECT u.id, u.full_name, u.email, dp.specialty, dp.license_number 
         FROM users u 
         LEFT JOIN doctor_portfolios dp ON u.id = dp.doctor_id 
-        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor')
+        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'doctor') AND u.deleted_at IS NULL
       `
 
       // Initialize parameters and conditions
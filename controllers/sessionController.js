@@ -0,0 +1,137 @@
+/**
+ * Session Controller
+ *
+ * Lets users (and platform admins on their behalf) see and end signed-in devices.
+ */
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const asyncHandler = require("../utils/asyncHandler")
+const SessionService = require("../services/sessionService")
+
+// Shapes a session row for API responses
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  device_name: session.device_name,
+  user_agent: session.user_agent,
+  ip_address: session.ip_address,
+  mfa_verified: session.mfa_verified,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  current: session.id === currentSessionId,
+})
+
+class SessionController {
+  /**
+   * Lists the current user's active sessions
+   */
+  static getMySessions = asyncHandler(async (req, res) => {
+    const sessions = await SessionService.listUserSessions(req.user.id)
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => formatSession(session, req.user.sessionId)),
+    })
+  })
+
+  /**
+   * Signs out one of the current user's sessions
+   */
+  static revokeMySession = asyncHandler(async (req, res) => {
+    const revoked = await SessionService.revokeUserSession(req.user.id, req.params.sessionId, "user_revoked", req.user.id)
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+      })
+    }
+
+    logger.info(`User ${req.user.id} revoked session ${req.params.sessionId}`)
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    })
+  })
+
+  /**
+   * Signs out every session of the current user except the one making the request
+   */
+  static revokeMyOtherSessions = asyncHandler(async (req, res) => {
+    const count = await SessionService.revokeAllUserSessions(req.user.id, "user_revoked_others", undefined, {
+      exceptSessionId: req.user.sessionId,
+      revokedBy: req.user.id,
+    })
+
+    res.json({
+      success: true,
+      message: `${count} other session(s) revoked`,
+      revoked: count,
+    })
+  })
+
+  /**
+   * Lists the active sessions of any user (platform admin)
+   */
+  static getUserSessions = asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id)
+
+    const userResult = await pool.query("SELECT id FROM users WHERE id = $1", [userId])
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      })
+    }
+
+    const sessions = await SessionService.listUserSessions(userId)
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => formatSession(session)),
+    })
+  })
+
+  /**
+   * Revokes one session of any user (platform admin), e.g. a stolen phone
+   */
+  static revokeUserSession = asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id)
+    const revoked = await SessionService.revokeUserSession(userId, req.params.sessionId, "admin_revoked", req.user.id)
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+      })
+    }
+
+    logger.warn(`Admin ${req.user.id} revoked session ${req.params.sessionId} of user ${userId}`)
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    })
+  })
+
+  /**
+   * Revokes every session of any user (platform admin)
+   */
+  static revokeAllUserSessions = asyncHandler(async (req, res) => {
+    const userId = Number(req.params.id)
+    const count = await SessionService.revokeAllUserSessions(userId, "admin_revoked", undefined, {
+      revokedBy: req.user.id,
+    })
+
+    logger.warn(`Admin ${req.user.id} revoked all ${count} session(s) of user ${userId}`)
+
+    res.json({
+      success: true,
+      message: `${count} session(s) revoked`,
+      revoked: count,
+    })
+  })
+}
+
+module.exports = SessionController
@@ -0,0 +1,111 @@
+/**
+ * Slot Hold Controller
+ *
+ * A patient (or a guardian with X-Patient-Id, or staff booking for a patient) holds a time with a
+ * doctor for a few minutes while paying or filling in forms, then books it by sending the hold ID
+ * with the appointment. Holds that are not used are released automatically.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const SlotBookingService = require("../services/slotBookingService")
+const NoShowService = require("../services/noShowService")
+const PermissionService = require("../services/permissionService")
+const { parseLocalDateString } = require("../utils/dateUtils")
+
+// Sends the error of a refused hold (or of the no-show policy), rethrows anything else
+const handleHoldError = (res, error) => {
+  if (error instanceof SlotBookingService.SlotError || error instanceof NoShowService.NoShowError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code }),
+    })
+  }
+  throw error
+}
+
+class SlotHoldController {
+  /**
+   * Holds a time with a doctor for the patient
+   */
+  static create = asyncHandler(async (req, res) => {
+    const { doctorId, clinicId, type, date, duration } = req.body
+
+    let patientId
+    if (req.user.role === "patient") {
+      patientId = req.patientId
+    } else if (req.body.patientId) {
+      patientId = Number.parseInt(req.body.patientId)
+
+      // Staff only hold the time of doctors of their active clinic, and in-person visits there
+      const activeClinicId = req.user.clinic_id
+      const clinicMismatch = type === "in-person" && Number.parseInt(clinicId) !== activeClinicId
+      if (clinicMismatch || !(await PermissionService.isClinicMember(Number.parseInt(doctorId), activeClinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "You can only hold slots with doctors of your active clinic",
+          code: "CLINIC_ACCESS_DENIED",
+        })
+      }
+    } else {
+      return res.status(400).json({ success: false, error: "Patient ID is required for non-patient users" })
+    }
+
+    const start = parseLocalDateString(date)
+    const end = new Date(start.getTime() + (Number.parseInt(duration) || 30) * 60 * 1000)
+
+    try {
+      // A patient blocked by the no-show policy cannot hold slots either
+      if (req.user.role === "patient") {
+        await NoShowService.checkBookingAllowed(patientId, type === "in-person" ? Number.parseInt(clinicId) : null)
+      }
+
+      const hold = await SlotBookingService.hold(
+        patientId,
+        { doctorId: Number.parseInt(doctorId), clinicId: clinicId ? Number.parseInt(clinicId) : null, type, start, end },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: `Slot held for ${SlotBookingService.HOLD_MINUTES} minutes. Book it with the hold ID before it expires.`,
+        data: hold,
+      })
+    } catch (error) {
+      return handleHoldError(res, error)
+    }
+  })
+
+  /**
+   * Lists the patient's active holds, or for staff the holds they placed
+   */
+  static getMyHolds = asyncHandler(async (req, res) => {
+    const filter = req.user.role === "patient" ? { patientId: req.patientId } : { heldBy: req.user.id }
+    res.json({
+      success: true,
+      data: await SlotBookingService.listActive(filter),
+    })
+  })
+
+  /**
+   * Releases a hold that is no longer needed (by the patient or whoever placed it)
+   */
+  static release = asyncHandler(async (req, res) => {
+    const released = await SlotBookingService.release(Number.parseInt(req.params.id), {
+      patientId: req.patientId,
+      userId: req.user.id,
+    })
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        error: "Hold not found or no longer active",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Slot released",
+    })
+  })
+}
+
+module.exports = SlotHoldController
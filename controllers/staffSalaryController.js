@@ -8,6 +8,8 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const asyncHandler = require("../utils/asyncHandler")
+const ClinicContextService = require("../services/clinicContextService")
+const PermissionService = require("../services/permissionService")
 
 class StaffSalaryController {
   /**
@@ -30,17 +32,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Build query for clinic staff (non-users)
@@ -219,17 +215,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicId]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Create staff member
@@ -281,17 +271,11 @@ class StaffSalaryController {
       console.log(`[StaffSalaryController] Updating staff member ${staffId} for clinic ${clinicId}`)
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicId]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if staff member exists and belongs to clinic
@@ -390,17 +374,11 @@ class StaffSalaryController {
       console.log(`[StaffSalaryController] Deleting staff member ${staffId} from clinic ${clinicId}`)
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicId]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if staff member exists and belongs to clinic
@@ -458,17 +436,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Build base query
@@ -570,17 +542,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await client.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicId]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if staff member exists and belongs to clinic
@@ -733,17 +699,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if payment exists and belongs to clinic
@@ -823,17 +783,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Build query
@@ -944,17 +898,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicId]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if staff member exists and belongs to clinic
@@ -1035,17 +983,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       // Check if adjustment exists and belongs to clinic
@@ -1109,17 +1051,11 @@ class StaffSalaryController {
       }
 
       // Verify clinic access
-      if (req.user.role === "clinic_admin") {
-        const clinicAccess = await pool.query(
-          "SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2",
-          [req.user.id, clinicIdInt]
-        )
-        if (clinicAccess.rows.length === 0) {
-          return res.status(403).json({
-            success: false,
-            error: "Access denied to this clinic"
-          })
-        }
+      if (!(await ClinicContextService.hasClinicAccess(req.user, clinicIdInt))) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this clinic"
+        })
       }
 
       const currentMonth = month || new Date().toISOString().slice(0, 7) + "-01"
@@ -1241,6 +1177,17 @@ class StaffSalaryController {
         })
       }
 
+      // Outside the platform team, only staff of the active clinic can be changed
+      if (
+        req.user.role !== "platform_admin" &&
+        !(req.user.clinic_id && (await PermissionService.isClinicMember(userIdInt, req.user.clinic_id)))
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied to this staff member"
+        })
+      }
+
       // Update user salary
       const updateResult = await client.query(
         `UPDATE users 
@@ -0,0 +1,94 @@
+/**
+ * Trash Controller
+ *
+ * Deleted medical records, prescriptions, clinics and user accounts stay in the trash for
+ * TRASH_RETENTION_DAYS before they are purged. Clinic admins see and restore what belongs to their
+ * active clinic; platform admins see everything. Only user managers restore accounts.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const TrashService = require("../services/trashService")
+const PermissionService = require("../services/permissionService")
+
+// Clinic whose trash the user may see (null: all). Sends an error and returns false when the
+// requested clinic is not the user's active one.
+const resolveClinicScope = (req, res) => {
+  const requested = req.query.clinicId ? Number.parseInt(req.query.clinicId) : null
+  if (req.user.role === "platform_admin") {
+    return requested
+  }
+
+  if (!req.user.clinic_id) {
+    res.status(400).json({
+      success: false,
+      error: "Select a clinic with the X-Clinic-Id header",
+    })
+    return false
+  }
+  if (requested && requested !== req.user.clinic_id) {
+    res.status(403).json({
+      success: false,
+      error: "Switch to this clinic (X-Clinic-Id header) to see its trash",
+    })
+    return false
+  }
+  return req.user.clinic_id
+}
+
+class TrashController {
+  /**
+   * Lists deleted items (?type, ?clinicId for platform admins)
+   */
+  static getTrash = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const items = await TrashService.listTrash(
+      { clinicId, type: req.query.type || null },
+      {
+        limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+        offset: Number.parseInt(req.query.offset) || 0,
+      },
+    )
+
+    res.json({
+      success: true,
+      data: items,
+      retentionDays: TrashService.TRASH_RETENTION_DAYS,
+    })
+  })
+
+  /**
+   * Restores a deleted item
+   */
+  static restoreItem = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const { type, id } = req.params
+    if (type === "user" && !(await PermissionService.hasAny(req.user, ["users:manage"], clinicId))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only user managers can restore accounts",
+      })
+    }
+
+    const restored = await TrashService.restore(type, Number(id), { clinicId, restoredBy: req.user.id })
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        error: "No deleted item with this ID in the trash",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Item restored",
+    })
+  })
+}
+
+module.exports = TrashController
@@ -6,6 +6,11 @@
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
 const bcrypt = require("bcryptjs")
+const LoginSecurityService = require("../services/loginSecurityService")
+const SessionService = require("../services/sessionService")
+const TrashService = require("../services/trashService")
+const EncryptionService = require("../services/encryptionService")
+const VerificationService = require("../services/verificationService")
 
 class UserController {
   /**
@@ -19,7 +24,7 @@ class UserController {
 SELECT u.id, u.email, u.full_name, u.phone, r.name as role, u.created_at, u.updated_at
 FROM users u
 LEFT JOIN roles r ON u.role_id = r.id
-WHERE 1=1
+WHERE u.deleted_at IS NULL
 `
       const queryParams = []
       let paramCount = 0
@@ -54,7 +59,7 @@ WHERE 1=1
 SELECT COUNT(*) as total
 FROM users u
 LEFT JOIN roles r ON u.role_id = r.id
-WHERE 1=1
+WHERE u.deleted_at IS NULL
 `
       const countParams = []
       let countParamCount = 0
@@ -111,7 +116,7 @@ WHERE 1=1
           u.created_at, u.updated_at, u.last_login
         FROM users u
         LEFT JOIN roles r ON u.role_id = r.id
-        WHERE u.id = $1
+        WHERE u.id = $1 AND u.deleted_at IS NULL
       `
       const userResult = await pool.query(userQuery, [Number(id)])
 
@@ -182,7 +187,7 @@ WHERE 1=1
               Number(id),
             ])
             if (profileResult.rows.length) {
-              user.profile_details = profileResult.rows[0]
+              user.profile_details = EncryptionService.decryptFields(profileResult.rows[0], "patient_medical_profiles")
             }
           }
         } catch (profileError) {
@@ -382,7 +387,7 @@ RETURNING id, email, full_name, phone, status, created_at
       await client.query("BEGIN")
 
       const existingUserResult = await client.query(
-        "SELECT id, role_id, (SELECT name FROM roles WHERE id = users.role_id) as current_role FROM users WHERE id = $1",
+        "SELECT id, role_id, (SELECT name FROM roles WHERE id = users.role_id) as current_role FROM users WHERE id = $1 AND deleted_at IS NULL",
         [Number(id)],
       )
       if (!existingUserResult.rows.length) {
@@ -563,30 +568,99 @@ RETURNING id, email, full_name, phone, status, created_at
   }
 
   /**
-   * Deletes a user
+   * Moves a user to the trash and signs them out. When the retention period ends the account is
+   * removed, or anonymized for patients, whose clinical and financial records must be kept.
    */
   static async deleteUser(req, res) {
+    const { id } = req.params
+
+    // Validate ID is a number
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" })
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      // Check if user exists
+      const existingUser = await client.query("SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL", [
+        Number(id),
+      ])
+      if (!existingUser.rows.length) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ success: false, message: "User not found" })
+      }
+
+      await TrashService.softDelete("user", Number(id), req.user.id, client)
+      await SessionService.revokeAllUserSessions(Number(id), "account_deleted", client, { revokedBy: req.user.id })
+      await client.query("COMMIT")
+
+      logger.info(`User moved to the trash: ${existingUser.rows[0].email}`)
+      res.json({ success: true, message: "User moved to the trash" })
+    } catch (err) {
+      await client.query("ROLLBACK")
+      logger.error(`Delete user error: ${err.message}`)
+      res.status(500).json({ success: false, error: "Server error", details: err.message })
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Lists accounts currently locked after failed sign-in attempts
+   */
+  static async getLockedAccounts(req, res) {
+    try {
+      const accounts = await LoginSecurityService.listLocked()
+      res.json({ success: true, data: accounts })
+    } catch (err) {
+      logger.error(`Get locked accounts error: ${err.message}`)
+      res.status(500).json({ success: false, error: "Server error", details: err.message })
+    }
+  }
+
+  /**
+   * Gets lockout state and recent sign-in attempts for a user
+   */
+  static async getLoginSecurity(req, res) {
     try {
       const { id } = req.params
 
-      // Validate ID is a number
       if (!id || isNaN(Number(id))) {
         return res.status(400).json({ success: false, message: "Invalid user ID" })
       }
 
-      // Check if user exists
-      const existingUser = await pool.query("SELECT id, email FROM users WHERE id = $1", [Number(id)])
+      const security = await LoginSecurityService.getUserSecurity(Number(id))
+      res.json({ success: true, data: security })
+    } catch (err) {
+      logger.error(`Get login security error: ${err.message}`)
+      res.status(500).json({ success: false, error: "Server error", details: err.message })
+    }
+  }
+
+  /**
+   * Unlocks a user account locked after failed sign-in attempts
+   */
+  static async unlockUser(req, res) {
+    try {
+      const { id } = req.params
+
+      if (!id || isNaN(Number(id))) {
+        return res.status(400).json({ success: false, message: "Invalid user ID" })
+      }
+
+      const existingUser = await pool.query("SELECT id FROM users WHERE id = $1", [Number(id)])
       if (!existingUser.rows.length) {
         return res.status(404).json({ success: false, message: "User not found" })
       }
 
-      // Delete user (this should cascade to related tables)
-      await pool.query("DELETE FROM users WHERE id = $1", [Number(id)])
+      await LoginSecurityService.unlock(Number(id), req.user.id)
 
-      logger.info(`User deleted: ${existingUser.rows[0].email}`)
-      res.json({ success: true, message: "User deleted successfully" })
+      res.json({ success: true, message: "User account unlocked" })
     } catch (err) {
-      logger.error(`Delete user error: ${err.message}`)
+      logger.error(`Unlock user error: ${err.message}`)
       res.status(500).json({ success: false, error: "Server error", details: err.message })
     }
   }
@@ -621,7 +695,7 @@ RETURNING id, email, full_name, phone, status, created_at
           ])
 
           if (profileResult.rows.length) {
-            user.profile = profileResult.rows[0]
+            user.profile = EncryptionService.decryptFields(profileResult.rows[0], "patient_medical_profiles")
           }
         }
       } else if (user.role === "doctor") {
@@ -672,9 +746,15 @@ RETURNING id, email, full_name, phone, status, created_at
       // Use transaction for data integrity
       await pool.query("BEGIN")
 
-      // Update user info
+      const previousResult = await pool.query("SELECT email, phone FROM users WHERE id = $1", [req.user.id])
+      const previous = previousResult.rows[0] || {}
+
+      // Update user info (a changed email or phone must be verified again)
       const userResult = await pool.query(
-        "UPDATE users SET full_name = COALESCE($1, full_name), email = COALESCE($2, email), phone = COALESCE($3, phone) WHERE id = $4 RETURNING id, email, full_name, phone, (SELECT name FROM roles WHERE id = users.role_id) AS role",
+        `UPDATE users SET full_name = COALESCE($1, full_name), email = COALESCE($2, email), phone = COALESCE($3, phone),
+           email_verified_at = CASE WHEN $2::text IS NOT NULL AND $2::text <> email THEN NULL ELSE email_verified_at END,
+           phone_verified_at = CASE WHEN $3::text IS NOT NULL AND $3::text IS DISTINCT FROM phone THEN NULL ELSE phone_verified_at END
+         WHERE id = $4 RETURNING id, email, full_name, phone, (SELECT name FROM roles WHERE id = users.role_id) AS role`,
         [name, email, phone, req.user.id],
       )
 
@@ -687,6 +767,18 @@ RETURNING id, email, full_name, phone, status, created_at
 
       await pool.query("COMMIT")
 
+      // The new address or number gets its verification message right away, as at registration
+      try {
+        if (previous.email !== user.email) {
+          await VerificationService.sendEmailVerification(user)
+        }
+        if (user.phone && previous.phone !== user.phone) {
+          await VerificationService.sendPhoneOtp(user)
+        }
+      } catch (verificationError) {
+        logger.error(`Verification delivery failed for user ${user.id}: ${verificationError.message}`)
+      }
+
       logger.info(`Profile updated for user: ${req.user.id}`)
       res.json({ message: "Profile updated", user })
     } catch (err) {
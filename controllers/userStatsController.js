@@ -48,7 +48,7 @@ class UserStatsController {
           COUNT(*) as total_prescriptions,
           COUNT(CASE WHEN status = 'active' THEN 1 END) as active_prescriptions
         FROM prescriptions 
-        WHERE patient_id = $1 OR doctor_id = $1
+        WHERE (patient_id = $1 OR doctor_id = $1) AND deleted_at IS NULL
       `,
         [id],
       )
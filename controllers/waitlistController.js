@@ -0,0 +1,170 @@
+/**
+ * Waitlist Controller
+ *
+ * Patients (or guardians with X-Patient-Id) wait for a doctor over a date range. When a booked slot
+ * is freed it is offered to the first patient in line; accepting books and charges the appointment.
+ * Clinic staff see who is waiting for their doctors.
+ */
+const asyncHandler = require("../utils/asyncHandler")
+const WaitlistService = require("../services/waitlistService")
+const NoShowService = require("../services/noShowService")
+
+// Sends the error of a refused waitlist change (or of the no-show policy), rethrows anything else
+const handleWaitlistError = (res, error) => {
+  if (error instanceof WaitlistService.WaitlistError || error instanceof NoShowService.NoShowError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code }),
+    })
+  }
+  throw error
+}
+
+// Clinic whose queue is shown: the current clinic, or ?clinicId (any) for platform admins
+const resolveClinicScope = (req, res) => {
+  const requested = req.query.clinicId ? Number.parseInt(req.query.clinicId) : null
+  if (req.user.role === "platform_admin") {
+    return requested
+  }
+
+  if (!req.user.clinic_id) {
+    res.status(400).json({
+      success: false,
+      error: "Select a clinic with the X-Clinic-Id header",
+    })
+    return false
+  }
+  if (requested && requested !== req.user.clinic_id) {
+    res.status(403).json({
+      success: false,
+      error: "Switch to this clinic (X-Clinic-Id header) to see its waitlist",
+    })
+    return false
+  }
+  return req.user.clinic_id
+}
+
+class WaitlistController {
+  /**
+   * Puts the patient on a doctor's waitlist
+   */
+  static join = asyncHandler(async (req, res) => {
+    const { doctorId, clinicId, type, dateFrom, dateTo, reason } = req.body
+
+    try {
+      const entry = await WaitlistService.join(
+        req.patientId,
+        { doctorId, clinicId: clinicId || null, type, dateFrom, dateTo, reason: reason || null },
+        req.user.id,
+      )
+
+      res.status(201).json({
+        success: true,
+        message: `You are on the waitlist. If a slot opens we will hold it for you for ${WaitlistService.OFFER_MINUTES} minutes.`,
+        data: entry,
+      })
+    } catch (error) {
+      return handleWaitlistError(res, error)
+    }
+  })
+
+  /**
+   * Lists the patient's waitlist entries and the slots currently offered to them
+   */
+  static getMyEntries = asyncHandler(async (req, res) => {
+    const entries = await WaitlistService.listForPatient(req.patientId)
+
+    res.json({
+      success: true,
+      data: entries,
+    })
+  })
+
+  /**
+   * Takes the patient off a waitlist
+   */
+  static leave = asyncHandler(async (req, res) => {
+    const left = await WaitlistService.leave(req.patientId, Number.parseInt(req.params.id))
+    if (!left) {
+      return res.status(404).json({
+        success: false,
+        error: "Waitlist entry not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "You have left the waitlist",
+    })
+  })
+
+  /**
+   * Accepts an offered slot: books and pays the appointment
+   */
+  static acceptOffer = asyncHandler(async (req, res) => {
+    const paymentMethod = req.body.paymentMethod || "balance"
+
+    // Paying from a dependent's wallet needs the wallet permission as well
+    const { dependent } = req.user
+    if (dependent && paymentMethod === "balance" && !dependent.permissions.includes("wallet:pay")) {
+      return res.status(403).json({
+        error: "You are not allowed to pay from this family member's wallet",
+        code: "DELEGATION_PERMISSION_DENIED",
+        permission: "wallet:pay",
+      })
+    }
+
+    try {
+      const appointment = await WaitlistService.acceptOffer(Number.parseInt(req.params.offerId), req.patientId, {
+        paymentMethod,
+      })
+
+      res.status(201).json({
+        success: true,
+        message: "Appointment booked",
+        data: appointment,
+      })
+    } catch (error) {
+      return handleWaitlistError(res, error)
+    }
+  })
+
+  /**
+   * Declines an offered slot; the patient keeps their place on the waitlist
+   */
+  static declineOffer = asyncHandler(async (req, res) => {
+    const declined = await WaitlistService.declineOffer(Number.parseInt(req.params.offerId), req.patientId)
+    if (!declined) {
+      return res.status(404).json({
+        success: false,
+        error: "Offer not found or no longer pending",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Offer declined. You are still on the waitlist.",
+    })
+  })
+
+  /**
+   * Lists the patients waiting for the clinic's doctors (?doctorId); doctors see their own queue
+   */
+  static getClinicQueue = asyncHandler(async (req, res) => {
+    const clinicId = resolveClinicScope(req, res)
+    if (clinicId === false) {
+      return
+    }
+
+    const doctorId = req.user.role === "doctor" ? req.user.id : Number.parseInt(req.query.doctorId) || null
+    const queue = await WaitlistService.listQueue({ clinicId, doctorId })
+
+    res.json({
+      success: true,
+      data: queue,
+    })
+  })
+}
+
+module.exports = WaitlistController
@@ -0,0 +1,89 @@
+/**
+ * Scheduled jobs
+ * Started by server.js once the database is reachable; each job logs and swallows its own
+ * errors so one failing run does not stop the schedule.
+ */
+const cron = require("node-cron")
+const logger = require("../middleware/logger")
+const DelegationService = require("../services/delegationService")
+const AuditService = require("../services/auditService")
+const TrashService = require("../services/trashService")
+const WaitlistService = require("../services/waitlistService")
+const AppointmentSeriesService = require("../services/appointmentSeriesService")
+const ReminderService = require("../services/reminderService")
+const NoShowService = require("../services/noShowService")
+const SlotBookingService = require("../services/slotBookingService")
+
+const JOBS = [
+  {
+    name: "guardianship-handover",
+    // Daily, shortly after midnight: minors who came of age take over their account
+    schedule: process.env.GUARDIANSHIP_HANDOVER_CRON || "15 0 * * *",
+    run: () => DelegationService.processAgeHandovers(),
+  },
+  {
+    name: "phi-audit-verify",
+    // Nightly: recompute the PHI access log hash chain so tampering is noticed (logged as an error)
+    schedule: process.env.PHI_AUDIT_VERIFY_CRON || "30 2 * * *",
+    run: async () => {
+      const result = await AuditService.verifyChain()
+      if (result.valid) {
+        logger.info(`[AUDIT] PHI access log verified, ${result.checked} row(s) intact`)
+      }
+    },
+  },
+  {
+    name: "trash-purge",
+    // Nightly: permanently remove items that stayed in the trash past TRASH_RETENTION_DAYS
+    schedule: process.env.TRASH_PURGE_CRON || "45 3 * * *",
+    run: () => TrashService.purgeExpired(),
+  },
+  {
+    name: "waitlist-offers",
+    // Every minute: pass unanswered slot offers to the next patient on the waitlist
+    schedule: process.env.WAITLIST_OFFERS_CRON || "* * * * *",
+    run: () => WaitlistService.processExpired(),
+  },
+  {
+    name: "series-charges",
+    // Hourly: charge occurrences of series paid per occurrence as they come up
+    schedule: process.env.SERIES_CHARGES_CRON || "5 * * * *",
+    run: () => AppointmentSeriesService.chargeDueOccurrences(),
+  },
+  {
+    name: "appointment-reminders",
+    // Every 5 minutes: send the reminders of the clinics' reminder rules that are due
+    schedule: process.env.APPOINTMENT_REMINDERS_CRON || "*/5 * * * *",
+    run: () => ReminderService.sendDueReminders(),
+  },
+  {
+    name: "no-show-detection",
+    // Every 5 minutes: mark appointments nobody checked in to once the grace period has passed
+    schedule: process.env.NO_SHOW_DETECTION_CRON || "*/5 * * * *",
+    run: () => NoShowService.detectNoShows(),
+  },
+  {
+    name: "slot-holds",
+    // Every minute: free the slots of holds that ran out (bookings also expire them as they go)
+    schedule: process.env.SLOT_HOLDS_CRON || "* * * * *",
+    run: () => SlotBookingService.releaseExpired(),
+  },
+]
+
+/**
+ * Schedules every job
+ * @returns {Array} Scheduled tasks (stop them on shutdown)
+ */
+function startScheduledJobs() {
+  return JOBS.map((job) =>
+    cron.schedule(job.schedule, async () => {
+      try {
+        await job.run()
+      } catch (error) {
+        logger.error(`[JOBS] ${job.name} failed: ${error.message}`)
+      }
+    }),
+  )
+}
+
+module.exports = { startScheduledJobs }
@@ -0,0 +1,96 @@
+/**
+ * Clinical data access auditing
+ *
+ * auditPhi() is placed on routes that read or change PHI. Once the response is sent, the access
+ * (who, which patient, what, from which clinic, why, outcome) is appended to the hash-chained
+ * phi_audit_log. Denied attempts are recorded too, with their status code. Patients who asked for it
+ * are then alerted when the access came from outside their care team.
+ */
+const { pool } = require("../config/database")
+const logger = require("./logger")
+const AuditService = require("../services/auditService")
+const AccessAlertService = require("../services/accessAlertService")
+
+// Patient ID taken from a route param, e.g. fromParam("patientId")
+const fromParam = (name) => (req) => req.params[name]
+
+// Patient ID taken from the request body, e.g. fromBody("patient_id")
+const fromBody = (name) => (req) => req.body && req.body[name]
+
+// Patient ID of the row a route param points at, e.g. fromRecord("prescriptions")
+// (looked up when the request arrives, so deleted rows are still attributed)
+const fromRecord = (table, param = "id") => async (req) => {
+  const result = await pool.query(`SELECT patient_id FROM ${table} WHERE id = $1`, [req.params[param]])
+  return result.rows.length > 0 ? result.rows[0].patient_id : null
+}
+
+// Purpose set by the route (req.auditPurpose), from the X-Access-Purpose header, or the usual one for the actor
+const resolvePurpose = (req, patientId) => {
+  if (req.auditPurpose) {
+    return req.auditPurpose
+  }
+  const requested = req.get("x-access-purpose")
+  if (requested && AuditService.PURPOSES.includes(requested)) {
+    return requested
+  }
+  if (req.user.role === "patient" || Number(patientId) === req.user.id) {
+    return "patient_request"
+  }
+  return req.user.role === "service_account" ? "operations" : "treatment"
+}
+
+/**
+ * Records every request to the route in the PHI audit log
+ * @param {string} resourceType - e.g. "medical_record", "prescription", "lab_result"
+ * @param {Object} options - { action (read|create|update|delete), patient (fromParam, fromBody or fromRecord),
+ *                             resourceParam (route param holding the resource ID) }
+ */
+const auditPhi = (resourceType, { action = "read", patient = fromParam("patientId"), resourceParam = null } = {}) => {
+  return (req, res, next) => {
+    const patientLookup = Promise.resolve()
+      .then(() => patient(req))
+      .catch(() => null)
+
+    res.on("finish", async () => {
+      // Requests that never got past authentication did not reach any data
+      if (!req.user) {
+        return
+      }
+
+      const patientId = Number.parseInt(await patientLookup) || null
+
+      const entry = {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        impersonatorId: req.user.impersonation ? req.user.impersonation.adminId : null,
+        patientId,
+        clinicId: req.user.clinic_id || null,
+        resourceType,
+        resourceId: resourceParam ? req.params[resourceParam] : null,
+        action,
+        purpose: resolvePurpose(req, patientId),
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get("user-agent") || null,
+      }
+
+      try {
+        const { id } = await AuditService.recordAccess(entry)
+        await AccessAlertService.checkAccess({ ...entry, auditLogId: id })
+      } catch (error) {
+        logger.error(`PHI audit error on ${req.method} ${req.originalUrl}: ${error.message}`)
+      }
+    })
+
+    next()
+  }
+}
+
+module.exports = {
+  auditPhi,
+  fromParam,
+  fromBody,
+  fromRecord,
+}
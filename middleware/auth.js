@@ -1,9 +1,77 @@
 const jwt = require("jsonwebtoken")
 const { executeQuery } = require("../utils/dbUtils")
 const logger = require("./logger")
+const SessionService = require("../services/sessionService")
+const MfaService = require("../services/mfaService")
+const VerificationService = require("../services/verificationService")
+const PermissionService = require("../services/permissionService")
+const ClinicContextService = require("../services/clinicContextService")
+const ApiKeyService = require("../services/apiKeyService")
+const ImpersonationService = require("../services/impersonationService")
+const DelegationService = require("../services/delegationService")
 
-// Protect middleware - verify JWT token
-const protect = async (req, res, next) => {
+// Authenticates a machine client by API key. The key's service account becomes req.user, limited
+// to the routes covered by the key's scopes and to the key's clinic when it has one.
+const authenticateApiKey = async (req, res, next, plainKey) => {
+  let apiKey
+  try {
+    apiKey = await ApiKeyService.verify(plainKey)
+  } catch (error) {
+    if (error instanceof ApiKeyService.ApiKeyError) {
+      logger.warn(`API key rejected (${error.reason}) from ${req.ip}`)
+      return res.status(401).json({ error: error.message, code: "API_KEY_INVALID" })
+    }
+    throw error
+  }
+
+  const path = `${req.baseUrl}${req.path}`
+  if (!ApiKeyService.isRouteAllowed(apiKey.scopes, req.method, path)) {
+    logger.warn(`API key ${apiKey.key_prefix} not allowed to call ${req.method} ${path}`)
+    return res.status(403).json({
+      error: "This API key is not allowed to call this endpoint",
+      code: "API_KEY_SCOPE_DENIED",
+      scopes: apiKey.scopes,
+    })
+  }
+
+  await ApiKeyService.touch(apiKey.id, req.ip)
+
+  req.user = {
+    id: apiKey.service_account_id,
+    userId: apiKey.service_account_id,
+    email: apiKey.account_email,
+    full_name: apiKey.account_name,
+    role: ApiKeyService.SERVICE_ACCOUNT_ROLE,
+    sessionId: null,
+    mfaVerified: false,
+    verified: true,
+    apiKey: {
+      id: apiKey.id,
+      prefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      clinicId: apiKey.clinic_id,
+    },
+  }
+
+  try {
+    const context = await ClinicContextService.resolve(req.user, { requestedClinicId: req.get("x-clinic-id") })
+    req.user.clinic_id = context.clinicId
+    req.user.clinicIds = context.clinicIds
+  } catch (error) {
+    if (error instanceof ClinicContextService.ClinicContextError) {
+      logger.warn(`API key ${apiKey.key_prefix} denied clinic context ${error.clinicId}: ${error.message}`)
+      return res.status(403).json({ error: error.message, code: "CLINIC_ACCESS_DENIED" })
+    }
+    throw error
+  }
+
+  logger.info(`API key authenticated: ${apiKey.key_prefix} (service account ${apiKey.service_account_id})`)
+  next()
+}
+
+// Authentication middleware factory - verify JWT token or API key
+// allowPendingMfa lets sessions that still owe a second factor through (enrollment endpoints)
+const authenticate = ({ allowPendingMfa = false } = {}) => async (req, res, next) => {
   try {
     let token
 
@@ -17,6 +85,12 @@ const protect = async (req, res, next) => {
       token = req.cookies["auth-token"]
     }
 
+    // API keys come in the X-API-Key header or as a bearer token with the key prefix
+    const apiKey = req.get("x-api-key") || (ApiKeyService.looksLikeKey(token) ? token : null)
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey)
+    }
+
     if (!token) {
       logger.error("No authentication token provided")
       return res.status(401).json({ error: "Not authorized, no token" })
@@ -29,18 +103,39 @@ const protect = async (req, res, next) => {
       // Use userId from the token (as generated in authController)
       const userId = decoded.userId || decoded.id
 
-      if (!userId) {
+      // Purpose-bound tokens (e.g. MFA login challenges) are not access tokens
+      if (!userId || decoded.purpose) {
         logger.error("Invalid token payload - no userId or id")
         return res.status(401).json({ error: "Not authorized, invalid token payload" })
       }
 
+      // Impersonation tokens only work while their impersonation is running
+      let impersonation = null
+      if (decoded.imp) {
+        impersonation = await ImpersonationService.getActive(decoded.imp)
+        if (!impersonation || impersonation.target_user_id !== userId) {
+          logger.error(`Impersonation ${decoded.imp} has ended or expired`)
+          return res.status(401).json({ error: "Not authorized, impersonation ended", code: "IMPERSONATION_ENDED" })
+        }
+      }
+
+      // Reject access tokens whose session was revoked (logout, token reuse, password reset)
+      if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+        logger.error(`Session ${decoded.sid} is revoked or expired`)
+        return res.status(401).json({ error: "Not authorized, session revoked" })
+      }
+
+      if (decoded.sid) {
+        await SessionService.touchSession(decoded.sid, req.ip)
+      }
+
       // Get user from database with proper role join
       const result = await executeQuery(
         `
-        SELECT u.id, u.email, u.full_name, r.name as role 
+        SELECT u.id, u.email, u.full_name, r.name as role, u.phone, u.email_verified_at, u.phone_verified_at 
         FROM users u 
         LEFT JOIN roles r ON u.role_id = r.id 
-        WHERE u.id = $1
+        WHERE u.id = $1 AND u.deleted_at IS NULL
       `,
         [userId],
       )
@@ -53,16 +148,68 @@ const protect = async (req, res, next) => {
       req.user = {
         ...result.rows[0],
         userId: result.rows[0].id, // Add userId for compatibility
+        sessionId: decoded.sid || null,
+        mfaVerified: Boolean(decoded.mfa),
+        verified: VerificationService.isVerified(result.rows[0]),
+        impersonation: impersonation
+          ? { id: impersonation.id, adminId: impersonation.admin_id, adminName: impersonation.admin_name }
+          : null,
+      }
+
+      // Every impersonated request goes to the audit trail the impersonated user can read
+      if (impersonation) {
+        res.set("X-Impersonated-By", String(impersonation.admin_id))
+        res.on("finish", () => {
+          ImpersonationService.recordRequest(impersonation.id, {
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            statusCode: res.statusCode,
+            blocked: Boolean(res.locals.impersonationBlocked),
+            ip: req.ip,
+          }).catch((error) => logger.error(`Impersonation audit error: ${error.message}`))
+        })
       }
 
-      // Patch: Attach clinic_id for clinic_admins
-      if (req.user.role === "clinic_admin") {
-        const clinicResult = await executeQuery(
-          "SELECT clinic_id FROM admin_clinics WHERE admin_id = $1 LIMIT 1",
-          [req.user.id]
-        );
-        if (clinicResult.rows.length > 0) {
-          req.user.clinic_id = clinicResult.rows[0].clinic_id;
+      // Roles with mandatory two-factor authentication must verify (or enroll) first
+      if (!allowPendingMfa && !req.user.mfaVerified && MfaService.isRequiredForRole(req.user.role)) {
+        logger.warn(`User ${req.user.id} (${req.user.role}) blocked until two-factor authentication is completed`)
+        return res.status(403).json({
+          error: "Two-factor authentication required",
+          code: "MFA_REQUIRED",
+        })
+      }
+
+      // Attach the clinic the request acts for (X-Clinic-Id header, session choice or primary clinic)
+      try {
+        const context = await ClinicContextService.resolve(req.user, {
+          requestedClinicId: req.get("x-clinic-id"),
+          sessionId: req.user.sessionId,
+        })
+        req.user.clinic_id = context.clinicId
+        req.user.clinicIds = context.clinicIds
+      } catch (error) {
+        if (error instanceof ClinicContextService.ClinicContextError) {
+          logger.warn(`User ${req.user.id} denied clinic context ${error.clinicId}: ${error.message}`)
+          return res.status(403).json({ error: error.message, code: "CLINIC_ACCESS_DENIED" })
+        }
+        throw error
+      }
+
+      // Guardians act for a dependent with the X-Patient-Id header (see forPatient)
+      const requestedPatientId = Number.parseInt(req.get("x-patient-id"))
+      req.user.dependent = null
+      if (req.user.role === "patient" && requestedPatientId && requestedPatientId !== req.user.id) {
+        const delegation = await DelegationService.getActiveDelegation(req.user.id, requestedPatientId)
+        if (!delegation) {
+          logger.warn(`User ${req.user.id} denied acting for patient ${requestedPatientId}`)
+          return res.status(403).json({ error: "You cannot act for this patient", code: "DEPENDENT_ACCESS_DENIED" })
+        }
+        req.user.dependent = {
+          id: requestedPatientId,
+          full_name: delegation.dependent_name,
+          delegationId: delegation.id,
+          relationship: delegation.relationship,
+          permissions: delegation.permissions,
         }
       }
 
@@ -78,6 +225,12 @@ const protect = async (req, res, next) => {
   }
 }
 
+// Protect middleware - verify JWT token
+const protect = authenticate()
+
+// Protect variant for endpoints reachable before the second factor is set up
+const protectPendingMfa = authenticate({ allowPendingMfa: true })
+
 // Role-based access control
 const role = (roles) => {
   return (req, res, next) => {
@@ -94,9 +247,116 @@ const role = (roles) => {
   }
 }
 
+// Blocks patients who have not verified their email/phone (booking, deposits, payments)
+const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not authorized" })
+  }
+
+  if (req.user.role === "patient" && !req.user.verified) {
+    logger.warn(`Unverified patient ${req.user.id} blocked from ${req.originalUrl}`)
+    return res.status(403).json({
+      error: "Please verify your email and phone number first",
+      code: "ACCOUNT_NOT_VERIFIED",
+    })
+  }
+
+  next()
+}
+
+// Patient endpoints: sets req.patientId to the patient the request is about. A guardian acting for
+// a dependent (X-Patient-Id) needs the given delegation permission; everyone else acts for themselves.
+const forPatient = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not authorized" })
+  }
+
+  const { dependent } = req.user
+  if (dependent && !dependent.permissions.includes(permission)) {
+    logger.warn(`User ${req.user.id} lacks ${permission} for dependent ${dependent.id}`)
+    return res.status(403).json({
+      error: "You are not allowed to do this for this family member",
+      code: "DELEGATION_PERMISSION_DENIED",
+      permission,
+    })
+  }
+
+  req.patientId = dependent ? dependent.id : req.user.id
+  next()
+}
+
+// Blocks actions support must never take on a user's behalf while impersonating
+// (deposits, payments, refunds, salary payouts, account security)
+const denyWhileImpersonating = (req, res, next) => {
+  if (req.user && req.user.impersonation) {
+    res.locals.impersonationBlocked = true
+    logger.warn(`Impersonation ${req.user.impersonation.id} blocked from ${req.method} ${req.originalUrl}`)
+    return res.status(403).json({
+      error: "This action is not available while impersonating a user",
+      code: "IMPERSONATION_BLOCKED",
+    })
+  }
+
+  next()
+}
+
+// Requires an active clinic (see X-Clinic-Id / POST /api/auth/clinic-context) for clinic-scoped endpoints
+const requireClinic = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not authorized" })
+  }
+
+  if (!req.user.clinic_id) {
+    return res.status(400).json({
+      error: "No active clinic. Select one with the X-Clinic-Id header or POST /api/auth/clinic-context",
+      code: "CLINIC_CONTEXT_REQUIRED",
+    })
+  }
+
+  next()
+}
+
+// Permission-based access control - passes when the user holds any of the given permissions.
+// An options object may follow the keys: { clinicParam } names the route param holding the clinic
+// (default "clinicId") so custom clinic roles only apply inside their own clinic.
+const can = (...args) => {
+  const options = typeof args[args.length - 1] === "object" ? args.pop() : {}
+  const permissions = args
+  const clinicParam = options.clinicParam || "clinicId"
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authorized" })
+    }
+
+    try {
+      const clinicId = Number.parseInt(req.params[clinicParam]) || req.user.clinic_id
+      if (!(await PermissionService.hasAny(req.user, permissions, clinicId))) {
+        logger.error(`Access denied for user ${req.user.id} (${req.user.role}). Required permission: ${permissions.join(" or ")}`)
+        return res.status(403).json({ error: "Access denied. Missing permission", permissions })
+      }
+    } catch (error) {
+      logger.error(`Permission check error: ${error.message}`)
+      return res.status(500).json({ error: "Server error in authorization" })
+    }
+
+    next()
+  }
+}
+
 // Authorize function (alias for role function)
 const authorize = (roles) => {
   return role(roles)
 }
 
-module.exports = { protect, role, authorize }
+module.exports = {
+  protect,
+  protectPendingMfa,
+  requireVerified,
+  requireClinic,
+  denyWhileImpersonating,
+  forPatient,
+  role,
+  authorize,
+  can,
+}
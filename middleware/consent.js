@@ -0,0 +1,59 @@
+/**
+ * Consent enforcement
+ *
+ * requireConsent() is placed on routes that read a patient's clinical data. Staff get through
+ * only if the patient shares that data with the clinic they are acting for (X-Clinic-Id), or, for
+ * emergency data, while they hold a break-the-glass grant.
+ */
+const logger = require("./logger")
+const ConsentService = require("../services/consentService")
+const EmergencyAccessService = require("../services/emergencyAccessService")
+const { fromParam } = require("./audit")
+
+/**
+ * Requires the patient's consent for the request's clinic
+ * @param {Function} patient - Resolver of the patient ID (fromParam, fromRecord...), default :patientId
+ * @param {string} level - "full" for the medical record, "emergency" for emergency data only
+ */
+const requireConsent = (patient = fromParam("patientId"), level = ConsentService.ACCESS_FULL) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authorized" })
+    }
+
+    try {
+      const patientId = Number.parseInt(await patient(req))
+      if (!patientId) {
+        return next()
+      }
+
+      const granted = await ConsentService.getAccessLevel(req.user, patientId)
+      if (granted === ConsentService.ACCESS_FULL || (granted && level === ConsentService.ACCESS_EMERGENCY)) {
+        return next()
+      }
+
+      if (level === ConsentService.ACCESS_EMERGENCY && (await EmergencyAccessService.getActiveGrant(req.user.id, patientId))) {
+        req.auditPurpose = "emergency"
+        return next()
+      }
+
+      logger.warn(`User ${req.user.id} (clinic ${req.user.clinic_id || "none"}) has no ${level} consent for patient ${patientId}`)
+      return res.status(403).json({
+        success: false,
+        error:
+          granted === ConsentService.ACCESS_EMERGENCY
+            ? "The patient only shares emergency data with your clinic"
+            : "The patient has not consented to share this data with your clinic",
+        code: "CONSENT_REQUIRED",
+        access: granted,
+      })
+    } catch (error) {
+      logger.error(`Consent check error: ${error.message}`)
+      return res.status(500).json({ error: "Server error in authorization" })
+    }
+  }
+}
+
+module.exports = {
+  requireConsent,
+}
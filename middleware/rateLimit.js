@@ -3,10 +3,11 @@ const logger = require("./logger")
 
 // Significantly increased limits to prevent "too many requests" errors
 
-// For authentication endpoints (login, register)
+// For authentication endpoints (login, register, MFA)
+// Kept low on purpose: per-account lockout handles targeted guessing, this caps stuffing from one IP
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Allow 1000 requests per 15 minutes (was 5)
+  max: Number.parseInt(process.env.AUTH_RATE_LIMIT_MAX || "30"), // 30 requests per 15 minutes per IP
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
@@ -20,7 +21,7 @@ const authLimiter = rateLimit({
 // For sensitive operations (password reset, email change)
 const sensitiveOperationsLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 2000, // Allow 2000 requests per 15 minutes (was 10)
+  max: 10, // Allow 10 requests per 15 minutes
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
@@ -0,0 +1,17 @@
+-- Password reset tokens
+-- Stores only the SHA-256 hash of each emailed token; rows are single-use and expire.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  requested_ip VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+-- Records when the password was last changed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
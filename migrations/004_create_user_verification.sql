@@ -0,0 +1,30 @@
+-- Email and phone verification
+-- verification_codes holds hashed email link tokens and SMS one-time codes.
+
+-- Accounts created before verification existed are treated as verified (first run only)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN phone_verified_at TIMESTAMP;
+    UPDATE users SET
+      email_verified_at = COALESCE(created_at, NOW()),
+      phone_verified_at = CASE WHEN phone IS NOT NULL THEN COALESCE(created_at, NOW()) END;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS verification_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'phone')),
+  target VARCHAR(255) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  consumed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_codes_user ON verification_codes(user_id, channel);
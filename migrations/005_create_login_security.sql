@@ -0,0 +1,29 @@
+-- Account lockout and credential-stuffing protection
+
+CREATE TABLE IF NOT EXISTS user_login_security (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP,
+  locked_until TIMESTAMP,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  unlocked_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC);
+-- Lockout state of e-mail addresses without an account is read from the log
+CREATE INDEX IF NOT EXISTS idx_login_attempts_unknown_email ON login_attempts(email, failure_reason, created_at)
+  WHERE user_id IS NULL;
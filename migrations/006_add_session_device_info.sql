@@ -0,0 +1,7 @@
+-- Device information for the session registry (requires 002_create_refresh_tokens.sql)
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS device_name VARCHAR(100);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT NOW();
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
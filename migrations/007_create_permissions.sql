@@ -0,0 +1,158 @@
+-- Permission-based access control
+-- permissions: catalogue of permission keys checked by the can() middleware
+-- role_permissions: system role -> permission mapping (editable through /api/permissions)
+-- clinic_roles: custom per-clinic roles (receptionist, cashier, lab supervisor...) assigned to users
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id SERIAL PRIMARY KEY,
+  key VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+  permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE IF NOT EXISTS clinic_roles (
+  id SERIAL PRIMARY KEY,
+  clinic_id INTEGER NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (clinic_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS clinic_role_permissions (
+  clinic_role_id INTEGER NOT NULL REFERENCES clinic_roles(id) ON DELETE CASCADE,
+  permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+  PRIMARY KEY (clinic_role_id, permission_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_clinic_roles (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clinic_role_id INTEGER NOT NULL REFERENCES clinic_roles(id) ON DELETE CASCADE,
+  assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (user_id, clinic_role_id)
+);
+
+INSERT INTO permissions (key, description) VALUES
+  ('appointments:read:clinic', 'View clinic appointments and appointment statistics'),
+  ('appointments:cancel', 'Cancel appointments'),
+  ('appointments:checkout', 'Check patients out of appointments'),
+  ('telemedicine:end', 'End telemedicine sessions'),
+  ('prescriptions:create', 'Write prescriptions'),
+  ('prescriptions:update', 'Edit prescriptions'),
+  ('prescriptions:delete', 'Delete prescriptions'),
+  ('prescriptions:read:patient', 'View the prescriptions of a patient'),
+  ('prescriptions:read:clinic', 'View prescriptions by doctor or clinic'),
+  ('records:create', 'Create medical records'),
+  ('records:update', 'Edit medical records'),
+  ('records:delete', 'Delete medical records'),
+  ('labs:staff:read', 'View lab staff'),
+  ('labs:requests:read', 'View lab requests queue'),
+  ('labs:requests:create', 'Order lab tests'),
+  ('labs:requests:assign', 'Assign lab requests to technicians'),
+  ('labs:requests:update_status', 'Update lab request status'),
+  ('labs:results:read', 'View lab results of a patient'),
+  ('labs:results:write', 'Upload lab results'),
+  ('labs:equipment:read', 'View lab equipment'),
+  ('labs:equipment:manage', 'Add and edit lab equipment'),
+  ('labs:equipment:maintenance', 'Record equipment maintenance'),
+  ('salary:staff:read', 'View clinic staff and salary statistics'),
+  ('salary:staff:manage', 'Add, edit and remove clinic staff and salaries'),
+  ('salary:payments:read', 'View salary payments'),
+  ('salary:payments:manage', 'Record and edit salary payments'),
+  ('salary:adjustments:read', 'View salary adjustments'),
+  ('salary:adjustments:manage', 'Record and edit salary adjustments'),
+  ('clinics:create', 'Create clinics'),
+  ('clinics:update', 'Edit clinic details'),
+  ('clinics:delete', 'Delete clinics'),
+  ('clinics:staff:read', 'View clinic staff, schedules, statistics and activity'),
+  ('clinics:staff:manage', 'Add, edit and remove clinic staff and schedules'),
+  ('clinics:admins:manage', 'Assign clinic administrators'),
+  ('clinics:stats:read', 'View clinic statistics'),
+  ('clinics:settings:read', 'View clinic settings'),
+  ('clinic_roles:manage', 'Manage custom clinic roles and their members'),
+  ('users:read', 'View user accounts'),
+  ('users:manage', 'Create, edit and delete user accounts'),
+  ('users:security', 'Manage lockouts and sessions of any user'),
+  ('permissions:manage', 'Edit role to permission mappings')
+ON CONFLICT (key) DO NOTHING;
+
+-- Default mappings reproduce the previous hardcoded role checks (first run only, so edits survive re-runs).
+-- platform_admin is not listed: it is granted every permission by the can() middleware.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM role_permissions) THEN
+    INSERT INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id
+    FROM (VALUES
+      ('clinic_admin', 'appointments:read:clinic'),
+      ('patient', 'appointments:cancel'),
+      ('doctor', 'appointments:cancel'),
+      ('nurse', 'appointments:cancel'),
+      ('clinic_admin', 'appointments:cancel'),
+      ('doctor', 'appointments:checkout'),
+      ('nurse', 'appointments:checkout'),
+      ('doctor', 'telemedicine:end'),
+      ('doctor', 'prescriptions:create'),
+      ('doctor', 'prescriptions:update'),
+      ('clinic_admin', 'prescriptions:update'),
+      ('doctor', 'prescriptions:delete'),
+      ('clinic_admin', 'prescriptions:delete'),
+      ('doctor', 'prescriptions:read:patient'),
+      ('clinic_admin', 'prescriptions:read:patient'),
+      ('clinic_admin', 'prescriptions:read:clinic'),
+      ('doctor', 'records:create'),
+      ('doctor', 'records:update'),
+      ('clinic_admin', 'records:update'),
+      ('doctor', 'records:delete'),
+      ('clinic_admin', 'records:delete'),
+      ('lab_admin', 'labs:staff:read'),
+      ('clinic_admin', 'labs:staff:read'),
+      ('lab_tech', 'labs:requests:read'),
+      ('lab_admin', 'labs:requests:read'),
+      ('doctor', 'labs:requests:create'),
+      ('lab_admin', 'labs:requests:assign'),
+      ('lab_tech', 'labs:requests:update_status'),
+      ('lab_admin', 'labs:requests:update_status'),
+      ('doctor', 'labs:results:read'),
+      ('nurse', 'labs:results:read'),
+      ('clinic_admin', 'labs:results:read'),
+      ('lab_tech', 'labs:results:read'),
+      ('lab_admin', 'labs:results:read'),
+      ('lab_tech', 'labs:results:write'),
+      ('lab_admin', 'labs:results:write'),
+      ('lab_admin', 'labs:equipment:read'),
+      ('lab_tech', 'labs:equipment:read'),
+      ('lab_admin', 'labs:equipment:manage'),
+      ('lab_admin', 'labs:equipment:maintenance'),
+      ('lab_tech', 'labs:equipment:maintenance'),
+      ('clinic_admin', 'salary:staff:read'),
+      ('clinic_admin', 'salary:staff:manage'),
+      ('clinic_admin', 'salary:payments:read'),
+      ('clinic_admin', 'salary:payments:manage'),
+      ('clinic_admin', 'salary:adjustments:read'),
+      ('clinic_admin', 'salary:adjustments:manage'),
+      ('clinic_admin', 'clinics:create'),
+      ('clinic_admin', 'clinics:update'),
+      ('clinic_admin', 'clinics:delete'),
+      ('clinic_admin', 'clinics:staff:read'),
+      ('lab_admin', 'clinics:staff:read'),
+      ('clinic_admin', 'clinics:staff:manage'),
+      ('clinic_admin', 'clinics:stats:read'),
+      ('clinic_admin', 'clinics:settings:read'),
+      ('clinic_admin', 'clinic_roles:manage')
+    ) AS defaults(role_name, permission_key)
+    JOIN roles r ON r.name = defaults.role_name
+    JOIN permissions p ON p.key = defaults.permission_key
+    ON CONFLICT DO NOTHING;
+  END IF;
+END $$;
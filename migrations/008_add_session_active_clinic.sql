@@ -0,0 +1,4 @@
+-- Active clinic chosen through POST /api/auth/clinic-context (requires 002_create_refresh_tokens.sql)
+-- Requests may still override it per call with the X-Clinic-Id header.
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS active_clinic_id INTEGER REFERENCES clinics(id) ON DELETE SET NULL;
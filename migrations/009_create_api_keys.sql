@@ -0,0 +1,31 @@
+-- Service accounts and API keys for machine clients (lab analyzers, pharmacy systems, reporting jobs)
+-- A service account is a users row with the service_account role; it cannot log in with a password.
+-- Keys are stored as SHA-256 hashes; only the prefix is kept in clear text to identify a key.
+
+INSERT INTO roles (name)
+SELECT 'service_account'
+WHERE NOT EXISTS (SELECT 1 FROM roles WHERE name = 'service_account');
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  service_account_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL UNIQUE,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  rotated_from INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_service_account ON api_keys(service_account_id);
+
+INSERT INTO permissions (key, description) VALUES
+  ('api_keys:manage', 'Manage service accounts and their API keys')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,36 @@
+-- Audited impersonation: platform support acting as another user
+-- Every impersonation is a row here; its token carries the row ID and stops working once the
+-- row is ended or expired. Each request made with it is written to impersonation_audit_log,
+-- which the impersonated user can read.
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id UUID PRIMARY KEY,
+  admin_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_target ON impersonation_sessions(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin ON impersonation_sessions(admin_id);
+
+CREATE TABLE IF NOT EXISTS impersonation_audit_log (
+  id SERIAL PRIMARY KEY,
+  impersonation_id UUID NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  blocked BOOLEAN DEFAULT FALSE,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_audit_log_impersonation ON impersonation_audit_log(impersonation_id);
+
+INSERT INTO permissions (key, description) VALUES
+  ('users:impersonate', 'Act as another user for support, with every request audited')
+ON CONFLICT (key) DO NOTHING;
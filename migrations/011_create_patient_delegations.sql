@@ -0,0 +1,26 @@
+-- Guardianship and delegated access between patient accounts
+-- kind = 'minor': a parent or legal guardian manages a child's account; it ends automatically
+--   when the child reaches the age of majority (date_of_birth in patient_medical_profiles).
+-- kind = 'delegated': an adult patient lets someone else (e.g. an adult child) act for them
+--   with the permissions they choose, and can revoke it at any time.
+-- Guardians act for a dependent by sending the X-Patient-Id header on patient endpoints.
+
+CREATE TABLE IF NOT EXISTS patient_delegations (
+  id SERIAL PRIMARY KEY,
+  guardian_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  dependent_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('minor', 'delegated')),
+  relationship VARCHAR(30) NOT NULL,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  ended_at TIMESTAMP,
+  ended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ended_reason VARCHAR(30),
+  CHECK (guardian_id <> dependent_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_delegations_active
+  ON patient_delegations(guardian_id, dependent_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_patient_delegations_dependent ON patient_delegations(dependent_id);
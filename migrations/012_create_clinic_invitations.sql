@@ -0,0 +1,23 @@
+-- Invitation-based staff onboarding
+-- A clinic admin invites an email or phone number with a role; the invitee accepts through a
+-- single-use link, creating an account if needed. Tokens are stored as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS clinic_invitations (
+  id SERIAL PRIMARY KEY,
+  clinic_id INTEGER NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  email VARCHAR(255),
+  phone VARCHAR(30),
+  role VARCHAR(30) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_clinic_invitations_clinic ON clinic_invitations(clinic_id);
+CREATE INDEX IF NOT EXISTS idx_clinic_invitations_email ON clinic_invitations(LOWER(email));
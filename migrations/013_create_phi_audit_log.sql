@@ -0,0 +1,61 @@
+-- Immutable audit log of access to clinical data (PHI)
+-- Every read and write of medical records, prescriptions, lab results and medical profiles is
+-- appended here. Rows are hash-chained: each row stores the hash of the previous row and its own
+-- hash over its content, so editing, deleting or reordering rows breaks the chain.
+-- Actor and patient are plain IDs (no foreign keys) so deleting a user never touches the log.
+
+CREATE TABLE IF NOT EXISTS phi_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  actor_id INTEGER,
+  actor_role VARCHAR(50),
+  impersonator_id INTEGER,
+  patient_id INTEGER,
+  clinic_id INTEGER,
+  resource_type VARCHAR(50) NOT NULL,
+  resource_id VARCHAR(100),
+  action VARCHAR(10) NOT NULL CHECK (action IN ('read', 'create', 'update', 'delete')),
+  purpose VARCHAR(30) NOT NULL,
+  method VARCHAR(10),
+  path TEXT,
+  status_code INTEGER,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_patient ON phi_audit_log(patient_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_actor ON phi_audit_log(actor_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_phi_audit_log_clinic ON phi_audit_log(clinic_id, occurred_at DESC);
+
+-- Append-only: the database refuses to change or remove rows, whatever the client
+CREATE OR REPLACE FUNCTION reject_phi_audit_log_change() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'phi_audit_log is append-only (% refused)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS phi_audit_log_no_update_delete ON phi_audit_log;
+CREATE TRIGGER phi_audit_log_no_update_delete
+  BEFORE UPDATE OR DELETE ON phi_audit_log
+  FOR EACH ROW EXECUTE FUNCTION reject_phi_audit_log_change();
+
+DROP TRIGGER IF EXISTS phi_audit_log_no_truncate ON phi_audit_log;
+CREATE TRIGGER phi_audit_log_no_truncate
+  BEFORE TRUNCATE ON phi_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION reject_phi_audit_log_change();
+
+-- Default grants only go with a newly created permission, so grants an admin removed stay removed on re-runs
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('audit:read', 'Search the clinical data access log of the clinic'),
+    ('audit:verify', 'Verify the integrity of the whole clinical data access log')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name = 'clinic_admin' AND created.key = 'audit:read'
+ON CONFLICT DO NOTHING;
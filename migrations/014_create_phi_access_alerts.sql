@@ -0,0 +1,32 @@
+-- Patient view of who accessed their clinical data (requires 013_create_phi_audit_log.sql)
+-- access_alerts_enabled: the patient wants a notification when someone outside their care team
+-- opens their record. phi_access_alerts remembers the alerts sent (one per person per day).
+-- phi_access_reports holds the accesses patients reported as suspicious, for admins to review.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS access_alerts_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS phi_access_alerts (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  actor_id INTEGER,
+  audit_log_id BIGINT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phi_access_alerts_patient_actor ON phi_access_alerts(patient_id, actor_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS phi_access_reports (
+  id SERIAL PRIMARY KEY,
+  audit_log_id BIGINT NOT NULL REFERENCES phi_audit_log(id),
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'reviewed')),
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (audit_log_id, patient_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_phi_access_reports_status ON phi_access_reports(status, created_at DESC);
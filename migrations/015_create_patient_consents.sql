@@ -0,0 +1,68 @@
+-- Patient consent for sharing clinical data across clinics
+-- patient_consents: one row per consent given; revoking sets revoked_at, so the table is also
+-- the consent history. Scopes:
+--   clinic          full record, staff of one clinic
+--   all_clinics     full record, staff of any clinic
+--   emergency_only  emergency data only (blood type, allergies, medications, emergency contact), any clinic
+-- consent_requests: a clinic asking the patient for consent; the patient approves or declines.
+
+CREATE TABLE IF NOT EXISTS patient_consents (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('clinic', 'all_clinics', 'emergency_only')),
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  granted_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  request_id INTEGER,
+  note TEXT,
+  CHECK ((scope = 'clinic') = (clinic_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_consents_patient ON patient_consents(patient_id, granted_at DESC);
+
+-- Only one active consent per patient, scope and clinic
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_consents_active
+  ON patient_consents(patient_id, scope, COALESCE(clinic_id, 0)) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS consent_requests (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clinic_id INTEGER NOT NULL REFERENCES clinics(id) ON DELETE CASCADE,
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('clinic', 'emergency_only')),
+  reason TEXT NOT NULL,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'declined', 'cancelled')),
+  responded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_requests_patient ON consent_requests(patient_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_consent_requests_pending
+  ON consent_requests(patient_id, clinic_id, scope) WHERE status = 'pending';
+
+-- Patients already registered at a clinic keep sharing with it (first run only, so revocations survive re-runs)
+DO $$
+BEGIN
+  IF to_regclass('patient_clinics') IS NOT NULL AND NOT EXISTS (SELECT 1 FROM patient_consents) THEN
+    INSERT INTO patient_consents (patient_id, scope, clinic_id, note)
+    SELECT DISTINCT patient_id, 'clinic', clinic_id, 'Existing clinic registration'
+    FROM patient_clinics;
+  END IF;
+END $$;
+
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('consents:request', 'Ask patients for consent to see their medical record')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name IN ('doctor', 'nurse', 'clinic_admin') AND created.key = 'consents:request'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+-- Right to erasure for patient accounts
+-- A patient (or their guardian) asks for their account to be erased; a platform admin reviews the
+-- request. Approving it anonymizes the account: name, contact details, sign-in data, payment
+-- methods and notifications go away, while appointments, prescriptions, lab data, medical records,
+-- transactions and the PHI audit log are kept for their legal retention periods under the
+-- anonymized user ID. users.anonymized_at marks erased accounts.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS data_deletion_requests (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'rejected', 'cancelled')),
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_deletion_requests_status ON data_deletion_requests(status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_deletion_requests_pending
+  ON data_deletion_requests(patient_id) WHERE status = 'pending';
+
+-- Reserved: only platform admins export other patients' data and carry out erasure
+INSERT INTO permissions (key, description) VALUES
+  ('privacy:manage', 'Export patient data and review account erasure requests')
+ON CONFLICT (key) DO NOTHING;
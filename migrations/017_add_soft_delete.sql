@@ -0,0 +1,30 @@
+-- Soft deletion of medical records, prescriptions, clinics and user accounts
+-- Deleting sets deleted_at/deleted_by and moves the row to the trash, where clinic admins can restore it.
+-- The trash-purge job removes rows for good once they have been deleted for TRASH_RETENTION_DAYS
+-- (patients are anonymized rather than removed, see 016). Lists and lookups skip deleted rows.
+
+ALTER TABLE medical_records ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE medical_records ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE clinics ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_medical_records_deleted ON medical_records(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_prescriptions_deleted ON prescriptions(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_clinics_deleted ON clinics(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_deleted ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('trash:manage', 'See deleted items of the clinic and restore them')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name = 'clinic_admin' AND created.key = 'trash:manage'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,34 @@
+-- Break-the-glass emergency access
+-- A doctor with no consent from the patient states a reason and gets read access to the patient's
+-- emergency data (allergies, medications, conditions...) for BREAK_GLASS_ACCESS_MINUTES. The patient
+-- and the clinic's admins are alerted, and every grant waits in a review queue until an admin marks
+-- it justified or unjustified.
+
+CREATE TABLE IF NOT EXISTS emergency_access_grants (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  granted_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  review_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'justified', 'unjustified')),
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_access_grants_active ON emergency_access_grants(granted_to, patient_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_emergency_access_grants_review ON emergency_access_grants(review_status, created_at);
+
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('emergency:access', 'Break the glass: read a patient''s emergency data without consent, with a stated reason')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name = 'doctor' AND created.key = 'emergency:access'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,22 @@
+-- Application-level encryption of sensitive medical fields
+-- Medical history, allergies, conditions and medications of the medical profile, the diagnosis,
+-- treatment and notes of medical records and the diagnosis of prescriptions are encrypted by the
+-- application (services/encryptionService.js) before they are stored. Ciphertext is longer than
+-- the plain value and is not valid JSON, so these columns become plain TEXT.
+-- Existing rows are encrypted by `npm run encryption:rotate`, which also moves values to a new key.
+
+ALTER TABLE patient_medical_profiles ADD COLUMN IF NOT EXISTS medical_history TEXT;
+ALTER TABLE patient_medical_profiles ADD COLUMN IF NOT EXISTS allergies TEXT;
+ALTER TABLE patient_medical_profiles ADD COLUMN IF NOT EXISTS chronic_conditions TEXT;
+ALTER TABLE patient_medical_profiles ADD COLUMN IF NOT EXISTS current_medications TEXT;
+
+ALTER TABLE patient_medical_profiles ALTER COLUMN medical_history TYPE TEXT USING medical_history::text;
+ALTER TABLE patient_medical_profiles ALTER COLUMN allergies TYPE TEXT USING allergies::text;
+ALTER TABLE patient_medical_profiles ALTER COLUMN chronic_conditions TYPE TEXT USING chronic_conditions::text;
+ALTER TABLE patient_medical_profiles ALTER COLUMN current_medications TYPE TEXT USING current_medications::text;
+
+ALTER TABLE medical_records ALTER COLUMN diagnosis TYPE TEXT USING diagnosis::text;
+ALTER TABLE medical_records ALTER COLUMN treatment TYPE TEXT USING treatment::text;
+ALTER TABLE medical_records ALTER COLUMN notes TYPE TEXT USING notes::text;
+
+ALTER TABLE prescriptions ALTER COLUMN diagnosis TYPE TEXT USING diagnosis::text;
@@ -0,0 +1,51 @@
+-- Appointment waitlist
+-- Patients wait for a doctor (at a clinic, or by telemedicine) between two dates. When a booked
+-- slot is freed (cancellation, reschedule) it is held for the first patient in line and offered to
+-- them by SMS and in-app for WAITLIST_OFFER_MINUTES. Accepting books and charges the appointment;
+-- declining or letting the offer expire passes the slot to the next patient in line.
+
+CREATE TABLE IF NOT EXISTS appointment_waitlist (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('in-person', 'telemedicine')),
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'booked', 'cancelled', 'expired')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (date_to >= date_from),
+  CHECK (type = 'telemedicine' OR clinic_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_waitlist_queue ON appointment_waitlist(doctor_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_appointment_waitlist_patient ON appointment_waitlist(patient_id, status);
+-- One open entry per patient, doctor and type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_waitlist_open
+  ON appointment_waitlist(patient_id, doctor_id, type)
+  WHERE status IN ('waiting', 'offered');
+
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES appointment_waitlist(id) ON DELETE CASCADE,
+  slot_id INTEGER NOT NULL REFERENCES availability_slots(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'withdrawn')),
+  expires_at TIMESTAMP NOT NULL,
+  appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  responded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry ON waitlist_offers(entry_id, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_slot ON waitlist_offers(slot_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending ON waitlist_offers(expires_at) WHERE status = 'pending';
+-- A slot is offered to one patient at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_offers_slot_pending ON waitlist_offers(slot_id) WHERE status = 'pending';
+
+-- Offers are sent by SMS as well
+INSERT INTO notifications_config (type, sms_enabled, sms_template)
+SELECT 'waitlist_offer', TRUE, '{message}'
+WHERE NOT EXISTS (SELECT 1 FROM notifications_config WHERE type = 'waitlist_offer');
@@ -0,0 +1,40 @@
+-- Recurring appointment series
+-- A series books every occurrence of a recurrence rule (daily or weekly, every N days/weeks,
+-- until a date or for a number of occurrences) as ordinary appointments linked to the series.
+-- Paid up front (every occurrence charged at booking) or per occurrence (each one charged
+-- SERIES_CHARGE_HOURS_BEFORE its start by the scheduler).
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+  id SERIAL PRIMARY KEY,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('in-person', 'telemedicine')),
+  reason TEXT,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count >= 1),
+  until_date DATE,
+  occurrence_count INTEGER CHECK (occurrence_count >= 1),
+  start_time TIMESTAMP NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 30,
+  payment_mode VARCHAR(20) NOT NULL CHECK (payment_mode IN ('upfront', 'per_occurrence')),
+  payment_method VARCHAR(20) NOT NULL DEFAULT 'balance' CHECK (payment_method IN ('balance', 'cash')),
+  fee NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (until_date IS NOT NULL OR occurrence_count IS NOT NULL),
+  CHECK (type = 'telemedicine' OR clinic_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_series_patient ON appointment_series(patient_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_doctor ON appointment_series(doctor_id);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_index INTEGER;
+-- Per-occurrence payment: when the occurrence was charged, and when charging it first failed
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_charged_at TIMESTAMP;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_charge_failed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, series_index) WHERE series_id IS NOT NULL;
@@ -0,0 +1,80 @@
+-- Appointment reminders
+-- Reminder rules say how long before an appointment a reminder goes out and over which channels
+-- (sms, email, in_app). Templates hold the wording per channel. Both have platform defaults
+-- (clinic_id NULL) that a clinic replaces with its own. Every delivery is tracked per appointment,
+-- rule offset and channel; the links in a reminder let the patient confirm or cancel.
+
+CREATE TABLE IF NOT EXISTS reminder_rules (
+  id SERIAL PRIMARY KEY,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+  channels TEXT[] NOT NULL CHECK (channels <@ ARRAY['sms', 'email', 'in_app']::TEXT[] AND cardinality(channels) > 0),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_rules_clinic_offset ON reminder_rules(COALESCE(clinic_id, 0), offset_minutes);
+
+CREATE TABLE IF NOT EXISTS reminder_templates (
+  id SERIAL PRIMARY KEY,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email', 'in_app')),
+  subject VARCHAR(200),
+  body TEXT NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_templates_clinic_channel ON reminder_templates(COALESCE(clinic_id, 0), channel);
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id SERIAL PRIMARY KEY,
+  appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL,
+  channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email', 'in_app')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+  error TEXT,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (appointment_id, offset_minutes, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_status ON appointment_reminders(status, created_at);
+
+-- Confirm/cancel links; one per reminder, valid until the appointment starts
+CREATE TABLE IF NOT EXISTS appointment_reply_tokens (
+  id SERIAL PRIMARY KEY,
+  appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reply_tokens_appointment ON appointment_reply_tokens(appointment_id);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+
+-- Platform defaults: the day before and two hours before
+INSERT INTO reminder_rules (clinic_id, offset_minutes, channels) VALUES
+  (NULL, 1440, ARRAY['sms', 'email', 'in_app']),
+  (NULL, 120, ARRAY['sms', 'in_app'])
+ON CONFLICT DO NOTHING;
+
+INSERT INTO reminder_templates (clinic_id, channel, subject, body) VALUES
+  (NULL, 'sms', NULL, 'Reminder: appointment with Dr. {doctor_name} on {date} at {time}{clinic}. Confirm: {confirm_url} Cancel: {cancel_url}'),
+  (NULL, 'email', 'Your appointment on {date} at {time}',
+   E'Hello {patient_name},\n\nThis is a reminder of your appointment with Dr. {doctor_name} on {date} at {time}{clinic}.\n\nConfirm that you will come: {confirm_url}\nCannot make it? Cancel so someone else can have the slot: {cancel_url}'),
+  (NULL, 'in_app', NULL, 'Reminder: appointment with Dr. {doctor_name} on {date} at {time}{clinic}')
+ON CONFLICT DO NOTHING;
+
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('reminders:manage', 'Set when appointment reminders are sent and their wording for the clinic')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name = 'clinic_admin' AND created.key = 'reminders:manage'
+ON CONFLICT DO NOTHING;
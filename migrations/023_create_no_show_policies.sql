@@ -0,0 +1,55 @@
+-- No-show detection and policies
+-- A booked appointment nobody checked in to is marked 'no-show' once the clinic's grace period
+-- after its start has passed. The clinic's policy then forfeits the prepaid fee to the doctor,
+-- charges a no-show fee, or does nothing, and decides after how many recent no-shows a patient
+-- must prepay from their balance or can no longer book. Platform default: clinic_id NULL.
+
+CREATE TABLE IF NOT EXISTS no_show_policies (
+  id SERIAL PRIMARY KEY,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  grace_minutes INTEGER NOT NULL DEFAULT 15 CHECK (grace_minutes >= 0),
+  penalty VARCHAR(10) NOT NULL DEFAULT 'forfeit' CHECK (penalty IN ('none', 'forfeit', 'fee')),
+  fee_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (fee_amount >= 0),
+  prepay_after INTEGER CHECK (prepay_after >= 1),
+  block_after INTEGER CHECK (block_after >= 1),
+  lookback_days INTEGER NOT NULL DEFAULT 180 CHECK (lookback_days >= 1),
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_no_show_policies_clinic ON no_show_policies(COALESCE(clinic_id, 0));
+
+-- Per-patient no-show history
+CREATE TABLE IF NOT EXISTS appointment_no_shows (
+  id SERIAL PRIMARY KEY,
+  appointment_id INTEGER NOT NULL UNIQUE REFERENCES appointments(id) ON DELETE CASCADE,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE SET NULL,
+  penalty VARCHAR(10) NOT NULL CHECK (penalty IN ('none', 'forfeit', 'fee')),
+  amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  fee_status VARCHAR(10) NOT NULL CHECK (fee_status IN ('none', 'forfeited', 'charged', 'unpaid')),
+  waived_at TIMESTAMP,
+  waived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  waive_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_no_shows_patient ON appointment_no_shows(patient_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_appointment_no_shows_clinic ON appointment_no_shows(clinic_id, created_at);
+
+INSERT INTO no_show_policies (clinic_id, grace_minutes, penalty, prepay_after)
+VALUES (NULL, 15, 'forfeit', 2)
+ON CONFLICT DO NOTHING;
+
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('no_shows:manage', 'Set the clinic''s no-show policy, see patients'' no-show history and waive no-shows')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name = 'clinic_admin' AND created.key = 'no_shows:manage'
+ON CONFLICT DO NOTHING;
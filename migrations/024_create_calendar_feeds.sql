@@ -0,0 +1,54 @@
+-- Calendar feeds
+-- Doctors and patients subscribe Google/Outlook/Apple calendars to a secret iCalendar (ICS) feed URL.
+-- Only the SHA-256 hash of the feed token is stored; a user has at most one active feed.
+-- Every appointment keeps an iCalendar sequence number that the database bumps whenever the event
+-- changes (time, place, doctor, type or status), whichever code path changed it, so calendars
+-- holding an older copy replace it.
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_active_user ON calendar_feed_tokens(user_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ics_sequence INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ics_updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION bump_appointment_ics_sequence() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.slot_id IS DISTINCT FROM OLD.slot_id
+     OR NEW.doctor_id IS DISTINCT FROM OLD.doctor_id
+     OR NEW.clinic_id IS DISTINCT FROM OLD.clinic_id
+     OR NEW.type IS DISTINCT FROM OLD.type
+     OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.ics_sequence := OLD.ics_sequence + 1;
+    NEW.ics_updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS appointments_ics_sequence ON appointments;
+CREATE TRIGGER appointments_ics_sequence
+  BEFORE UPDATE ON appointments
+  FOR EACH ROW EXECUTE FUNCTION bump_appointment_ics_sequence();
+
+-- Moving a slot moves the appointment booked on it
+CREATE OR REPLACE FUNCTION bump_slot_appointments_ics_sequence() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.start_time IS DISTINCT FROM OLD.start_time OR NEW.end_time IS DISTINCT FROM OLD.end_time THEN
+    UPDATE appointments SET ics_sequence = ics_sequence + 1, ics_updated_at = NOW() WHERE slot_id = NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS availability_slots_ics_sequence ON availability_slots;
+CREATE TRIGGER availability_slots_ics_sequence
+  AFTER UPDATE ON availability_slots
+  FOR EACH ROW EXECUTE FUNCTION bump_slot_appointments_ics_sequence();
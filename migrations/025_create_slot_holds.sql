@@ -0,0 +1,64 @@
+-- Race-free slot booking and slot holds
+-- Bookings of one doctor are serialized with a transaction-level advisory lock (see SlotBookingService),
+-- and the database refuses a second active appointment on the same slot whatever the code path.
+-- A hold reserves a slot for a patient for a few minutes while they pay or fill in forms; it turns
+-- into the appointment when they book with it, and is released automatically when it expires.
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id SERIAL PRIMARY KEY,
+  slot_id INTEGER REFERENCES availability_slots(id) ON DELETE SET NULL,
+  patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doctor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  clinic_id INTEGER REFERENCES clinics(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('in-person', 'telemedicine')),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'booked', 'released', 'expired')),
+  expires_at TIMESTAMP NOT NULL,
+  held_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  -- The slot was made for the hold (no published slot covered the time); it is deleted, not re-opened, on release
+  created_slot BOOLEAN NOT NULL DEFAULT FALSE,
+  closed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_holds_active_slot ON slot_holds(slot_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_active_expiry ON slot_holds(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_patient ON slot_holds(patient_id, status);
+
+-- One active appointment per slot. Slots double-booked before this migration keep their earliest
+-- booking; the later ones are cancelled and listed in a notice so the clinic can rebook those patients.
+DO $$
+DECLARE
+  cancelled_ids TEXT;
+BEGIN
+  WITH ranked AS (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY slot_id ORDER BY created_at, id) AS position
+    FROM appointments
+    WHERE slot_id IS NOT NULL AND status IN ('booked', 'in-progress')
+  ), cancelled AS (
+    UPDATE appointments a SET status = 'cancelled', updated_at = NOW()
+    FROM ranked
+    WHERE a.id = ranked.id AND ranked.position > 1
+    RETURNING a.id
+  )
+  SELECT string_agg(id::TEXT, ', ' ORDER BY id) INTO cancelled_ids FROM cancelled;
+
+  IF cancelled_ids IS NOT NULL THEN
+    RAISE NOTICE 'Cancelled appointments double-booked on a slot (the earliest booking was kept): %', cancelled_ids;
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_active_slot ON appointments(slot_id)
+  WHERE slot_id IS NOT NULL AND status IN ('booked', 'in-progress');
+
+-- Staff holding and booking slots on behalf of patients
+WITH created AS (
+  INSERT INTO permissions (key, description) VALUES
+    ('appointments:create', 'Hold and book appointments on behalf of patients')
+  ON CONFLICT (key) DO NOTHING
+  RETURNING id, key
+)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, created.id
+FROM roles r, created
+WHERE r.name IN ('doctor', 'nurse', 'clinic_admin') AND created.key = 'appointments:create'
+ON CONFLICT DO NOTHING;
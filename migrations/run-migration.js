@@ -0,0 +1,45 @@
+/**
+ * Migration runner
+ * Executes the SQL files in this directory (or the ones passed as arguments) in order.
+ * Files are numbered so that later migrations can rely on earlier ones; every
+ * statement is written to be safely re-runnable.
+ *
+ * Usage:
+ *   npm run migrate
+ *   npm run migrate -- 001_create_password_reset_tokens.sql
+ */
+const fs = require("fs")
+const path = require("path")
+const { pool } = require("../config/database")
+
+// Show RAISE NOTICE output, e.g. rows a migration had to change to apply a constraint
+pool.on("connect", (client) => {
+  client.on("notice", (notice) => console.log(`ℹ️  ${notice.message}`))
+})
+
+async function runMigrations() {
+  const requested = process.argv.slice(2)
+  const files = requested.length
+    ? requested
+    : fs
+        .readdirSync(__dirname)
+        .filter((file) => file.endsWith(".sql"))
+        .sort()
+
+  try {
+    for (const file of files) {
+      const sql = fs.readFileSync(path.join(__dirname, file), "utf8")
+      console.log(`⏳ Running migration ${file}...`)
+      await pool.query(sql)
+      console.log(`✅ Migration ${file} completed`)
+    }
+    console.log(`🎉 ${files.length} migration(s) applied`)
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message)
+    process.exitCode = 1
+  } finally {
+    await pool.end()
+  }
+}
+
+runMigrations()
@@ -8,23 +8,23 @@ const logger = require("../middleware/logger")
 router.get("/user-stats", protect, role(["platform_admin"]), async (req, res) => {
   try {
     // Get total users count
-    const totalUsersResult = await pool.query("SELECT COUNT(*) as count FROM users")
+    const totalUsersResult = await pool.query("SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL")
 
     // Get users by role - no status column, so we're removing that query
     const doctorsResult = await pool.query(
-      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'doctor'",
+      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE u.deleted_at IS NULL AND r.name = 'doctor'",
     )
     const nursesResult = await pool.query(
-      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'nurse'",
+      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE u.deleted_at IS NULL AND r.name = 'nurse'",
     )
     const patientsResult = await pool.query(
-      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'patient'",
+      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE u.deleted_at IS NULL AND r.name = 'patient'",
     )
     const adminsResult = await pool.query(
-      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name IN ('platform_admin', 'clinic_admin', 'lab_admin')",
+      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE u.deleted_at IS NULL AND r.name IN ('platform_admin', 'clinic_admin', 'lab_admin')",
     )
     const labTechsResult = await pool.query(
-      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE r.name = 'lab_tech'",
+      "SELECT COUNT(*) as count FROM users u JOIN roles r ON u.role_id = r.id WHERE u.deleted_at IS NULL AND r.name = 'lab_tech'",
     )
 
     const stats = {
@@ -49,7 +49,7 @@ router.get("/user-stats", protect, role(["platform_admin"]), async (req, res) =>
 router.get("/clinic-stats", protect, role(["platform_admin"]), async (req, res) => {
   try {
     // Get total clinics count
-    const totalClinicsResult = await pool.query("SELECT COUNT(*) as count FROM clinics")
+    const totalClinicsResult = await pool.query("SELECT COUNT(*) as count FROM clinics WHERE deleted_at IS NULL")
 
     // Get total staff across all clinics
     const totalStaffResult = await pool.query(`
@@ -97,8 +97,8 @@ router.get("/clinic-stats", protect, role(["platform_admin"]), async (req, res)
 router.get("/platform-admin-stats", protect, role(["platform_admin"]), async (req, res) => {
   try {
     // Get comprehensive platform statistics
-    const totalUsersResult = await pool.query("SELECT COUNT(*) as count FROM users")
-    const totalClinicsResult = await pool.query("SELECT COUNT(*) as count FROM clinics")
+    const totalUsersResult = await pool.query("SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL")
+    const totalClinicsResult = await pool.query("SELECT COUNT(*) as count FROM clinics WHERE deleted_at IS NULL")
     const totalAppointmentsResult = await pool.query("SELECT COUNT(*) as count FROM appointments")
 
     // Get active users (last 30 days login - approximation)
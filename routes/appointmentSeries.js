@@ -0,0 +1,86 @@
+/**
+ * Appointment Series Routes
+ * Recurring appointments booked from a recurrence rule
+ */
+const express = require("express")
+const router = express.Router()
+const AppointmentSeriesController = require("../controllers/appointmentSeriesController")
+const AppointmentSeriesService = require("../services/appointmentSeriesService")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can, forPatient, requireVerified, denyWhileImpersonating } = require("../middleware/auth")
+
+router.use(protect)
+
+const seriesId = param("id").isInt().withMessage("Series ID must be an integer")
+const scope = body("scope").isIn(AppointmentSeriesService.SCOPES).withMessage("Scope must be this, following or all")
+// The occurrence the change starts from; not needed to change all of them
+const occurrence = body("appointmentId")
+  .if(body("scope").not().equals("all"))
+  .isInt()
+  .withMessage("Appointment ID of the occurrence is required")
+
+// Booking can charge the patient upfront, so support cannot do it while impersonating
+router.post(
+  "/",
+  denyWhileImpersonating,
+  forPatient("appointments:book"),
+  requireVerified,
+  [
+    body("doctorId").isInt().withMessage("Doctor ID must be an integer"),
+    body("clinicId").optional({ nullable: true }).isInt().withMessage("Clinic ID must be an integer"),
+    body("patientId").optional().isInt().withMessage("Patient ID must be an integer"),
+    body("type").isIn(["in-person", "telemedicine"]).withMessage("Type must be 'in-person' or 'telemedicine'"),
+    body("reason").optional().isLength({ max: 500 }).withMessage("Reason must be less than 500 characters"),
+    body("date").isISO8601().withMessage("Date of the first occurrence must be a valid ISO date"),
+    body("duration").optional().isInt({ min: 15, max: 120 }).withMessage("Duration must be between 15 and 120 minutes"),
+    body("frequency").isIn(["daily", "weekly"]).withMessage("Frequency must be daily or weekly"),
+    body("interval").optional().isInt({ min: 1, max: 52 }).withMessage("Interval must be between 1 and 52"),
+    body("until").optional().isISO8601().withMessage("Until must be a valid ISO date"),
+    body("count")
+      .optional()
+      .isInt({ min: 1, max: AppointmentSeriesService.MAX_OCCURRENCES })
+      .withMessage(`Count must be between 1 and ${AppointmentSeriesService.MAX_OCCURRENCES}`),
+    body("count").if(body("until").not().exists()).exists().withMessage("Give an end date (until) or a count"),
+    body("paymentMode").isIn(["upfront", "per_occurrence"]).withMessage("Payment mode must be upfront or per_occurrence"),
+    body("paymentMethod").optional().isIn(["balance", "cash"]).withMessage("Payment method must be 'balance' or 'cash'"),
+    body("skipConflicts").optional().isBoolean().withMessage("skipConflicts must be a boolean"),
+  ],
+  validate,
+  AppointmentSeriesController.create,
+)
+
+router.get("/:id", forPatient("appointments:book"), [seriesId], validate, AppointmentSeriesController.getById)
+
+router.patch(
+  "/:id",
+  forPatient("appointments:book"),
+  [
+    seriesId,
+    scope,
+    occurrence,
+    body("date").optional().isISO8601().withMessage("New date must be a valid ISO date"),
+    body("duration").optional().isInt({ min: 15, max: 120 }).withMessage("Duration must be between 15 and 120 minutes"),
+    body("reason").optional().isLength({ max: 500 }).withMessage("Reason must be less than 500 characters"),
+  ],
+  validate,
+  AppointmentSeriesController.update,
+)
+
+// Cancelling refunds the patient, so support cannot do it while impersonating
+router.post(
+  "/:id/cancel",
+  denyWhileImpersonating,
+  can("appointments:cancel"),
+  forPatient("appointments:book"),
+  [
+    seriesId,
+    scope,
+    occurrence,
+    body("reason").optional().isLength({ max: 500 }).withMessage("Reason must be less than 500 characters"),
+  ],
+  validate,
+  AppointmentSeriesController.cancel,
+)
+
+module.exports = router
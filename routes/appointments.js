@@ -1,6 +1,6 @@
 const express = require("express")
 const router = express.Router()
-const { protect, role } = require("../middleware/auth")
+const { protect, role, requireVerified, can, denyWhileImpersonating, forPatient } = require("../middleware/auth")
 const AppointmentController = require("../controllers/appointmentController")
 const { body, query, validationResult } = require("express-validator")
 const { beginTransaction } = require("../utils/dbUtils")
@@ -21,15 +21,17 @@ router.get("/doctor/today", protect, role(["doctor"]), AppointmentController.get
 router.get("/doctor", protect, role(["doctor"]), AppointmentController.getDoctorAppointments)
 
 // Get all appointments for the current user
-router.get("/", protect, AppointmentController.getAll)
+router.get("/", protect, forPatient("appointments:book"), AppointmentController.getAll)
 
 // Get appointment by ID - MUST come after specific routes
-router.get("/:id", protect, AppointmentController.getById)
+router.get("/:id", protect, forPatient("appointments:book"), AppointmentController.getById)
 
 // Create a new appointment (with transaction)
 router.post(
   "/",
   protect,
+  forPatient("appointments:book"),
+  requireVerified,
   beginTransaction,
   [
     body("doctorId").isInt().withMessage("Doctor ID must be an integer"),
@@ -55,7 +57,9 @@ router.post(
         }
         return true
       }),
-    body("date").isISO8601().withMessage("Date must be a valid ISO date"),
+    // Booking a held slot takes the time from the hold
+    body("holdId").optional().isInt().withMessage("Hold ID must be an integer"),
+    body("date").if(body("holdId").not().exists()).isISO8601().withMessage("Date must be a valid ISO date"),
     body("reason").isLength({ min: 1, max: 500 }).withMessage("Reason must be between 1 and 500 characters"),
     body("type").isIn(["in-person", "telemedicine"]).withMessage("Type must be 'in-person' or 'telemedicine'"),
     body("specialty").optional().isString().withMessage("Specialty must be a string"),
@@ -101,7 +105,7 @@ router.put(
 router.get(
   "/clinic",
   protect,
-  role(["clinic_admin", "platform_admin"]),
+  can("appointments:read:clinic"),
   [query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer")],
   validate,
   AppointmentController.getClinicAppointments,
@@ -111,7 +115,7 @@ router.get(
 router.get(
   "/clinic/stats",
   protect,
-  role(["clinic_admin", "platform_admin"]),
+  can("appointments:read:clinic"),
   [query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer")],
   validate,
   AppointmentController.getClinicStats,
@@ -121,7 +125,7 @@ router.get(
 router.get(
   "/clinic/:id/stats",
   protect,
-  role(["clinic_admin", "platform_admin"]),
+  can("appointments:read:clinic"),
   [query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer")],
   validate,
   AppointmentController.getClinicStatsByClinicId,
@@ -134,7 +138,7 @@ router.post("/:id/telemedicine/start", protect, beginTransaction, AppointmentCon
 router.post(
   "/:id/telemedicine/end",
   protect,
-  role(["doctor"]),
+  can("telemedicine:end"),
   beginTransaction,
   [
     body("notes").optional().isLength({ max: 1000 }).withMessage("Notes must be less than 1000 characters"),
@@ -154,15 +158,22 @@ router.post("/:id/checkin", protect, beginTransaction, AppointmentController.che
 router.post(
   "/:id/checkout",
   protect,
-  role(["doctor", "nurse"]),
+  can("appointments:checkout"),
   beginTransaction,
   [body("notes").optional().isLength({ max: 1000 }).withMessage("Notes must be less than 1000 characters")],
   validate,
   AppointmentController.checkOut,
 )
 
-// Cancel appointment (with transaction)
-router.post("/:id/cancel", protect, beginTransaction, AppointmentController.cancel)
+// Cancel appointment (with transaction); cancelling refunds the patient, so support cannot do it while impersonating
+router.post(
+  "/:id/cancel",
+  protect,
+  denyWhileImpersonating,
+  can("appointments:cancel"),
+  beginTransaction,
+  AppointmentController.cancel,
+)
 
 // Reschedule appointment (with transaction)
 router.post(
@@ -0,0 +1,98 @@
+/**
+ * Audit Routes
+ * Clinical data access log for admins
+ */
+const express = require("express")
+const router = express.Router()
+const AuditController = require("../controllers/auditController")
+const AuditService = require("../services/auditService")
+const EmergencyAccessService = require("../services/emergencyAccessService")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can } = require("../middleware/auth")
+
+router.use(protect)
+
+router.get("/phi/options", can("audit:read"), AuditController.getOptions)
+
+router.get(
+  "/phi",
+  can("audit:read"),
+  [
+    query("patientId").optional().isInt().withMessage("Patient ID must be an integer"),
+    query("actorId").optional().isInt().withMessage("Actor ID must be an integer"),
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+    query("resourceType").optional().isString().isLength({ max: 50 }).withMessage("Invalid resource type"),
+    query("action").optional().isIn(AuditService.ACTIONS).withMessage("Invalid action"),
+    query("purpose").optional().isIn(AuditService.PURPOSES).withMessage("Invalid purpose"),
+    query("from").optional().isISO8601().withMessage("From must be a valid date"),
+    query("to").optional().isISO8601().withMessage("To must be a valid date"),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("Limit must be between 1 and 200"),
+    query("offset").optional().isInt({ min: 0 }).withMessage("Offset must be non-negative"),
+  ],
+  validate,
+  AuditController.getPhiAccessLog,
+)
+
+// Accesses patients reported as suspicious
+router.get(
+  "/phi/reports",
+  can("audit:read"),
+  [
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+    query("status").optional().isIn(["open", "reviewed"]).withMessage("Status must be open or reviewed"),
+  ],
+  validate,
+  AuditController.getAccessReports,
+)
+router.patch(
+  "/phi/reports/:reportId",
+  can("audit:read"),
+  [
+    param("reportId").isInt().withMessage("Report ID must be an integer"),
+    body("note").optional().isString().isLength({ max: 2000 }).withMessage("Note must be at most 2000 characters"),
+  ],
+  validate,
+  AuditController.reviewAccessReport,
+)
+
+// Break-the-glass accesses to review
+router.get(
+  "/emergency-access",
+  can("audit:read"),
+  [
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+    query("status")
+      .optional()
+      .isIn(EmergencyAccessService.REVIEW_STATUSES)
+      .withMessage(`Status must be one of: ${EmergencyAccessService.REVIEW_STATUSES.join(", ")}`),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("Limit must be between 1 and 200"),
+    query("offset").optional().isInt({ min: 0 }).withMessage("Offset must be non-negative"),
+  ],
+  validate,
+  AuditController.getEmergencyAccesses,
+)
+router.patch(
+  "/emergency-access/:grantId",
+  can("audit:read"),
+  [
+    param("grantId").isInt().withMessage("Grant ID must be an integer"),
+    body("status").isIn(["justified", "unjustified"]).withMessage("Status must be justified or unjustified"),
+    body("note").optional().isString().isLength({ max: 2000 }).withMessage("Note must be at most 2000 characters"),
+  ],
+  validate,
+  AuditController.reviewEmergencyAccess,
+)
+
+router.get(
+  "/phi/verify",
+  can("audit:verify"),
+  [
+    query("fromId").optional().isInt({ min: 1 }).withMessage("From ID must be a positive integer"),
+    query("toId").optional().isInt({ min: 1 }).withMessage("To ID must be a positive integer"),
+  ],
+  validate,
+  AuditController.verifyPhiAccessLog,
+)
+
+module.exports = router
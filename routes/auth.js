@@ -1,22 +1,24 @@
 const express = require("express")
 const router = express.Router()
 const AuthController = require("../controllers/authController")
-const { body } = require("express-validator")
+const MfaController = require("../controllers/mfaController")
+const SessionController = require("../controllers/sessionController")
+const ClinicContextController = require("../controllers/clinicContextController")
+const ImpersonationController = require("../controllers/impersonationController")
+const { body, param } = require("express-validator")
 const { validate } = require("../middleware/validator")
-const { protect } = require("../middleware/auth")
-const { pool } = require("../config/database")
+const { protect, protectPendingMfa, denyWhileImpersonating } = require("../middleware/auth")
+const { authLimiter, sensitiveOperationsLimiter } = require("../middleware/rateLimit")
 
 // Register a new user
 router.post(
   "/register",
+  authLimiter,
   [
     body("full_name").notEmpty().withMessage("Full name required"),
     body("email").isEmail().withMessage("Valid email required"),
     body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
-    body("role")
-      .optional()
-      .isIn(["patient", "doctor", "clinic_admin", "lab_admin", "platform_admin", "lab", "nurse"])
-      .withMessage("Invalid role"),
+    body("role").optional().isString().withMessage("Invalid role"),
     body("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
     body("phone").optional().isString().withMessage("Phone must be a string"),
   ],
@@ -27,9 +29,11 @@ router.post(
 // Login user and get tokens
 router.post(
   "/login",
+  authLimiter,
   [
     body("email").isEmail().withMessage("Valid email required"),
     body("password").notEmpty().withMessage("Password required"),
+    body("deviceName").optional().isString().isLength({ max: 100 }).withMessage("Device name too long"),
   ],
   validate,
   AuthController.login,
@@ -46,6 +50,7 @@ router.post(
 // Request password reset
 router.post(
   "/forgot-password",
+  sensitiveOperationsLimiter,
   [body("email").isEmail().withMessage("Valid email required")],
   validate,
   AuthController.forgotPassword,
@@ -54,6 +59,7 @@ router.post(
 // Complete password reset
 router.post(
   "/reset-password",
+  sensitiveOperationsLimiter,
   [
     body("token").notEmpty().withMessage("Token required"),
     body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
@@ -62,6 +68,30 @@ router.post(
   AuthController.resetPassword,
 )
 
+// Confirm email address from the verification link
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("Token required")],
+  validate,
+  AuthController.verifyEmail,
+)
+
+// Resend the email verification link
+router.post("/verify-email/resend", sensitiveOperationsLimiter, protect, AuthController.resendEmailVerification)
+
+// Send an SMS code to verify the phone number
+router.post("/verify-phone/send", sensitiveOperationsLimiter, protect, AuthController.sendPhoneVerification)
+
+// Confirm the phone number with the SMS code
+router.post(
+  "/verify-phone",
+  authLimiter,
+  protect,
+  [body("code").isLength({ min: 6, max: 6 }).withMessage("6 digit code required")],
+  validate,
+  AuthController.verifyPhone,
+)
+
 // Logout and invalidate refresh token
 router.post(
   "/logout",
@@ -70,20 +100,113 @@ router.post(
   AuthController.logout,
 )
 
+// Complete login with a TOTP or backup code
+router.post(
+  "/mfa/verify",
+  authLimiter,
+  [
+    body("mfaToken").notEmpty().withMessage("MFA token required"),
+    body("code").optional().isString().withMessage("Code must be a string"),
+    body("backupCode").optional().isString().withMessage("Backup code must be a string"),
+    body("deviceName").optional().isString().isLength({ max: 100 }).withMessage("Device name too long"),
+    body().custom((value) => {
+      if (!value.code && !value.backupCode) {
+        throw new Error("A verification code or backup code is required")
+      }
+      return true
+    }),
+  ],
+  validate,
+  MfaController.verifyLogin,
+)
+
+// Two-factor status for the current user
+router.get("/mfa/status", protectPendingMfa, MfaController.getStatus)
+
+// Start two-factor enrollment
+router.post("/mfa/setup", protectPendingMfa, denyWhileImpersonating, MfaController.setup)
+
+// Confirm enrollment with a first code
+router.post(
+  "/mfa/enable",
+  protectPendingMfa,
+  denyWhileImpersonating,
+  [body("code").notEmpty().withMessage("Verification code required")],
+  validate,
+  MfaController.enable,
+)
+
+// Replace backup codes
+router.post(
+  "/mfa/backup-codes",
+  protect,
+  denyWhileImpersonating,
+  [body("code").notEmpty().withMessage("Verification code required")],
+  validate,
+  MfaController.regenerateBackupCodes,
+)
+
+// Disable two-factor authentication
+router.post(
+  "/mfa/disable",
+  protect,
+  denyWhileImpersonating,
+  [
+    body("password").notEmpty().withMessage("Password required"),
+    body("code").notEmpty().withMessage("Verification code required"),
+  ],
+  validate,
+  MfaController.disable,
+)
+
+// Signed-in devices of the current user
+router.get("/sessions", protect, SessionController.getMySessions)
+
+// Sign out every other device
+router.delete("/sessions", protect, denyWhileImpersonating, SessionController.revokeMyOtherSessions)
+
+// Sign out one device
+router.delete(
+  "/sessions/:sessionId",
+  protect,
+  denyWhileImpersonating,
+  [param("sessionId").isUUID().withMessage("Invalid session ID")],
+  validate,
+  SessionController.revokeMySession,
+)
+
+// Stop impersonating (called with the impersonation token)
+router.post("/impersonation/end", protect, ImpersonationController.endCurrent)
+
+// Times support acted as the current user, and what they did
+router.get("/impersonations", protect, ImpersonationController.getMyImpersonations)
+router.get(
+  "/impersonations/:impersonationId",
+  protect,
+  [param("impersonationId").isUUID().withMessage("Invalid impersonation ID")],
+  validate,
+  ImpersonationController.getMyImpersonationTrail,
+)
+
+// Clinics the current user works at, and the active one
+router.get("/clinics", protect, ClinicContextController.getMyClinics)
+
+// Choose the clinic this session acts for (null resets to the primary clinic)
+router.post(
+  "/clinic-context",
+  protect,
+  [
+    body("clinicId")
+      .custom((value) => value === null || Number.isInteger(Number(value)))
+      .withMessage("Clinic ID must be an integer or null"),
+  ],
+  validate,
+  ClinicContextController.switchClinic,
+)
+
 // Protected route to get current user
-router.get("/me", protect, async (req, res) => {
+router.get("/me", protectPendingMfa, async (req, res) => {
   try {
-    let clinic_id = req.user.clinic_id;
-    // If user is clinic_admin or lab_admin and clinic_id is not set, fetch from admin_clinics
-    if ((req.user.role === "clinic_admin" || req.user.role === "lab_admin") && !clinic_id) {
-      const result = await pool.query(
-        "SELECT clinic_id FROM admin_clinics WHERE admin_id = $1 LIMIT 1",
-        [req.user.id]
-      );
-      if (result.rows.length > 0) {
-        clinic_id = result.rows[0].clinic_id;
-      }
-    }
     res.json({
       success: true,
       user: {
@@ -91,8 +214,18 @@ router.get("/me", protect, async (req, res) => {
         email: req.user.email,
         full_name: req.user.full_name,
         role: req.user.role,
-        clinic_id,
+        clinic_id: req.user.clinic_id || null,
+        clinic_ids: req.user.clinicIds || [],
         phone: req.user.phone,
+        email_verified: Boolean(req.user.email_verified_at),
+        phone_verified: Boolean(req.user.phone_verified_at),
+        verified: req.user.verified,
+        acting_for: req.user.dependent
+          ? { id: req.user.dependent.id, full_name: req.user.dependent.full_name, permissions: req.user.dependent.permissions }
+          : null,
+        impersonated_by: req.user.impersonation
+          ? { id: req.user.impersonation.adminId, full_name: req.user.impersonation.adminName }
+          : null,
       },
     });
   } catch (error) {
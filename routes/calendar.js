@@ -0,0 +1,28 @@
+/**
+ * Calendar Routes
+ * ICS subscription feeds of doctors' schedules and patients' appointments
+ */
+const express = require("express")
+const router = express.Router()
+const CalendarController = require("../controllers/calendarController")
+const { param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, role, denyWhileImpersonating } = require("../middleware/auth")
+const { publicLimiter } = require("../middleware/rateLimit")
+
+// Fetched by calendar apps (public, the token is the credential)
+router.get(
+  "/feed/:token.ics",
+  publicLimiter,
+  [param("token").isHexadecimal().isLength({ min: 32, max: 128 }).withMessage("Invalid feed URL")],
+  validate,
+  CalendarController.serveFeed,
+)
+
+router.use(protect)
+
+router.get("/feed", CalendarController.getFeed)
+router.post("/feed", role(["doctor", "patient"]), denyWhileImpersonating, CalendarController.createFeed)
+router.delete("/feed", denyWhileImpersonating, CalendarController.revokeFeed)
+
+module.exports = router
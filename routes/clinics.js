@@ -6,12 +6,17 @@
 
 const express = require("express")
 const router = express.Router()
-const { protect, role } = require("../middleware/auth")
+const { protect, can } = require("../middleware/auth")
 const ClinicController = require("../controllers/clinicController")
 const AppointmentController = require("../controllers/appointmentController")
-const { body, query, validationResult } = require("express-validator")
+const InvitationController = require("../controllers/invitationController")
+const InvitationService = require("../services/invitationService")
+const { body, param, query, validationResult } = require("express-validator")
 const { pool } = require("../config/database")
 
+// Permission check scoped to the clinic in the :id param
+const canInClinic = (...permissions) => can(...permissions, { clinicParam: "id" })
+
 // Validation middleware
 const validate = (req, res, next) => {
   const errors = validationResult(req)
@@ -33,7 +38,7 @@ router.get("/", ClinicController.getAllClinics)
 // Create a new clinic
 router.post(
   "/",
-  role(["platform_admin", "clinic_admin"]),
+  can("clinics:create"),
   [
     body("name").notEmpty().withMessage("Clinic name is required"),
     body("address").notEmpty().withMessage("Address is required"),
@@ -51,7 +56,7 @@ router.get("/:id", ClinicController.getClinic)
 // Update clinic
 router.put(
   "/:id",
-  role(["platform_admin", "clinic_admin"]),
+  canInClinic("clinics:update"),
   [
     body("name").optional().notEmpty().withMessage("Clinic name cannot be empty"),
     body("phone").optional().isMobilePhone().withMessage("Invalid phone number"),
@@ -63,49 +68,82 @@ router.put(
 )
 
 // Delete clinic
-router.delete("/:id", role(["platform_admin", "clinic_admin"]), ClinicController.deleteClinic)
+router.delete("/:id", canInClinic("clinics:delete"), ClinicController.deleteClinic)
 
 // Get clinic staff
-router.get("/:id/staff", role(["platform_admin", "clinic_admin", "lab_admin"]), ClinicController.getClinicStaff)
+router.get("/:id/staff", canInClinic("clinics:staff:read"), ClinicController.getClinicStaff)
 
 // Get individual staff member details
-router.get("/:id/staff/:staffId", role(["platform_admin", "clinic_admin", "lab_admin"]), ClinicController.getStaffMember)
+router.get("/:id/staff/:staffId", canInClinic("clinics:staff:read"), ClinicController.getStaffMember)
 
 // Update staff member status
-router.patch("/:id/staff/:staffId", role(["platform_admin", "clinic_admin"]), ClinicController.updateStaffStatus)
+router.patch("/:id/staff/:staffId", canInClinic("clinics:staff:manage"), ClinicController.updateStaffStatus)
 
 // Get staff member schedule
-router.get("/:id/staff/:staffId/schedule", role(["platform_admin", "clinic_admin", "lab_admin"]), ClinicController.getStaffSchedule)
+router.get("/:id/staff/:staffId/schedule", canInClinic("clinics:staff:read"), ClinicController.getStaffSchedule)
 
 // Update staff member schedule
-router.put("/:id/staff/:staffId/schedule", role(["platform_admin", "clinic_admin"]), ClinicController.updateStaffSchedule)
+router.put("/:id/staff/:staffId/schedule", canInClinic("clinics:staff:manage"), ClinicController.updateStaffSchedule)
 
 // Remove staff member from clinic
-router.delete("/:id/staff/:staffId", role(["platform_admin", "clinic_admin"]), ClinicController.removeStaffMember)
+router.delete("/:id/staff/:staffId", canInClinic("clinics:staff:manage"), ClinicController.removeStaffMember)
 
 // Add clinic appointments stats route
 router.get(
   "/:id/appointments/stats",
-  role(["clinic_admin", "platform_admin"]),
+  canInClinic("clinics:stats:read"),
   AppointmentController.getClinicStatsByClinicId,
 )
 
 // Add clinic stats route for dashboard
 router.get(
   "/:id/stats",
-  role(["clinic_admin", "platform_admin"]),
+  canInClinic("clinics:stats:read"),
   AppointmentController.getClinicStatsByClinicId,
 )
 
 // Staff association routes
-router.post("/:clinicId/doctors", role(["platform_admin", "clinic_admin"]), ClinicController.addDoctor)
-router.post("/:clinicId/nurses", role(["platform_admin", "clinic_admin"]), ClinicController.addNurse)
-router.post("/:clinicId/labs", role(["platform_admin", "clinic_admin"]), ClinicController.addLab)
-router.post("/:clinicId/patients", role(["platform_admin", "clinic_admin"]), ClinicController.addPatient)
-router.post("/:clinicId/admins", role(["platform_admin"]), ClinicController.addAdmin)
+router.post("/:clinicId/doctors", can("clinics:staff:manage"), ClinicController.addDoctor)
+router.post("/:clinicId/nurses", can("clinics:staff:manage"), ClinicController.addNurse)
+router.post("/:clinicId/labs", can("clinics:staff:manage"), ClinicController.addLab)
+router.post("/:clinicId/patients", can("clinics:staff:manage"), ClinicController.addPatient)
+router.post("/:clinicId/admins", can("clinics:admins:manage"), ClinicController.addAdmin)
+
+const invitationIdValidation = param("invitationId").isInt().withMessage("Invitation ID must be an integer")
+
+// Staff invitations (inviting clinic_admin or lab_admin also needs clinics:admins:manage)
+router.get("/:clinicId/invitations", can("clinics:staff:manage"), InvitationController.getInvitations)
+router.post(
+  "/:clinicId/invitations",
+  can("clinics:staff:manage"),
+  [
+    body("email").optional().isEmail().withMessage("Valid email required"),
+    body("phone").optional().isString().notEmpty().withMessage("Phone must be a string"),
+    body().custom((value) => Boolean(value.email || value.phone)).withMessage("Email or phone is required"),
+    body("role")
+      .isIn(InvitationService.INVITABLE_ROLES)
+      .withMessage(`Role must be one of: ${InvitationService.INVITABLE_ROLES.join(", ")}`),
+  ],
+  validate,
+  InvitationController.createInvitation,
+)
+router.post(
+  "/:clinicId/invitations/:invitationId/resend",
+  can("clinics:staff:manage"),
+  [invitationIdValidation],
+  validate,
+  InvitationController.resendInvitation,
+)
+router.delete(
+  "/:clinicId/invitations/:invitationId",
+  can("clinics:staff:manage"),
+  [invitationIdValidation],
+  validate,
+  InvitationController.revokeInvitation,
+)
 
 // Get clinic staff stats
-router.get("/:id/staff/stats", role(["platform_admin", "clinic_admin", "lab_admin"]), async (req, res) => {
+router.get("/:id/staff/stats", canInClinic("clinics:staff:read"), async (req, res) => {
   try {
     const { id } = req.params
     console.log(`[Clinic Routes] Getting staff stats for clinic ${id}`)
@@ -188,7 +226,7 @@ router.get("/:id/staff/stats", role(["platform_admin", "clinic_admin", "lab_admi
 })
 
 // Get clinic activity
-router.get("/:id/activity", role(["platform_admin", "clinic_admin", "lab_admin"]), async (req, res) => {
+router.get("/:id/activity", canInClinic("clinics:staff:read"), async (req, res) => {
   try {
     const { id } = req.params
     const { limit = 10 } = req.query
@@ -235,7 +273,7 @@ router.get("/:id/activity", role(["platform_admin", "clinic_admin", "lab_admin"]
 // @access Private (clinic_admin, platform_admin)
 router.get(
   "/:id/settings",
-  role(["platform_admin", "clinic_admin"]),
+  canInClinic("clinics:settings:read"),
   async (req, res) => {
     const { id } = req.params
     try {
@@ -0,0 +1,88 @@
+/**
+ * Consent Routes
+ * Patient consent for sharing the medical record with clinics
+ */
+const express = require("express")
+const router = express.Router()
+const ConsentController = require("../controllers/consentController")
+const ConsentService = require("../services/consentService")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, role, can, forPatient } = require("../middleware/auth")
+
+router.use(protect)
+
+// Consents of the patient (or of a family member with X-Patient-Id)
+router.get("/", role(["patient"]), forPatient("profile:manage"), ConsentController.getConsents)
+router.post(
+  "/",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [
+    body("scope")
+      .isIn(ConsentService.CONSENT_SCOPES)
+      .withMessage(`Scope must be one of: ${ConsentService.CONSENT_SCOPES.join(", ")}`),
+    body("clinicId").if(body("scope").equals("clinic")).isInt().withMessage("Clinic ID is required for clinic consent"),
+    body("expiresAt").optional().isISO8601().withMessage("Expiry must be a valid date"),
+    body("note").optional().isString().isLength({ max: 500 }).withMessage("Note must be at most 500 characters"),
+  ],
+  validate,
+  ConsentController.grantConsent,
+)
+router.delete(
+  "/:consentId",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [
+    param("consentId").isInt().withMessage("Consent ID must be an integer"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason must be at most 500 characters"),
+  ],
+  validate,
+  ConsentController.revokeConsent,
+)
+
+// Requests from clinics, answered by the patient
+router.get(
+  "/requests",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [query("status").optional().isIn(["pending", "approved", "declined", "cancelled"]).withMessage("Invalid status")],
+  validate,
+  ConsentController.getRequests,
+)
+router.post(
+  "/requests/:requestId/respond",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [
+    param("requestId").isInt().withMessage("Request ID must be an integer"),
+    body("decision").isIn(["approve", "decline"]).withMessage("Decision must be approve or decline"),
+  ],
+  validate,
+  ConsentController.respondToRequest,
+)
+
+// Staff of the active clinic ask for consent and check what they may see
+router.post(
+  "/requests",
+  can("consents:request"),
+  [
+    body("patientId").isInt().withMessage("Patient ID must be an integer"),
+    body("scope")
+      .optional()
+      .isIn(ConsentService.REQUESTABLE_SCOPES)
+      .withMessage(`Scope must be one of: ${ConsentService.REQUESTABLE_SCOPES.join(", ")}`),
+    body("reason").isString().trim().isLength({ min: 1, max: 500 }).withMessage("A reason is required (max 500 characters)"),
+  ],
+  validate,
+  ConsentController.requestConsent,
+)
+router.get(
+  "/status/:patientId",
+  can("consents:request"),
+  [param("patientId").isInt().withMessage("Patient ID must be an integer")],
+  validate,
+  ConsentController.getAccessStatus,
+)
+
+module.exports = router
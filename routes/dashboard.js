@@ -13,8 +13,8 @@ router.use(dashboardLimiter)
 router.get("/platform-admin/stats", protect, role(["platform_admin"]), async (req, res) => {
   try {
     const queries = {
-      totalUsers: "SELECT COUNT(*) as count FROM users",
-      totalClinics: "SELECT COUNT(*) as count FROM clinics",
+      totalUsers: "SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL",
+      totalClinics: "SELECT COUNT(*) as count FROM clinics WHERE deleted_at IS NULL",
       totalAppointments: "SELECT COUNT(*) as count FROM appointments",
       totalMedications: "SELECT COUNT(*) as count FROM medications",
       activeUsers: `SELECT COUNT(DISTINCT user_id) as count FROM refresh_tokens WHERE created_at > NOW() - INTERVAL '15 minutes'`,
@@ -22,18 +22,19 @@ router.get("/platform-admin/stats", protect, role(["platform_admin"]), async (re
         SELECT r.name as role, COUNT(*) as count 
         FROM users u 
         JOIN roles r ON u.role_id = r.id 
+        WHERE u.deleted_at IS NULL
         GROUP BY r.name
       `,
       userGrowth: `
         SELECT TO_CHAR(u.created_at, 'YYYY-MM') as month, COUNT(*) as users
         FROM users u
-        WHERE u.created_at > NOW() - INTERVAL '12 months' 
+        WHERE u.created_at > NOW() - INTERVAL '12 months' AND u.deleted_at IS NULL
         GROUP BY month ORDER BY month
       `,
       clinicGrowth: `
         SELECT TO_CHAR(created_at, 'YYYY-MM') as month, COUNT(*) as clinics
         FROM clinics 
-        WHERE created_at > NOW() - INTERVAL '12 months' 
+        WHERE created_at > NOW() - INTERVAL '12 months' AND deleted_at IS NULL
         GROUP BY month ORDER BY month
       `,
       recentActivity: `
@@ -182,7 +183,7 @@ router.get("/doctor/stats", protect, role(["doctor"]), async (req, res) => {
     // Get recent prescriptions (last 30 days)
     const recentPrescriptionsResult = await pool.query(
       `SELECT COUNT(*) as count FROM prescriptions p
-       WHERE p.doctor_id = $1 AND p.created_at >= NOW() - INTERVAL '30 days'`,
+       WHERE p.doctor_id = $1 AND p.created_at >= NOW() - INTERVAL '30 days' AND p.deleted_at IS NULL`,
       [doctorId],
     )
 
@@ -219,15 +220,8 @@ router.get("/clinic-admin/stats", protect, role(["clinic_admin"]), async (req, r
     // Implementation for clinic admin stats
     const adminId = req.user.id
 
-    // Get clinics managed by this admin
-    const clinicsResult = await pool.query(
-      `SELECT c.id FROM clinics c
-       JOIN clinic_admins ca ON c.id = ca.clinic_id
-       WHERE ca.admin_id = $1`,
-      [adminId],
-    )
-
-    const clinicIds = clinicsResult.rows.map((row) => row.id)
+    // Stats cover the active clinic, or every managed clinic with ?scope=all
+    const clinicIds = req.query.scope === "all" ? req.user.clinicIds : [req.user.clinic_id].filter(Boolean)
 
     if (clinicIds.length === 0) {
       return res.json({
@@ -242,42 +236,40 @@ router.get("/clinic-admin/stats", protect, role(["clinic_admin"]), async (req, r
       })
     }
 
-    const clinicIdsStr = clinicIds.map((_, i) => `$${i + 2}`).join(",")
-
     // Get total appointments for managed clinics
     const totalAppointmentsResult = await pool.query(
       `SELECT COUNT(*) as count FROM appointments a
-       WHERE a.clinic_id IN (${clinicIdsStr})`,
-      [adminId, ...clinicIds],
+       WHERE a.clinic_id = ANY($1::int[])`,
+      [clinicIds],
     )
 
     // Get today's appointments
     const todayAppointmentsResult = await pool.query(
       `SELECT COUNT(*) as count FROM appointments a
        JOIN availability_slots s ON a.slot_id = s.id
-       WHERE a.clinic_id IN (${clinicIdsStr}) AND DATE(s.start_time) = CURRENT_DATE`,
-      [adminId, ...clinicIds],
+       WHERE a.clinic_id = ANY($1::int[]) AND DATE(s.start_time) = CURRENT_DATE`,
+      [clinicIds],
     )
 
     // Get total doctors in managed clinics
     const totalDoctorsResult = await pool.query(
       `SELECT COUNT(DISTINCT dc.doctor_id) as count FROM doctor_clinics dc
-       WHERE dc.clinic_id IN (${clinicIdsStr})`,
-      [adminId, ...clinicIds],
+       WHERE dc.clinic_id = ANY($1::int[])`,
+      [clinicIds],
     )
 
     // Get total patients in managed clinics
     const totalPatientsResult = await pool.query(
       `SELECT COUNT(DISTINCT a.patient_id) as count FROM appointments a
-       WHERE a.clinic_id IN (${clinicIdsStr})`,
-      [adminId, ...clinicIds],
+       WHERE a.clinic_id = ANY($1::int[])`,
+      [clinicIds],
     )
 
     // Get pending appointments
     const pendingAppointmentsResult = await pool.query(
       `SELECT COUNT(*) as count FROM appointments a
-       WHERE a.clinic_id IN (${clinicIdsStr}) AND a.status = 'pending'`,
-      [adminId, ...clinicIds],
+       WHERE a.clinic_id = ANY($1::int[]) AND a.status = 'pending'`,
+      [clinicIds],
     )
 
     const dashboardData = {
@@ -416,7 +408,7 @@ router.get("/patient/stats", protect, role(["patient"]), async (req, res) => {
     // Get active prescriptions
     const activePrescriptionsResult = await pool.query(
       `SELECT COUNT(*) as count FROM prescriptions p
-       WHERE p.patient_id = $1 AND p.status = 'active'`,
+       WHERE p.patient_id = $1 AND p.status = 'active' AND p.deleted_at IS NULL`,
       [patientId],
     )
 
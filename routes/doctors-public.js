@@ -13,7 +13,7 @@ const logger = require("../middleware/logger")
 router.get("/", protect, async (req, res) => {
   try {
     const result = await pool.query(
-      "SELECT u.id, u.full_name, u.email, dp.specialty, dp.years_experience, dp.available_for_telemedicine FROM users u JOIN roles r ON u.role_id = r.id LEFT JOIN doctor_portfolios dp ON u.id = dp.doctor_id WHERE r.name = 'doctor' ORDER BY u.full_name",
+      "SELECT u.id, u.full_name, u.email, dp.specialty, dp.years_experience, dp.available_for_telemedicine FROM users u JOIN roles r ON u.role_id = r.id LEFT JOIN doctor_portfolios dp ON u.id = dp.doctor_id WHERE r.name = 'doctor' AND u.deleted_at IS NULL ORDER BY u.full_name",
     )
     logger.info("All doctors retrieved (public endpoint)")
     res.status(200).json(result.rows)
@@ -0,0 +1,106 @@
+/**
+ * Family Routes
+ * Guardianship of children and delegated access between patients
+ */
+const express = require("express")
+const router = express.Router()
+const FamilyController = require("../controllers/familyController")
+const DelegationService = require("../services/delegationService")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, role, can, denyWhileImpersonating } = require("../middleware/auth")
+
+router.use(protect)
+
+const relationshipValidation = body("relationship")
+  .isIn(DelegationService.RELATIONSHIPS)
+  .withMessage(`Relationship must be one of: ${DelegationService.RELATIONSHIPS.join(", ")}`)
+
+const permissionListValidation = [
+  body("permissions").isArray({ min: 1 }).withMessage("Permissions must be a non-empty array"),
+  body("permissions.*").isString().withMessage("Permissions must be strings"),
+]
+
+router.get("/options", FamilyController.getOptions)
+
+// Family members the current patient acts for
+router.get("/dependents", role(["patient"]), FamilyController.getDependents)
+router.post(
+  "/dependents",
+  role(["patient"]),
+  denyWhileImpersonating,
+  [
+    body("full_name").isString().notEmpty().withMessage("Full name is required"),
+    body("date_of_birth").isISO8601().withMessage("Date of birth must be a valid ISO date"),
+    body("gender").optional().isString().withMessage("Gender must be a string"),
+    body("email").optional().isEmail().withMessage("Valid email required"),
+    body("phone").optional().isString().withMessage("Phone must be a string"),
+    relationshipValidation,
+  ],
+  validate,
+  FamilyController.createDependent,
+)
+router.delete(
+  "/dependents/:dependentId",
+  role(["patient"]),
+  denyWhileImpersonating,
+  [param("dependentId").isInt().withMessage("Dependent ID must be an integer")],
+  validate,
+  FamilyController.removeDependent,
+)
+
+// People who may act for the current patient
+router.get("/guardians", role(["patient"]), FamilyController.getGuardians)
+router.post(
+  "/guardians",
+  role(["patient"]),
+  denyWhileImpersonating,
+  [
+    body("email").if(body("phone").not().exists()).isEmail().withMessage("Email or phone is required"),
+    body("phone").optional().isString().withMessage("Phone must be a string"),
+    relationshipValidation,
+    ...permissionListValidation,
+  ],
+  validate,
+  FamilyController.addGuardian,
+)
+router.put(
+  "/guardians/:delegationId",
+  role(["patient"]),
+  denyWhileImpersonating,
+  [param("delegationId").isInt().withMessage("Delegation ID must be an integer"), ...permissionListValidation],
+  validate,
+  FamilyController.updateGuardian,
+)
+router.delete(
+  "/guardians/:delegationId",
+  role(["patient"]),
+  denyWhileImpersonating,
+  [param("delegationId").isInt().withMessage("Delegation ID must be an integer")],
+  validate,
+  FamilyController.removeGuardian,
+)
+
+// Support: link existing accounts (e.g. a child registered at a clinic) and end guardianships
+router.post(
+  "/links",
+  can("users:manage"),
+  [
+    body("guardianId").isInt().withMessage("Guardian ID must be an integer"),
+    body("dependentId").isInt().withMessage("Dependent ID must be an integer"),
+    body("kind").optional().isIn(["minor", "delegated"]).withMessage("Kind must be minor or delegated"),
+    body("permissions").optional().isArray().withMessage("Permissions must be an array"),
+    relationshipValidation,
+  ],
+  validate,
+  FamilyController.createLink,
+)
+router.delete(
+  "/links/:delegationId",
+  can("users:manage"),
+  [param("delegationId").isInt().withMessage("Delegation ID must be an integer")],
+  validate,
+  FamilyController.endLink,
+)
+
+module.exports = router
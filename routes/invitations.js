@@ -0,0 +1,37 @@
+/**
+ * Invitation Routes
+ * Accepting a clinic invitation from its tokenized link
+ */
+const express = require("express")
+const router = express.Router()
+const InvitationController = require("../controllers/invitationController")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect } = require("../middleware/auth")
+const { authLimiter } = require("../middleware/rateLimit")
+
+const tokenValidation = param("token").isHexadecimal().isLength({ min: 32, max: 128 }).withMessage("Invalid invitation link")
+
+// What the invitation is for (public, the token is the credential)
+router.get("/:token", authLimiter, [tokenValidation], validate, InvitationController.previewInvitation)
+
+// Create an account from the invitation
+router.post(
+  "/:token/register",
+  authLimiter,
+  [
+    tokenValidation,
+    body("full_name").notEmpty().withMessage("Full name required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+    body("email").optional().isEmail().withMessage("Valid email required"),
+    body("phone").optional().isString().withMessage("Phone must be a string"),
+    body("deviceName").optional().isString().isLength({ max: 100 }).withMessage("Device name too long"),
+  ],
+  validate,
+  InvitationController.register,
+)
+
+// Accept with the signed-in account
+router.post("/:token/accept", protect, [tokenValidation], validate, InvitationController.accept)
+
+module.exports = router
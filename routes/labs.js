@@ -2,7 +2,9 @@ const express = require("express")
 const router = express.Router()
 const { pool } = require("../config/database")
 const logger = require("../middleware/logger")
-const { protect } = require("../middleware/auth")
+const { protect, can } = require("../middleware/auth")
+const { auditPhi, fromBody, fromRecord } = require("../middleware/audit")
+const { requireConsent } = require("../middleware/consent")
 
 // @route   GET api/labs/results
 // @desc    Get lab results for the authenticated patient
@@ -39,10 +41,12 @@ router.get("/results", protect, async (req, res) => {
 
 // @route   GET api/labs/results/:patientId
 // @desc    Get lab results for a specific patient
-// @access  Private
-router.get("/results/:patientId", protect, async (req, res) => {
+// @access  Private (labs:results:read)
+router.get("/results/:patientId", protect, auditPhi("lab_result"), can("labs:results:read"), requireConsent(), async (req, res) => {
   try {
     const { patientId } = req.params
+    // API keys restricted to a clinic only see that lab's results
+    const labClinicId = req.user.apiKey ? req.user.apiKey.clinicId : null
 
     const result = await pool.query(
       `SELECT lr.*, u.full_name as patient_name, d.full_name as doctor_name, c.name as clinic_name
@@ -51,8 +55,9 @@ router.get("/results/:patientId", protect, async (req, res) => {
        JOIN users d ON lr.doctor_id = d.id
        JOIN clinics c ON lr.lab_clinic_id = c.id
        WHERE lr.patient_id = $1 AND lr.result_file IS NOT NULL
+         ${labClinicId ? "AND lr.lab_clinic_id = $2" : ""}
        ORDER BY lr.updated_at DESC`,
-      [patientId],
+      labClinicId ? [patientId, labClinicId] : [patientId],
     )
 
     res.json(result.rows)
@@ -64,17 +69,9 @@ router.get("/results/:patientId", protect, async (req, res) => {
 
 // @route   GET api/labs/staff
 // @desc    Get lab staff for the authenticated lab admin
-// @access  Private (Lab Admin only)
-router.get("/staff", protect, async (req, res) => {
+// @access  Private (labs:staff:read)
+router.get("/staff", protect, can("labs:staff:read"), async (req, res) => {
   try {
-    // Check if user is a lab admin
-    if (req.user.role !== "lab_admin" && req.user.role !== "platform_admin" && req.user.role !== "clinic_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab admins can view lab staff." 
-      })
-    }
-
     const adminId = req.user.id
 
     // First, get the clinics this admin is associated with
@@ -207,17 +204,9 @@ router.get("/staff", protect, async (req, res) => {
 
 // @route   GET api/labs/requests
 // @desc    Get lab requests for the authenticated lab technician
-// @access  Private (Lab Tech only)
-router.get("/requests", protect, async (req, res) => {
+// @access  Private (labs:requests:read)
+router.get("/requests", protect, can("labs:requests:read"), async (req, res) => {
   try {
-    // Check if user is a lab tech or lab admin
-    if (req.user.role !== "lab_tech" && req.user.role !== "lab_admin" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab technicians and admins can view lab requests." 
-      })
-    }
-
     const userId = req.user.id
     const { status } = req.query
 
@@ -300,8 +289,38 @@ router.get("/requests", protect, async (req, res) => {
       queryParams = normalizedStatus 
         ? [userId, normalizedStatus] 
         : [userId]
+    } else if (req.user.apiKey && req.user.clinic_id) {
+      // API keys see the requests of the lab they act for
+      requestsQuery = `
+        SELECT 
+          lr.id,
+          lr.patient_id,
+          p.full_name as patient_name,
+          lr.doctor_id,
+          d.full_name as doctor_name,
+          lr.lab_clinic_id,
+          c.name as lab_name,
+          lr.tests,
+          lr.priority,
+          lr.notes as special_instructions,
+          lr.status,
+          lr.created_at,
+          lr.updated_at
+        FROM lab_requests lr
+        JOIN users p ON lr.patient_id = p.id
+        JOIN users d ON lr.doctor_id = d.id
+        JOIN clinics c ON lr.lab_clinic_id = c.id
+        WHERE 
+          lr.lab_clinic_id = $1 
+          ${normalizedStatus ? 'AND lr.status = $2' : ''}
+        ORDER BY lr.priority DESC, lr.created_at DESC
+      `
+
+      queryParams = normalizedStatus 
+        ? [req.user.clinic_id, normalizedStatus] 
+        : [req.user.clinic_id]
     } else {
-      // Platform admin can see all requests
+      // Platform admin (and unrestricted API keys) can see all requests
       requestsQuery = `
         SELECT 
           lr.id,
@@ -372,22 +391,13 @@ router.get("/requests", protect, async (req, res) => {
 
 // @route   POST api/labs/requests
 // @desc    Create a new lab request
-// @access  Private (Doctor only)
-router.post("/requests", protect, async (req, res) => {
+// @access  Private (labs:requests:create)
+router.post("/requests", protect, auditPhi("lab_request", { action: "create", patient: fromBody("patient_id") }), can("labs:requests:create"), async (req, res) => {
   try {
     // Log the entire request body for debugging
     logger.info(`Received lab request body: ${JSON.stringify(req.body)}`)
     logger.info(`Authenticated user: ${JSON.stringify(req.user)}`)
 
-    // Check if user is a doctor
-    if (req.user.role !== "doctor") {
-      logger.warn(`Unauthorized lab request attempt by user with role: ${req.user.role}`)
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only doctors can create lab requests." 
-      })
-    }
-
     const {
       patient_id,
       test_type,
@@ -479,17 +489,9 @@ router.post("/requests", protect, async (req, res) => {
 
 // @route   POST api/labs/requests/:id/results
 // @desc    Upload results for a lab request
-// @access  Private (Lab Tech only)
-router.post("/requests/:id/results", protect, async (req, res) => {
+// @access  Private (labs:results:write)
+router.post("/requests/:id/results", protect, auditPhi("lab_result", { action: "create", patient: fromRecord("lab_requests"), resourceParam: "id" }), can("labs:results:write"), async (req, res) => {
   try {
-    // Check if user is a lab tech or lab admin
-    if (req.user.role !== "lab_tech" && req.user.role !== "lab_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab technicians and admins can upload results." 
-      })
-    }
-
     const requestId = req.params.id
     const technicianId = req.user.id
     const { 
@@ -502,12 +504,20 @@ router.post("/requests/:id/results", protect, async (req, res) => {
     } = req.body
 
     // Check if request exists and belongs to a clinic the technician is associated with
-    const requestQuery = `
+    let requestQuery = `
       SELECT lr.* FROM lab_requests lr
       JOIN lab_clinics lc ON lr.lab_clinic_id = lc.clinic_id
       WHERE lr.id = $1 AND (lc.lab_id = $2 OR lr.assigned_technician_id = $2)
     `
-    const requestResult = await pool.query(requestQuery, [requestId, technicianId])
+    let requestParams = [requestId, technicianId]
+
+    // API keys may upload for their own lab, or any lab when the key has no clinic restriction
+    if (req.user.apiKey) {
+      requestQuery = `SELECT lr.* FROM lab_requests lr WHERE lr.id = $1 AND ($2::int IS NULL OR lr.lab_clinic_id = $2)`
+      requestParams = [requestId, req.user.apiKey.clinicId]
+    }
+
+    const requestResult = await pool.query(requestQuery, requestParams)
     
     if (requestResult.rows.length === 0) {
       return res.status(404).json({
@@ -568,17 +578,9 @@ router.post("/requests/:id/results", protect, async (req, res) => {
 
 // @route   PUT api/labs/requests/:id/assign
 // @desc    Assign a lab request to a technician
-// @access  Private (Lab Admin only)
-router.put("/requests/:id/assign", protect, async (req, res) => {
+// @access  Private (labs:requests:assign)
+router.put("/requests/:id/assign", protect, can("labs:requests:assign"), async (req, res) => {
   try {
-    // Check if user is a lab admin
-    if (req.user.role !== "lab_admin" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab admins can assign requests." 
-      })
-    }
-
     const requestId = req.params.id
     const { technician_id } = req.body
     
@@ -642,17 +644,9 @@ router.put("/requests/:id/assign", protect, async (req, res) => {
 
 // @route   PUT api/labs/requests/:id/status
 // @desc    Update lab request status
-// @access  Private (Lab Tech and Lab Admin)
-router.put("/requests/:id/status", protect, async (req, res) => {
+// @access  Private (labs:requests:update_status)
+router.put("/requests/:id/status", protect, can("labs:requests:update_status"), async (req, res) => {
   try {
-    // Check if user is a lab tech or lab admin
-    if (req.user.role !== "lab_tech" && req.user.role !== "lab_admin" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab technicians and admins can update request status." 
-      })
-    }
-
     const requestId = req.params.id
     const userId = req.user.id
     const { status } = req.body
@@ -674,6 +668,9 @@ router.put("/requests/:id/status", protect, async (req, res) => {
         WHERE lr.id = $1 AND (lr.assigned_technician_id = $2 OR lr.assigned_technician_id IS NULL)
       `
       queryParams = [requestId, userId]
+    } else if (req.user.apiKey && req.user.apiKey.clinicId) {
+      requestQuery = `SELECT * FROM lab_requests WHERE id = $1 AND lab_clinic_id = $2`
+      queryParams = [requestId, req.user.apiKey.clinicId]
     } else {
       requestQuery = `SELECT * FROM lab_requests WHERE id = $1`
       queryParams = [requestId]
@@ -721,22 +718,15 @@ router.put("/requests/:id/status", protect, async (req, res) => {
 
 // @route   GET api/labs/equipment
 // @desc    Get all equipment for a lab
-// @access  Private (Lab Admin/Tech only)
-router.get("/equipment", protect, async (req, res) => {
+// @access  Private (labs:equipment:read)
+router.get("/equipment", protect, can("labs:equipment:read"), async (req, res) => {
   try {
-    if (req.user.role !== "lab_admin" && req.user.role !== "lab_tech" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab staff can view equipment." 
-      })
-    }
-
     const userId = req.user.id
     let clinicIds = []
 
     // Get associated clinics
     if (req.user.role === "platform_admin") {
-      const clinicsResult = await pool.query("SELECT id FROM clinics")
+      const clinicsResult = await pool.query("SELECT id FROM clinics WHERE deleted_at IS NULL")
       clinicIds = clinicsResult.rows.map(row => row.id)
     } else {
       const clinicsQuery = `
@@ -744,7 +734,7 @@ router.get("/equipment", protect, async (req, res) => {
         FROM clinics c
         LEFT JOIN lab_clinics lc ON c.id = lc.clinic_id
         LEFT JOIN admin_clinics ac ON c.id = ac.clinic_id
-        WHERE lc.lab_id = $1 OR ac.admin_id = $1
+        WHERE (lc.lab_id = $1 OR ac.admin_id = $1) AND c.deleted_at IS NULL
       `
       const clinicsResult = await pool.query(clinicsQuery, [userId])
       clinicIds = clinicsResult.rows.map(row => row.id)
@@ -796,16 +786,9 @@ router.get("/equipment", protect, async (req, res) => {
 
 // @route   POST api/labs/equipment
 // @desc    Add new equipment
-// @access  Private (Lab Admin only)
-router.post("/equipment", protect, async (req, res) => {
+// @access  Private (labs:equipment:manage)
+router.post("/equipment", protect, can("labs:equipment:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "lab_admin" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab admins can add equipment." 
-      })
-    }
-
     const {
       clinic_id,
       name,
@@ -843,16 +826,9 @@ router.post("/equipment", protect, async (req, res) => {
 
 // @route   PUT api/labs/equipment/:id
 // @desc    Update equipment
-// @access  Private (Lab Admin only)
-router.put("/equipment/:id", protect, async (req, res) => {
+// @access  Private (labs:equipment:manage)
+router.put("/equipment/:id", protect, can("labs:equipment:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "lab_admin" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab admins can update equipment." 
-      })
-    }
-
     const { id } = req.params
     const {
       name,
@@ -900,16 +876,9 @@ router.put("/equipment/:id", protect, async (req, res) => {
 
 // @route   POST api/labs/equipment/:id/maintenance
 // @desc    Add maintenance record for equipment
-// @access  Private (Lab Admin/Tech only)
-router.post("/equipment/:id/maintenance", protect, async (req, res) => {
+// @access  Private (labs:equipment:maintenance)
+router.post("/equipment/:id/maintenance", protect, can("labs:equipment:maintenance"), async (req, res) => {
   try {
-    if (req.user.role !== "lab_admin" && req.user.role !== "lab_tech" && req.user.role !== "platform_admin") {
-      return res.status(403).json({ 
-        success: false,
-        error: "Access denied. Only lab staff can add maintenance records." 
-      })
-    }
-
     const { id } = req.params
     const {
       maintenance_type,
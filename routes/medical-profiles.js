@@ -4,11 +4,16 @@ const PatientMedicalProfileController = require("../controllers/patientMedicalPr
 const { protect, role } = require("../middleware/auth")
 const { body, param } = require("express-validator")
 const { validate } = require("../middleware/validator")
+const { auditPhi } = require("../middleware/audit")
+
+// Without an ID the routes act on the caller's own profile
+const profilePatient = (req) => req.params.id || req.user.id
 
 // Get patient's medical profile
 router.get(
   "/:id?",
   protect,
+  auditPhi("medical_profile", { patient: profilePatient }),
   [param("id").optional().isInt().withMessage("Patient ID must be an integer")],
   validate,
   PatientMedicalProfileController.getProfile,
@@ -18,6 +23,7 @@ router.get(
 router.put(
   "/:id?",
   protect,
+  auditPhi("medical_profile", { action: "update", patient: profilePatient }),
   [
     param("id").optional().isInt().withMessage("Patient ID must be an integer"),
     body("medicalHistory").optional().isString().withMessage("Medical history must be a string"),
@@ -40,6 +46,7 @@ router.put(
 router.post(
   "/:id?",
   protect,
+  auditPhi("medical_profile", { action: "update", patient: profilePatient }),
   [
     param("id").optional().isInt().withMessage("Patient ID must be an integer"),
     body("medicalHistory").optional().isString().withMessage("Medical history must be a string"),
@@ -62,6 +69,7 @@ router.post(
 router.delete(
   "/:id?",
   protect,
+  auditPhi("medical_profile", { action: "delete", patient: profilePatient }),
   role(["patient", "doctor", "clinic_admin"]),
   [param("id").optional().isInt().withMessage("Patient ID must be an integer")],
   validate,
@@ -0,0 +1,57 @@
+/**
+ * No-Show Routes
+ * No-show policy of a clinic and patients' missed appointments
+ */
+const express = require("express")
+const router = express.Router()
+const NoShowController = require("../controllers/noShowController")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can, forPatient } = require("../middleware/auth")
+
+router.use(protect)
+
+const clinicQuery = query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer")
+const optionalThreshold = (field) =>
+  body(field).optional({ nullable: true }).isInt({ min: 1, max: 50 }).withMessage(`${field} must be between 1 and 50, or null`)
+
+// The patient's own history (or a family member's with X-Patient-Id)
+router.get("/me", forPatient("appointments:book"), NoShowController.getMyHistory)
+
+// Clinic admins (platform admins without ?clinicId: the platform default policy)
+router.get("/policy", can("no_shows:manage"), [clinicQuery], validate, NoShowController.getPolicy)
+router.put(
+  "/policy",
+  can("no_shows:manage"),
+  [
+    clinicQuery,
+    body("graceMinutes").optional().isInt({ min: 0, max: 240 }).withMessage("Grace period must be between 0 and 240 minutes"),
+    body("penalty").optional().isIn(["none", "forfeit", "fee"]).withMessage("Penalty must be none, forfeit or fee"),
+    body("feeAmount").optional().isFloat({ min: 0 }).withMessage("Fee amount must be a positive number"),
+    optionalThreshold("prepayAfter"),
+    optionalThreshold("blockAfter"),
+    body("lookbackDays").optional().isInt({ min: 1, max: 730 }).withMessage("Look-back must be between 1 and 730 days"),
+  ],
+  validate,
+  NoShowController.updatePolicy,
+)
+router.get(
+  "/patients/:patientId",
+  can("no_shows:manage"),
+  [param("patientId").isInt().withMessage("Patient ID must be an integer"), clinicQuery],
+  validate,
+  NoShowController.getPatientHistory,
+)
+router.post(
+  "/:id/waive",
+  can("no_shows:manage"),
+  [
+    param("id").isInt().withMessage("No-show ID must be an integer"),
+    clinicQuery,
+    body("reason").isString().trim().isLength({ min: 1, max: 500 }).withMessage("Reason is required (max 500 characters)"),
+  ],
+  validate,
+  NoShowController.waive,
+)
+
+module.exports = router
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireVerified, denyWhileImpersonating, forPatient } = require('../middleware/auth');
 const { pool } = require('../config/database');
 
 // Get patient balance and transaction history
-router.get('/balance', protect, async (req, res) => {
+router.get('/balance', protect, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     
     // Get current balance
     const balanceQuery = await pool.query(
@@ -53,9 +53,9 @@ router.get('/balance', protect, async (req, res) => {
 });
 
 // Get patient payment methods
-router.get('/payment-methods', protect, async (req, res) => {
+router.get('/payment-methods', protect, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     
     const query = await pool.query(
       'SELECT * FROM patient_payment_methods WHERE patient_id = $1 AND is_active = true ORDER BY is_default DESC, created_at DESC',
@@ -76,9 +76,9 @@ router.get('/payment-methods', protect, async (req, res) => {
 });
 
 // Add payment method
-router.post('/payment-methods', protect, async (req, res) => {
+router.post('/payment-methods', protect, denyWhileImpersonating, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     const { type, account_number, account_name, bank_name, branch_code, is_default } = req.body;
     
     // Validate payment method type
@@ -121,9 +121,9 @@ router.post('/payment-methods', protect, async (req, res) => {
 });
 
 // Update payment method
-router.put('/payment-methods/:id', protect, async (req, res) => {
+router.put('/payment-methods/:id', protect, denyWhileImpersonating, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     const methodId = req.params.id;
     const { type, account_number, account_name, bank_name, branch_code, is_default } = req.body;
     
@@ -171,9 +171,9 @@ router.put('/payment-methods/:id', protect, async (req, res) => {
 });
 
 // Delete payment method
-router.delete('/payment-methods/:id', protect, async (req, res) => {
+router.delete('/payment-methods/:id', protect, denyWhileImpersonating, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     const methodId = req.params.id;
     
     const query = await pool.query(
@@ -202,9 +202,9 @@ router.delete('/payment-methods/:id', protect, async (req, res) => {
 });
 
 // Add money to balance
-router.post('/deposit', protect, async (req, res) => {
+router.post('/deposit', protect, denyWhileImpersonating, forPatient('wallet:pay'), requireVerified, async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     const { amount, payment_method, reference_number, description } = req.body;
     
     if (!amount || amount <= 0) {
@@ -259,9 +259,9 @@ router.post('/deposit', protect, async (req, res) => {
 });
 
 // Get transaction history with pagination
-router.get('/transactions', protect, async (req, res) => {
+router.get('/transactions', protect, forPatient('wallet:pay'), async (req, res) => {
   try {
-    const patientId = req.user.id;
+    const patientId = req.patientId;
     const { page = 1, limit = 10, type } = req.query;
     const offset = (page - 1) * limit;
     
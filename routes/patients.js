@@ -1,12 +1,20 @@
 const express = require("express")
 const router = express.Router()
-const { protect, role } = require("../middleware/auth")
+const { protect, role, can, forPatient } = require("../middleware/auth")
+const { auditPhi, fromParam } = require("../middleware/audit")
+const { requireConsent } = require("../middleware/consent")
+const { body, param, query: queryParam } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const DelegationService = require("../services/delegationService")
+const EncryptionService = require("../services/encryptionService")
 const { executeQuery } = require("../utils/dbUtils")
 const logger = require("../middleware/logger")
 const authMiddleware = require("../middleware/auth")
 
 // Make sure to import the controller at the top of the file
 const PatientMedicalProfileController = require("../controllers/patientMedicalProfileController")
+const AccessLogController = require("../controllers/accessLogController")
+const ConsentController = require("../controllers/consentController")
 
 // Add this route before the existing routes - FIXED VERSION
 router.get("/search", protect, async (req, res) => {
@@ -31,7 +39,7 @@ router.get("/search", protect, async (req, res) => {
         LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
         JOIN appointments a ON u.id = a.patient_id
         WHERE a.doctor_id = $1 
-          AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+          AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
           AND (
             LOWER(u.full_name) LIKE LOWER($2) OR
             LOWER(u.email) LIKE LOWER($2) OR
@@ -49,7 +57,7 @@ router.get("/search", protect, async (req, res) => {
                pmp.allergies, pmp.emergency_contact_name, pmp.emergency_contact_phone
         FROM users u
         LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
-        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
           AND (
             LOWER(u.full_name) LIKE LOWER($1) OR
             LOWER(u.email) LIKE LOWER($1) OR
@@ -66,7 +74,7 @@ router.get("/search", protect, async (req, res) => {
     const result = await executeQuery(searchQuery, params)
 
     // Parse JSON fields safely
-    const patients = result.rows.map((patient) => ({
+    const patients = EncryptionService.decryptRows(result.rows, ["allergies"]).map((patient) => ({
       ...patient,
       allergies: patient.allergies
         ? typeof patient.allergies === "string"
@@ -103,7 +111,7 @@ router.get("/", protect, async (req, res) => {
         SELECT DISTINCT u.id, u.full_name, u.email, u.phone, u.created_at
         FROM users u
         JOIN appointments a ON u.id = a.patient_id
-        WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE a.doctor_id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
         ORDER BY u.full_name
       `
       params = [userId]
@@ -112,7 +120,7 @@ router.get("/", protect, async (req, res) => {
       query = `
         SELECT u.id, u.full_name, u.email, u.phone, u.created_at
         FROM users u
-        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+        WHERE u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
         ORDER BY u.full_name
       `
       params = []
@@ -192,9 +200,9 @@ router.post("/", protect, async (req, res) => {
 })
 
 // Get patient profile
-router.get("/profile", protect, async (req, res) => {
+router.get("/profile", protect, forPatient("profile:manage"), async (req, res) => {
   try {
-    const userId = req.user.id
+    const userId = req.patientId
 
     if (req.user.role !== "patient") {
       return res.status(403).json({ error: "Access denied" })
@@ -217,7 +225,7 @@ router.get("/profile", protect, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: result.rows[0],
+      data: EncryptionService.decryptFields(result.rows[0], ["allergies"]),
     })
   } catch (error) {
     logger.error(`Get patient profile error: ${error.message}`)
@@ -230,9 +238,9 @@ router.get("/profile", protect, async (req, res) => {
 })
 
 // Update patient profile
-router.put("/profile", protect, async (req, res) => {
+router.put("/profile", protect, forPatient("profile:manage"), async (req, res) => {
   try {
-    const userId = req.user.id
+    const userId = req.patientId
 
     if (req.user.role !== "patient") {
       return res.status(403).json({ error: "Access denied" })
@@ -284,7 +292,7 @@ router.put("/profile", protect, async (req, res) => {
       emergency_contact_name,
       emergency_contact_phone,
       emergency_contact_relationship,
-      allergies,
+      EncryptionService.encrypt(Array.isArray(allergies) ? JSON.stringify(allergies) : allergies),
       insurance_provider,
       insurance_policy_number,
       blood_type,
@@ -304,10 +312,78 @@ router.put("/profile", protect, async (req, res) => {
   }
 })
 
+// Who accessed the patient's clinical data, and alerts about accesses from outside the care team
+router.get(
+  "/access-log",
+  protect,
+  role(["patient"]),
+  forPatient("records:view"),
+  [
+    queryParam("from").optional().isISO8601().withMessage("From must be a valid date"),
+    queryParam("to").optional().isISO8601().withMessage("To must be a valid date"),
+  ],
+  validate,
+  AccessLogController.getAccessLog,
+)
+router.post(
+  "/access-log/:entryId/report",
+  protect,
+  role(["patient"]),
+  forPatient("records:view"),
+  [
+    param("entryId").isInt().withMessage("Entry ID must be an integer"),
+    body("reason").isString().trim().isLength({ min: 1, max: 1000 }).withMessage("Tell us what looks wrong (max 1000 characters)"),
+  ],
+  validate,
+  AccessLogController.reportAccess,
+)
+router.get("/access-alerts", protect, role(["patient"]), forPatient("profile:manage"), AccessLogController.getAlertSettings)
+router.put(
+  "/access-alerts",
+  protect,
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [body("enabled").isBoolean().withMessage("Enabled must be a boolean")],
+  validate,
+  AccessLogController.updateAlertSettings,
+)
+
+// Emergency data of a patient, available to staff with emergency-only consent
+router.get(
+  "/:id/emergency-data",
+  protect,
+  role(["doctor", "nurse", "clinic_admin", "platform_admin"]),
+  auditPhi("emergency_data", { patient: fromParam("id") }),
+  requireConsent(fromParam("id"), "emergency"),
+  [param("id").isInt().withMessage("Patient ID must be an integer")],
+  validate,
+  ConsentController.getEmergencyData,
+)
+
+// Break the glass: emergency data without consent, with a stated reason, for a limited time
+router.post(
+  "/:id/break-glass",
+  protect,
+  can("emergency:access"),
+  auditPhi("emergency_data", { patient: fromParam("id") }),
+  [
+    param("id").isInt().withMessage("Patient ID must be an integer"),
+    body("reason")
+      .isString()
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("State the reason for the emergency access (10 to 1000 characters)"),
+  ],
+  validate,
+  ConsentController.breakGlass,
+)
+
 // Get patient MHR (Medical Health Record)
 router.get(
   "/:id/mhr",
   authMiddleware.protect,
+  auditPhi("health_record", { patient: fromParam("id") }),
+  requireConsent(fromParam("id")),
   authMiddleware.role(["doctor", "nurse", "clinic_admin", "patient"]),
   async (req, res) => {
     try {
@@ -315,11 +391,11 @@ router.get(
       const userId = req.user.id
       const userRole = req.user.role
 
-      // Check permissions - patients can only view their own MHR
-      if (userRole === "patient" && Number.parseInt(patientId) !== userId) {
+      // Check permissions - patients can only view their own MHR (or a dependent's)
+      if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
         return res.status(403).json({
           success: false,
-          error: "Access denied. You can only view your own medical records.",
+          error: "Access denied. You can only view your own or your family members' medical records.",
         })
       }
 
@@ -343,7 +419,7 @@ router.get(
         pmp.insurance_policy_number
       FROM users u
       LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
-      WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+      WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
     `
 
       const result = await executeQuery(patientQuery, [patientId])
@@ -355,7 +431,7 @@ router.get(
         })
       }
 
-      const patient = result.rows[0]
+      const patient = EncryptionService.decryptFields(result.rows[0], ["allergies"])
 
       // Get all MHR entries (appointments, prescriptions, lab requests/results, etc.)
       const mhrEntriesQuery = `
@@ -389,7 +465,7 @@ router.get(
         NULL as clinic_name
       FROM prescriptions p
       LEFT JOIN users doc ON p.doctor_id = doc.id
-      WHERE p.patient_id = $1
+      WHERE p.patient_id = $1 AND p.deleted_at IS NULL
 
       UNION ALL
 
@@ -444,7 +520,7 @@ router.get(
         CONCAT('Dr. ', doc.full_name) as prescribed_by
       FROM prescriptions p
       LEFT JOIN users doc ON p.doctor_id = doc.id
-      WHERE p.patient_id = $1 AND p.status = 'active'
+      WHERE p.patient_id = $1 AND p.status = 'active' AND p.deleted_at IS NULL
       ORDER BY p.created_at DESC
     `
 
@@ -533,6 +609,7 @@ router.get(
 router.post(
   "/:id/mhr/entries",
   authMiddleware.protect,
+  auditPhi("health_record", { action: "create", patient: fromParam("id") }),
   authMiddleware.role(["doctor", "nurse", "lab"]),
   async (req, res) => {
     try {
@@ -641,21 +718,32 @@ router.post(
 )
 
 // Add this route handler for medical profiles
-router.get("/:id/medical-profile", protect, PatientMedicalProfileController.getMedicalProfile)
-router.put("/:id/medical-profile", protect, PatientMedicalProfileController.updateMedicalProfile)
+router.get(
+  "/:id/medical-profile",
+  protect,
+  auditPhi("medical_profile", { patient: fromParam("id") }),
+  requireConsent(fromParam("id")),
+  PatientMedicalProfileController.getMedicalProfile,
+)
+router.put(
+  "/:id/medical-profile",
+  protect,
+  auditPhi("medical_profile", { action: "update", patient: fromParam("id") }),
+  PatientMedicalProfileController.updateMedicalProfile,
+)
 
 // Add missing medical record endpoints
-router.get("/:id/medical-record", protect, async (req, res) => {
+router.get("/:id/medical-record", protect, auditPhi("medical_record", { patient: fromParam("id") }), requireConsent(fromParam("id")), async (req, res) => {
   try {
     const patientId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Check permissions - patients can only view their own records
-    if (userRole === "patient" && Number.parseInt(patientId) !== userId) {
+    if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
       return res.status(403).json({
         success: false,
-        error: "Access denied. You can only view your own medical records."
+        error: "Access denied. You can only view your own or your family members' medical records."
       });
     }
 
@@ -676,13 +764,13 @@ router.get("/:id/medical-record", protect, async (req, res) => {
 
     // Get all medical records for the patient
     const recordsQuery = await executeQuery(
-      `SELECT * FROM medical_records WHERE patient_id = $1 ORDER BY created_at DESC`,
+      `SELECT * FROM medical_records WHERE patient_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC`,
       [patientId]
     );
 
     res.status(200).json({
       success: true,
-      data: recordsQuery.rows
+      data: EncryptionService.decryptRows(recordsQuery.rows, "medical_records")
     });
   } catch (error) {
     logger.error(`Get patient medical record error: ${error.message}`);
@@ -694,17 +782,17 @@ router.get("/:id/medical-record", protect, async (req, res) => {
   }
 });
 
-router.get("/:id/medical-record/notes", protect, async (req, res) => {
+router.get("/:id/medical-record/notes", protect, auditPhi("clinical_note", { patient: fromParam("id") }), requireConsent(fromParam("id")), async (req, res) => {
   try {
     const patientId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Check permissions - patients can only view their own records
-    if (userRole === "patient" && Number.parseInt(patientId) !== userId) {
+    if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
       return res.status(403).json({
         success: false,
-        error: "Access denied. You can only view your own medical records."
+        error: "Access denied. You can only view your own or your family members' medical records."
       });
     }
 
@@ -712,14 +800,14 @@ router.get("/:id/medical-record/notes", protect, async (req, res) => {
     const notesQuery = await executeQuery(
       `SELECT id, patient_id, doctor_id, clinic_id, appointment_id, notes, created_at, updated_at
        FROM medical_records 
-       WHERE patient_id = $1 AND notes IS NOT NULL
+       WHERE patient_id = $1 AND notes IS NOT NULL AND deleted_at IS NULL
        ORDER BY created_at DESC`,
       [patientId]
     );
 
     res.status(200).json({
       success: true,
-      data: notesQuery.rows
+      data: EncryptionService.decryptRows(notesQuery.rows, "medical_records")
     });
   } catch (error) {
     logger.error(`Get patient medical notes error: ${error.message}`);
@@ -731,7 +819,7 @@ router.get("/:id/medical-record/notes", protect, async (req, res) => {
   }
 });
 
-router.post("/:id/medical-record/notes", protect, role(["doctor", "nurse"]), async (req, res) => {
+router.post("/:id/medical-record/notes", protect, auditPhi("clinical_note", { action: "create", patient: fromParam("id") }), role(["doctor", "nurse"]), async (req, res) => {
   try {
     const patientId = req.params.id;
     const { notes, appointmentId } = req.body;
@@ -750,12 +838,12 @@ router.post("/:id/medical-record/notes", protect, role(["doctor", "nurse"]), asy
       `INSERT INTO medical_records (patient_id, doctor_id, appointment_id, notes, entry_type)
        VALUES ($1, $2, $3, $4, 'note')
        RETURNING *`,
-      [patientId, doctorId, appointmentId || null, notes]
+      [patientId, doctorId, appointmentId || null, EncryptionService.encrypt(notes)]
     );
 
     res.status(201).json({
       success: true,
-      data: insertQuery.rows[0],
+      data: EncryptionService.decryptFields(insertQuery.rows[0], "medical_records"),
       message: "Medical note added successfully"
     });
   } catch (error) {
@@ -768,17 +856,17 @@ router.post("/:id/medical-record/notes", protect, role(["doctor", "nurse"]), asy
   }
 });
 
-router.get("/:id/medical-record/prescriptions", protect, async (req, res) => {
+router.get("/:id/medical-record/prescriptions", protect, auditPhi("prescription", { patient: fromParam("id") }), requireConsent(fromParam("id")), async (req, res) => {
   try {
     const patientId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Check permissions - patients can only view their own records
-    if (userRole === "patient" && Number.parseInt(patientId) !== userId) {
+    if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
       return res.status(403).json({
         success: false,
-        error: "Access denied. You can only view your own prescriptions."
+        error: "Access denied. You can only view your own or your family members' prescriptions."
       });
     }
 
@@ -787,14 +875,14 @@ router.get("/:id/medical-record/prescriptions", protect, async (req, res) => {
       `SELECT p.*, u.full_name as doctor_name
        FROM prescriptions p
        JOIN users u ON p.doctor_id = u.id
-       WHERE p.patient_id = $1
+       WHERE p.patient_id = $1 AND p.deleted_at IS NULL
        ORDER BY p.created_at DESC`,
       [patientId]
     );
 
     res.status(200).json({
       success: true,
-      data: prescriptionsQuery.rows
+      data: EncryptionService.decryptRows(prescriptionsQuery.rows, "prescriptions")
     });
   } catch (error) {
     logger.error(`Get patient prescriptions error: ${error.message}`);
@@ -806,17 +894,17 @@ router.get("/:id/medical-record/prescriptions", protect, async (req, res) => {
   }
 });
 
-router.get("/:id/medical-record/lab-imaging", protect, async (req, res) => {
+router.get("/:id/medical-record/lab-imaging", protect, auditPhi("lab_result", { patient: fromParam("id") }), requireConsent(fromParam("id")), async (req, res) => {
   try {
     const patientId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Check permissions - patients can only view their own records
-    if (userRole === "patient" && Number.parseInt(patientId) !== userId) {
+    if (userRole === "patient" && !(await DelegationService.canActFor(userId, patientId, "records:view"))) {
       return res.status(403).json({
         success: false,
-        error: "Access denied. You can only view your own lab results."
+        error: "Access denied. You can only view your own or your family members' lab results."
       });
     }
 
@@ -905,7 +993,7 @@ router.get("/:id/medical-record/lab-imaging", protect, async (req, res) => {
 });
 
 // Get patient by ID
-router.get("/:id", protect, async (req, res) => {
+router.get("/:id", protect, auditPhi("patient_profile", { patient: fromParam("id") }), requireConsent(fromParam("id"), "emergency"), async (req, res) => {
   try {
     const patientId = req.params.id
     const userId = req.user.id
@@ -935,7 +1023,7 @@ router.get("/:id", protect, async (req, res) => {
         pmp.insurance_policy_number
        FROM users u
        LEFT JOIN patient_medical_profiles pmp ON u.id = pmp.patient_id
-      WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient')
+      WHERE u.id = $1 AND u.role_id = (SELECT id FROM roles WHERE name = 'patient') AND u.deleted_at IS NULL
     `
 
     const result = await executeQuery(patientQuery, [patientId])
@@ -944,7 +1032,7 @@ router.get("/:id", protect, async (req, res) => {
       return res.status(404).json({ error: "Patient not found" })
     }
 
-    const patient = result.rows[0]
+    const patient = EncryptionService.decryptFields(result.rows[0], ["allergies"])
 
     // Parse JSON fields
     if (patient.allergies && typeof patient.allergies === "string") {
@@ -967,7 +1055,7 @@ router.get("/:id", protect, async (req, res) => {
 })
 
 // Get patient medical history
-router.get("/:id/medical-history", protect, async (req, res) => {
+router.get("/:id/medical-history", protect, auditPhi("medical_history", { patient: fromParam("id") }), requireConsent(fromParam("id")), async (req, res) => {
   try {
     const patientId = req.params.id
     const userRole = req.user.role
@@ -1020,7 +1108,7 @@ router.get("/:id/medical-history", protect, async (req, res) => {
       JOIN users u ON mr.doctor_id = u.id
       LEFT JOIN appointments a ON mr.appointment_id = a.id
       LEFT JOIN medical_documents md ON mr.id = md.record_id
-      WHERE mr.patient_id = $1
+      WHERE mr.patient_id = $1 AND mr.deleted_at IS NULL
       GROUP BY mr.id, u.full_name, a.scheduled_for
       ORDER BY mr.created_at DESC
     `
@@ -1028,7 +1116,7 @@ router.get("/:id/medical-history", protect, async (req, res) => {
     const result = await executeQuery(recordsQuery, [patientId])
 
     // Format the response according to the frontend types
-    const formattedRecords = result.rows.map(record => ({
+    const formattedRecords = EncryptionService.decryptRows(result.rows, "medical_records").map(record => ({
       id: record.id.toString(),
       patient_id: record.patient_id.toString(),
       doctor_id: record.doctor_id.toString(),
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireVerified, denyWhileImpersonating, forPatient } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const PaymentService = require('../services/paymentService');
 
@@ -17,6 +17,9 @@ const validate = (req, res, next) => {
 router.post(
   '/appointment/:appointmentId',
   protect,
+  denyWhileImpersonating,
+  forPatient('wallet:pay'),
+  requireVerified,
   [
     body('paymentMethod').isIn(['balance', 'cash']).withMessage('Payment method must be balance or cash'),
     body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
@@ -26,7 +29,7 @@ router.post(
     try {
       const { appointmentId } = req.params;
       const { paymentMethod, amount } = req.body;
-      const userId = req.user.id;
+      const userId = req.patientId;
 
       // Get appointment details
       const { pool } = require('../config/database');
@@ -74,10 +77,11 @@ router.post(
 router.get(
   '/appointment/:appointmentId/status',
   protect,
+  forPatient('wallet:pay'),
   async (req, res) => {
     try {
       const { appointmentId } = req.params;
-      const userId = req.user.id;
+      const userId = req.patientId;
 
       // Get appointment details
       const { pool } = require('../config/database');
@@ -115,6 +119,8 @@ router.get(
 router.post(
   '/appointment/:appointmentId/refund',
   protect,
+  denyWhileImpersonating,
+  forPatient('wallet:pay'),
   [
     body('reason').optional().isString().withMessage('Reason must be a string'),
   ],
@@ -123,7 +129,7 @@ router.post(
     try {
       const { appointmentId } = req.params;
       const { reason = 'Appointment cancelled' } = req.body;
-      const userId = req.user.id;
+      const userId = req.patientId;
 
       // Get appointment details
       const { pool } = require('../config/database');
@@ -0,0 +1,100 @@
+/**
+ * Permission Routes
+ */
+const express = require("express")
+const router = express.Router()
+const PermissionController = require("../controllers/permissionController")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can } = require("../middleware/auth")
+
+router.use(protect)
+
+const permissionListValidation = (optional = false) => {
+  const list = body("permissions")
+  return [
+    (optional ? list.optional() : list).isArray().withMessage("Permissions must be an array"),
+    body("permissions.*").isString().withMessage("Permission keys must be strings"),
+  ]
+}
+
+// Permission catalogue and system role mappings (platform admins)
+router.get("/", can("permissions:manage", "clinic_roles:manage"), PermissionController.getPermissions)
+router.get("/roles", can("permissions:manage"), PermissionController.getRoles)
+router.put(
+  "/roles/:roleName",
+  can("permissions:manage"),
+  permissionListValidation(),
+  validate,
+  PermissionController.updateRolePermissions,
+)
+
+// Custom clinic roles (clinic admins for their own clinics)
+router.get(
+  "/clinics/:clinicId/roles",
+  can("clinic_roles:manage"),
+  [param("clinicId").isInt().withMessage("Clinic ID must be an integer")],
+  validate,
+  PermissionController.getClinicRoles,
+)
+router.post(
+  "/clinics/:clinicId/roles",
+  can("clinic_roles:manage"),
+  [
+    param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
+    body("name").if(body("template").not().exists()).notEmpty().withMessage("Role name is required"),
+    body("name").optional().isString().isLength({ max: 100 }).withMessage("Role name too long"),
+    body("description").optional().isString().withMessage("Description must be a string"),
+    body("template").optional().isString().withMessage("Template must be a string"),
+    ...permissionListValidation(true),
+  ],
+  validate,
+  PermissionController.createClinicRole,
+)
+router.put(
+  "/clinics/:clinicId/roles/:roleId",
+  can("clinic_roles:manage"),
+  [
+    param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
+    param("roleId").isInt().withMessage("Role ID must be an integer"),
+    body("name").optional().isString().notEmpty().isLength({ max: 100 }).withMessage("Invalid role name"),
+    body("description").optional().isString().withMessage("Description must be a string"),
+    ...permissionListValidation(true),
+  ],
+  validate,
+  PermissionController.updateClinicRole,
+)
+router.delete(
+  "/clinics/:clinicId/roles/:roleId",
+  can("clinic_roles:manage"),
+  [
+    param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
+    param("roleId").isInt().withMessage("Role ID must be an integer"),
+  ],
+  validate,
+  PermissionController.deleteClinicRole,
+)
+router.post(
+  "/clinics/:clinicId/roles/:roleId/members",
+  can("clinic_roles:manage"),
+  [
+    param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
+    param("roleId").isInt().withMessage("Role ID must be an integer"),
+    body("userId").isInt().withMessage("User ID must be an integer"),
+  ],
+  validate,
+  PermissionController.addClinicRoleMember,
+)
+router.delete(
+  "/clinics/:clinicId/roles/:roleId/members/:userId",
+  can("clinic_roles:manage"),
+  [
+    param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
+    param("roleId").isInt().withMessage("Role ID must be an integer"),
+    param("userId").isInt().withMessage("User ID must be an integer"),
+  ],
+  validate,
+  PermissionController.removeClinicRoleMember,
+)
+
+module.exports = router
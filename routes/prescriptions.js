@@ -1,10 +1,13 @@
 const express = require("express")
 const router = express.Router()
 const PrescriptionController = require("../controllers/prescriptionController")
-const { protect, role } = require("../middleware/auth")
+const EncryptionService = require("../services/encryptionService")
+const { protect, can, forPatient } = require("../middleware/auth")
 const { body, param, query } = require("express-validator")
 const { validate } = require("../middleware/validator")
 const transactionMiddleware = require("../middleware/transactionMiddleware")
+const { auditPhi, fromBody, fromRecord } = require("../middleware/audit")
+const { requireConsent } = require("../middleware/consent")
 
 // Validation schemas
 const createPrescriptionValidation = [
@@ -59,7 +62,7 @@ router.get("/stats", protect, PrescriptionController.getStats)
  * @desc    Get all prescriptions with filtering and pagination
  * @access  Private (Patient: own prescriptions, Doctor: own prescriptions, Admin: clinic prescriptions)
  */
-router.get("/", protect, PrescriptionController.getAll)
+router.get("/", protect, forPatient("records:view"), PrescriptionController.getAll)
 
 /**
  * @route   POST /api/prescriptions
@@ -69,7 +72,8 @@ router.get("/", protect, PrescriptionController.getAll)
 router.post(
   "/",
   protect,
-  role(["doctor"]),
+  auditPhi("prescription", { action: "create", patient: fromBody("patient_id") }),
+  can("prescriptions:create"),
   createPrescriptionValidation,
   validate,
   transactionMiddleware,
@@ -84,6 +88,7 @@ router.post(
 router.get(
   "/:id/download",
   protect,
+  auditPhi("prescription", { patient: fromRecord("prescriptions"), resourceParam: "id" }),
   [param("id").isInt().withMessage("Prescription ID must be an integer")],
   validate,
   PrescriptionController.downloadPDF,
@@ -97,6 +102,7 @@ router.get(
 router.get(
   "/:id/print",
   protect,
+  auditPhi("prescription", { patient: fromRecord("prescriptions"), resourceParam: "id" }),
   [param("id").isInt().withMessage("Prescription ID must be an integer")],
   validate,
   PrescriptionController.printPrescription,
@@ -110,6 +116,7 @@ router.get(
 router.post(
   "/:id/print",
   protect,
+  auditPhi("prescription", { patient: fromRecord("prescriptions"), resourceParam: "id" }),
   [param("id").isInt().withMessage("Prescription ID must be an integer")],
   validate,
   PrescriptionController.printPrescription,
@@ -123,6 +130,8 @@ router.post(
 router.get(
   "/:id",
   protect,
+  forPatient("records:view"),
+  auditPhi("prescription", { patient: fromRecord("prescriptions"), resourceParam: "id" }),
   [param("id").isInt().withMessage("Prescription ID must be an integer")],
   validate,
   PrescriptionController.getById,
@@ -136,7 +145,8 @@ router.get(
 router.put(
   "/:id",
   protect,
-  role(["doctor", "clinic_admin", "platform_admin"]),
+  auditPhi("prescription", { action: "update", patient: fromRecord("prescriptions"), resourceParam: "id" }),
+  can("prescriptions:update"),
   updatePrescriptionValidation,
   validate,
   transactionMiddleware,
@@ -151,7 +161,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  role(["doctor", "clinic_admin", "platform_admin"]),
+  auditPhi("prescription", { action: "delete", patient: fromRecord("prescriptions"), resourceParam: "id" }),
+  can("prescriptions:delete"),
   [param("id").isInt().withMessage("Prescription ID must be an integer")],
   validate,
   transactionMiddleware,
@@ -170,7 +181,9 @@ router.delete(
 router.get(
   "/patient/:patientId",
   protect,
-  role(["doctor", "clinic_admin", "platform_admin"]),
+  auditPhi("prescription"),
+  can("prescriptions:read:patient"),
+  requireConsent(),
   [
     param("patientId").isInt().withMessage("Patient ID must be an integer"),
     query("status").optional().isIn(["active", "completed", "cancelled", "expired"]).withMessage("Invalid status"),
@@ -189,7 +202,7 @@ router.get(
 router.get(
   "/doctor/:doctorId",
   protect,
-  role(["clinic_admin", "platform_admin"]),
+  can("prescriptions:read:clinic"),
   [
     param("doctorId").isInt().withMessage("Doctor ID must be an integer"),
     query("status").optional().isIn(["active", "completed", "cancelled", "expired"]).withMessage("Invalid status"),
@@ -216,7 +229,7 @@ router.get(
 router.get(
   "/clinic/:clinicId",
   protect,
-  role(["clinic_admin", "platform_admin"]),
+  can("prescriptions:read:clinic"),
   [
     param("clinicId").isInt().withMessage("Clinic ID must be an integer"),
     query("status").optional().isIn(["active", "completed", "cancelled", "expired"]).withMessage("Invalid status"),
@@ -290,14 +303,14 @@ router.get(
         JOIN users u1 ON p.patient_id = u1.id 
         JOIN users u2 ON p.doctor_id = u2.id 
         LEFT JOIN clinics c ON p.clinic_id = c.id 
-        WHERE p.appointment_id = $1
+        WHERE p.appointment_id = $1 AND p.deleted_at IS NULL
         ORDER BY p.created_at DESC
       `
 
       const result = await executeQuery(prescriptionsQuery, [appointmentId])
 
       // Parse medications JSON for each prescription safely
-      const prescriptions = result.rows.map((prescription) => {
+      const prescriptions = EncryptionService.decryptRows(result.rows, "prescriptions").map((prescription) => {
         try {
           if (typeof prescription.medication === "string") {
             prescription.medications = JSON.parse(prescription.medication)
@@ -0,0 +1,79 @@
+/**
+ * Privacy Routes
+ * Patient data export and account erasure requests
+ */
+const express = require("express")
+const router = express.Router()
+const PrivacyController = require("../controllers/privacyController")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, role, can, forPatient } = require("../middleware/auth")
+const { auditPhi, fromParam } = require("../middleware/audit")
+
+router.use(protect)
+
+const exportFormat = query("format").optional().isIn(["json", "zip"]).withMessage("Format must be json or zip")
+
+// The patient's own data (or a family member's with X-Patient-Id)
+router.get(
+  "/export",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [exportFormat],
+  validate,
+  auditPhi("data_export", { patient: (req) => req.patientId }),
+  PrivacyController.exportMyData,
+)
+router.get("/deletion-request", role(["patient"]), forPatient("profile:manage"), PrivacyController.getMyDeletionRequest)
+router.post(
+  "/deletion-request",
+  role(["patient"]),
+  forPatient("profile:manage"),
+  [body("reason").optional().isString().isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters")],
+  validate,
+  PrivacyController.requestDeletion,
+)
+router.delete("/deletion-request", role(["patient"]), forPatient("profile:manage"), PrivacyController.cancelDeletionRequest)
+
+// Platform admins
+router.get(
+  "/patients/:patientId/export",
+  can("privacy:manage"),
+  [param("patientId").isInt().withMessage("Patient ID must be an integer"), exportFormat],
+  validate,
+  auditPhi("data_export", { patient: fromParam("patientId") }),
+  PrivacyController.exportPatientData,
+)
+router.get(
+  "/deletion-requests",
+  can("privacy:manage"),
+  [
+    query("status").optional().isIn(["pending", "completed", "rejected", "cancelled"]).withMessage("Invalid status"),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("Limit must be between 1 and 200"),
+    query("offset").optional().isInt({ min: 0 }).withMessage("Offset must be non-negative"),
+  ],
+  validate,
+  PrivacyController.getDeletionRequests,
+)
+router.post(
+  "/deletion-requests/:requestId/approve",
+  can("privacy:manage"),
+  [
+    param("requestId").isInt().withMessage("Request ID must be an integer"),
+    body("note").optional().isString().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+  ],
+  validate,
+  PrivacyController.approveDeletionRequest,
+)
+router.post(
+  "/deletion-requests/:requestId/reject",
+  can("privacy:manage"),
+  [
+    param("requestId").isInt().withMessage("Request ID must be an integer"),
+    body("note").isString().trim().isLength({ min: 1, max: 1000 }).withMessage("Tell the patient why (max 1000 characters)"),
+  ],
+  validate,
+  PrivacyController.rejectDeletionRequest,
+)
+
+module.exports = router
@@ -1,14 +1,17 @@
 const express = require("express")
 const router = express.Router()
 const RecordController = require("../controllers/recordController")
-const { protect, role } = require("../middleware/auth")
+const { protect, can } = require("../middleware/auth")
 const { body, param } = require("express-validator")
 const { validate } = require("../middleware/validator")
+const { auditPhi, fromBody, fromRecord } = require("../middleware/audit")
+const { requireConsent } = require("../middleware/consent")
 
 router.post(
   "/",
   protect,
-  role(["doctor"]),
+  auditPhi("medical_record", { action: "create", patient: fromBody("patientId") }),
+  can("records:create"),
   [
     body("patientId").isInt().withMessage("Patient ID must be an integer"),
     body("diagnosis").optional().isString().withMessage("Diagnosis must be a string"),
@@ -25,6 +28,8 @@ router.get("/", protect, RecordController.getAll)
 router.get(
   "/patient/:patientId",
   protect,
+  auditPhi("medical_record"),
+  requireConsent(),
   [param("patientId").isInt().withMessage("Patient ID must be an integer")],
   validate,
   RecordController.getPatientRecords,
@@ -33,7 +38,8 @@ router.get(
 router.put(
   "/:id",
   protect,
-  role(["doctor", "clinic_admin"]),
+  auditPhi("medical_record", { action: "update", patient: fromRecord("medical_records"), resourceParam: "id" }),
+  can("records:update"),
   [
     param("id").isInt().withMessage("Record ID must be an integer"),
     body("diagnosis").optional().isString().withMessage("Diagnosis must be a string"),
@@ -47,7 +53,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  role(["doctor", "clinic_admin"]),
+  auditPhi("medical_record", { action: "delete", patient: fromRecord("medical_records"), resourceParam: "id" }),
+  can("records:delete"),
   [param("id").isInt().withMessage("Record ID must be an integer")],
   validate,
   RecordController.delete,
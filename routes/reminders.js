@@ -0,0 +1,69 @@
+/**
+ * Reminder Routes
+ * Appointment reminder settings, delivery history and the confirm/cancel links of reminders
+ */
+const express = require("express")
+const router = express.Router()
+const ReminderController = require("../controllers/reminderController")
+const ReminderService = require("../services/reminderService")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can } = require("../middleware/auth")
+const { authLimiter } = require("../middleware/rateLimit")
+
+const tokenValidation = param("token").isHexadecimal().isLength({ min: 32, max: 128 }).withMessage("Invalid link")
+const clinicQuery = query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer")
+const channelParam = param("channel").isIn(ReminderService.CHANNELS).withMessage("Channel must be sms, email or in_app")
+
+// Reply links from reminders (public, the token is the credential)
+router.get("/reply/:token", authLimiter, [tokenValidation], validate, ReminderController.previewReply)
+router.post(
+  "/reply/:token",
+  authLimiter,
+  [tokenValidation, body("action").isIn(ReminderService.REPLY_ACTIONS).withMessage("Action must be confirm or cancel")],
+  validate,
+  ReminderController.reply,
+)
+
+router.use(protect)
+
+router.get("/appointments/:id", [param("id").isInt().withMessage("Appointment ID must be an integer")], validate, ReminderController.getDeliveries)
+
+// Clinic settings (platform admins without ?clinicId edit the defaults)
+router.get("/settings", can("reminders:manage"), [clinicQuery], validate, ReminderController.getSettings)
+router.put(
+  "/settings/rules",
+  can("reminders:manage"),
+  [
+    clinicQuery,
+    body("rules").isArray({ max: 5 }).withMessage("Rules must be a list of at most 5 reminders"),
+    body("rules.*.offsetMinutes")
+      .isInt({ min: 5, max: 14 * 24 * 60 })
+      .withMessage("A reminder is sent between 5 minutes and 14 days before the appointment"),
+    body("rules.*.channels").isArray({ min: 1 }).withMessage("Choose at least one channel"),
+    body("rules.*.channels.*").isIn(ReminderService.CHANNELS).withMessage("Channel must be sms, email or in_app"),
+  ],
+  validate,
+  ReminderController.setRules,
+)
+router.put(
+  "/settings/templates/:channel",
+  can("reminders:manage"),
+  [
+    clinicQuery,
+    channelParam,
+    body("subject").optional().isString().isLength({ max: 200 }).withMessage("Subject must be at most 200 characters"),
+    body("body").isString().trim().isLength({ min: 1, max: 2000 }).withMessage("Body must be between 1 and 2000 characters"),
+  ],
+  validate,
+  ReminderController.setTemplate,
+)
+router.delete(
+  "/settings/templates/:channel",
+  can("reminders:manage"),
+  [clinicQuery, channelParam],
+  validate,
+  ReminderController.resetTemplate,
+)
+
+module.exports = router
@@ -0,0 +1,84 @@
+/**
+ * Service Account Routes
+ * Service accounts and API keys for machine integrations
+ */
+const express = require("express")
+const router = express.Router()
+const ApiKeyController = require("../controllers/apiKeyController")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can } = require("../middleware/auth")
+
+router.use(protect, can("api_keys:manage"))
+
+const accountIdValidation = param("accountId").isInt().withMessage("Service account ID must be an integer")
+const keyIdValidation = param("keyId").isInt().withMessage("API key ID must be an integer")
+
+const keySettingsValidation = (optional = false) => {
+  const scopes = body("scopes")
+  return [
+    (optional ? scopes.optional() : scopes).isArray({ min: 1 }).withMessage("Scopes must be a non-empty array"),
+    body("scopes.*").isString().withMessage("Scopes must be strings"),
+    body("clinicId").optional({ nullable: true }).isInt().withMessage("Clinic ID must be an integer"),
+    body("expiresAt").optional({ nullable: true }).isISO8601().withMessage("Expiry must be a valid ISO date"),
+  ]
+}
+
+router.get("/scopes", ApiKeyController.getScopes)
+
+// Service accounts
+router.get("/", ApiKeyController.getServiceAccounts)
+router.post(
+  "/",
+  [body("name").isString().notEmpty().isLength({ max: 100 }).withMessage("Service account name is required")],
+  validate,
+  ApiKeyController.createServiceAccount,
+)
+router.get("/:accountId", [accountIdValidation], validate, ApiKeyController.getServiceAccount)
+router.put(
+  "/:accountId",
+  [
+    accountIdValidation,
+    body("name").isString().notEmpty().isLength({ max: 100 }).withMessage("Service account name is required"),
+  ],
+  validate,
+  ApiKeyController.updateServiceAccount,
+)
+router.delete("/:accountId", [accountIdValidation], validate, ApiKeyController.deleteServiceAccount)
+
+// API keys
+router.get("/:accountId/keys", [accountIdValidation], validate, ApiKeyController.getKeys)
+router.post(
+  "/:accountId/keys",
+  [
+    accountIdValidation,
+    body("name").isString().notEmpty().isLength({ max: 100 }).withMessage("Key name is required"),
+    ...keySettingsValidation(),
+  ],
+  validate,
+  ApiKeyController.createKey,
+)
+router.put(
+  "/:accountId/keys/:keyId",
+  [
+    accountIdValidation,
+    keyIdValidation,
+    body("name").optional().isString().notEmpty().isLength({ max: 100 }).withMessage("Invalid key name"),
+    ...keySettingsValidation(true),
+  ],
+  validate,
+  ApiKeyController.updateKey,
+)
+router.delete("/:accountId/keys/:keyId", [accountIdValidation, keyIdValidation], validate, ApiKeyController.revokeKey)
+router.post(
+  "/:accountId/keys/:keyId/rotate",
+  [
+    accountIdValidation,
+    keyIdValidation,
+    body("graceMinutes").optional().isInt({ min: 0, max: 10080 }).withMessage("Grace period must be 0 to 10080 minutes"),
+  ],
+  validate,
+  ApiKeyController.rotateKey,
+)
+
+module.exports = router
@@ -0,0 +1,39 @@
+/**
+ * Slot Hold Routes
+ * Holding a doctor's time for a few minutes before booking it
+ */
+const express = require("express")
+const router = express.Router()
+const SlotHoldController = require("../controllers/slotHoldController")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, forPatient, requireVerified, requireClinic, can } = require("../middleware/auth")
+
+// Staff hold slots for patients of their active clinic; these checks do not apply to patients
+const forStaff = (...handlers) =>
+  handlers.map((handler) => (req, res, next) => (req.user.role === "patient" ? next() : handler(req, res, next)))
+
+router.use(protect, forPatient("appointments:book"))
+
+router.get("/", SlotHoldController.getMyHolds)
+router.post(
+  "/",
+  requireVerified,
+  forStaff(requireClinic, can("appointments:create")),
+  [
+    body("doctorId").isInt().withMessage("Doctor ID must be an integer"),
+    body("type").isIn(["in-person", "telemedicine"]).withMessage("Type must be in-person or telemedicine"),
+    body("clinicId")
+      .if(body("type").equals("in-person"))
+      .isInt()
+      .withMessage("Clinic ID is required for in-person appointments"),
+    body("date").isISO8601().withMessage("Date must be a valid ISO date"),
+    body("duration").optional().isInt({ min: 15, max: 120 }).withMessage("Duration must be between 15 and 120 minutes"),
+    body("patientId").optional().isInt().withMessage("Patient ID must be an integer"),
+  ],
+  validate,
+  SlotHoldController.create,
+)
+router.delete("/:id", [param("id").isInt().withMessage("Hold ID must be an integer")], validate, SlotHoldController.release)
+
+module.exports = router
@@ -6,7 +6,7 @@
 
 const express = require("express")
 const router = express.Router()
-const { protect, role } = require("../middleware/auth")
+const { protect, role, can, denyWhileImpersonating } = require("../middleware/auth")
 const StaffSalaryController = require("../controllers/staffSalaryController")
 const { body, query, validationResult } = require("express-validator")
 
@@ -29,14 +29,14 @@ router.use(protect)
 // Get all clinic staff (both users and non-users)
 router.get(
   "/clinics/:clinicId/staff",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:staff:read"),
   StaffSalaryController.getClinicStaff
 )
 
 // Create new clinic staff member (non-user)
 router.post(
   "/clinics/:clinicId/staff",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:staff:manage"),
   [
     body("full_name").notEmpty().withMessage("Full name is required"),
     body("position").notEmpty().withMessage("Position is required"),
@@ -52,7 +52,7 @@ router.post(
 // Update clinic staff member
 router.put(
   "/clinics/:clinicId/staff/:staffId",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:staff:manage"),
   [
     body("full_name").optional().notEmpty().withMessage("Full name cannot be empty"),
     body("position").optional().notEmpty().withMessage("Position cannot be empty"),
@@ -69,7 +69,7 @@ router.put(
 // Delete clinic staff member
 router.delete(
   "/clinics/:clinicId/staff/:staffId",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:staff:manage"),
   StaffSalaryController.deleteClinicStaff
 )
 
@@ -80,7 +80,7 @@ router.delete(
 // Get salary payments for clinic
 router.get(
   "/clinics/:clinicId/payments",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:payments:read"),
   [
     query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
     query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
@@ -95,7 +95,8 @@ router.get(
 // Create salary payment
 router.post(
   "/clinics/:clinicId/payments",
-  role(["platform_admin", "clinic_admin"]),
+  denyWhileImpersonating,
+  can("salary:payments:manage"),
   [
     body("staff_id").isInt({ min: 1 }).withMessage("Invalid staff ID"),
     body("payment_month").isISO8601().withMessage("Invalid payment month format"),
@@ -115,7 +116,8 @@ router.post(
 // Update salary payment
 router.put(
   "/clinics/:clinicId/payments/:paymentId",
-  role(["platform_admin", "clinic_admin"]),
+  denyWhileImpersonating,
+  can("salary:payments:manage"),
   [
     body("payment_status").optional().isIn(["pending", "paid", "cancelled"]).withMessage("Invalid payment status"),
     body("payment_date").optional().isISO8601().withMessage("Invalid payment date format"),
@@ -133,7 +135,7 @@ router.put(
 // Get salary adjustments for clinic
 router.get(
   "/clinics/:clinicId/adjustments",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:adjustments:read"),
   [
     query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
     query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
@@ -149,7 +151,8 @@ router.get(
 // Create salary adjustment
 router.post(
   "/clinics/:clinicId/adjustments",
-  role(["platform_admin", "clinic_admin"]),
+  denyWhileImpersonating,
+  can("salary:adjustments:manage"),
   [
     body("staff_id").isInt({ min: 1 }).withMessage("Valid staff ID is required"),
     body("adjustment_type").isIn(["bonus", "deduction", "overtime", "advance"]).withMessage("Valid adjustment type is required"),
@@ -165,7 +168,8 @@ router.post(
 // Update salary adjustment status
 router.put(
   "/clinics/:clinicId/adjustments/:adjustmentId",
-  role(["platform_admin", "clinic_admin"]),
+  denyWhileImpersonating,
+  can("salary:adjustments:manage"),
   [
     body("status").isIn(["pending", "applied", "cancelled"]).withMessage("Valid status is required"),
   ],
@@ -180,7 +184,7 @@ router.put(
 // Get salary statistics for clinic
 router.get(
   "/clinics/:clinicId/stats",
-  role(["platform_admin", "clinic_admin"]),
+  can("salary:staff:read"),
   [
     query("month").optional().isISO8601().withMessage("Invalid month format"),
   ],
@@ -195,7 +199,8 @@ router.get(
 // Update user salary
 router.put(
   "/users/:userId/salary",
-  role(["platform_admin", "clinic_admin"]),
+  denyWhileImpersonating,
+  can("salary:staff:manage"),
   [
     body("base_salary").isNumeric().withMessage("Base salary must be a number"),
   ],
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
-const { protect, role } = require('../middleware/auth');
+const { protect, role, requireClinic, denyWhileImpersonating } = require('../middleware/auth');
 
 // Get all subscription plans (public)
 router.get('/plans', async (req, res) => {
@@ -224,7 +224,7 @@ router.get('/subscriptions', protect, role(['platform_admin']), async (req, res)
 });
 
 // Get a clinic's subscriptions (clinic admin)
-router.get('/my-subscription', protect, role(['clinic_admin']), async (req, res) => {
+router.get('/my-subscription', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     const result = await pool.query('SELECT * FROM clinic_subscriptions WHERE clinic_id=$1 ORDER BY created_at DESC', [clinicId]);
@@ -235,21 +235,9 @@ router.get('/my-subscription', protect, role(['clinic_admin']), async (req, res)
 });
 
 // Create/upgrade a clinic subscription (clinic admin)
-router.post('/my-subscription', protect, role(['clinic_admin']), async (req, res) => {
+router.post('/my-subscription', protect, denyWhileImpersonating, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
-    let clinicId = req.user.clinic_id;
-    if (!clinicId) {
-      // Fallback: fetch from admin_clinics join table
-      const adminResult = await pool.query(
-        'SELECT clinic_id FROM admin_clinics WHERE admin_id = $1 LIMIT 1',
-        [req.user.id]
-      );
-      if (adminResult.rows.length > 0) {
-        clinicId = adminResult.rows[0].clinic_id;
-      } else {
-        return res.status(400).json({ success: false, error: 'No clinic associated with this admin.' });
-      }
-    }
+    const clinicId = req.user.clinic_id;
     const { plan_id, payment_method_id, total_amount, discount_percentage, discount_amount, end_date, next_billing_date, auto_renew } = req.body;
     const result = await pool.query(
       `INSERT INTO clinic_subscriptions (clinic_id, plan_id, status, start_date, end_date, next_billing_date, auto_renew, payment_method_id, discount_percentage, discount_amount, total_amount)
@@ -282,7 +270,7 @@ router.post('/subscriptions/:id/activate', protect, role(['platform_admin']), as
 });
 
 // Cancel a clinic subscription (clinic admin)
-router.post('/my-subscription/cancel', protect, role(['clinic_admin']), async (req, res) => {
+router.post('/my-subscription/cancel', protect, denyWhileImpersonating, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     await pool.query(
@@ -296,7 +284,7 @@ router.post('/my-subscription/cancel', protect, role(['clinic_admin']), async (r
 });
 
 // Get all payments for a clinic (clinic admin)
-router.get('/my-payments', protect, role(['clinic_admin']), async (req, res) => {
+router.get('/my-payments', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     const result = await pool.query('SELECT * FROM subscription_payments WHERE subscription_id IN (SELECT id FROM clinic_subscriptions WHERE clinic_id=$1)', [clinicId]);
@@ -307,7 +295,7 @@ router.get('/my-payments', protect, role(['clinic_admin']), async (req, res) =>
 });
 
 // Get all invoices for a clinic (clinic admin)
-router.get('/my-invoices', protect, role(['clinic_admin']), async (req, res) => {
+router.get('/my-invoices', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     const result = await pool.query('SELECT * FROM subscription_invoices WHERE subscription_id IN (SELECT id FROM clinic_subscriptions WHERE clinic_id=$1)', [clinicId]);
@@ -318,7 +306,7 @@ router.get('/my-invoices', protect, role(['clinic_admin']), async (req, res) =>
 });
 
 // Get usage for a clinic (clinic admin)
-router.get('/my-usage', protect, role(['clinic_admin']), async (req, res) => {
+router.get('/my-usage', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     const result = await pool.query('SELECT * FROM subscription_usage WHERE subscription_id IN (SELECT id FROM clinic_subscriptions WHERE clinic_id=$1)', [clinicId]);
@@ -329,7 +317,7 @@ router.get('/my-usage', protect, role(['clinic_admin']), async (req, res) => {
 });
 
 // Get available features for the current clinic (free and premium)
-router.get('/my-features', protect, role(['clinic_admin']), async (req, res) => {
+router.get('/my-features', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     // Define free features (always available)
     const free_features = [
@@ -360,7 +348,7 @@ router.get('/my-features', protect, role(['clinic_admin']), async (req, res) =>
 });
 
 // Clinic admin requests subscription cancellation (sets status to 'cancel_requested')
-router.post('/my-subscription/cancel-request', protect, role(['clinic_admin']), async (req, res) => {
+router.post('/my-subscription/cancel-request', protect, role(['clinic_admin']), requireClinic, async (req, res) => {
   try {
     const clinicId = req.user.clinic_id;
     const result = await pool.query(
@@ -0,0 +1,44 @@
+/**
+ * Trash Routes
+ * Deleted items of the active clinic and their restoration
+ */
+const express = require("express")
+const router = express.Router()
+const TrashController = require("../controllers/trashController")
+const TrashService = require("../services/trashService")
+const { param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can } = require("../middleware/auth")
+
+router.use(protect)
+
+router.get(
+  "/",
+  can("trash:manage"),
+  [
+    query("type")
+      .optional()
+      .isIn(TrashService.TRASH_TYPES)
+      .withMessage(`Type must be one of: ${TrashService.TRASH_TYPES.join(", ")}`),
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("Limit must be between 1 and 200"),
+    query("offset").optional().isInt({ min: 0 }).withMessage("Offset must be non-negative"),
+  ],
+  validate,
+  TrashController.getTrash,
+)
+router.post(
+  "/:type/:id/restore",
+  can("trash:manage"),
+  [
+    param("type")
+      .isIn(TrashService.TRASH_TYPES)
+      .withMessage(`Type must be one of: ${TrashService.TRASH_TYPES.join(", ")}`),
+    param("id").isInt().withMessage("ID must be an integer"),
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+  ],
+  validate,
+  TrashController.restoreItem,
+)
+
+module.exports = router
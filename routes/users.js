@@ -4,18 +4,74 @@
 const express = require("express")
 const router = express.Router()
 const UserController = require("../controllers/userController")
-const { protect, authorize } = require("../middleware/auth")
+const SessionController = require("../controllers/sessionController")
+const ImpersonationController = require("../controllers/impersonationController")
+const { body, param } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can, denyWhileImpersonating } = require("../middleware/auth")
+const { sensitiveOperationsLimiter } = require("../middleware/rateLimit")
 
 // User profile routes (for current user) - these should come first
 router.get("/profile", protect, UserController.getProfile)
-router.put("/profile", protect, UserController.updateProfile)
+// Limited like other sends: a changed email or phone gets a new verification message
+router.put("/profile", sensitiveOperationsLimiter, protect, UserController.updateProfile)
 
 // Platform admin routes for user management
-router.get("/", protect, authorize(["platform_admin"]), UserController.getAllUsers)
-router.post("/", protect, authorize(["platform_admin"]), UserController.createUser)
-router.get("/:id", protect, authorize(["platform_admin"]), UserController.getUserById)
-router.put("/:id", protect, authorize(["platform_admin"]), UserController.updateUser)
-router.patch("/:id", protect, authorize(["platform_admin"]), UserController.updateUser)
-router.delete("/:id", protect, authorize(["platform_admin"]), UserController.deleteUser)
+router.get("/locked", protect, can("users:security"), UserController.getLockedAccounts)
+
+// Impersonation history and audit trails across the platform
+router.get("/impersonations", protect, can("users:impersonate"), ImpersonationController.getImpersonations)
+router.get(
+  "/impersonations/:impersonationId",
+  protect,
+  can("users:impersonate"),
+  [param("impersonationId").isUUID().withMessage("Invalid impersonation ID")],
+  validate,
+  ImpersonationController.getImpersonationTrail,
+)
+router.delete(
+  "/impersonations/:impersonationId",
+  protect,
+  can("users:impersonate"),
+  [param("impersonationId").isUUID().withMessage("Invalid impersonation ID")],
+  validate,
+  ImpersonationController.end,
+)
+router.get("/", protect, can("users:read"), UserController.getAllUsers)
+router.post("/", protect, can("users:manage"), UserController.createUser)
+router.get("/:id", protect, can("users:read"), UserController.getUserById)
+router.put("/:id", protect, can("users:manage"), UserController.updateUser)
+router.patch("/:id", protect, can("users:manage"), UserController.updateUser)
+router.delete("/:id", protect, can("users:manage"), UserController.deleteUser)
+
+// Account lockout management
+router.get("/:id/login-security", protect, can("users:security"), UserController.getLoginSecurity)
+router.post("/:id/unlock", protect, can("users:security"), UserController.unlockUser)
+
+// Session management (e.g. stolen phone)
+router.get("/:id/sessions", protect, can("users:security"), SessionController.getUserSessions)
+router.delete("/:id/sessions", protect, can("users:security"), SessionController.revokeAllUserSessions)
+router.delete(
+  "/:id/sessions/:sessionId",
+  protect,
+  can("users:security"),
+  [param("sessionId").isUUID().withMessage("Invalid session ID")],
+  validate,
+  SessionController.revokeUserSession,
+)
+
+// Act as a user (support); the returned token is short-lived and every request made with it is audited
+router.post(
+  "/:id/impersonate",
+  protect,
+  denyWhileImpersonating,
+  can("users:impersonate"),
+  [
+    param("id").isInt().withMessage("User ID must be an integer"),
+    body("reason").isString().trim().isLength({ min: 5, max: 500 }).withMessage("A reason (5-500 characters) is required"),
+  ],
+  validate,
+  ImpersonationController.start,
+)
 
 module.exports = router
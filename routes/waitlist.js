@@ -0,0 +1,68 @@
+/**
+ * Waitlist Routes
+ * Waiting for a doctor's freed slots and answering the offers
+ */
+const express = require("express")
+const router = express.Router()
+const WaitlistController = require("../controllers/waitlistController")
+const { body, param, query } = require("express-validator")
+const { validate } = require("../middleware/validator")
+const { protect, can, forPatient, requireVerified, denyWhileImpersonating } = require("../middleware/auth")
+
+router.use(protect)
+
+const offerId = param("offerId").isInt().withMessage("Offer ID must be an integer")
+
+// Clinic staff: who is waiting for the clinic's doctors
+router.get(
+  "/clinic",
+  can("appointments:read:clinic"),
+  [
+    query("clinicId").optional().isInt().withMessage("Clinic ID must be an integer"),
+    query("doctorId").optional().isInt().withMessage("Doctor ID must be an integer"),
+  ],
+  validate,
+  WaitlistController.getClinicQueue,
+)
+
+// The patient's own entries (or a family member's with X-Patient-Id)
+router.get("/", forPatient("appointments:book"), WaitlistController.getMyEntries)
+router.post(
+  "/",
+  forPatient("appointments:book"),
+  requireVerified,
+  [
+    body("doctorId").isInt().withMessage("Doctor ID must be an integer"),
+    body("type").isIn(["in-person", "telemedicine"]).withMessage("Type must be in-person or telemedicine"),
+    body("clinicId").optional({ nullable: true }).isInt().withMessage("Clinic ID must be an integer"),
+    body("dateFrom").isISO8601().withMessage("Start date must be a valid date"),
+    body("dateTo").isISO8601().withMessage("End date must be a valid date"),
+    body("reason").optional().isString().isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters"),
+  ],
+  validate,
+  WaitlistController.join,
+)
+router.delete(
+  "/:id",
+  forPatient("appointments:book"),
+  [param("id").isInt().withMessage("Entry ID must be an integer")],
+  validate,
+  WaitlistController.leave,
+)
+router.post(
+  "/offers/:offerId/accept",
+  forPatient("appointments:book"),
+  denyWhileImpersonating,
+  [offerId, body("paymentMethod").optional().isIn(["balance", "cash"]).withMessage("Payment method must be balance or cash")],
+  validate,
+  WaitlistController.acceptOffer,
+)
+router.post(
+  "/offers/:offerId/decline",
+  forPatient("appointments:book"),
+  [offerId],
+  validate,
+  WaitlistController.declineOffer,
+)
+
+module.exports = router
@@ -0,0 +1,28 @@
+/**
+ * Encryption key rotation
+ * Moves every encrypted medical field onto the active master key (FIELD_ENCRYPTION_KEY_ID):
+ * values still in plain text are encrypted, values under an older key get their data key re-wrapped.
+ * Can be interrupted and run again. Keep the old key in FIELD_ENCRYPTION_KEYS until it has finished.
+ *
+ * Usage:
+ *   npm run encryption:rotate
+ */
+const { pool } = require("../config/database")
+const EncryptionService = require("../services/encryptionService")
+
+async function rotateKeys() {
+  try {
+    console.log("⏳ Rotating encryption keys of sensitive medical fields...")
+    const updated = await EncryptionService.rotateKeys()
+    for (const [table, count] of Object.entries(updated)) {
+      console.log(`✅ ${table}: ${count} row(s) updated`)
+    }
+  } catch (error) {
+    console.error("❌ Key rotation failed:", error.message)
+    process.exitCode = 1
+  } finally {
+    await pool.end()
+  }
+}
+
+rotateKeys()
@@ -1,6 +1,7 @@
 const app = require("./app")
 const { testConnection, closePool } = require("./config/database")
 const logger = require("./middleware/logger")
+const { startScheduledJobs } = require("./jobs/scheduler")
 
 // Function to find an available port
 async function findAvailablePort(startPort) {
@@ -78,6 +79,8 @@ async function startServer() {
       }
     })
 
+    const scheduledJobs = startScheduledJobs()
+
     // Handle server errors
     server.on("error", (error) => {
       if (error.code === "EADDRINUSE") {
@@ -92,6 +95,7 @@ async function startServer() {
     // Graceful shutdown with database cleanup
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received, shutting down gracefully...`)
+      scheduledJobs.forEach((job) => job.stop())
 
       // Close server first
       server.close(async () => {
@@ -0,0 +1,203 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const DelegationService = require("./delegationService")
+
+// At most one alert per person opening the record per day
+const ALERT_THROTTLE_HOURS = 24
+
+// Readable names of the audited resource types, for alerts
+const RESOURCE_LABELS = {
+  health_record: "health record",
+  medical_record: "medical record",
+  medical_profile: "medical profile",
+  medical_history: "medical history",
+  clinical_note: "clinical notes",
+  patient_profile: "patient file",
+  prescription: "prescriptions",
+  lab_request: "lab requests",
+  lab_result: "lab results",
+  emergency_data: "emergency medical data",
+  data_export: "complete data export",
+}
+
+// The patient's care team: doctors they had appointments or lab orders with, lab staff working on
+// their lab requests, and staff of the clinics they are registered at or were seen in
+const CARE_TEAM_QUERY = `
+  WITH care_clinics AS (
+    SELECT clinic_id FROM patient_clinics WHERE patient_id = $2
+    UNION SELECT clinic_id FROM appointments WHERE patient_id = $2 AND clinic_id IS NOT NULL
+    UNION SELECT lab_clinic_id FROM lab_requests WHERE patient_id = $2
+  )
+  SELECT 1 FROM appointments WHERE doctor_id = $1 AND patient_id = $2
+  UNION ALL SELECT 1 FROM lab_requests WHERE (doctor_id = $1 OR assigned_technician_id = $1) AND patient_id = $2
+  UNION ALL SELECT 1 FROM doctor_clinics WHERE doctor_id = $1 AND clinic_id IN (SELECT clinic_id FROM care_clinics)
+  UNION ALL SELECT 1 FROM nurse_clinics WHERE nurse_id = $1 AND clinic_id IN (SELECT clinic_id FROM care_clinics)
+  UNION ALL SELECT 1 FROM lab_clinics WHERE lab_id = $1 AND clinic_id IN (SELECT clinic_id FROM care_clinics)
+  UNION ALL SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id IN (SELECT clinic_id FROM care_clinics)
+  LIMIT 1
+`
+
+class AccessAlertService {
+  /**
+   * Whether the patient wants to be told about accesses from outside their care team
+   * @param {number} patientId - Patient user ID
+   * @returns {boolean}
+   */
+  static async isEnabled(patientId) {
+    const result = await pool.query("SELECT access_alerts_enabled FROM users WHERE id = $1", [patientId])
+    return Boolean(result.rows[0] && result.rows[0].access_alerts_enabled)
+  }
+
+  /**
+   * Turns access alerts on or off for a patient
+   */
+  static async setEnabled(patientId, enabled) {
+    await pool.query("UPDATE users SET access_alerts_enabled = $2, updated_at = NOW() WHERE id = $1", [
+      patientId,
+      enabled,
+    ])
+  }
+
+  /**
+   * Whether the user takes part in the patient's care
+   * @param {number} actorId - User who opened the record
+   * @param {number} patientId - Patient user ID
+   * @returns {boolean}
+   */
+  static async isCareTeamMember(actorId, patientId) {
+    const result = await pool.query(CARE_TEAM_QUERY, [actorId, patientId])
+    return result.rows.length > 0
+  }
+
+  /**
+   * Notifies the patient when an audited access came from outside their care team.
+   * The patient themselves, their guardians and service accounts never trigger alerts;
+   * support acting through impersonation always does.
+   * @param {Object} entry - Audited access { auditLogId, actorId, actorRole, impersonatorId, patientId,
+   *                         clinicId, resourceType, action, statusCode }
+   * @returns {boolean} Whether an alert was sent
+   */
+  static async checkAccess(entry) {
+    const { auditLogId, actorId, actorRole, impersonatorId, patientId } = entry
+    if (!patientId || !actorId || entry.statusCode >= 400 || actorRole === "service_account") {
+      return false
+    }
+    if (!impersonatorId && (actorId === patientId || (await DelegationService.getActiveDelegation(actorId, patientId)))) {
+      return false
+    }
+    if (!(await AccessAlertService.isEnabled(patientId))) {
+      return false
+    }
+    if (!impersonatorId && (await AccessAlertService.isCareTeamMember(actorId, patientId))) {
+      return false
+    }
+
+    const recent = await pool.query(
+      `SELECT 1 FROM phi_access_alerts
+       WHERE patient_id = $1 AND actor_id = $2 AND created_at > NOW() - make_interval(hours => $3)`,
+      [patientId, impersonatorId || actorId, ALERT_THROTTLE_HOURS],
+    )
+    if (recent.rows.length > 0) {
+      return false
+    }
+
+    await pool.query("INSERT INTO phi_access_alerts (patient_id, actor_id, audit_log_id) VALUES ($1, $2, $3)", [
+      patientId,
+      impersonatorId || actorId,
+      auditLogId,
+    ])
+
+    const details = await pool.query(
+      `SELECT (SELECT full_name FROM users WHERE id = $1) AS actor_name,
+              (SELECT name FROM clinics WHERE id = $2) AS clinic_name`,
+      [actorId, entry.clinicId],
+    )
+    const { actor_name: actorName, clinic_name: clinicName } = details.rows[0] || {}
+    const who = impersonatorId ? "Platform support" : `${actorName || "Someone"} (${actorRole})`
+    const where = clinicName ? ` at ${clinicName}` : ""
+    const what = RESOURCE_LABELS[entry.resourceType] || "medical data"
+
+    await NotificationController.createNotification({
+      userId: patientId,
+      message: `${who}${where} ${entry.action === "read" ? "opened" : "changed"} your ${what}. They are not part of your care team. If you do not recognize this access, report it from your access history.`,
+      type: "security_alert",
+      priority: "high",
+      refId: String(auditLogId),
+    })
+
+    logger.info(`[AUDIT] Patient ${patientId} alerted of access ${auditLogId} by user ${actorId} outside the care team`)
+    return true
+  }
+
+  /**
+   * Records that the patient does not recognize an access to their data
+   * @param {number} patientId - Patient the access was about
+   * @param {number} auditLogId - phi_audit_log entry
+   * @param {Object} report - { reportedBy, reason }
+   * @returns {Object|null} Report, null when the patient already reported this access
+   */
+  static async reportAccess(patientId, auditLogId, { reportedBy, reason }) {
+    const result = await pool.query(
+      `INSERT INTO phi_access_reports (audit_log_id, patient_id, reported_by, reason)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (audit_log_id, patient_id) DO NOTHING
+       RETURNING id, audit_log_id, reason, status, created_at`,
+      [auditLogId, patientId, reportedBy, reason],
+    )
+
+    if (result.rows.length > 0) {
+      logger.warn(`[AUDIT] Patient ${patientId} reported access ${auditLogId} as suspicious`)
+    }
+    return result.rows[0] || null
+  }
+
+  /**
+   * Lists reported accesses, newest first
+   * @param {Object} filters - { clinicIds, status }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Array}
+   */
+  static async listReports({ clinicIds = null, status = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT r.id, r.reason, r.status, r.created_at, r.reviewed_at, r.review_note,
+              r.patient_id, p.full_name AS patient_name, r.reported_by,
+              rv.full_name AS reviewed_by_name,
+              l.id AS audit_log_id, l.occurred_at, l.actor_id, a.full_name AS actor_name, l.actor_role,
+              l.impersonator_id, l.clinic_id, c.name AS clinic_name, l.resource_type, l.action, l.purpose, l.path
+       FROM phi_access_reports r
+       JOIN phi_audit_log l ON l.id = r.audit_log_id
+       LEFT JOIN users p ON p.id = r.patient_id
+       LEFT JOIN users a ON a.id = l.actor_id
+       LEFT JOIN users rv ON rv.id = r.reviewed_by
+       LEFT JOIN clinics c ON c.id = l.clinic_id
+       WHERE ($1::int[] IS NULL OR l.clinic_id = ANY($1::int[]))
+         AND ($2::text IS NULL OR r.status = $2)
+       ORDER BY r.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [clinicIds, status, limit, offset],
+    )
+    return result.rows
+  }
+
+  /**
+   * Marks a report as reviewed
+   * @param {number} reportId - Report ID
+   * @param {Object} review - { reviewedBy, note, clinicIds (limits which reports may be reviewed) }
+   * @returns {boolean} Whether an open report was found
+   */
+  static async reviewReport(reportId, { reviewedBy, note = null, clinicIds = null }) {
+    const result = await pool.query(
+      `UPDATE phi_access_reports r SET status = 'reviewed', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+       FROM phi_audit_log l
+       WHERE r.id = $1 AND l.id = r.audit_log_id AND r.status = 'open'
+         AND ($4::int[] IS NULL OR l.clinic_id = ANY($4::int[]))`,
+      [reportId, reviewedBy, note, clinicIds],
+    )
+    return result.rowCount > 0
+  }
+}
+
+AccessAlertService.RESOURCE_LABELS = RESOURCE_LABELS
+
+module.exports = AccessAlertService
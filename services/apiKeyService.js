@@ -0,0 +1,399 @@
+const { v4: uuidv4 } = require("uuid")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+
+const SERVICE_ACCOUNT_ROLE = "service_account"
+// Keys look like shp_<prefix>_<secret>; the prefix identifies a key in lists and logs
+const KEY_PREFIX = "shp"
+// last_used_at is only written when older than this, to avoid a write on every request
+const LAST_USED_RESOLUTION_SECONDS = 60
+
+// Scopes a key can carry. A key may only call the routes listed for its scopes (everything else
+// is refused), and inside those routes the can() middleware sees the permissions in grants.
+const API_KEY_SCOPES = {
+  "appointments:read": {
+    description: "List the clinic's appointments and appointment statistics",
+    routes: [
+      ["GET", /^\/api\/appointments\/?$/],
+      ["GET", /^\/api\/appointments\/clinic(\/stats)?\/?$/],
+      ["GET", /^\/api\/appointments\/clinic\/\d+\/stats\/?$/],
+    ],
+    grants: ["appointments:read:clinic"],
+  },
+  "labs:requests:read": {
+    description: "Read the clinic's lab request queue",
+    routes: [["GET", /^\/api\/labs\/requests\/?$/]],
+    grants: ["labs:requests:read"],
+  },
+  "labs:results:read": {
+    description: "Read lab results of a patient",
+    routes: [["GET", /^\/api\/labs\/results\/\d+\/?$/]],
+    grants: ["labs:results:read"],
+  },
+  "labs:results:write": {
+    description: "Upload lab results and move lab requests through their statuses",
+    routes: [
+      ["POST", /^\/api\/labs\/requests\/\d+\/results\/?$/],
+      ["PUT", /^\/api\/labs\/requests\/\d+\/status\/?$/],
+    ],
+    grants: ["labs:results:write", "labs:requests:update_status"],
+  },
+  "prescriptions:read": {
+    description: "Read the clinic's prescriptions",
+    routes: [
+      ["GET", /^\/api\/prescriptions\/?$/],
+      ["GET", /^\/api\/prescriptions\/\d+\/?$/],
+    ],
+    grants: [],
+  },
+  "patients:all_clinics": {
+    description: "Read the clinical data of patients of every clinic without their consent (keys without a clinic)",
+    routes: [],
+    grants: [],
+  },
+}
+
+// Columns returned to admins; the hash never leaves the database
+const KEY_COLUMNS = `k.id, k.service_account_id, k.name, k.key_prefix, k.scopes, k.clinic_id, k.expires_at,
+  k.last_used_at, k.last_used_ip, k.revoked_at, k.revoked_by, k.rotated_from, k.created_by, k.created_at`
+
+/**
+ * Error raised when a presented API key cannot be used
+ */
+class ApiKeyError extends Error {
+  constructor(message, reason) {
+    super(message)
+    this.name = "ApiKeyError"
+    this.reason = reason
+  }
+}
+
+class ApiKeyService {
+  /**
+   * Generates a new plain API key
+   * @returns {Object} { key, prefix }
+   */
+  static generateKey() {
+    const prefix = generateToken(4)
+    return { key: `${KEY_PREFIX}_${prefix}_${generateToken(24)}`, prefix }
+  }
+
+  /**
+   * Whether a presented credential looks like one of our API keys (rather than a JWT)
+   * @param {string} value - Credential
+   * @returns {boolean}
+   */
+  static looksLikeKey(value) {
+    return typeof value === "string" && value.startsWith(`${KEY_PREFIX}_`)
+  }
+
+  /**
+   * Lists scopes that are not defined
+   * @param {Array<string>} scopes - Scope names
+   * @returns {Array<string>}
+   */
+  static findUnknownScopes(scopes) {
+    return scopes.filter((scope) => !API_KEY_SCOPES[scope])
+  }
+
+  /**
+   * Permissions granted to a key through its scopes
+   * @param {Array<string>} scopes - Scope names
+   * @returns {Set<string>}
+   */
+  static getScopeGrants(scopes) {
+    const grants = new Set()
+    for (const scope of scopes) {
+      for (const key of (API_KEY_SCOPES[scope] || {}).grants || []) {
+        grants.add(key)
+      }
+    }
+    return grants
+  }
+
+  /**
+   * Whether one of the scopes covers the route
+   * @param {Array<string>} scopes - Scope names
+   * @param {string} method - HTTP method
+   * @param {string} path - Full request path without query string
+   * @returns {boolean}
+   */
+  static isRouteAllowed(scopes, method, path) {
+    return scopes.some((scope) =>
+      ((API_KEY_SCOPES[scope] || {}).routes || []).some(
+        ([routeMethod, pattern]) => routeMethod === method && pattern.test(path),
+      ),
+    )
+  }
+
+  /**
+   * Looks up a presented key
+   * @param {string} plainKey - Key from the request
+   * @returns {Object} Key with the service account ({ id, service_account_id, scopes, clinic_id, account_name, ... })
+   * @throws {ApiKeyError} When the key is unknown, revoked or expired
+   */
+  static async verify(plainKey) {
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS}, u.full_name AS account_name, u.email AS account_email, r.name AS account_role,
+              (k.expires_at IS NOT NULL AND k.expires_at <= NOW()) AS expired
+       FROM api_keys k
+       JOIN users u ON u.id = k.service_account_id
+       LEFT JOIN roles r ON r.id = u.role_id
+       WHERE k.key_hash = $1`,
+      [hashToken(plainKey)],
+    )
+
+    if (result.rows.length === 0 || result.rows[0].account_role !== SERVICE_ACCOUNT_ROLE) {
+      throw new ApiKeyError("Invalid API key", "unknown")
+    }
+
+    const apiKey = result.rows[0]
+    if (apiKey.revoked_at) {
+      throw new ApiKeyError("API key has been revoked", "revoked")
+    }
+    if (apiKey.expired) {
+      throw new ApiKeyError("API key has expired", "expired")
+    }
+
+    return apiKey
+  }
+
+  /**
+   * Records that a key was used
+   * @param {number} keyId - API key ID
+   * @param {string} ip - Caller IP
+   */
+  static async touch(keyId, ip = null) {
+    await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = COALESCE($2, last_used_ip)
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))`,
+      [keyId, ip, LAST_USED_RESOLUTION_SECONDS],
+    )
+  }
+
+  /**
+   * Creates a service account (a user that can only authenticate with API keys)
+   * @param {Object} data - { name }
+   * @returns {Object} Service account
+   */
+  static async createServiceAccount({ name }) {
+    const result = await pool.query(
+      `INSERT INTO users (full_name, email, password_hash, role_id, created_at, updated_at)
+       SELECT $1, $2, '!', id, NOW(), NOW() FROM roles WHERE name = $3
+       RETURNING id, full_name AS name, email, created_at`,
+      [name, `svc-${uuidv4()}@service-accounts.invalid`, SERVICE_ACCOUNT_ROLE],
+    )
+
+    if (result.rows.length === 0) {
+      throw new Error("service_account role is missing, run migration 009_create_api_keys.sql")
+    }
+    return result.rows[0]
+  }
+
+  /**
+   * Lists service accounts with their number of usable keys
+   * @returns {Array}
+   */
+  static async listServiceAccounts() {
+    const result = await pool.query(
+      `SELECT u.id, u.full_name AS name, u.email, u.created_at,
+              (SELECT COUNT(*)::int FROM api_keys k
+               WHERE k.service_account_id = u.id AND k.revoked_at IS NULL
+                 AND (k.expires_at IS NULL OR k.expires_at > NOW())) AS active_keys,
+              (SELECT MAX(k.last_used_at) FROM api_keys k WHERE k.service_account_id = u.id) AS last_used_at
+       FROM users u
+       JOIN roles r ON r.id = u.role_id
+       WHERE r.name = $1
+       ORDER BY u.full_name`,
+      [SERVICE_ACCOUNT_ROLE],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds a service account
+   * @param {number} accountId - User ID of the service account
+   * @returns {Object|null}
+   */
+  static async getServiceAccount(accountId) {
+    const result = await pool.query(
+      `SELECT u.id, u.full_name AS name, u.email, u.created_at
+       FROM users u
+       JOIN roles r ON r.id = u.role_id
+       WHERE u.id = $1 AND r.name = $2`,
+      [accountId, SERVICE_ACCOUNT_ROLE],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Renames a service account
+   */
+  static async updateServiceAccount(accountId, { name }) {
+    await pool.query("UPDATE users SET full_name = $2, updated_at = NOW() WHERE id = $1", [accountId, name])
+  }
+
+  /**
+   * Revokes every key of a service account. The account itself is kept so that the
+   * records it wrote (lab results...) still point at a known author.
+   * @returns {number} Number of keys revoked
+   */
+  static async revokeAllKeys(accountId, revokedBy) {
+    const result = await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE service_account_id = $1 AND revoked_at IS NULL",
+      [accountId, revokedBy],
+    )
+    return result.rowCount
+  }
+
+  /**
+   * Lists the keys of a service account, newest first
+   * @param {number} accountId - Service account ID
+   * @returns {Array}
+   */
+  static async listKeys(accountId) {
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.service_account_id = $1 ORDER BY k.created_at DESC`,
+      [accountId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds a key of a service account
+   * @returns {Object|null}
+   */
+  static async getKey(accountId, keyId) {
+    const result = await pool.query(
+      `SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.id = $1 AND k.service_account_id = $2`,
+      [keyId, accountId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Issues a key. The plain key is only returned here; it cannot be recovered later.
+   * @param {number} accountId - Service account ID
+   * @param {Object} data - { name, scopes, clinicId, expiresAt, rotatedFrom }
+   * @param {number} createdBy - Admin issuing the key
+   * @param {Object} client - pg client or pool
+   * @returns {Object} { key, apiKey }
+   */
+  static async createKey(
+    accountId,
+    { name, scopes, clinicId = null, expiresAt = null, rotatedFrom = null },
+    createdBy,
+    client = pool,
+  ) {
+    const { key, prefix } = ApiKeyService.generateKey()
+
+    const result = await client.query(
+      `INSERT INTO api_keys (service_account_id, name, key_prefix, key_hash, scopes, clinic_id, expires_at, rotated_from, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [accountId, name, prefix, hashToken(key), scopes, clinicId, expiresAt, rotatedFrom, createdBy],
+    )
+    const apiKey = (
+      await client.query(`SELECT ${KEY_COLUMNS} FROM api_keys k WHERE k.id = $1`, [result.rows[0].id])
+    ).rows[0]
+
+    logger.info(`[API KEYS] Key ${prefix} issued to service account ${accountId} by user ${createdBy}`)
+    return { key, apiKey }
+  }
+
+  /**
+   * Changes the name, scopes, clinic restriction or expiry of a key
+   * @param {number} keyId - API key ID
+   * @param {Object} data - Fields to change (undefined keeps the current value, null clears clinic/expiry)
+   */
+  static async updateKey(keyId, { name, scopes, clinicId, expiresAt }) {
+    await pool.query(
+      `UPDATE api_keys
+       SET name = COALESCE($2, name),
+           scopes = COALESCE($3, scopes),
+           clinic_id = CASE WHEN $4 THEN $5::int ELSE clinic_id END,
+           expires_at = CASE WHEN $6 THEN $7::timestamp ELSE expires_at END
+       WHERE id = $1`,
+      [
+        keyId,
+        name || null,
+        scopes || null,
+        clinicId !== undefined,
+        clinicId === undefined ? null : clinicId,
+        expiresAt !== undefined,
+        expiresAt === undefined ? null : expiresAt,
+      ],
+    )
+  }
+
+  /**
+   * Revokes a key
+   * @returns {boolean} Whether the key was still active
+   */
+  static async revokeKey(keyId, revokedBy) {
+    const result = await pool.query(
+      "UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE id = $1 AND revoked_at IS NULL",
+      [keyId, revokedBy],
+    )
+    return result.rowCount > 0
+  }
+
+  /**
+   * Replaces a key with a new one carrying the same settings. The old key is revoked, or keeps
+   * working for graceMinutes so the client can be redeployed without downtime.
+   * @param {Object} apiKey - Key being rotated
+   * @param {number} rotatedBy - Admin rotating the key
+   * @param {Object} options - { graceMinutes }
+   * @returns {Object} { key, apiKey }
+   */
+  static async rotateKey(apiKey, rotatedBy, { graceMinutes = 0 } = {}) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const issued = await ApiKeyService.createKey(
+        apiKey.service_account_id,
+        {
+          name: apiKey.name,
+          scopes: apiKey.scopes,
+          clinicId: apiKey.clinic_id,
+          expiresAt: apiKey.expires_at,
+          rotatedFrom: apiKey.id,
+        },
+        rotatedBy,
+        client,
+      )
+
+      if (graceMinutes > 0) {
+        await client.query(
+          `UPDATE api_keys
+           SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(mins => $2))
+           WHERE id = $1`,
+          [apiKey.id, graceMinutes],
+        )
+      } else {
+        await client.query("UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE id = $1", [
+          apiKey.id,
+          rotatedBy,
+        ])
+      }
+
+      await client.query("COMMIT")
+      logger.info(`[API KEYS] Key ${apiKey.key_prefix} rotated to ${issued.apiKey.key_prefix} by user ${rotatedBy}`)
+      return issued
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+}
+
+ApiKeyService.ApiKeyError = ApiKeyError
+ApiKeyService.SERVICE_ACCOUNT_ROLE = SERVICE_ACCOUNT_ROLE
+ApiKeyService.API_KEY_SCOPES = API_KEY_SCOPES
+
+module.exports = ApiKeyService
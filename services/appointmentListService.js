@@ -0,0 +1,70 @@
+const { executeQuery } = require("../utils/dbUtils")
+
+const APPOINTMENT_LIST_COLUMNS = `
+  a.*, c.name AS clinic_name, c.address AS clinic_address,
+  s.start_time AS appointment_time, s.end_time AS appointment_end_time`
+
+/**
+ * Appointment lists of a doctor and of a patient, shared by the API and the calendar feeds
+ */
+class AppointmentListService {
+  /**
+   * A doctor's appointments, oldest first
+   * @param {number} doctorId - Doctor user ID
+   * @param {Object} options - { date (YYYY-MM-DD, only that day), since (only appointments starting after) }
+   * @returns {Array}
+   */
+  static async forDoctor(doctorId, { date = null, since = null } = {}) {
+    let query = `
+      SELECT ${APPOINTMENT_LIST_COLUMNS}, u.full_name AS patient_name
+      FROM appointments a
+      JOIN users u ON a.patient_id = u.id
+      LEFT JOIN clinics c ON a.clinic_id = c.id
+      LEFT JOIN availability_slots s ON a.slot_id = s.id
+      WHERE a.doctor_id = $1
+    `
+    const params = [doctorId]
+
+    if (date) {
+      params.push(date)
+      query += ` AND (DATE(s.start_time) = $${params.length} OR (s.start_time IS NULL AND DATE(a.created_at) = $${params.length}))`
+    }
+    if (since) {
+      params.push(since)
+      query += ` AND s.start_time >= $${params.length}`
+    }
+
+    query += ` ORDER BY COALESCE(s.start_time, a.created_at) ASC`
+
+    const result = await executeQuery(query, params)
+    return result.rows
+  }
+
+  /**
+   * A patient's appointments, latest first
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { since (only appointments starting after) }
+   * @returns {Array}
+   */
+  static async forPatient(patientId, { since = null } = {}) {
+    const params = [patientId]
+    if (since) {
+      params.push(since)
+    }
+
+    const result = await executeQuery(
+      `SELECT ${APPOINTMENT_LIST_COLUMNS}, u1.full_name AS patient_name, u2.full_name AS doctor_name
+       FROM appointments a
+       JOIN users u1 ON a.patient_id = u1.id
+       JOIN users u2 ON a.doctor_id = u2.id
+       LEFT JOIN clinics c ON a.clinic_id = c.id
+       LEFT JOIN availability_slots s ON a.slot_id = s.id
+       WHERE a.patient_id = $1 ${since ? "AND s.start_time >= $2" : ""}
+       ORDER BY COALESCE(s.start_time, a.created_at) DESC`,
+      params,
+    )
+    return result.rows
+  }
+}
+
+module.exports = AppointmentListService
@@ -0,0 +1,599 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("./paymentService")
+const WaitlistService = require("./waitlistService")
+const CalendarService = require("./calendarService")
+const SlotBookingService = require("./slotBookingService")
+const { parseLocalDateString, formatDateForDB } = require("../utils/dateUtils")
+
+// Longest series that can be booked at once (a year of weekly visits)
+const MAX_OCCURRENCES = 52
+// Occurrences of a series paid per occurrence are charged this long before they start
+const CHARGE_HOURS_BEFORE = Number.parseInt(process.env.SERIES_CHARGE_HOURS_BEFORE || "24")
+// Charged when the doctor has no consultation fee (same default as booking directly)
+const DEFAULT_APPOINTMENT_FEE = 1000
+
+// Which occurrences an edit or cancellation applies to
+const SCOPES = ["this", "following", "all"]
+
+/**
+ * Error raised when a series cannot be booked or changed
+ */
+class SeriesError extends Error {
+  constructor(message, status = 400, conflicts = null) {
+    super(message)
+    this.name = "SeriesError"
+    this.status = status
+    this.conflicts = conflicts
+  }
+}
+
+const formatSlotTime = (date) => new Date(date).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" })
+
+/**
+ * Start times of every occurrence of a recurrence rule, keeping the time of day
+ * @param {Object} rule - { start (Date), frequency (daily|weekly), interval, until (Date), count }
+ * @returns {Array<Date>}
+ */
+const expandOccurrences = ({ start, frequency, interval, until, count }) => {
+  const stepDays = frequency === "weekly" ? 7 * interval : interval
+  // The until date is inclusive
+  const limit = until ? new Date(until.getFullYear(), until.getMonth(), until.getDate() + 1) : null
+  const starts = []
+
+  for (let i = 0; ; i++) {
+    const next = new Date(
+      start.getFullYear(),
+      start.getMonth(),
+      start.getDate() + i * stepDays,
+      start.getHours(),
+      start.getMinutes(),
+    )
+    if ((count && starts.length >= count) || (limit && next >= limit)) {
+      return starts
+    }
+    if (starts.length >= MAX_OCCURRENCES) {
+      throw new SeriesError(`A series can have at most ${MAX_OCCURRENCES} occurrences`)
+    }
+    starts.push(next)
+  }
+}
+
+/**
+ * Charges one occurrence with the series' fee and payment method, in the caller's transaction
+ */
+const chargeOccurrence = async (client, series, appointmentId) => {
+  if (Number(series.fee) > 0) {
+    await PaymentService.processAppointmentPayment({
+      appointmentId,
+      patientId: series.patient_id,
+      doctorId: series.doctor_id,
+      appointmentType: series.type,
+      paymentMethod: series.payment_method,
+      amount: Number(series.fee),
+      dbTransaction: client,
+    })
+  }
+  await client.query("UPDATE appointments SET series_charged_at = NOW() WHERE id = $1", [appointmentId])
+}
+
+/**
+ * Loads and locks a series with the names used in notifications
+ */
+const lockSeries = async (client, seriesId) => {
+  const result = await client.query(
+    `SELECT s.*, p.full_name AS patient_name, d.full_name AS doctor_name
+     FROM appointment_series s
+     JOIN users p ON p.id = s.patient_id
+     JOIN users d ON d.id = s.doctor_id
+     WHERE s.id = $1
+     FOR UPDATE OF s`,
+    [seriesId],
+  )
+  const series = result.rows[0]
+  if (!series) {
+    throw new SeriesError("Series not found", 404)
+  }
+  if (series.status !== "active") {
+    throw new SeriesError("This series has been cancelled", 409)
+  }
+  return series
+}
+
+/**
+ * Upcoming booked occurrences a change applies to, locked
+ * @param {number} appointmentId - Occurrence chosen (optional with scope "all": the next one)
+ * @returns {Object} { occurrences, chosen }
+ */
+const selectOccurrences = async (client, seriesId, appointmentId, scope) => {
+  const result = await client.query(
+    `SELECT a.id, a.slot_id, a.series_index, a.series_charged_at, sl.start_time, sl.end_time
+     FROM appointments a
+     JOIN availability_slots sl ON sl.id = a.slot_id
+     WHERE a.series_id = $1 AND a.status = 'booked' AND sl.start_time > NOW()
+     ORDER BY a.series_index
+     FOR UPDATE OF a`,
+    [seriesId],
+  )
+  const upcoming = result.rows
+  const chosen = appointmentId ? upcoming.find((row) => row.id === appointmentId) : upcoming[0]
+  if (!chosen) {
+    throw new SeriesError("No upcoming booked appointment of this series matches", 404)
+  }
+
+  if (scope === "this") {
+    return { occurrences: [chosen], chosen }
+  }
+  if (scope === "following") {
+    return { occurrences: upcoming.filter((row) => row.series_index >= chosen.series_index), chosen }
+  }
+  return { occurrences: upcoming, chosen }
+}
+
+/**
+ * Tells the patient and the doctor about a change to their series
+ */
+const notifySeries = async (series, patientMessage, doctorMessage) => {
+  await NotificationController.createNotification({
+    userId: series.doctor_id,
+    message: doctorMessage,
+    type: "appointment",
+    priority: "high",
+    refId: series.id,
+  })
+  await NotificationController.createNotification({
+    userId: series.patient_id,
+    message: patientMessage,
+    type: "appointment",
+    priority: "normal",
+    refId: series.id,
+  })
+}
+
+// Offers slots freed by a change to the doctor's waitlist
+const offerFreedSlots = (slotIds) => {
+  for (const slotId of slotIds) {
+    WaitlistService.offerSlot(slotId)
+  }
+}
+
+class AppointmentSeriesService {
+  /**
+   * Books every occurrence of a recurrence rule. Occurrences clashing with a booked slot of the
+   * doctor are refused (409 with the list), or skipped with skipConflicts.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { doctorId, clinicId, type, reason, start, duration, frequency, interval,
+   *   until, count, paymentMode (upfront|per_occurrence), paymentMethod, skipConflicts }
+   * @param {number} createdBy - User booking the series
+   * @returns {Object} { series, appointments, skipped }
+   */
+  static async create(patientId, options, createdBy) {
+    const {
+      doctorId,
+      clinicId = null,
+      type,
+      reason = null,
+      duration = 30,
+      frequency,
+      interval = 1,
+      count = null,
+      paymentMode,
+      paymentMethod = "balance",
+      skipConflicts = false,
+    } = options
+    const start = parseLocalDateString(options.start)
+    const until = options.until ? parseLocalDateString(options.until) : null
+
+    if (type === "in-person" && !clinicId) {
+      throw new SeriesError("Clinic ID is required for in-person appointments")
+    }
+    if (paymentMethod === "cash" && (type === "telemedicine" || paymentMode === "upfront")) {
+      throw new SeriesError("Telemedicine series and series paid up front are paid from the balance")
+    }
+    if (start <= new Date()) {
+      throw new SeriesError("The first occurrence must be in the future")
+    }
+
+    const doctor = await pool.query(
+      `SELECT u.id, u.full_name, dp.consultation_fee FROM users u
+       JOIN roles r ON r.id = u.role_id
+       LEFT JOIN doctor_portfolios dp ON dp.doctor_id = u.id
+       WHERE u.id = $1 AND r.name = 'doctor' AND u.deleted_at IS NULL`,
+      [doctorId],
+    )
+    if (doctor.rows.length === 0) {
+      throw new SeriesError("Doctor not found", 404)
+    }
+    if (type === "in-person") {
+      const membership = await pool.query("SELECT 1 FROM doctor_clinics WHERE doctor_id = $1 AND clinic_id = $2", [
+        doctorId,
+        clinicId,
+      ])
+      if (membership.rows.length === 0) {
+        throw new SeriesError("The doctor does not work at this clinic", 404)
+      }
+    }
+    const fee = Number(doctor.rows[0].consultation_fee) || DEFAULT_APPOINTMENT_FEE
+
+    const starts = expandOccurrences({ start, frequency, interval, until, count })
+    if (starts.length === 0) {
+      throw new SeriesError("The recurrence rule has no occurrence")
+    }
+
+    const client = await pool.connect()
+    let series
+    const appointments = []
+    const skipped = []
+
+    try {
+      await client.query("BEGIN")
+      // Held until commit, so no other booking of the doctor slips between the checks and the inserts
+      await SlotBookingService.lockDoctor(client, doctorId)
+
+      const bookable = []
+      for (const [i, occurrenceStart] of starts.entries()) {
+        const end = new Date(occurrenceStart.getTime() + duration * 60 * 1000)
+        if (await SlotBookingService.findConflict(client, doctorId, occurrenceStart, end)) {
+          skipped.push({ index: i + 1, start: formatDateForDB(occurrenceStart) })
+        } else {
+          bookable.push({ index: i + 1, start: occurrenceStart, end })
+        }
+      }
+      if (skipped.length > 0 && (!skipConflicts || bookable.length === 0)) {
+        throw new SeriesError("Some occurrences clash with the doctor's booked slots", 409, skipped)
+      }
+
+      const seriesResult = await client.query(
+        `INSERT INTO appointment_series
+         (patient_id, doctor_id, clinic_id, type, reason, frequency, interval_count, until_date, occurrence_count,
+          start_time, duration_minutes, payment_mode, payment_method, fee, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+          patientId,
+          doctorId,
+          type === "in-person" ? clinicId : null,
+          type,
+          reason,
+          frequency,
+          interval,
+          options.until || null,
+          count,
+          formatDateForDB(start),
+          duration,
+          paymentMode,
+          paymentMethod,
+          fee,
+          createdBy,
+        ],
+      )
+      series = seriesResult.rows[0]
+
+      for (const occurrence of bookable) {
+        const slotId = await SlotBookingService.reserveSlot(client, { doctorId, clinicId: series.clinic_id, ...occurrence })
+        const appointmentResult = await client.query(
+          `INSERT INTO appointments (patient_id, doctor_id, clinic_id, slot_id, status, type, reason, series_id, series_index)
+           VALUES ($1, $2, $3, $4, 'booked', $5, $6, $7, $8)
+           RETURNING *`,
+          [patientId, doctorId, series.clinic_id, slotId, type, reason, series.id, occurrence.index],
+        )
+        const appointment = appointmentResult.rows[0]
+
+        if (paymentMode === "upfront") {
+          try {
+            await chargeOccurrence(client, series, appointment.id)
+          } catch (paymentError) {
+            throw new SeriesError(paymentError.message, 402)
+          }
+        }
+        appointments.push({ ...appointment, start_time: occurrence.start, end_time: occurrence.end })
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(
+      `[SERIES] Series ${series.id} booked for patient ${patientId} with doctor ${doctorId}: ` +
+        `${appointments.length} occurrence(s), ${skipped.length} skipped`,
+    )
+    await notifySeries(
+      { ...series, doctor_name: doctor.rows[0].full_name },
+      `${appointments.length} recurring appointments with Dr. ${doctor.rows[0].full_name} booked, starting ${formatSlotTime(start)}`,
+      `New recurring series of ${appointments.length} appointments booked, starting ${formatSlotTime(start)}`,
+    )
+    CalendarService.sendAppointmentEmail(
+      appointments.map((appointment) => appointment.id),
+      "booked",
+    )
+
+    return { series, appointments, skipped }
+  }
+
+  /**
+   * A series with all its occurrences
+   * @param {number} seriesId - Series ID
+   * @returns {Object|null}
+   */
+  static async getById(seriesId) {
+    const seriesResult = await pool.query(
+      `SELECT s.*, p.full_name AS patient_name, d.full_name AS doctor_name
+       FROM appointment_series s
+       JOIN users p ON p.id = s.patient_id
+       JOIN users d ON d.id = s.doctor_id
+       WHERE s.id = $1`,
+      [seriesId],
+    )
+    const series = seriesResult.rows[0]
+    if (!series) {
+      return null
+    }
+
+    const occurrences = await pool.query(
+      `SELECT a.id, a.series_index, a.status, a.reason, a.slot_id, a.appointment_fee, a.series_charged_at,
+              sl.start_time, sl.end_time
+       FROM appointments a
+       LEFT JOIN availability_slots sl ON sl.id = a.slot_id
+       WHERE a.series_id = $1
+       ORDER BY a.series_index`,
+      [seriesId],
+    )
+    return { ...series, occurrences: occurrences.rows }
+  }
+
+  /**
+   * Moves or edits occurrences. A new date for the chosen occurrence moves every affected
+   * occurrence by the same number of days, to the new time of day.
+   * @param {number} seriesId - Series ID
+   * @param {Object} changes - { appointmentId, scope, date, duration, reason }
+   * @returns {number} Occurrences changed
+   */
+  static async update(seriesId, { appointmentId = null, scope, date = null, duration = null, reason }) {
+    const client = await pool.connect()
+    let series
+    let occurrences
+    const freedSlots = []
+
+    try {
+      await client.query("BEGIN")
+      series = await lockSeries(client, seriesId)
+      const selection = await selectOccurrences(client, seriesId, appointmentId, scope)
+      occurrences = selection.occurrences
+
+      if (date || duration) {
+        await SlotBookingService.lockDoctor(client, series.doctor_id)
+        const target = date ? parseLocalDateString(date) : null
+        const reference = selection.chosen.start_time
+        const dayShift = target
+          ? Math.round(
+              (new Date(target.getFullYear(), target.getMonth(), target.getDate()) -
+                new Date(reference.getFullYear(), reference.getMonth(), reference.getDate())) /
+                (24 * 60 * 60 * 1000),
+            )
+          : 0
+
+        const planned = occurrences.map((occurrence) => {
+          const from = occurrence.start_time
+          const start = target
+            ? new Date(from.getFullYear(), from.getMonth(), from.getDate() + dayShift, target.getHours(), target.getMinutes())
+            : from
+          const minutes = duration || (occurrence.end_time - occurrence.start_time) / 60000
+          return { occurrence, start, end: new Date(start.getTime() + minutes * 60 * 1000) }
+        })
+
+        if (planned.some(({ start }) => start <= new Date())) {
+          throw new SeriesError("Occurrences cannot be moved into the past")
+        }
+        const ownSlots = occurrences.map((occurrence) => occurrence.slot_id)
+        const conflicts = []
+        for (const { occurrence, start, end } of planned) {
+          if (await SlotBookingService.findConflict(client, series.doctor_id, start, end, ownSlots)) {
+            conflicts.push({ index: occurrence.series_index, start: formatDateForDB(start) })
+          }
+        }
+        if (conflicts.length > 0) {
+          throw new SeriesError("Some occurrences would clash with the doctor's booked slots", 409, conflicts)
+        }
+
+        // Release the old slots first so an occurrence may move into a slot another one leaves
+        await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = ANY($1::int[])", [ownSlots])
+        for (const { occurrence, start, end } of planned) {
+          const slotId = await SlotBookingService.reserveSlot(client, {
+            doctorId: series.doctor_id,
+            clinicId: series.clinic_id,
+            start,
+            end,
+          })
+          await client.query("UPDATE appointments SET slot_id = $2, updated_at = NOW() WHERE id = $1", [
+            occurrence.id,
+            slotId,
+          ])
+        }
+        freedSlots.push(...ownSlots)
+      }
+
+      if (reason !== undefined) {
+        await client.query("UPDATE appointments SET reason = $2, updated_at = NOW() WHERE id = ANY($1::int[])", [
+          occurrences.map((occurrence) => occurrence.id),
+          reason,
+        ])
+      }
+      if (scope === "all") {
+        await client.query(
+          `UPDATE appointment_series
+           SET reason = COALESCE($2, reason), duration_minutes = COALESCE($3, duration_minutes), updated_at = NOW()
+           WHERE id = $1`,
+          [seriesId, reason ?? null, duration],
+        )
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[SERIES] Series ${seriesId}: ${occurrences.length} occurrence(s) updated (${scope})`)
+    offerFreedSlots(freedSlots)
+    await notifySeries(
+      series,
+      `${occurrences.length} of your recurring appointments with Dr. ${series.doctor_name} have been changed`,
+      `${occurrences.length} recurring appointment(s) of ${series.patient_name} have been changed`,
+    )
+    if (freedSlots.length > 0) {
+      CalendarService.sendAppointmentEmail(
+        occurrences.map((occurrence) => occurrence.id),
+        "updated",
+      )
+    }
+    return occurrences.length
+  }
+
+  /**
+   * Cancels occurrences and refunds the ones already paid. The series ends when no upcoming
+   * occurrence is left.
+   * @param {number} seriesId - Series ID
+   * @param {Object} options - { appointmentId, scope, reason }
+   * @returns {Object} { cancelled, seriesStatus }
+   */
+  static async cancel(seriesId, { appointmentId = null, scope, reason = "Cancelled by user" }) {
+    const client = await pool.connect()
+    let series
+    let occurrences
+    let seriesStatus = "active"
+
+    try {
+      await client.query("BEGIN")
+      series = await lockSeries(client, seriesId)
+      ;({ occurrences } = await selectOccurrences(client, seriesId, appointmentId, scope))
+
+      for (const occurrence of occurrences) {
+        await client.query("UPDATE appointments SET status = 'cancelled', updated_at = NOW() WHERE id = $1", [occurrence.id])
+        await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", [occurrence.slot_id])
+
+        if (occurrence.series_charged_at) {
+          try {
+            await PaymentService.processRefund({
+              appointmentId: occurrence.id,
+              patientId: series.patient_id,
+              reason,
+              dbTransaction: client,
+            })
+          } catch (refundError) {
+            // Don't fail the cancellation if refund fails, just log it
+            logger.error(`[SERIES] Refund error for appointment ${occurrence.id}: ${refundError.message}`)
+          }
+        }
+      }
+
+      const remaining = await client.query(
+        `SELECT 1 FROM appointments a JOIN availability_slots sl ON sl.id = a.slot_id
+         WHERE a.series_id = $1 AND a.status = 'booked' AND sl.start_time > NOW()
+         LIMIT 1`,
+        [seriesId],
+      )
+      if (remaining.rows.length === 0) {
+        seriesStatus = "cancelled"
+        await client.query("UPDATE appointment_series SET status = 'cancelled', updated_at = NOW() WHERE id = $1", [seriesId])
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[SERIES] Series ${seriesId}: ${occurrences.length} occurrence(s) cancelled (${scope})`)
+    offerFreedSlots(occurrences.map((occurrence) => occurrence.slot_id))
+    await notifySeries(
+      series,
+      `${occurrences.length} of your recurring appointments with Dr. ${series.doctor_name} have been cancelled`,
+      `${occurrences.length} recurring appointment(s) cancelled for ${series.patient_name}`,
+    )
+    CalendarService.sendAppointmentEmail(
+      occurrences.map((occurrence) => occurrence.id),
+      "cancelled",
+    )
+    return { cancelled: occurrences.length, seriesStatus }
+  }
+
+  /**
+   * Charges occurrences of per-occurrence series starting within CHARGE_HOURS_BEFORE. When a charge
+   * fails the patient is told once; it is retried on the next run until the visit starts.
+   * @returns {Object} { charged, failed } counts
+   */
+  static async chargeDueOccurrences() {
+    const due = await pool.query(
+      `SELECT a.id FROM appointments a
+       JOIN appointment_series s ON s.id = a.series_id
+       JOIN availability_slots sl ON sl.id = a.slot_id
+       WHERE s.payment_mode = 'per_occurrence' AND a.status = 'booked' AND a.series_charged_at IS NULL
+         AND sl.start_time > NOW() AND sl.start_time <= NOW() + make_interval(hours => $1)
+       ORDER BY sl.start_time`,
+      [CHARGE_HOURS_BEFORE],
+    )
+
+    let charged = 0
+    let failed = 0
+    for (const { id } of due.rows) {
+      const client = await pool.connect()
+      let occurrence = null
+
+      try {
+        await client.query("BEGIN")
+        const result = await client.query(
+          `SELECT a.id, a.series_charge_failed_at, sl.start_time, s.*
+           FROM appointments a
+           JOIN appointment_series s ON s.id = a.series_id
+           JOIN availability_slots sl ON sl.id = a.slot_id
+           WHERE a.id = $1 AND a.status = 'booked' AND a.series_charged_at IS NULL
+           FOR UPDATE OF a`,
+          [id],
+        )
+        occurrence = result.rows[0]
+        if (occurrence) {
+          await chargeOccurrence(client, occurrence, id)
+          charged++
+        }
+        await client.query("COMMIT")
+      } catch (error) {
+        await client.query("ROLLBACK")
+        failed++
+        logger.warn(`[SERIES] Could not charge appointment ${id}: ${error.message}`)
+
+        if (occurrence && !occurrence.series_charge_failed_at) {
+          await pool.query("UPDATE appointments SET series_charge_failed_at = NOW() WHERE id = $1", [id])
+          await NotificationController.createNotification({
+            userId: occurrence.patient_id,
+            message: `We could not charge your appointment on ${formatSlotTime(occurrence.start_time)}: ${error.message}. Please top up your balance.`,
+            type: "appointment",
+            priority: "high",
+            refId: id,
+          })
+        }
+      } finally {
+        client.release()
+      }
+    }
+
+    if (charged > 0 || failed > 0) {
+      logger.info(`[SERIES] Per-occurrence charges: ${charged} charged, ${failed} failed`)
+    }
+    return { charged, failed }
+  }
+}
+
+AppointmentSeriesService.SeriesError = SeriesError
+AppointmentSeriesService.SCOPES = SCOPES
+AppointmentSeriesService.MAX_OCCURRENCES = MAX_OCCURRENCES
+
+module.exports = AppointmentSeriesService
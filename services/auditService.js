@@ -0,0 +1,257 @@
+const crypto = require("crypto")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+
+// prev_hash of the first row of the chain
+const GENESIS_HASH = "0".repeat(64)
+// Serializes appends so every row links to the one written just before it
+const CHAIN_LOCK_KEY = 7_240_013
+const VERIFY_BATCH_SIZE = 1000
+
+const ACTIONS = ["read", "create", "update", "delete"]
+// Why clinical data was opened; sent by clients in the X-Access-Purpose header
+const PURPOSES = ["treatment", "care_coordination", "billing", "operations", "patient_request", "legal", "emergency"]
+
+// Row fields covered by the hash, in hashing order
+const HASHED_FIELDS = [
+  "occurred_at",
+  "actor_id",
+  "actor_role",
+  "impersonator_id",
+  "patient_id",
+  "clinic_id",
+  "resource_type",
+  "resource_id",
+  "action",
+  "purpose",
+  "method",
+  "path",
+  "status_code",
+  "ip_address",
+  "user_agent",
+]
+
+// Search filters and the condition each one adds
+const SEARCH_CONDITIONS = {
+  patientId: "l.patient_id = ?",
+  actorId: "l.actor_id = ?",
+  clinicIds: "l.clinic_id = ANY(?::int[])",
+  resourceType: "l.resource_type = ?",
+  action: "l.action = ?",
+  purpose: "l.purpose = ?",
+  from: "l.occurred_at >= ?",
+  to: "l.occurred_at <= ?",
+}
+
+/**
+ * Hash of a row chained to the previous one
+ * @param {string} prevHash - Hash of the previous row
+ * @param {Object} entry - Row values (occurred_at as a Date)
+ * @returns {string} SHA-256 hex digest
+ */
+const computeHash = (prevHash, entry) => {
+  const values = HASHED_FIELDS.map((field) => {
+    const value = entry[field]
+    if (value === undefined || value === null) {
+      return null
+    }
+    return value instanceof Date ? value.toISOString() : String(value)
+  })
+  return crypto.createHash("sha256").update(JSON.stringify([prevHash, ...values])).digest("hex")
+}
+
+class AuditService {
+  /**
+   * Appends an access to clinical data to the log
+   * @param {Object} entry - { actorId, actorRole, impersonatorId, patientId, clinicId, resourceType, resourceId,
+   *                           action, purpose, method, path, statusCode, ip, userAgent }
+   * @returns {Object} { id, hash }
+   */
+  static async recordAccess(entry) {
+    const row = {
+      occurred_at: new Date(),
+      actor_id: entry.actorId ?? null,
+      actor_role: entry.actorRole ?? null,
+      impersonator_id: entry.impersonatorId ?? null,
+      patient_id: entry.patientId ?? null,
+      clinic_id: entry.clinicId ?? null,
+      resource_type: entry.resourceType,
+      resource_id: entry.resourceId == null ? null : String(entry.resourceId),
+      action: entry.action,
+      purpose: entry.purpose,
+      method: entry.method ?? null,
+      path: entry.path ?? null,
+      status_code: entry.statusCode ?? null,
+      ip_address: entry.ip ?? null,
+      user_agent: entry.userAgent ?? null,
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+      await client.query("SELECT pg_advisory_xact_lock($1)", [CHAIN_LOCK_KEY])
+
+      const last = await client.query("SELECT hash FROM phi_audit_log ORDER BY id DESC LIMIT 1")
+      const prevHash = last.rows.length > 0 ? last.rows[0].hash : GENESIS_HASH
+      const hash = computeHash(prevHash, row)
+
+      const result = await client.query(
+        `INSERT INTO phi_audit_log (${HASHED_FIELDS.join(", ")}, prev_hash, hash)
+         VALUES (${HASHED_FIELDS.map((_, index) => `$${index + 1}`).join(", ")}, $${HASHED_FIELDS.length + 1}, $${HASHED_FIELDS.length + 2})
+         RETURNING id`,
+        [...HASHED_FIELDS.map((field) => row[field]), prevHash, hash],
+      )
+
+      await client.query("COMMIT")
+      return { id: result.rows[0].id, hash }
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Searches the log, newest first
+   * @param {Object} filters - { patientId, actorId, clinicIds, resourceType, action, purpose, from, to }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Object} { entries, total }
+   */
+  static async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = []
+    const params = []
+    for (const [filter, condition] of Object.entries(SEARCH_CONDITIONS)) {
+      if (filters[filter]) {
+        params.push(filters[filter])
+        conditions.push(condition.replace("?", `$${params.length}`))
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM phi_audit_log l ${where}`, params)
+    const result = await pool.query(
+      `SELECT l.id, l.occurred_at, l.actor_id, a.full_name AS actor_name, l.actor_role,
+              l.impersonator_id, l.patient_id, p.full_name AS patient_name, l.clinic_id, c.name AS clinic_name,
+              l.resource_type, l.resource_id, l.action, l.purpose, l.method, l.path, l.status_code,
+              l.ip_address, l.user_agent, l.hash
+       FROM phi_audit_log l
+       LEFT JOIN users a ON a.id = l.actor_id
+       LEFT JOIN users p ON p.id = l.patient_id
+       LEFT JOIN clinics c ON c.id = l.clinic_id
+       ${where}
+       ORDER BY l.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    )
+
+    return { entries: result.rows, total: countResult.rows[0].total }
+  }
+
+  /**
+   * Accesses to a patient's clinical data as the patient sees them, newest first.
+   * The patient's own requests and denied attempts are left out; support acting through
+   * impersonation is shown as such.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} filters - { from, to }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Object} { entries, total }
+   */
+  static async listPatientAccesses(patientId, { from = null, to = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = `l.patient_id = $1
+         AND (l.actor_id IS DISTINCT FROM l.patient_id OR l.impersonator_id IS NOT NULL)
+         AND l.status_code < 400
+         AND ($2::timestamptz IS NULL OR l.occurred_at >= $2)
+         AND ($3::timestamptz IS NULL OR l.occurred_at <= $3)`
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM phi_audit_log l WHERE ${conditions}`, [
+      patientId,
+      from,
+      to,
+    ])
+    const result = await pool.query(
+      `SELECT l.id, l.occurred_at, l.action, l.resource_type, l.purpose,
+              CASE WHEN l.impersonator_id IS NOT NULL THEN 'Platform support' ELSE a.full_name END AS staff_name,
+              CASE WHEN l.impersonator_id IS NOT NULL THEN 'platform_support' ELSE l.actor_role END AS staff_role,
+              l.clinic_id, c.name AS clinic_name,
+              EXISTS (SELECT 1 FROM phi_access_reports r WHERE r.audit_log_id = l.id AND r.patient_id = l.patient_id) AS reported
+       FROM phi_audit_log l
+       LEFT JOIN users a ON a.id = l.actor_id
+       LEFT JOIN clinics c ON c.id = l.clinic_id
+       WHERE ${conditions}
+       ORDER BY l.id DESC
+       LIMIT $4 OFFSET $5`,
+      [patientId, from, to, limit, offset],
+    )
+
+    return { entries: result.rows, total: countResult.rows[0].total }
+  }
+
+  /**
+   * Finds an access to a patient's data
+   * @returns {Object|null} { id, patient_id, actor_id, occurred_at }
+   */
+  static async getPatientAccess(patientId, entryId) {
+    const result = await pool.query(
+      "SELECT id, patient_id, actor_id, occurred_at FROM phi_audit_log WHERE id = $1 AND patient_id = $2",
+      [entryId, patientId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Recomputes the hash chain and reports the first row that does not match
+   * @param {Object} range - { fromId, toId } (whole log by default)
+   * @returns {Object} { valid, checked, lastId (last valid row), brokenAt: { id, reason } | null }
+   */
+  static async verifyChain({ fromId = null, toId = null } = {}) {
+    let prevHash = GENESIS_HASH
+    let cursor = fromId ? Number(fromId) - 1 : 0
+    let lastId = null
+    let checked = 0
+
+    if (fromId) {
+      const previous = await pool.query("SELECT hash FROM phi_audit_log WHERE id < $1 ORDER BY id DESC LIMIT 1", [fromId])
+      if (previous.rows.length > 0) {
+        prevHash = previous.rows[0].hash
+      }
+    }
+
+    for (;;) {
+      const batch = await pool.query(
+        `SELECT * FROM phi_audit_log
+         WHERE id > $1 AND ($2::bigint IS NULL OR id <= $2)
+         ORDER BY id
+         LIMIT $3`,
+        [cursor, toId, VERIFY_BATCH_SIZE],
+      )
+
+      for (const row of batch.rows) {
+        if (row.prev_hash !== prevHash) {
+          logger.error(`[AUDIT] Hash chain broken at phi_audit_log row ${row.id}: previous row missing or changed`)
+          return { valid: false, checked, lastId, brokenAt: { id: row.id, reason: "previous_row_mismatch" } }
+        }
+        if (computeHash(row.prev_hash, row) !== row.hash) {
+          logger.error(`[AUDIT] Hash chain broken at phi_audit_log row ${row.id}: content changed`)
+          return { valid: false, checked, lastId, brokenAt: { id: row.id, reason: "content_mismatch" } }
+        }
+
+        prevHash = row.hash
+        cursor = row.id
+        lastId = row.id
+        checked++
+      }
+
+      if (batch.rows.length < VERIFY_BATCH_SIZE) {
+        return { valid: true, checked, lastId, brokenAt: null }
+      }
+    }
+  }
+}
+
+AuditService.ACTIONS = ACTIONS
+AuditService.PURPOSES = PURPOSES
+
+module.exports = AuditService
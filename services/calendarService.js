@@ -0,0 +1,302 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const MailService = require("./mailService")
+const AppointmentListService = require("./appointmentListService")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+
+// Past appointments kept in a feed; older ones drop out of subscribed calendars
+const FEED_HISTORY_DAYS = 90
+const FEED_ROLES = ["doctor", "patient"]
+const UID_DOMAIN = "sehhapro.com"
+const CANCELLED_STATUSES = ["cancelled", "error"]
+const EMAIL_KINDS = ["booked", "updated", "cancelled"]
+
+/**
+ * Error raised when a calendar feed cannot be issued
+ */
+class CalendarError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "CalendarError"
+    this.status = status
+  }
+}
+
+// Escapes a TEXT value (RFC 5545 3.3.11)
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n")
+
+// Folds a content line at 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = []
+  let current = ""
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current)
+      current = ""
+    }
+    current += char
+  }
+  parts.push(current)
+  return parts.join("\r\n ")
+}
+
+// UTC date-time, e.g. 20261018T083000Z
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "")
+
+const organizerAddress = () => {
+  const from = process.env.MAIL_FROM || "SehhaPro <no-reply@sehhapro.com>"
+  const match = from.match(/<([^>]+)>/)
+  return match ? match[1] : from
+}
+
+const formatSlotTime = (date) => new Date(date).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" })
+
+/**
+ * Builds the VEVENT of an appointment. The UID never changes and the sequence number is kept by the
+ * database, so calendars replace their copy when the appointment is moved or cancelled.
+ * @param {Object} appointment - Appointment row with appointment_time, appointment_end_time, names and clinic
+ * @param {Object} options - { audience (doctor|patient), cancelled, attendeeEmail (email invitations only) }
+ * @returns {Array} Content lines
+ */
+const buildEvent = (appointment, { audience, cancelled = false, attendeeEmail = null }) => {
+  cancelled = cancelled || CANCELLED_STATUSES.includes(appointment.status)
+  const summary =
+    audience === "doctor"
+      ? `Appointment: ${appointment.patient_name}`
+      : `Appointment with Dr. ${appointment.doctor_name}`
+  const location =
+    appointment.type === "telemedicine"
+      ? "Telemedicine (SehhaPro)"
+      : [appointment.clinic_name, appointment.clinic_address].filter(Boolean).join(", ")
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:appointment-${appointment.id}@${UID_DOMAIN}`,
+    `SEQUENCE:${appointment.ics_sequence || 0}`,
+    `DTSTAMP:${formatDateTime(appointment.ics_updated_at || appointment.created_at || new Date())}`,
+    `DTSTART:${formatDateTime(appointment.appointment_time)}`,
+    `DTEND:${formatDateTime(appointment.appointment_end_time || appointment.appointment_time)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+  ]
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`)
+  }
+  lines.push(`DESCRIPTION:${escapeText(`${appointment.type === "telemedicine" ? "Video consultation" : "In-person visit"} booked on SehhaPro`)}`)
+  if (attendeeEmail) {
+    lines.push(
+      `ORGANIZER;CN=SehhaPro:mailto:${organizerAddress()}`,
+      `ATTENDEE;CN="${String(appointment.patient_name).replace(/"/g, "")}";ROLE=REQ-PARTICIPANT:mailto:${attendeeEmail}`,
+    )
+  }
+  lines.push("END:VEVENT")
+  return lines
+}
+
+/**
+ * Builds a VCALENDAR document
+ * @param {Array} appointments - Appointment rows (those without a time are left out)
+ * @param {Object} options - { audience, method (REQUEST|CANCEL for email invitations), attendeeEmail, name }
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = (appointments, { audience, method = null, attendeeEmail = null, name = null }) => {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//SehhaPro//Appointments//EN", "CALSCALE:GREGORIAN"]
+  if (method) {
+    lines.push(`METHOD:${method}`)
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`, "REFRESH-INTERVAL;VALUE=DURATION:PT1H", "X-PUBLISHED-TTL:PT1H")
+  }
+  for (const appointment of appointments) {
+    if (appointment.appointment_time) {
+      lines.push(...buildEvent(appointment, { audience, cancelled: method === "CANCEL", attendeeEmail }))
+    }
+  }
+  lines.push("END:VCALENDAR")
+  return `${lines.map(foldLine).join("\r\n")}\r\n`
+}
+
+class CalendarService {
+  /**
+   * Issues a new feed URL token for the user, replacing the previous one
+   * @param {Object} user - { id, role }
+   * @returns {string} Plain token (only shown once)
+   */
+  static async createFeed(user) {
+    if (!FEED_ROLES.includes(user.role)) {
+      throw new CalendarError("Calendar feeds are available to doctors and patients", 403)
+    }
+
+    const token = generateToken()
+    const client = await pool.connect()
+    try {
+      await client.query("BEGIN")
+      await client.query("UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL", [
+        user.id,
+      ])
+      await client.query("INSERT INTO calendar_feed_tokens (user_id, token_hash) VALUES ($1, $2)", [
+        user.id,
+        hashToken(token),
+      ])
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[CALENDAR] Feed issued for user ${user.id}`)
+    return token
+  }
+
+  /**
+   * The user's active feed, without its token
+   * @param {number} userId - User ID
+   * @returns {Object|null} { created_at, last_used_at }
+   */
+  static async getFeed(userId) {
+    const result = await pool.query(
+      "SELECT created_at, last_used_at FROM calendar_feed_tokens WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Revokes the user's feed; subscribed calendars stop updating
+   * @param {number} userId - User ID
+   * @returns {boolean} Whether a feed was active
+   */
+  static async revokeFeed(userId) {
+    const result = await pool.query(
+      "UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId],
+    )
+    if (result.rowCount > 0) {
+      logger.info(`[CALENDAR] Feed of user ${userId} revoked`)
+    }
+    return result.rowCount > 0
+  }
+
+  /**
+   * Renders the feed of a token: a doctor's schedule or a patient's appointments
+   * @param {string} token - Plain feed token
+   * @returns {string|null} iCalendar text, or null when the token is unknown or revoked
+   */
+  static async renderFeed(token) {
+    const result = await pool.query(
+      `UPDATE calendar_feed_tokens t SET last_used_at = NOW()
+       FROM users u JOIN roles r ON r.id = u.role_id
+       WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND u.id = t.user_id AND u.deleted_at IS NULL
+       RETURNING u.id, r.name AS role`,
+      [hashToken(token)],
+    )
+    const user = result.rows[0]
+    if (!user || !FEED_ROLES.includes(user.role)) {
+      return null
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+    const appointments =
+      user.role === "doctor"
+        ? await AppointmentListService.forDoctor(user.id, { since })
+        : await AppointmentListService.forPatient(user.id, { since })
+
+    return buildCalendar(appointments, { audience: user.role, name: "SehhaPro appointments" })
+  }
+
+  /**
+   * Emails the patient about booked, moved or cancelled appointments with an .ics attachment that
+   * adds, updates or removes them in their calendar. Never throws: failures are logged.
+   * @param {Array<number>} appointmentIds - Appointments of one patient
+   * @param {string} kind - booked|updated|cancelled
+   */
+  static async sendAppointmentEmail(appointmentIds, kind) {
+    try {
+      if (!EMAIL_KINDS.includes(kind)) {
+        throw new Error(`Unknown appointment email: ${kind}`)
+      }
+
+      const result = await pool.query(
+        `SELECT a.*, p.full_name AS patient_name, p.email AS patient_email, d.full_name AS doctor_name,
+                c.name AS clinic_name, c.address AS clinic_address,
+                s.start_time AS appointment_time, s.end_time AS appointment_end_time
+         FROM appointments a
+         JOIN users p ON p.id = a.patient_id
+         JOIN users d ON d.id = a.doctor_id
+         LEFT JOIN clinics c ON c.id = a.clinic_id
+         LEFT JOIN availability_slots s ON s.id = a.slot_id
+         WHERE a.id = ANY($1::int[]) AND s.start_time IS NOT NULL
+         ORDER BY s.start_time`,
+        [appointmentIds],
+      )
+      const appointments = result.rows
+      const email = appointments[0]?.patient_email
+      if (!email) {
+        return
+      }
+
+      const when = appointments.map(
+        (appointment) => `- Dr. ${appointment.doctor_name}, ${formatSlotTime(appointment.appointment_time)}`,
+      )
+      const plural = appointments.length > 1
+      const { subject, intro } = {
+        booked: {
+          subject: "Your SehhaPro appointment is booked",
+          intro: plural ? "Your appointments are booked:" : "Your appointment is booked:",
+        },
+        updated: {
+          subject: "Your SehhaPro appointment has changed",
+          intro: plural ? "Your appointments now take place:" : "Your appointment now takes place:",
+        },
+        cancelled: {
+          subject: "Your SehhaPro appointment is cancelled",
+          intro: plural ? "These appointments are cancelled:" : "This appointment is cancelled:",
+        },
+      }[kind]
+      const method = kind === "cancelled" ? "CANCEL" : "REQUEST"
+
+      await MailService.sendMail({
+        to: email,
+        subject,
+        text: [
+          `Hello ${appointments[0].patient_name},`,
+          "",
+          intro,
+          ...when,
+          "",
+          kind === "cancelled"
+            ? "Open the attached file to remove it from your calendar."
+            : "Open the attached file to add it to your calendar or update it there.",
+        ].join("\n"),
+        attachments: [
+          {
+            filename: plural ? "appointments.ics" : "appointment.ics",
+            content: buildCalendar(appointments, {
+              audience: "patient",
+              method,
+              attendeeEmail: email,
+            }),
+            contentType: `text/calendar; charset=utf-8; method=${method}`,
+          },
+        ],
+      })
+    } catch (error) {
+      logger.error(`[CALENDAR] Could not send the ${kind} email of appointment(s) ${appointmentIds.join(", ")}: ${error.message}`)
+    }
+  }
+}
+
+CalendarService.CalendarError = CalendarError
+
+module.exports = CalendarService
@@ -0,0 +1,158 @@
+const { pool } = require("../config/database")
+
+// Association table that ties each clinic-scoped role to its clinics
+const MEMBERSHIP_TABLES = {
+  clinic_admin: { tableName: "admin_clinics", idColumn: "admin_id", hasPrimary: true },
+  lab_admin: { tableName: "admin_clinics", idColumn: "admin_id", hasPrimary: true },
+  doctor: { tableName: "doctor_clinics", idColumn: "doctor_id", hasPrimary: false },
+  nurse: { tableName: "nurse_clinics", idColumn: "nurse_id", hasPrimary: false },
+  lab: { tableName: "lab_clinics", idColumn: "lab_id", hasPrimary: false },
+  lab_tech: { tableName: "lab_clinics", idColumn: "lab_id", hasPrimary: false },
+}
+
+/**
+ * Error raised when a user asks to act for a clinic they do not belong to
+ */
+class ClinicContextError extends Error {
+  constructor(message, clinicId) {
+    super(message)
+    this.name = "ClinicContextError"
+    this.clinicId = clinicId
+  }
+}
+
+class ClinicContextService {
+  /**
+   * Whether the role works inside clinics (and therefore gets a clinic context)
+   * @param {string} role - Role name
+   * @returns {boolean}
+   */
+  static isClinicScopedRole(role) {
+    return Boolean(MEMBERSHIP_TABLES[role])
+  }
+
+  /**
+   * Lists the clinics a user belongs to, primary clinic first
+   * @param {Object} user - { id, role }
+   * @returns {Array} [{ id, name, is_primary }]
+   */
+  static async listUserClinics(user) {
+    const config = MEMBERSHIP_TABLES[user.role]
+    if (!config) {
+      return []
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.name, ${config.hasPrimary ? "COALESCE(m.is_primary, FALSE)" : "FALSE"} AS is_primary
+       FROM ${config.tableName} m
+       JOIN clinics c ON c.id = m.clinic_id
+       WHERE m.${config.idColumn} = $1 AND c.deleted_at IS NULL
+       ORDER BY is_primary DESC, m.clinic_id`,
+      [user.id],
+    )
+    return result.rows
+  }
+
+  /**
+   * Whether the user may act for the clinic (platform admins may act for any existing clinic)
+   * @param {Object} user - req.user (clinicIds is used when already resolved)
+   * @param {number} clinicId - Clinic ID
+   * @returns {boolean}
+   */
+  static async hasClinicAccess(user, clinicId) {
+    const id = Number.parseInt(clinicId)
+    if (!id) {
+      return false
+    }
+
+    // Platform admins and API keys without a clinic restriction may act for any clinic
+    if (user.role === "platform_admin" || (user.apiKey && !user.apiKey.clinicId)) {
+      const result = await pool.query("SELECT 1 FROM clinics WHERE id = $1 AND deleted_at IS NULL", [id])
+      return result.rows.length > 0
+    }
+
+    const clinicIds = user.clinicIds || (await ClinicContextService.listUserClinics(user)).map((clinic) => clinic.id)
+    return clinicIds.includes(id)
+  }
+
+  /**
+   * Works out which clinic a request acts for.
+   * Order: X-Clinic-Id header, the clinic chosen for the session, then the primary (or first) clinic.
+   * Clinic-restricted API keys always act for their clinic.
+   * @param {Object} user - { id, role, apiKey }
+   * @param {Object} options - { requestedClinicId, sessionId }
+   * @returns {Object} { clinicId, clinicIds }
+   * @throws {ClinicContextError} When the requested clinic is not one of the user's
+   */
+  static async resolve(user, { requestedClinicId = null, sessionId = null } = {}) {
+    const requested = requestedClinicId ? Number.parseInt(requestedClinicId) : null
+
+    if (user.role === "platform_admin") {
+      if (requested && !(await ClinicContextService.hasClinicAccess(user, requested))) {
+        throw new ClinicContextError("Clinic not found", requested)
+      }
+      const fallback = requested || (sessionId ? await ClinicContextService.getSessionClinic(sessionId) : null)
+      return { clinicId: fallback || null, clinicIds: [] }
+    }
+
+    if (user.apiKey) {
+      const keyClinicId = user.apiKey.clinicId
+      if (!keyClinicId) {
+        if (requested && !(await ClinicContextService.hasClinicAccess(user, requested))) {
+          throw new ClinicContextError("Clinic not found", requested)
+        }
+        return { clinicId: requested || null, clinicIds: [] }
+      }
+      if (requested && requested !== keyClinicId) {
+        throw new ClinicContextError("This API key is restricted to another clinic", requested)
+      }
+      return { clinicId: keyClinicId, clinicIds: [keyClinicId] }
+    }
+
+    // Patients and other roles outside clinics have no clinic context; the header is ignored for them
+    if (!ClinicContextService.isClinicScopedRole(user.role)) {
+      return { clinicId: null, clinicIds: [] }
+    }
+
+    const clinics = await ClinicContextService.listUserClinics(user)
+    const clinicIds = clinics.map((clinic) => clinic.id)
+
+    if (requested) {
+      if (!clinicIds.includes(requested)) {
+        throw new ClinicContextError("You are not a member of the requested clinic", requested)
+      }
+      return { clinicId: requested, clinicIds }
+    }
+
+    // A clinic chosen earlier stays active while the user still belongs to it
+    const sessionClinicId = sessionId ? await ClinicContextService.getSessionClinic(sessionId) : null
+    if (sessionClinicId && clinicIds.includes(sessionClinicId)) {
+      return { clinicId: sessionClinicId, clinicIds }
+    }
+
+    return { clinicId: clinicIds.length > 0 ? clinicIds[0] : null, clinicIds }
+  }
+
+  /**
+   * Returns the clinic stored as active for a session
+   * @param {string} sessionId - Session ID
+   * @returns {number|null}
+   */
+  static async getSessionClinic(sessionId) {
+    const result = await pool.query("SELECT active_clinic_id FROM user_sessions WHERE id = $1", [sessionId])
+    return result.rows.length > 0 ? result.rows[0].active_clinic_id : null
+  }
+
+  /**
+   * Stores the active clinic of a session
+   * @param {string} sessionId - Session ID
+   * @param {number|null} clinicId - Clinic ID (null to go back to the default)
+   */
+  static async setSessionClinic(sessionId, clinicId) {
+    await pool.query("UPDATE user_sessions SET active_clinic_id = $2 WHERE id = $1", [sessionId, clinicId])
+  }
+}
+
+ClinicContextService.ClinicContextError = ClinicContextError
+
+module.exports = ClinicContextService
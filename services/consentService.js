@@ -0,0 +1,345 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const DelegationService = require("./delegationService")
+const EncryptionService = require("./encryptionService")
+
+const CONSENT_SCOPES = ["clinic", "all_clinics", "emergency_only"]
+// What a clinic may ask for; sharing with every clinic is only ever the patient's own decision
+const REQUESTABLE_SCOPES = ["clinic", "emergency_only"]
+
+// Access levels, from most to least
+const ACCESS_FULL = "full"
+const ACCESS_EMERGENCY = "emergency"
+
+// API key scope that lets a key without a clinic read every patient's data
+const ALL_CLINICS_KEY_SCOPE = "patients:all_clinics"
+
+const ACTIVE_CONDITION = "c.revoked_at IS NULL AND (c.expires_at IS NULL OR c.expires_at > NOW())"
+
+/**
+ * Error raised when a consent cannot be given, revoked or requested
+ */
+class ConsentError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "ConsentError"
+    this.status = status
+  }
+}
+
+class ConsentService {
+  /**
+   * What the patient lets a clinic see
+   * @param {number} patientId - Patient user ID
+   * @param {number} clinicId - Clinic the staff member works for (null: no clinic)
+   * @returns {string|null} "full", "emergency" or null
+   */
+  static async getClinicAccessLevel(patientId, clinicId) {
+    const result = await pool.query(
+      `SELECT c.scope FROM patient_consents c
+       WHERE c.patient_id = $1 AND ${ACTIVE_CONDITION}
+         AND (c.scope <> 'clinic' OR c.clinic_id = $2)`,
+      [patientId, clinicId || null],
+    )
+
+    const scopes = result.rows.map((row) => row.scope)
+    if (scopes.includes("clinic") || scopes.includes("all_clinics")) {
+      return ACCESS_FULL
+    }
+    return scopes.includes("emergency_only") ? ACCESS_EMERGENCY : null
+  }
+
+  /**
+   * What a user may see of a patient's clinical data.
+   * Patients see their own data and that of a dependent they may see records of (X-Patient-Id).
+   * Platform admins are not bound to a clinic, nor are API keys without a clinic that carry the
+   * patients:all_clinics scope. Staff and other keys act for their clinic.
+   * @param {Object} user - req.user
+   * @param {number} patientId - Patient user ID
+   * @returns {string|null} "full", "emergency" or null
+   */
+  static async getAccessLevel(user, patientId) {
+    const id = Number.parseInt(patientId)
+    if (user.role === "patient") {
+      const { dependent } = user
+      const isDependent = dependent && dependent.id === id && dependent.permissions.includes("records:view")
+      return id === user.id || isDependent ? ACCESS_FULL : null
+    }
+    if (user.role === "platform_admin") {
+      return ACCESS_FULL
+    }
+    if (user.apiKey) {
+      if (!user.apiKey.clinicId && user.apiKey.scopes.includes(ALL_CLINICS_KEY_SCOPE)) {
+        return ACCESS_FULL
+      }
+      return ConsentService.getClinicAccessLevel(id, user.apiKey.clinicId)
+    }
+    return ConsentService.getClinicAccessLevel(id, user.clinic_id)
+  }
+
+  /**
+   * Lists a patient's consents, newest first
+   * @param {number} patientId - Patient user ID
+   * @param {boolean} includeInactive - Include revoked and expired consents (the history)
+   * @returns {Array}
+   */
+  static async listConsents(patientId, includeInactive = false) {
+    const result = await pool.query(
+      `SELECT c.id, c.scope, c.clinic_id, cl.name AS clinic_name, c.granted_at, c.expires_at,
+              c.revoked_at, c.revoke_reason, c.note, c.request_id,
+              g.full_name AS granted_by_name, r.full_name AS revoked_by_name,
+              (${ACTIVE_CONDITION}) AS active
+       FROM patient_consents c
+       LEFT JOIN clinics cl ON cl.id = c.clinic_id
+       LEFT JOIN users g ON g.id = c.granted_by
+       LEFT JOIN users r ON r.id = c.revoked_by
+       WHERE c.patient_id = $1 AND ($2 OR (${ACTIVE_CONDITION}))
+       ORDER BY c.granted_at DESC`,
+      [patientId, includeInactive],
+    )
+    return result.rows
+  }
+
+  /**
+   * Gives consent. An active consent with the same scope and clinic is replaced, so the
+   * history shows the change.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} consent - { scope, clinicId, expiresAt, requestId, note }
+   * @param {number} grantedBy - User giving consent (the patient or a guardian)
+   * @returns {Object} Consent
+   */
+  static async grantConsent(patientId, { scope, clinicId = null, expiresAt = null, requestId = null, note = null }, grantedBy) {
+    if (!CONSENT_SCOPES.includes(scope)) {
+      throw new ConsentError(`Scope must be one of: ${CONSENT_SCOPES.join(", ")}`)
+    }
+    if (scope === "clinic" && !clinicId) {
+      throw new ConsentError("A clinic is required for clinic consent")
+    }
+    if (scope === "clinic") {
+      const clinic = await pool.query("SELECT 1 FROM clinics WHERE id = $1", [clinicId])
+      if (clinic.rows.length === 0) {
+        throw new ConsentError("Clinic not found", 404)
+      }
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      await client.query(
+        `UPDATE patient_consents SET revoked_at = NOW(), revoked_by = $4, revoke_reason = 'replaced'
+         WHERE patient_id = $1 AND scope = $2 AND COALESCE(clinic_id, 0) = COALESCE($3::int, 0) AND revoked_at IS NULL`,
+        [patientId, scope, scope === "clinic" ? clinicId : null, grantedBy],
+      )
+      const result = await client.query(
+        `INSERT INTO patient_consents (patient_id, scope, clinic_id, granted_by, expires_at, request_id, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, patient_id, scope, clinic_id, granted_at, expires_at`,
+        [patientId, scope, scope === "clinic" ? clinicId : null, grantedBy, expiresAt, requestId, note],
+      )
+
+      await client.query("COMMIT")
+      logger.info(`[CONSENT] Patient ${patientId} consent ${scope}${clinicId ? ` for clinic ${clinicId}` : ""} given by user ${grantedBy}`)
+      return result.rows[0]
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Revokes an active consent
+   * @returns {boolean} Whether an active consent was found
+   */
+  static async revokeConsent(patientId, consentId, revokedBy, reason = null) {
+    const result = await pool.query(
+      `UPDATE patient_consents SET revoked_at = NOW(), revoked_by = $3, revoke_reason = $4
+       WHERE id = $1 AND patient_id = $2 AND revoked_at IS NULL`,
+      [consentId, patientId, revokedBy, reason],
+    )
+
+    if (result.rowCount > 0) {
+      logger.info(`[CONSENT] Consent ${consentId} of patient ${patientId} revoked by user ${revokedBy}`)
+    }
+    return result.rowCount > 0
+  }
+
+  /**
+   * A clinic asks the patient for consent; the patient and their guardians are notified
+   * @param {Object} request - { patientId, clinicId, scope, reason }
+   * @param {Object} requester - req.user of the staff member
+   * @returns {Object} Consent request
+   */
+  static async requestConsent({ patientId, clinicId, scope, reason }, requester) {
+    const patientResult = await pool.query(
+      `SELECT u.id FROM users u JOIN roles r ON r.id = u.role_id WHERE u.id = $1 AND r.name = 'patient'`,
+      [patientId],
+    )
+    if (patientResult.rows.length === 0) {
+      throw new ConsentError("Patient not found", 404)
+    }
+
+    const level = await ConsentService.getClinicAccessLevel(patientId, clinicId)
+    if (level === ACCESS_FULL || (level === ACCESS_EMERGENCY && scope === "emergency_only")) {
+      throw new ConsentError("The patient already shares this data with your clinic", 409)
+    }
+
+    const result = await pool.query(
+      `INSERT INTO consent_requests (patient_id, clinic_id, scope, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (patient_id, clinic_id, scope) WHERE status = 'pending' DO NOTHING
+       RETURNING id, patient_id, clinic_id, scope, reason, status, created_at`,
+      [patientId, clinicId, scope, reason, requester.id],
+    )
+    if (result.rows.length === 0) {
+      throw new ConsentError("Your clinic already has a pending request with this patient", 409)
+    }
+
+    const request = result.rows[0]
+    const clinicResult = await pool.query("SELECT name FROM clinics WHERE id = $1", [clinicId])
+    const clinicName = clinicResult.rows[0] ? clinicResult.rows[0].name : "A clinic"
+    const what = scope === "emergency_only" ? "your emergency medical data" : "your medical record"
+
+    // The patient and whoever manages their account (guardians of minors, delegates with profile access)
+    const guardians = await DelegationService.listGuardians(patientId)
+    const recipients = [
+      { id: patientId, message: `${clinicName} asks to see ${what}: ${reason}` },
+      ...guardians
+        .filter((guardian) => guardian.kind === "minor" || guardian.permissions.includes("profile:manage"))
+        .map((guardian) => ({
+          id: guardian.id,
+          message: `${clinicName} asks to see the ${scope === "emergency_only" ? "emergency medical data" : "medical record"} of a family member you manage: ${reason}`,
+        })),
+    ]
+
+    for (const recipient of recipients) {
+      await NotificationController.createNotification({
+        userId: recipient.id,
+        message: recipient.message,
+        type: "consent_request",
+        priority: "high",
+        refId: String(request.id),
+      })
+    }
+
+    logger.info(`[CONSENT] User ${requester.id} of clinic ${clinicId} requested ${scope} consent from patient ${patientId}`)
+    return { ...request, clinic_name: clinicName }
+  }
+
+  /**
+   * Lists consent requests made to a patient, newest first
+   * @param {number} patientId - Patient user ID
+   * @param {string} status - Optional status filter
+   * @returns {Array}
+   */
+  static async listRequests(patientId, status = null) {
+    const result = await pool.query(
+      `SELECT cr.id, cr.clinic_id, c.name AS clinic_name, cr.scope, cr.reason, cr.status,
+              cr.requested_by, u.full_name AS requested_by_name, r.name AS requested_by_role,
+              cr.created_at, cr.responded_at
+       FROM consent_requests cr
+       JOIN clinics c ON c.id = cr.clinic_id
+       LEFT JOIN users u ON u.id = cr.requested_by
+       LEFT JOIN roles r ON r.id = u.role_id
+       WHERE cr.patient_id = $1 AND ($2::text IS NULL OR cr.status = $2)
+       ORDER BY cr.created_at DESC`,
+      [patientId, status],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds a pending request made to a patient
+   * @returns {Object|null}
+   */
+  static async getPendingRequest(patientId, requestId) {
+    const result = await pool.query(
+      `SELECT id, patient_id, clinic_id, scope, reason, requested_by
+       FROM consent_requests WHERE id = $1 AND patient_id = $2 AND status = 'pending'`,
+      [requestId, patientId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Approves or declines a pending request; approving gives the requested consent.
+   * The staff member who asked is notified either way.
+   * @param {Object} request - Pending request
+   * @param {boolean} approve - Whether the patient agrees
+   * @param {number} respondedBy - User answering (the patient or a guardian)
+   * @returns {Object|null} Consent when approved
+   */
+  static async respondToRequest(request, approve, respondedBy) {
+    const updated = await pool.query(
+      `UPDATE consent_requests SET status = $2, responded_by = $3, responded_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [request.id, approve ? "approved" : "declined", respondedBy],
+    )
+    if (updated.rowCount === 0) {
+      throw new ConsentError("This request has already been answered", 409)
+    }
+
+    const consent = approve
+      ? await ConsentService.grantConsent(
+          request.patient_id,
+          { scope: request.scope, clinicId: request.scope === "clinic" ? request.clinic_id : null, requestId: request.id },
+          respondedBy,
+        )
+      : null
+
+    if (request.requested_by) {
+      await NotificationController.createNotification({
+        userId: request.requested_by,
+        message: `Your request to see the ${request.scope === "emergency_only" ? "emergency data" : "medical record"} of patient #${request.patient_id} was ${approve ? "approved" : "declined"}`,
+        type: "consent_request",
+        refId: String(request.id),
+      })
+    }
+
+    return consent
+  }
+
+  /**
+   * Emergency data of a patient: what staff may see with emergency-only consent or by breaking the glass
+   * @param {number} patientId - Patient user ID
+   * @returns {Object|null} Profile fields and active_prescriptions
+   */
+  static async getEmergencyData(patientId) {
+    const result = await pool.query(
+      `SELECT u.id, u.full_name, pmp.date_of_birth, pmp.gender, pmp.blood_type, pmp.allergies,
+              pmp.current_medications, pmp.chronic_conditions,
+              pmp.emergency_contact_name, pmp.emergency_contact_phone, pmp.emergency_contact_relationship
+       FROM users u
+       LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = u.id
+       WHERE u.id = $1 AND u.deleted_at IS NULL`,
+      [patientId],
+    )
+    if (result.rows.length === 0) {
+      return null
+    }
+
+    // The profile may lag behind what was prescribed recently
+    const prescriptions = await pool.query(
+      `SELECT id, prescription_number, medication, diagnosis, created_at FROM prescriptions
+       WHERE patient_id = $1 AND status = 'active' AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [patientId],
+    )
+    return {
+      ...EncryptionService.decryptFields(result.rows[0], "patient_medical_profiles"),
+      active_prescriptions: EncryptionService.decryptRows(prescriptions.rows, "prescriptions"),
+    }
+  }
+}
+
+ConsentService.ConsentError = ConsentError
+ConsentService.CONSENT_SCOPES = CONSENT_SCOPES
+ConsentService.REQUESTABLE_SCOPES = REQUESTABLE_SCOPES
+ConsentService.ACCESS_FULL = ACCESS_FULL
+ConsentService.ACCESS_EMERGENCY = ACCESS_EMERGENCY
+
+module.exports = ConsentService
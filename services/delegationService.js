@@ -0,0 +1,343 @@
+const { v4: uuidv4 } = require("uuid")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+
+// Age at which a minor's guardianship ends and the account becomes their own
+const MAJORITY_AGE = Number.parseInt(process.env.MAJORITY_AGE || "18")
+
+// What a guardian may do for a dependent. Minor guardianships hold all of them.
+const DELEGATION_PERMISSIONS = {
+  "appointments:book": "See and book appointments",
+  "records:view": "See medical records, prescriptions and lab results",
+  "wallet:pay": "See the wallet, add funds and pay from it",
+  "profile:manage": "See and edit the profile",
+}
+
+const RELATIONSHIPS = ["parent", "legal_guardian", "child", "spouse", "sibling", "caregiver", "other"]
+
+// Only guardianships that are still in force: not ended, and for minors not past the age of majority
+const ACTIVE_CONDITION = `d.ended_at IS NULL
+  AND NOT (d.kind = 'minor' AND pmp.date_of_birth IS NOT NULL
+           AND pmp.date_of_birth <= CURRENT_DATE - make_interval(years => ${MAJORITY_AGE}))`
+
+/**
+ * Error raised when a guardianship cannot be created or changed
+ */
+class DelegationError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "DelegationError"
+    this.status = status
+  }
+}
+
+class DelegationService {
+  /**
+   * Lists permissions that are not defined
+   * @param {Array<string>} permissions - Permission keys
+   * @returns {Array<string>}
+   */
+  static findUnknownPermissions(permissions) {
+    return permissions.filter((permission) => !DELEGATION_PERMISSIONS[permission])
+  }
+
+  /**
+   * Whether a date of birth belongs to someone under the age of majority
+   * @param {string|Date} dateOfBirth - Date of birth
+   * @returns {boolean}
+   */
+  static isMinor(dateOfBirth) {
+    const majority = new Date(dateOfBirth)
+    majority.setFullYear(majority.getFullYear() + MAJORITY_AGE)
+    return majority > new Date()
+  }
+
+  /**
+   * Finds the guardianship that lets a user act for a dependent
+   * @param {number} guardianId - User acting
+   * @param {number} dependentId - Patient acted for
+   * @returns {Object|null} { id, kind, relationship, permissions, dependent_name }
+   */
+  static async getActiveDelegation(guardianId, dependentId) {
+    const result = await pool.query(
+      `SELECT d.id, d.kind, d.relationship, d.permissions, u.full_name AS dependent_name
+       FROM patient_delegations d
+       JOIN users u ON u.id = d.dependent_id
+       LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = d.dependent_id
+       WHERE d.guardian_id = $1 AND d.dependent_id = $2 AND ${ACTIVE_CONDITION}`,
+      [guardianId, dependentId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Whether a user may do something for a patient (always true for themselves)
+   * @param {number} userId - User acting
+   * @param {number} patientId - Patient acted for
+   * @param {string} permission - Delegation permission
+   * @returns {boolean}
+   */
+  static async canActFor(userId, patientId, permission) {
+    if (Number.parseInt(patientId) === userId) {
+      return true
+    }
+    const delegation = await DelegationService.getActiveDelegation(userId, patientId)
+    return Boolean(delegation && delegation.permissions.includes(permission))
+  }
+
+  /**
+   * Lists the patients a user can act for
+   * @param {number} guardianId - Guardian user ID
+   * @returns {Array}
+   */
+  static async listDependents(guardianId) {
+    const result = await pool.query(
+      `SELECT d.id AS delegation_id, d.kind, d.relationship, d.permissions, d.created_at,
+              u.id, u.full_name, u.email, u.phone, pmp.date_of_birth, pmp.gender
+       FROM patient_delegations d
+       JOIN users u ON u.id = d.dependent_id
+       LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = d.dependent_id
+       WHERE d.guardian_id = $1 AND ${ACTIVE_CONDITION}
+       ORDER BY u.full_name`,
+      [guardianId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Lists the people who can act for a patient
+   * @param {number} dependentId - Patient user ID
+   * @returns {Array}
+   */
+  static async listGuardians(dependentId) {
+    const result = await pool.query(
+      `SELECT d.id AS delegation_id, d.kind, d.relationship, d.permissions, d.created_at,
+              g.id, g.full_name, g.email, g.phone
+       FROM patient_delegations d
+       JOIN users g ON g.id = d.guardian_id
+       LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = d.dependent_id
+       WHERE d.dependent_id = $1 AND ${ACTIVE_CONDITION}
+       ORDER BY g.full_name`,
+      [dependentId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds an active guardianship by ID
+   * @param {number} delegationId - Delegation ID
+   * @returns {Object|null}
+   */
+  static async getDelegation(delegationId) {
+    const result = await pool.query(
+      `SELECT d.*
+       FROM patient_delegations d
+       LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = d.dependent_id
+       WHERE d.id = $1 AND ${ACTIVE_CONDITION}`,
+      [delegationId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Finds a patient account by email or phone
+   * @param {Object} identifier - { email, phone }
+   * @returns {Object|null} { id, full_name }
+   */
+  static async findPatient({ email, phone }) {
+    const result = await pool.query(
+      `SELECT u.id, u.full_name
+       FROM users u
+       JOIN roles r ON r.id = u.role_id
+       WHERE r.name = 'patient' AND (($1::text IS NOT NULL AND LOWER(u.email) = LOWER($1)) OR ($2::text IS NOT NULL AND u.phone = $2))
+       LIMIT 1`,
+      [email || null, phone || null],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Creates an account for a child managed by the guardian. The child cannot sign in until the
+   * guardianship ends at the age of majority and they set a password through "forgot password".
+   * @param {number} guardianId - Guardian user ID
+   * @param {Object} data - { fullName, dateOfBirth, gender, relationship, email, phone }
+   * @returns {Object} Dependent with the guardianship
+   */
+  static async createMinorDependent(guardianId, { fullName, dateOfBirth, gender = null, relationship, email, phone }) {
+    if (!DelegationService.isMinor(dateOfBirth)) {
+      throw new DelegationError(`Dependents created this way must be under ${MAJORITY_AGE}`)
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const userResult = await client.query(
+        `INSERT INTO users (full_name, email, password_hash, role_id, phone, created_at, updated_at)
+         SELECT $1, $2, '!', id, $3, NOW(), NOW() FROM roles WHERE name = 'patient'
+         RETURNING id, full_name, email, phone`,
+        [fullName, email || `dependent-${uuidv4()}@dependents.invalid`, phone || null],
+      )
+      const dependent = userResult.rows[0]
+
+      await client.query(
+        `INSERT INTO patient_medical_profiles (patient_id, date_of_birth, gender)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (patient_id) DO UPDATE SET date_of_birth = $2, gender = COALESCE($3, patient_medical_profiles.gender)`,
+        [dependent.id, dateOfBirth, gender],
+      )
+
+      const delegationResult = await client.query(
+        `INSERT INTO patient_delegations (guardian_id, dependent_id, kind, relationship, permissions, created_by)
+         VALUES ($1, $2, 'minor', $3, $4, $1)
+         RETURNING id, kind, relationship, permissions, created_at`,
+        [guardianId, dependent.id, relationship, Object.keys(DELEGATION_PERMISSIONS)],
+      )
+
+      await client.query("COMMIT")
+      logger.info(`[DELEGATION] User ${guardianId} created dependent ${dependent.id}`)
+
+      return { ...dependent, date_of_birth: dateOfBirth, gender, delegation: delegationResult.rows[0] }
+    } catch (error) {
+      await client.query("ROLLBACK")
+      if (error.code === "23505") {
+        throw new DelegationError("An account with this email already exists", 409)
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Links a guardian to a dependent
+   * @param {Object} data - { guardianId, dependentId, kind, relationship, permissions }
+   * @param {number} createdBy - User creating the link
+   * @returns {Object} Guardianship
+   */
+  static async createDelegation({ guardianId, dependentId, kind, relationship, permissions }, createdBy) {
+    if (guardianId === dependentId) {
+      throw new DelegationError("A patient cannot be their own guardian")
+    }
+
+    const accounts = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM users u JOIN roles r ON r.id = u.role_id
+       WHERE u.id = ANY($1::int[]) AND r.name = 'patient'`,
+      [[guardianId, dependentId]],
+    )
+    if (accounts.rows[0].count !== 2) {
+      throw new DelegationError("Guardian and dependent must both be patient accounts", 404)
+    }
+
+    if (kind === "minor") {
+      const profile = await pool.query("SELECT date_of_birth FROM patient_medical_profiles WHERE patient_id = $1", [
+        dependentId,
+      ])
+      const dateOfBirth = profile.rows[0] && profile.rows[0].date_of_birth
+      if (!dateOfBirth || !DelegationService.isMinor(dateOfBirth)) {
+        throw new DelegationError(`Minor guardianship needs a date of birth under ${MAJORITY_AGE} on the dependent's profile`)
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO patient_delegations (guardian_id, dependent_id, kind, relationship, permissions, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, guardian_id, dependent_id, kind, relationship, permissions, created_at`,
+        [
+          guardianId,
+          dependentId,
+          kind,
+          relationship,
+          kind === "minor" ? Object.keys(DELEGATION_PERMISSIONS) : permissions,
+          createdBy,
+        ],
+      )
+
+      logger.info(`[DELEGATION] User ${guardianId} can now act for patient ${dependentId} (${kind}), set by user ${createdBy}`)
+      return result.rows[0]
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new DelegationError("This person can already act for the patient", 409)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Replaces the permissions of a delegated (adult) guardianship
+   * @param {number} delegationId - Delegation ID
+   * @param {Array<string>} permissions - Permission keys
+   */
+  static async updatePermissions(delegationId, permissions) {
+    await pool.query("UPDATE patient_delegations SET permissions = $2, updated_at = NOW() WHERE id = $1", [
+      delegationId,
+      permissions,
+    ])
+  }
+
+  /**
+   * Ends a guardianship
+   * @param {number} delegationId - Delegation ID
+   * @param {number} endedBy - User ending it (null for the system)
+   * @param {string} reason - Why it ended
+   * @returns {boolean} Whether it was still active
+   */
+  static async endDelegation(delegationId, endedBy, reason) {
+    const result = await pool.query(
+      `UPDATE patient_delegations SET ended_at = NOW(), ended_by = $2, ended_reason = $3, updated_at = NOW()
+       WHERE id = $1 AND ended_at IS NULL`,
+      [delegationId, endedBy, reason],
+    )
+    return result.rowCount > 0
+  }
+
+  /**
+   * Ends the guardianship of every minor who has reached the age of majority and tells both
+   * sides. Access already stops at the birthday; this records it and notifies.
+   * @returns {number} Number of guardianships handed over
+   */
+  static async processAgeHandovers() {
+    const result = await pool.query(
+      `UPDATE patient_delegations d
+       SET ended_at = NOW(), ended_reason = 'came_of_age', updated_at = NOW()
+       FROM patient_medical_profiles pmp
+       WHERE pmp.patient_id = d.dependent_id AND d.kind = 'minor' AND d.ended_at IS NULL
+         AND pmp.date_of_birth <= CURRENT_DATE - make_interval(years => $1)
+       RETURNING d.id, d.guardian_id, d.dependent_id`,
+      [MAJORITY_AGE],
+    )
+
+    for (const delegation of result.rows) {
+      await NotificationController.createNotification({
+        userId: delegation.guardian_id,
+        message:
+          "A dependent you managed has come of age and now controls their own account. They can grant you access again from their account.",
+        type: "guardianship_handover",
+        refId: delegation.id,
+      })
+      await NotificationController.createNotification({
+        userId: delegation.dependent_id,
+        message:
+          "Your account is now yours. Use \"Forgot password\" with your email to set a password, and choose who may still act for you.",
+        type: "guardianship_handover",
+        sendSms: true,
+        refId: delegation.id,
+      })
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`[DELEGATION] ${result.rows.length} minor guardianship(s) handed over at majority`)
+    }
+    return result.rows.length
+  }
+}
+
+DelegationService.DelegationError = DelegationError
+DelegationService.DELEGATION_PERMISSIONS = DELEGATION_PERMISSIONS
+DelegationService.RELATIONSHIPS = RELATIONSHIPS
+DelegationService.MAJORITY_AGE = MAJORITY_AGE
+
+module.exports = DelegationService
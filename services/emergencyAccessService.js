@@ -0,0 +1,176 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const ConsentService = require("./consentService")
+const DelegationService = require("./delegationService")
+
+// How long a break-the-glass grant lets the doctor read the emergency data
+const ACCESS_MINUTES = Number.parseInt(process.env.BREAK_GLASS_ACCESS_MINUTES || "60")
+
+const REVIEW_STATUSES = ["pending", "justified", "unjustified"]
+
+/**
+ * Error raised when emergency access cannot be granted
+ */
+class EmergencyAccessError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "EmergencyAccessError"
+    this.status = status
+  }
+}
+
+class EmergencyAccessService {
+  /**
+   * The user's unexpired break-the-glass grant for a patient
+   * @param {number} userId - Doctor
+   * @param {number} patientId - Patient user ID
+   * @returns {Object|null}
+   */
+  static async getActiveGrant(userId, patientId) {
+    const result = await pool.query(
+      `SELECT id, patient_id, granted_to, clinic_id, reason, created_at, expires_at
+       FROM emergency_access_grants
+       WHERE granted_to = $1 AND patient_id = $2 AND expires_at > NOW()
+       ORDER BY expires_at DESC LIMIT 1`,
+      [userId, patientId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Grants a doctor time-boxed access to a patient's emergency data and alerts the patient
+   * (and their guardians) and the admins of the doctor's clinic. A grant still running is reused.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} requester - req.user of the doctor (clinic_id: active clinic)
+   * @param {string} reason - Why the data is needed
+   * @returns {Object} Grant
+   */
+  static async breakGlass(patientId, requester, reason) {
+    const patientResult = await pool.query(
+      `SELECT u.id FROM users u JOIN roles r ON r.id = u.role_id
+       WHERE u.id = $1 AND r.name = 'patient' AND u.deleted_at IS NULL`,
+      [patientId],
+    )
+    if (patientResult.rows.length === 0) {
+      throw new EmergencyAccessError("Patient not found", 404)
+    }
+
+    if (await ConsentService.getAccessLevel(requester, patientId)) {
+      throw new EmergencyAccessError("The patient already shares emergency data with your clinic; no need to break the glass", 409)
+    }
+
+    const active = await EmergencyAccessService.getActiveGrant(requester.id, patientId)
+    if (active) {
+      return active
+    }
+
+    const result = await pool.query(
+      `INSERT INTO emergency_access_grants (patient_id, granted_to, clinic_id, reason, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+       RETURNING id, patient_id, granted_to, clinic_id, reason, created_at, expires_at`,
+      [patientId, requester.id, requester.clinic_id || null, reason, ACCESS_MINUTES],
+    )
+    const grant = result.rows[0]
+
+    const clinicResult = await pool.query("SELECT name FROM clinics WHERE id = $1", [grant.clinic_id])
+    const where = clinicResult.rows[0] ? ` at ${clinicResult.rows[0].name}` : ""
+    const who = `Dr. ${requester.full_name}${where}`
+
+    const guardians = await DelegationService.listGuardians(patientId)
+    const admins = await pool.query(
+      `SELECT ac.admin_id FROM admin_clinics ac
+       JOIN users u ON u.id = ac.admin_id
+       JOIN roles r ON r.id = u.role_id
+       WHERE ac.clinic_id = $1 AND r.name = 'clinic_admin' AND u.deleted_at IS NULL`,
+      [grant.clinic_id],
+    )
+
+    const recipients = [
+      { id: patientId, message: `${who} used emergency access to your allergies, medications and conditions: ${reason}` },
+      ...guardians
+        .filter((guardian) => guardian.kind === "minor" || guardian.permissions.includes("profile:manage"))
+        .map((guardian) => ({
+          id: guardian.id,
+          message: `${who} used emergency access to the medical data of a family member you manage: ${reason}`,
+        })),
+      ...admins.rows.map((admin) => ({
+        id: admin.admin_id,
+        message: `${who} broke the glass on a patient without consent: ${reason}. Review it in the emergency access queue.`,
+      })),
+    ]
+
+    for (const recipient of recipients) {
+      await NotificationController.createNotification({
+        userId: recipient.id,
+        message: recipient.message,
+        type: "emergency_access",
+        priority: "high",
+        sendSms: recipient.id === patientId,
+        refId: String(grant.id),
+      })
+    }
+
+    logger.warn(`[EMERGENCY] User ${requester.id} broke the glass on patient ${patientId} (grant ${grant.id}): ${reason}`)
+    return grant
+  }
+
+  /**
+   * Lists grants for after-the-fact review, oldest first
+   * @param {Object} filters - { clinicIds, status }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Array}
+   */
+  static async listGrants({ clinicIds = null, status = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT g.id, g.reason, g.created_at, g.expires_at, g.review_status, g.reviewed_at, g.review_note,
+              g.patient_id, p.full_name AS patient_name, g.granted_to, d.full_name AS granted_to_name,
+              g.clinic_id, c.name AS clinic_name, rv.full_name AS reviewed_by_name
+       FROM emergency_access_grants g
+       LEFT JOIN users p ON p.id = g.patient_id
+       LEFT JOIN users d ON d.id = g.granted_to
+       LEFT JOIN users rv ON rv.id = g.reviewed_by
+       LEFT JOIN clinics c ON c.id = g.clinic_id
+       WHERE ($1::int[] IS NULL OR g.clinic_id = ANY($1::int[]))
+         AND ($2::text IS NULL OR g.review_status = $2)
+       ORDER BY g.created_at, g.id
+       LIMIT $3 OFFSET $4`,
+      [clinicIds, status, limit, offset],
+    )
+    return result.rows
+  }
+
+  /**
+   * Records the outcome of the review of a grant
+   * @param {number} grantId - Grant ID
+   * @param {Object} review - { reviewedBy, status (justified|unjustified), note, clinicIds (limits which grants) }
+   * @returns {boolean} Whether a grant waiting for review was found
+   */
+  static async reviewGrant(grantId, { reviewedBy, status, note = null, clinicIds = null }) {
+    const result = await pool.query(
+      `UPDATE emergency_access_grants
+       SET review_status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4,
+           expires_at = CASE WHEN $2 = 'unjustified' THEN LEAST(expires_at, NOW()) ELSE expires_at END
+       WHERE id = $1 AND review_status = 'pending'
+         AND ($5::int[] IS NULL OR clinic_id = ANY($5::int[]))
+       RETURNING granted_to, patient_id`,
+      [grantId, status, reviewedBy, note, clinicIds],
+    )
+    if (result.rows.length === 0) {
+      return false
+    }
+
+    if (status === "unjustified") {
+      logger.warn(
+        `[EMERGENCY] Grant ${grantId} (user ${result.rows[0].granted_to}, patient ${result.rows[0].patient_id}) reviewed as unjustified by user ${reviewedBy}`,
+      )
+    }
+    return true
+  }
+}
+
+EmergencyAccessService.EmergencyAccessError = EmergencyAccessError
+EmergencyAccessService.ACCESS_MINUTES = ACCESS_MINUTES
+EmergencyAccessService.REVIEW_STATUSES = REVIEW_STATUSES
+
+module.exports = EmergencyAccessService
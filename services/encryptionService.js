@@ -0,0 +1,249 @@
+const crypto = require("crypto")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+
+// Envelope encryption: every value is encrypted with its own random data key (AES-256-GCM), and
+// the data key is stored next to it, wrapped by a master key. Master keys come from
+// FIELD_ENCRYPTION_KEYS ("<id>:<base64 32 bytes>,..."); new values use FIELD_ENCRYPTION_KEY_ID
+// (default: the last listed key). Retired keys stay listed until rotateKeys() has moved every
+// value off them.
+// Stored format: enc:v1:<master key id>:base64(wrap iv | wrap tag | wrapped data key | iv | tag | ciphertext)
+const PREFIX = "enc:v1:"
+const IV_BYTES = 12
+const TAG_BYTES = 16
+const KEY_BYTES = 32
+const WRAPPED_BYTES = IV_BYTES + TAG_BYTES + KEY_BYTES
+const ROTATE_BATCH_SIZE = 200
+
+// Designated sensitive columns, encrypted at rest. Values are strings (lists are stored as JSON).
+// They cannot be searched or sorted in SQL; search only on the other columns.
+const ENCRYPTED_FIELDS = {
+  patient_medical_profiles: ["medical_history", "allergies", "chronic_conditions", "current_medications"],
+  medical_records: ["diagnosis", "treatment", "notes"],
+  prescriptions: ["diagnosis"],
+}
+
+/**
+ * Reads the master keys from the environment
+ * @returns {Map} Key ID => key
+ */
+const loadMasterKeys = () => {
+  const keys = new Map()
+  for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || "").split(",")) {
+    if (!entry.trim()) {
+      continue
+    }
+    const [id, encoded] = entry.trim().split(":")
+    const key = Buffer.from(encoded || "", "base64")
+    if (!/^[A-Za-z0-9-]+$/.test(id) || key.length !== KEY_BYTES) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: key "${id}" must be "<id>:<base64 of ${KEY_BYTES} bytes>"`)
+    }
+    keys.set(id, key)
+  }
+  return keys
+}
+
+const MASTER_KEYS = loadMasterKeys()
+const ACTIVE_KEY_ID = process.env.FIELD_ENCRYPTION_KEY_ID || [...MASTER_KEYS.keys()].pop() || null
+
+if (ACTIVE_KEY_ID && !MASTER_KEYS.has(ACTIVE_KEY_ID)) {
+  throw new Error(`FIELD_ENCRYPTION_KEY_ID "${ACTIVE_KEY_ID}" is not listed in FIELD_ENCRYPTION_KEYS`)
+}
+if (!ACTIVE_KEY_ID) {
+  logger.warn("[ENCRYPTION] FIELD_ENCRYPTION_KEYS is not set: sensitive medical fields are stored unencrypted")
+}
+
+const getMasterKey = (keyId) => {
+  const key = MASTER_KEYS.get(keyId)
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in FIELD_ENCRYPTION_KEYS`)
+  }
+  return key
+}
+
+// AES-256-GCM; returns iv | tag | ciphertext
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv)
+  cipher.setAAD(Buffer.from(aad))
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+}
+
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, sealed.subarray(0, IV_BYTES))
+  decipher.setAAD(Buffer.from(aad))
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES))
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()])
+}
+
+// Splits a stored value into its master key ID and payload
+const parse = (value) => {
+  const separator = value.indexOf(":", PREFIX.length)
+  return {
+    keyId: value.slice(PREFIX.length, separator),
+    payload: Buffer.from(value.slice(separator + 1), "base64"),
+  }
+}
+
+class EncryptionService {
+  /**
+   * Whether master keys are configured (otherwise values are stored as they are)
+   */
+  static isEnabled() {
+    return ACTIVE_KEY_ID !== null
+  }
+
+  /**
+   * Whether a stored value is encrypted
+   */
+  static isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(PREFIX)
+  }
+
+  /**
+   * Encrypts a value for storage (null, undefined and already encrypted values are returned as they are)
+   * @param {string} value - Plain value; other types are converted to strings
+   * @returns {string} Stored value
+   */
+  static encrypt(value) {
+    if (value === null || value === undefined || !EncryptionService.isEnabled() || EncryptionService.isEncrypted(value)) {
+      return value
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES)
+    const wrapped = seal(getMasterKey(ACTIVE_KEY_ID), dataKey, ACTIVE_KEY_ID)
+    const sealed = seal(dataKey, Buffer.from(String(value), "utf8"), PREFIX)
+    return `${PREFIX}${ACTIVE_KEY_ID}:${Buffer.concat([wrapped, sealed]).toString("base64")}`
+  }
+
+  /**
+   * Decrypts a stored value (values stored before encryption was enabled are returned as they are)
+   * @param {string} value - Stored value
+   * @returns {string} Plain value
+   */
+  static decrypt(value) {
+    if (!EncryptionService.isEncrypted(value)) {
+      return value
+    }
+
+    const { keyId, payload } = parse(value)
+    const dataKey = open(getMasterKey(keyId), payload.subarray(0, WRAPPED_BYTES), keyId)
+    return open(dataKey, payload.subarray(WRAPPED_BYTES), PREFIX).toString("utf8")
+  }
+
+  /**
+   * Re-wraps the data key of a stored value with the active master key; the data itself is not
+   * decrypted. Plain values are encrypted.
+   * @param {string} value - Stored value
+   * @returns {string} Stored value under the active key
+   */
+  static rewrap(value) {
+    if (!EncryptionService.isEncrypted(value)) {
+      return EncryptionService.encrypt(value)
+    }
+
+    const { keyId, payload } = parse(value)
+    if (keyId === ACTIVE_KEY_ID) {
+      return value
+    }
+    const dataKey = open(getMasterKey(keyId), payload.subarray(0, WRAPPED_BYTES), keyId)
+    const wrapped = seal(getMasterKey(ACTIVE_KEY_ID), dataKey, ACTIVE_KEY_ID)
+    return `${PREFIX}${ACTIVE_KEY_ID}:${Buffer.concat([wrapped, payload.subarray(WRAPPED_BYTES)]).toString("base64")}`
+  }
+
+  /**
+   * Encrypts the designated fields of a row about to be written to a table
+   * @param {string} table - Key of ENCRYPTED_FIELDS
+   * @param {Object} row - Column => value; fields not present are left out
+   * @returns {Object} Copy of the row
+   */
+  static encryptFields(table, row) {
+    const encrypted = { ...row }
+    for (const field of ENCRYPTED_FIELDS[table]) {
+      if (field in encrypted) {
+        encrypted[field] = EncryptionService.encrypt(encrypted[field])
+      }
+    }
+    return encrypted
+  }
+
+  /**
+   * Decrypts fields of a row read from the database, in place
+   * @param {Object} row - Query result row (null is returned as is)
+   * @param {string|Array} fields - Table name (its designated fields) or list of column names, e.g. aliases
+   * @returns {Object} The row
+   */
+  static decryptFields(row, fields) {
+    if (!row) {
+      return row
+    }
+    for (const field of Array.isArray(fields) ? fields : ENCRYPTED_FIELDS[fields]) {
+      if (field in row) {
+        row[field] = EncryptionService.decrypt(row[field])
+      }
+    }
+    return row
+  }
+
+  /**
+   * Decrypts fields of every row, in place
+   * @param {Array} rows - Query result rows
+   * @param {string|Array} fields - See decryptFields
+   * @returns {Array} The rows
+   */
+  static decryptRows(rows, fields) {
+    rows.forEach((row) => EncryptionService.decryptFields(row, fields))
+    return rows
+  }
+
+  /**
+   * Moves every designated field onto the active master key: plain values are encrypted and values
+   * under older keys get their data key re-wrapped. Safe to interrupt and run again.
+   * @returns {Object} Number of values updated per table
+   */
+  static async rotateKeys({ batchSize = ROTATE_BATCH_SIZE } = {}) {
+    if (!EncryptionService.isEnabled()) {
+      throw new Error("FIELD_ENCRYPTION_KEYS is not set")
+    }
+
+    const current = `${PREFIX}${ACTIVE_KEY_ID}:%`
+    const updated = {}
+
+    for (const [table, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+      updated[table] = 0
+      const stale = fields.map((field) => `(${field} IS NOT NULL AND ${field} NOT LIKE $1)`).join(" OR ")
+      let lastId = 0
+
+      for (;;) {
+        const batch = await pool.query(
+          `SELECT id, ${fields.join(", ")} FROM ${table}
+           WHERE id > $2 AND (${stale})
+           ORDER BY id LIMIT $3`,
+          [current, lastId, batchSize],
+        )
+        if (batch.rows.length === 0) {
+          break
+        }
+
+        for (const row of batch.rows) {
+          // Only written if the row was not changed in the meantime
+          const result = await pool.query(
+            `UPDATE ${table} SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(", ")}
+             WHERE id = $1 AND ${fields.map((field, i) => `${field} IS NOT DISTINCT FROM $${fields.length + i + 2}`).join(" AND ")}`,
+            [row.id, ...fields.map((field) => EncryptionService.rewrap(row[field])), ...fields.map((field) => row[field])],
+          )
+          updated[table] += result.rowCount
+          lastId = row.id
+        }
+      }
+    }
+
+    logger.info(`[ENCRYPTION] Sensitive fields moved to key "${ACTIVE_KEY_ID}": ${JSON.stringify(updated)}`)
+    return updated
+  }
+}
+
+EncryptionService.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS
+
+module.exports = EncryptionService
@@ -0,0 +1,170 @@
+const jwt = require("jsonwebtoken")
+const { v4: uuidv4 } = require("uuid")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+
+// Impersonation tokens are short-lived and cannot be refreshed
+const IMPERSONATION_TTL_MINUTES = Number.parseInt(process.env.IMPERSONATION_TTL_MINUTES || "30")
+// Accounts support may never act as: other admins (privilege escalation) and machine clients
+const PROTECTED_ROLES = ["platform_admin", "service_account"]
+
+/**
+ * Error raised when an impersonation cannot be started
+ */
+class ImpersonationError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "ImpersonationError"
+    this.status = status
+  }
+}
+
+class ImpersonationService {
+  /**
+   * Starts acting as another user
+   * @param {Object} admin - req.user of the platform admin
+   * @param {number} targetUserId - User to act as
+   * @param {Object} options - { reason, ip, userAgent }
+   * @returns {Object} { token, impersonation }
+   * @throws {ImpersonationError} When the target cannot be impersonated
+   */
+  static async start(admin, targetUserId, { reason, ip = null, userAgent = null }) {
+    if (admin.impersonation) {
+      throw new ImpersonationError("End the current impersonation first", 403)
+    }
+    if (Number.parseInt(targetUserId) === admin.id) {
+      throw new ImpersonationError("You cannot impersonate yourself")
+    }
+
+    const targetResult = await pool.query(
+      `SELECT u.id, u.full_name, u.email, r.name AS role
+       FROM users u
+       LEFT JOIN roles r ON r.id = u.role_id
+       WHERE u.id = $1`,
+      [targetUserId],
+    )
+    if (targetResult.rows.length === 0) {
+      throw new ImpersonationError("User not found", 404)
+    }
+
+    const target = targetResult.rows[0]
+    if (PROTECTED_ROLES.includes(target.role)) {
+      throw new ImpersonationError(`Users with the ${target.role} role cannot be impersonated`, 403)
+    }
+
+    const id = uuidv4()
+    const result = await pool.query(
+      `INSERT INTO impersonation_sessions (id, admin_id, target_user_id, reason, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+       RETURNING id, admin_id, target_user_id, reason, started_at, expires_at`,
+      [id, admin.id, target.id, reason, ip, userAgent, IMPERSONATION_TTL_MINUTES],
+    )
+
+    const token = jwt.sign({ userId: target.id, imp: id, act: admin.id, mfa: true }, process.env.JWT_SECRET, {
+      expiresIn: `${IMPERSONATION_TTL_MINUTES}m`,
+    })
+
+    logger.warn(`[IMPERSONATION] User ${admin.id} started impersonating user ${target.id} (${id}): ${reason}`)
+
+    return { token, impersonation: { ...result.rows[0], target } }
+  }
+
+  /**
+   * Finds an impersonation that is still running
+   * @param {string} impersonationId - Impersonation ID (the imp claim of the token)
+   * @returns {Object|null} { id, admin_id, target_user_id, admin_name, expires_at }
+   */
+  static async getActive(impersonationId) {
+    const result = await pool.query(
+      `SELECT i.id, i.admin_id, i.target_user_id, i.expires_at, a.full_name AS admin_name
+       FROM impersonation_sessions i
+       JOIN users a ON a.id = i.admin_id
+       WHERE i.id = $1 AND i.ended_at IS NULL AND i.expires_at > NOW()`,
+      [impersonationId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Ends an impersonation; its token stops working immediately
+   * @param {string} impersonationId - Impersonation ID
+   * @returns {boolean} Whether it was still running
+   */
+  static async end(impersonationId) {
+    const result = await pool.query(
+      "UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = $1 AND ended_at IS NULL",
+      [impersonationId],
+    )
+    if (result.rowCount > 0) {
+      logger.warn(`[IMPERSONATION] Impersonation ${impersonationId} ended`)
+    }
+    return result.rowCount > 0
+  }
+
+  /**
+   * Writes one impersonated request to the audit trail
+   * @param {string} impersonationId - Impersonation ID
+   * @param {Object} entry - { method, path, statusCode, blocked, ip }
+   */
+  static async recordRequest(impersonationId, { method, path, statusCode = null, blocked = false, ip = null }) {
+    await pool.query(
+      `INSERT INTO impersonation_audit_log (impersonation_id, method, path, status_code, blocked, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [impersonationId, method, path, statusCode, blocked, ip],
+    )
+  }
+
+  /**
+   * Lists impersonations, newest first, with the number of requests made in each
+   * @param {Object} filters - { targetUserId, adminId }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Array}
+   */
+  static async listImpersonations({ targetUserId = null, adminId = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT i.id, i.admin_id, a.full_name AS admin_name, i.target_user_id, t.full_name AS target_name,
+              i.reason, i.started_at, i.expires_at, i.ended_at,
+              (i.ended_at IS NULL AND i.expires_at > NOW()) AS active,
+              (SELECT COUNT(*)::int FROM impersonation_audit_log l WHERE l.impersonation_id = i.id) AS request_count
+       FROM impersonation_sessions i
+       JOIN users a ON a.id = i.admin_id
+       JOIN users t ON t.id = i.target_user_id
+       WHERE ($1::int IS NULL OR i.target_user_id = $1)
+         AND ($2::int IS NULL OR i.admin_id = $2)
+       ORDER BY i.started_at DESC
+       LIMIT $3 OFFSET $4`,
+      [targetUserId, adminId, limit, offset],
+    )
+    return result.rows
+  }
+
+  /**
+   * Requests made during an impersonation, in order
+   * @param {string} impersonationId - Impersonation ID
+   * @param {number} targetUserId - Only return the trail when this user was the one impersonated
+   * @returns {Array|null} Null when the impersonation does not exist (for that user)
+   */
+  static async getAuditTrail(impersonationId, targetUserId = null) {
+    const impersonation = await pool.query(
+      "SELECT 1 FROM impersonation_sessions WHERE id = $1 AND ($2::int IS NULL OR target_user_id = $2)",
+      [impersonationId, targetUserId],
+    )
+    if (impersonation.rows.length === 0) {
+      return null
+    }
+
+    const result = await pool.query(
+      `SELECT method, path, status_code, blocked, ip_address, created_at
+       FROM impersonation_audit_log
+       WHERE impersonation_id = $1
+       ORDER BY created_at, id`,
+      [impersonationId],
+    )
+    return result.rows
+  }
+}
+
+ImpersonationService.ImpersonationError = ImpersonationError
+ImpersonationService.IMPERSONATION_TTL_MINUTES = IMPERSONATION_TTL_MINUTES
+
+module.exports = ImpersonationService
@@ -0,0 +1,317 @@
+const bcrypt = require("bcryptjs")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const MailService = require("./mailService")
+const NotificationController = require("../controllers/notificationController")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+const { linkUserToClinic } = require("../utils/userUtils")
+
+const INVITATION_TTL_DAYS = Number.parseInt(process.env.CLINIC_INVITATION_TTL_DAYS || "7")
+// Roles a clinic can invite; the admin roles also need the clinics:admins:manage permission
+const INVITABLE_ROLES = ["doctor", "nurse", "lab", "lab_admin", "clinic_admin"]
+const ADMIN_ROLES = ["clinic_admin", "lab_admin"]
+
+const INVITATION_COLUMNS = `i.id, i.clinic_id, i.email, i.phone, i.role, i.invited_by, i.expires_at, i.accepted_at,
+  i.accepted_by, i.revoked_at, i.created_at,
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END AS status`
+
+/**
+ * Error raised when an invitation cannot be used
+ */
+class InvitationError extends Error {
+  constructor(message, status = 400, code = "INVITATION_INVALID") {
+    super(message)
+    this.name = "InvitationError"
+    this.status = status
+    this.code = code
+  }
+}
+
+class InvitationService {
+  /**
+   * Builds the link sent to the invitee
+   * @param {string} token - Plain invitation token
+   * @returns {string}
+   */
+  static buildAcceptUrl(token) {
+    return `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`
+  }
+
+  /**
+   * Invites an email or phone to join a clinic. Earlier pending invitations of the same
+   * person to the same clinic are revoked so only the newest link works.
+   * @param {number} clinicId - Clinic ID
+   * @param {Object} data - { email, phone, role }
+   * @param {Object} inviter - req.user of the admin
+   * @returns {Object} { invitation, delivered }
+   */
+  static async createInvitation(clinicId, { email = null, phone = null, role }, inviter) {
+    const clinicResult = await pool.query("SELECT id, name FROM clinics WHERE id = $1", [clinicId])
+    if (clinicResult.rows.length === 0) {
+      throw new InvitationError("Clinic not found", 404)
+    }
+
+    await pool.query(
+      `UPDATE clinic_invitations SET revoked_at = NOW(), revoked_by = $4
+       WHERE clinic_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+         AND (($2::text IS NOT NULL AND LOWER(email) = LOWER($2)) OR ($3::text IS NOT NULL AND phone = $3))`,
+      [clinicId, email, phone, inviter.id],
+    )
+
+    const token = generateToken()
+    const result = await pool.query(
+      `INSERT INTO clinic_invitations (clinic_id, email, phone, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+       RETURNING id`,
+      [clinicId, email, phone, role, hashToken(token), inviter.id, INVITATION_TTL_DAYS],
+    )
+    const invitation = await InvitationService.getInvitation(clinicId, result.rows[0].id)
+
+    logger.info(`[INVITATIONS] User ${inviter.id} invited ${email || phone} to clinic ${clinicId} as ${role}`)
+
+    const delivered = await InvitationService.deliver(invitation, token, {
+      clinicName: clinicResult.rows[0].name,
+      inviterName: inviter.full_name,
+    })
+    return { invitation, delivered }
+  }
+
+  /**
+   * Sends the invitation link by email, or by SMS when only a phone was given.
+   * Delivery problems are logged, not thrown: the admin can resend.
+   * @returns {boolean} Whether the message was handed to a provider
+   */
+  static async deliver(invitation, token, { clinicName, inviterName }) {
+    const acceptUrl = InvitationService.buildAcceptUrl(token)
+
+    try {
+      if (invitation.email) {
+        await MailService.sendClinicInvitationEmail({
+          to: invitation.email,
+          clinicName,
+          role: invitation.role,
+          inviterName,
+          acceptUrl,
+          expiresInDays: INVITATION_TTL_DAYS,
+        })
+        return true
+      }
+
+      return await NotificationController.sendSms({
+        to: invitation.phone,
+        body: `You are invited to join ${clinicName} on SehhaPro as ${invitation.role.replace("_", " ")}: ${acceptUrl}`,
+      })
+    } catch (error) {
+      logger.error(`[INVITATIONS] Delivery of invitation ${invitation.id} failed: ${error.message}`)
+      return false
+    }
+  }
+
+  /**
+   * Issues a new link for a pending invitation and sends it again
+   * @param {Object} invitation - Pending invitation
+   * @param {Object} inviter - req.user of the admin
+   * @returns {Object} { invitation, delivered }
+   */
+  static async resendInvitation(invitation, inviter) {
+    const token = generateToken()
+    await pool.query(
+      `UPDATE clinic_invitations SET token_hash = $2, expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $1`,
+      [invitation.id, hashToken(token), INVITATION_TTL_DAYS],
+    )
+
+    const clinicResult = await pool.query("SELECT name FROM clinics WHERE id = $1", [invitation.clinic_id])
+    const refreshed = await InvitationService.getInvitation(invitation.clinic_id, invitation.id)
+    const delivered = await InvitationService.deliver(refreshed, token, {
+      clinicName: clinicResult.rows[0].name,
+      inviterName: inviter.full_name,
+    })
+
+    logger.info(`[INVITATIONS] Invitation ${invitation.id} resent by user ${inviter.id}`)
+    return { invitation: refreshed, delivered }
+  }
+
+  /**
+   * Lists the invitations of a clinic, newest first
+   * @param {number} clinicId - Clinic ID
+   * @param {string} status - Optional status filter (pending, accepted, revoked, expired)
+   * @returns {Array}
+   */
+  static async listInvitations(clinicId, status = null) {
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT ${INVITATION_COLUMNS}, u.full_name AS invited_by_name
+         FROM clinic_invitations i
+         LEFT JOIN users u ON u.id = i.invited_by
+         WHERE i.clinic_id = $1
+       ) invitations
+       WHERE $2::text IS NULL OR status = $2
+       ORDER BY created_at DESC`,
+      [clinicId, status],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds an invitation of a clinic
+   * @returns {Object|null}
+   */
+  static async getInvitation(clinicId, invitationId) {
+    const result = await pool.query(
+      `SELECT ${INVITATION_COLUMNS} FROM clinic_invitations i WHERE i.id = $1 AND i.clinic_id = $2`,
+      [invitationId, clinicId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Revokes a pending invitation
+   * @returns {boolean} Whether it was still pending
+   */
+  static async revokeInvitation(invitationId, revokedBy) {
+    const result = await pool.query(
+      `UPDATE clinic_invitations SET revoked_at = NOW(), revoked_by = $2
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [invitationId, revokedBy],
+    )
+    return result.rowCount > 0
+  }
+
+  /**
+   * Finds a usable invitation by its token
+   * @param {string} token - Plain token from the link
+   * @returns {Object} Invitation with clinic_name and existing_account
+   * @throws {InvitationError} When the token is unknown, used, revoked or expired
+   */
+  static async findByToken(token) {
+    const result = await pool.query(
+      `SELECT ${INVITATION_COLUMNS}, c.name AS clinic_name,
+              EXISTS (SELECT 1 FROM users u WHERE (i.email IS NOT NULL AND LOWER(u.email) = LOWER(i.email))
+                                              OR (i.phone IS NOT NULL AND u.phone = i.phone)) AS existing_account
+       FROM clinic_invitations i
+       JOIN clinics c ON c.id = i.clinic_id
+       WHERE i.token_hash = $1`,
+      [hashToken(token)],
+    )
+
+    if (result.rows.length === 0) {
+      throw new InvitationError("Invalid invitation link", 404)
+    }
+
+    const invitation = result.rows[0]
+    if (invitation.status !== "pending") {
+      throw new InvitationError(`This invitation has been ${invitation.status}`, 410, "INVITATION_UNAVAILABLE")
+    }
+    return invitation
+  }
+
+  /**
+   * Accepts an invitation for an existing account and links it to the clinic
+   * @param {Object} invitation - Invitation from findByToken
+   * @param {Object} user - { id, email, phone, role }
+   * @throws {InvitationError} When the account does not match the invitation
+   */
+  static async acceptForUser(invitation, user) {
+    const sameEmail = invitation.email && user.email && invitation.email.toLowerCase() === user.email.toLowerCase()
+    const samePhone = invitation.phone && user.phone && invitation.phone === user.phone
+    if (!sameEmail && !samePhone) {
+      throw new InvitationError("This invitation was sent to someone else", 403, "INVITATION_MISMATCH")
+    }
+
+    if (user.role !== invitation.role) {
+      throw new InvitationError(
+        `This invitation is for a ${invitation.role} account; your account is ${user.role}`,
+        409,
+        "INVITATION_ROLE_MISMATCH",
+      )
+    }
+
+    await InvitationService.claimAndLink(invitation, user.id)
+  }
+
+  /**
+   * Creates the invitee's account with the invited role, then accepts the invitation.
+   * The address the link was sent to counts as verified.
+   * @param {Object} invitation - Invitation from findByToken
+   * @param {Object} data - { full_name, password, email, phone }
+   * @returns {Object} New user
+   */
+  static async registerAndAccept(invitation, { full_name, password, email, phone }) {
+    if (invitation.existing_account) {
+      throw new InvitationError("An account already exists for this invitation; sign in to accept it", 409, "ACCOUNT_EXISTS")
+    }
+
+    const accountEmail = invitation.email || email
+    if (!accountEmail) {
+      throw new InvitationError("An email address is required to create the account")
+    }
+
+    const existing = await pool.query("SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)", [accountEmail])
+    if (existing.rows.length > 0) {
+      throw new InvitationError("An account with this email already exists; sign in to accept", 409, "ACCOUNT_EXISTS")
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12)
+    const result = await pool.query(
+      `INSERT INTO users (full_name, email, password_hash, role_id, phone, email_verified_at, phone_verified_at, created_at, updated_at)
+       SELECT $1, $2, $3, id, $4, CASE WHEN $5 THEN NOW() END, CASE WHEN $6 THEN NOW() END, NOW(), NOW()
+       FROM roles WHERE name = $7
+       RETURNING id, full_name, email, phone`,
+      [
+        full_name,
+        accountEmail,
+        passwordHash,
+        invitation.phone || phone || null,
+        Boolean(invitation.email),
+        Boolean(invitation.phone),
+        invitation.role,
+      ],
+    )
+    const user = { ...result.rows[0], role: invitation.role }
+
+    await InvitationService.claimAndLink(invitation, user.id)
+    logger.info(`[INVITATIONS] Account ${user.id} created from invitation ${invitation.id}`)
+    return user
+  }
+
+  /**
+   * Marks the invitation as used (once, even under concurrent requests) and links the user
+   */
+  static async claimAndLink(invitation, userId) {
+    const claimed = await pool.query(
+      `UPDATE clinic_invitations SET accepted_at = NOW(), accepted_by = $2
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [invitation.id, userId],
+    )
+    if (claimed.rowCount === 0) {
+      throw new InvitationError("This invitation is no longer available", 410, "INVITATION_UNAVAILABLE")
+    }
+
+    try {
+      // The first clinic of an admin becomes their primary one
+      const primary = ADMIN_ROLES.includes(invitation.role)
+        ? (await pool.query("SELECT 1 FROM admin_clinics WHERE admin_id = $1", [userId])).rows.length === 0
+        : false
+      await linkUserToClinic(userId, invitation.clinic_id, invitation.role, primary)
+    } catch (error) {
+      await pool.query("UPDATE clinic_invitations SET accepted_at = NULL, accepted_by = NULL WHERE id = $1", [
+        invitation.id,
+      ])
+      throw error
+    }
+
+    logger.info(`[INVITATIONS] User ${userId} joined clinic ${invitation.clinic_id} as ${invitation.role}`)
+  }
+}
+
+InvitationService.InvitationError = InvitationError
+InvitationService.INVITABLE_ROLES = INVITABLE_ROLES
+InvitationService.ADMIN_ROLES = ADMIN_ROLES
+
+module.exports = InvitationService
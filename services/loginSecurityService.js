@@ -0,0 +1,271 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const MailService = require("./mailService")
+const NotificationController = require("../controllers/notificationController")
+
+// Failures allowed before each further attempt is delayed
+const FREE_ATTEMPTS = Number.parseInt(process.env.LOGIN_FREE_ATTEMPTS || "3")
+// Failures that lock the account
+const MAX_FAILED_ATTEMPTS = Number.parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || "10")
+// First lockout length; doubles on each repeated lockout up to MAX_LOCKOUT_MINUTES
+const LOCKOUT_MINUTES = Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15")
+const MAX_LOCKOUT_MINUTES = 24 * 60
+const MAX_DELAY_SECONDS = 60
+
+// Lockout length after a number of earlier lockouts
+const lockMinutesFor = (lockoutCount) => Math.min(LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES)
+
+// Lockout state of an e-mail address with no account, rebuilt from the attempt log the way
+// user_login_security keeps it for real accounts: failures since the last lockout, and the lockouts
+async function unknownEmailState(email) {
+  const result = await pool.query(
+    `WITH lockouts AS (
+       SELECT COUNT(*)::int AS lockout_count, MAX(created_at) AS locked_at
+       FROM login_attempts
+       WHERE user_id IS NULL AND email = $1 AND failure_reason = 'lockout'
+     )
+     SELECT l.lockout_count, COUNT(a.id)::int AS failed_attempts,
+            EXTRACT(EPOCH FROM (NOW() - l.locked_at)) AS seconds_since_lockout,
+            EXTRACT(EPOCH FROM (NOW() - MAX(a.created_at))) AS seconds_since_failure
+     FROM lockouts l
+     LEFT JOIN login_attempts a
+       ON a.user_id IS NULL AND a.email = $1 AND a.failure_reason = 'unknown_email'
+          AND (l.locked_at IS NULL OR a.created_at > l.locked_at)
+     GROUP BY l.lockout_count, l.locked_at`,
+    [email],
+  )
+  return result.rows[0]
+}
+
+class LoginSecurityService {
+  /**
+   * Delay imposed after a number of consecutive failures (1s, 2s, 4s ... capped)
+   * @param {number} failedAttempts - Consecutive failures
+   * @returns {number} Seconds
+   */
+  static delayFor(failedAttempts) {
+    if (failedAttempts < FREE_ATTEMPTS) {
+      return 0
+    }
+    return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS)
+  }
+
+  /**
+   * Checks whether a login attempt may be evaluated for this account right now
+   * @param {number} userId - User ID
+   * @returns {Object} { allowed, locked, retryAfterSeconds }
+   */
+  static async checkAllowed(userId) {
+    const result = await pool.query(
+      `SELECT failed_attempts, locked_until,
+              EXTRACT(EPOCH FROM (locked_until - NOW())) AS lock_seconds_left,
+              EXTRACT(EPOCH FROM (NOW() - last_failed_at)) AS seconds_since_failure
+       FROM user_login_security WHERE user_id = $1`,
+      [userId],
+    )
+    const state = result.rows[0]
+
+    if (!state) {
+      return { allowed: true, locked: false, retryAfterSeconds: 0 }
+    }
+
+    if (state.locked_until && Number(state.lock_seconds_left) > 0) {
+      return { allowed: false, locked: true, retryAfterSeconds: Math.ceil(Number(state.lock_seconds_left)) }
+    }
+
+    const delay = LoginSecurityService.delayFor(state.failed_attempts)
+    const waited = Number(state.seconds_since_failure || 0)
+    if (delay > 0 && waited < delay) {
+      return { allowed: false, locked: false, retryAfterSeconds: Math.ceil(delay - waited) }
+    }
+
+    return { allowed: true, locked: false, retryAfterSeconds: 0 }
+  }
+
+  /**
+   * Same check for an e-mail address with no account, so that unknown addresses are throttled and
+   * locked exactly like real ones
+   * @param {string} email - E-mail address tried
+   * @returns {Object} { allowed, locked, retryAfterSeconds }
+   */
+  static async checkAllowedForEmail(email) {
+    const state = await unknownEmailState(email)
+
+    if (state.lockout_count > 0) {
+      const lockSecondsLeft = lockMinutesFor(state.lockout_count - 1) * 60 - Number(state.seconds_since_lockout)
+      if (lockSecondsLeft > 0) {
+        return { allowed: false, locked: true, retryAfterSeconds: Math.ceil(lockSecondsLeft) }
+      }
+    }
+
+    const delay = LoginSecurityService.delayFor(state.failed_attempts)
+    const waited = Number(state.seconds_since_failure || 0)
+    if (delay > 0 && waited < delay) {
+      return { allowed: false, locked: false, retryAfterSeconds: Math.ceil(delay - waited) }
+    }
+
+    return { allowed: true, locked: false, retryAfterSeconds: 0 }
+  }
+
+  /**
+   * Records a failed attempt for an e-mail address with no account
+   * @param {string} email - E-mail address tried
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Object} { locked, failedAttempts, retryAfterSeconds }, as for recordFailure
+   */
+  static async recordUnknownEmailFailure(email, { ip, userAgent } = {}) {
+    await LoginSecurityService.logAttempt({ email, ip, userAgent, success: false, reason: "unknown_email" })
+
+    const { failed_attempts: failedAttempts, lockout_count: lockoutCount } = await unknownEmailState(email)
+    if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, failedAttempts, retryAfterSeconds: LoginSecurityService.delayFor(failedAttempts) }
+    }
+
+    await LoginSecurityService.logAttempt({ email, ip, userAgent, success: false, reason: "lockout" })
+    return { locked: true, failedAttempts, retryAfterSeconds: lockMinutesFor(lockoutCount) * 60 }
+  }
+
+  /**
+   * Appends an entry to the login attempt log
+   */
+  static async logAttempt({ userId = null, email, ip, userAgent, success, reason = null }) {
+    await pool.query(
+      `INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, email || null, ip || null, userAgent || null, success, reason],
+    )
+  }
+
+  /**
+   * Records a failed attempt and locks the account when the threshold is reached
+   * @param {Object} user - { id, email, full_name }
+   * @param {Object} context - { ip, userAgent, reason }
+   * @returns {Object} { locked, failedAttempts, retryAfterSeconds }
+   */
+  static async recordFailure(user, { ip, userAgent, reason = "invalid_password" } = {}) {
+    await LoginSecurityService.logAttempt({ userId: user.id, email: user.email, ip, userAgent, success: false, reason })
+
+    const result = await pool.query(
+      `INSERT INTO user_login_security (user_id, failed_attempts, last_failed_at, updated_at)
+       VALUES ($1, 1, NOW(), NOW())
+       ON CONFLICT (user_id) DO UPDATE
+         SET failed_attempts = user_login_security.failed_attempts + 1, last_failed_at = NOW(), updated_at = NOW()
+       RETURNING failed_attempts, lockout_count`,
+      [user.id],
+    )
+    const { failed_attempts: failedAttempts, lockout_count: lockoutCount } = result.rows[0]
+
+    if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, failedAttempts, retryAfterSeconds: LoginSecurityService.delayFor(failedAttempts) }
+    }
+
+    const lockMinutes = lockMinutesFor(lockoutCount)
+    await pool.query(
+      `UPDATE user_login_security
+       SET locked_until = NOW() + make_interval(mins => $2), lockout_count = lockout_count + 1,
+           failed_attempts = 0, updated_at = NOW()
+       WHERE user_id = $1`,
+      [user.id, lockMinutes],
+    )
+
+    logger.warn(`[SECURITY] Account ${user.id} locked for ${lockMinutes} minutes after ${failedAttempts} failed attempts`)
+    await LoginSecurityService.notifyLockout(user, lockMinutes, ip)
+
+    return { locked: true, failedAttempts, retryAfterSeconds: lockMinutes * 60 }
+  }
+
+  /**
+   * Clears the failure counter after a complete, successful login
+   */
+  static async recordSuccess(user, { ip, userAgent } = {}) {
+    await LoginSecurityService.logAttempt({ userId: user.id, email: user.email, ip, userAgent, success: true })
+    await pool.query(
+      `UPDATE user_login_security SET failed_attempts = 0, last_failed_at = NULL, updated_at = NOW()
+       WHERE user_id = $1`,
+      [user.id],
+    )
+  }
+
+  /**
+   * Tells the account owner that their account was locked, in-app/SMS and by email
+   */
+  static async notifyLockout(user, lockMinutes, ip) {
+    const message = `Your account was temporarily locked for ${lockMinutes} minutes after repeated failed sign-in attempts${
+      ip ? ` from ${ip}` : ""
+    }. If this was not you, reset your password.`
+
+    try {
+      await NotificationController.createNotification({
+        userId: user.id,
+        message,
+        type: "security_alert",
+        priority: "high",
+        sendSms: true,
+      })
+      if (user.email) {
+        await MailService.sendMail({
+          to: user.email,
+          subject: "Your SehhaPro account was temporarily locked",
+          text: `${user.full_name ? `Hello ${user.full_name},\n\n` : ""}${message}`,
+        })
+      }
+    } catch (error) {
+      logger.error(`[SECURITY] Lockout notification failed for user ${user.id}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Lifts a lockout and resets the counters
+   * @param {number} userId - User ID
+   * @param {number} adminId - Admin performing the unlock
+   * @returns {boolean} Whether the user had security state to reset
+   */
+  static async unlock(userId, adminId) {
+    const result = await pool.query(
+      `UPDATE user_login_security
+       SET locked_until = NULL, failed_attempts = 0, last_failed_at = NULL, lockout_count = 0,
+           unlocked_by = $2, unlocked_at = NOW(), updated_at = NOW()
+       WHERE user_id = $1
+       RETURNING user_id`,
+      [userId, adminId],
+    )
+
+    logger.info(`[SECURITY] Account ${userId} unlocked by admin ${adminId}`)
+    return result.rows.length > 0
+  }
+
+  /**
+   * Lists accounts that are currently locked
+   */
+  static async listLocked() {
+    const result = await pool.query(
+      `SELECT s.user_id, u.email, u.full_name, r.name AS role, s.locked_until, s.lockout_count, s.last_failed_at
+       FROM user_login_security s
+       JOIN users u ON u.id = s.user_id
+       LEFT JOIN roles r ON r.id = u.role_id
+       WHERE s.locked_until > NOW()
+       ORDER BY s.locked_until DESC`,
+    )
+    return result.rows
+  }
+
+  /**
+   * Returns lockout state and recent attempts for one account
+   */
+  static async getUserSecurity(userId, limit = 20) {
+    const stateResult = await pool.query("SELECT * FROM user_login_security WHERE user_id = $1", [userId])
+    const attemptsResult = await pool.query(
+      `SELECT ip_address, user_agent, success, failure_reason, created_at
+       FROM login_attempts WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT $2`,
+      [userId, limit],
+    )
+
+    return {
+      state: stateResult.rows[0] || null,
+      recentAttempts: attemptsResult.rows,
+    }
+  }
+}
+
+module.exports = LoginSecurityService
@@ -0,0 +1,193 @@
+const nodemailer = require("nodemailer")
+const logger = require("../middleware/logger")
+
+/**
+ * Builds the default transport from the environment.
+ * Uses SMTP when SMTP_HOST is set, otherwise a JSON stand-in that only logs
+ * the message so local development works without a mail server.
+ */
+const createDefaultTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number.parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD,
+          }
+        : undefined,
+    })
+  }
+
+  logger.warn("SMTP not configured; emails will be logged instead of sent")
+  return nodemailer.createTransport({ jsonTransport: true })
+}
+
+let transport = null
+
+// Escapes user-provided values before they are placed in HTML bodies
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+class MailService {
+  /**
+   * Replaces the transport used to deliver emails (e.g. a provider-specific
+   * nodemailer transport or a stub in tests)
+   * @param {Object} customTransport - Object exposing sendMail(message)
+   */
+  static setTransport(customTransport) {
+    transport = customTransport
+  }
+
+  /**
+   * Returns the active transport, creating the default one on first use
+   * @returns {Object} Transport
+   */
+  static getTransport() {
+    if (!transport) {
+      transport = createDefaultTransport()
+    }
+    return transport
+  }
+
+  /**
+   * Sends an email
+   * @param {Object} params - Message parameters
+   * @param {string} params.to - Recipient address
+   * @param {string} params.subject - Subject line
+   * @param {string} params.text - Plain text body
+   * @param {string} [params.html] - HTML body
+   * @param {Array} [params.attachments] - Nodemailer attachments
+   * @returns {Object} Transport delivery info
+   */
+  static async sendMail({ to, subject, text, html, attachments }) {
+    const message = {
+      from: process.env.MAIL_FROM || "SehhaPro <no-reply@sehhapro.com>",
+      to,
+      subject,
+      text,
+      html,
+      attachments,
+    }
+
+    try {
+      const info = await MailService.getTransport().sendMail(message)
+
+      if (info && info.message && !process.env.SMTP_HOST) {
+        // The stand-in output contains the full message (including links), keep it out of production logs
+        logger.info(
+          process.env.NODE_ENV === "production"
+            ? `[MAIL] (not sent, no SMTP) "${subject}" to ${to}`
+            : `[MAIL] (not sent, no SMTP) ${info.message}`,
+        )
+      } else {
+        logger.info(`[MAIL] Email "${subject}" sent to ${to}`)
+      }
+
+      return info
+    } catch (error) {
+      logger.error(`[MAIL] Failed to send "${subject}" to ${to}: ${error.message}`)
+      throw error
+    }
+  }
+
+  /**
+   * Sends the password reset link
+   * @param {Object} params - Parameters
+   * @param {string} params.to - Recipient address
+   * @param {string} params.fullName - Recipient name
+   * @param {string} params.resetUrl - Link containing the reset token
+   * @param {number} params.expiresInMinutes - Token lifetime
+   */
+  static async sendPasswordResetEmail({ to, fullName, resetUrl, expiresInMinutes }) {
+    const greeting = fullName ? `Hello ${fullName},` : "Hello,"
+
+    return MailService.sendMail({
+      to,
+      subject: "Reset your SehhaPro password",
+      text: [
+        greeting,
+        "",
+        "We received a request to reset your SehhaPro password.",
+        `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+        resetUrl,
+        "",
+        "If you did not request this, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>${escapeHtml(greeting)}</p>
+<p>We received a request to reset your SehhaPro password.</p>
+<p>Use the link below within ${expiresInMinutes} minutes to choose a new one:</p>
+<p><a href="${resetUrl}">Reset my password</a></p>
+<p>If you did not request this, you can ignore this email.</p>`,
+    })
+  }
+
+  /**
+   * Sends the email address verification link
+   * @param {Object} params - Parameters
+   * @param {string} params.to - Recipient address
+   * @param {string} params.fullName - Recipient name
+   * @param {string} params.verifyUrl - Link containing the verification token
+   */
+  static async sendEmailVerificationEmail({ to, fullName, verifyUrl }) {
+    const greeting = fullName ? `Hello ${fullName},` : "Hello,"
+
+    return MailService.sendMail({
+      to,
+      subject: "Confirm your SehhaPro email address",
+      text: [
+        greeting,
+        "",
+        "Please confirm your email address to start booking appointments on SehhaPro:",
+        verifyUrl,
+        "",
+        "If you did not create an account, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>${escapeHtml(greeting)}</p>
+<p>Please confirm your email address to start booking appointments on SehhaPro:</p>
+<p><a href="${verifyUrl}">Confirm my email</a></p>
+<p>If you did not create an account, you can ignore this email.</p>`,
+    })
+  }
+
+  /**
+   * Sends a clinic staff invitation
+   * @param {Object} params - Parameters
+   * @param {string} params.to - Recipient address
+   * @param {string} params.clinicName - Inviting clinic
+   * @param {string} params.role - Role offered
+   * @param {string} params.inviterName - Admin who sent the invitation
+   * @param {string} params.acceptUrl - Link containing the invitation token
+   * @param {number} params.expiresInDays - Invitation lifetime
+   */
+  static async sendClinicInvitationEmail({ to, clinicName, role, inviterName, acceptUrl, expiresInDays }) {
+    const invitation = `${inviterName || "An administrator"} invited you to join ${clinicName} on SehhaPro as ${role.replace("_", " ")}.`
+
+    return MailService.sendMail({
+      to,
+      subject: `Join ${clinicName} on SehhaPro`,
+      text: [
+        "Hello,",
+        "",
+        invitation,
+        `Use the link below within ${expiresInDays} days to accept:`,
+        acceptUrl,
+        "",
+        "If you were not expecting this invitation, you can ignore this email.",
+      ].join("\n"),
+      html: `<p>Hello,</p>
+<p>${escapeHtml(invitation)}</p>
+<p>Use the link below within ${expiresInDays} days to accept:</p>
+<p><a href="${acceptUrl}">Accept the invitation</a></p>
+<p>If you were not expecting this invitation, you can ignore this email.</p>`,
+    })
+  }
+}
+
+module.exports = MailService
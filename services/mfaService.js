@@ -0,0 +1,202 @@
+const jwt = require("jsonwebtoken")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const totp = require("../utils/totp")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+
+const BACKUP_CODE_COUNT = 10
+const MFA_TOKEN_EXPIRES_IN = "5m"
+
+// Roles that cannot use the platform without a second factor
+const REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || "platform_admin,clinic_admin")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean)
+
+class MfaService {
+  /**
+   * Whether the per-role policy forces two-factor authentication
+   * @param {string} role - Role name
+   * @returns {boolean}
+   */
+  static isRequiredForRole(role) {
+    return REQUIRED_ROLES.includes(role)
+  }
+
+  /**
+   * Returns the MFA state of a user
+   * @param {number} userId - User ID
+   * @returns {Object} { enabled, pending, backupCodesRemaining }
+   */
+  static async getStatus(userId) {
+    const mfaResult = await pool.query("SELECT enabled_at FROM user_mfa WHERE user_id = $1", [userId])
+    const codesResult = await pool.query(
+      "SELECT COUNT(*)::int AS remaining FROM mfa_backup_codes WHERE user_id = $1 AND used_at IS NULL",
+      [userId],
+    )
+    const row = mfaResult.rows[0]
+
+    return {
+      enabled: Boolean(row && row.enabled_at),
+      pending: Boolean(row && !row.enabled_at),
+      backupCodesRemaining: codesResult.rows[0].remaining,
+    }
+  }
+
+  /**
+   * Whether the user has confirmed an authenticator
+   * @param {number} userId - User ID
+   * @returns {boolean}
+   */
+  static async isEnabled(userId) {
+    const result = await pool.query("SELECT 1 FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL", [userId])
+    return result.rows.length > 0
+  }
+
+  /**
+   * Starts (or restarts) enrollment with a fresh secret
+   * @param {Object} user - { id, email }
+   * @returns {Object} { secret, otpauthUri }
+   */
+  static async startEnrollment(user) {
+    if (await MfaService.isEnabled(user.id)) {
+      throw new Error("Two-factor authentication is already enabled")
+    }
+
+    const secret = totp.generateSecret()
+
+    await pool.query(
+      `INSERT INTO user_mfa (user_id, secret, enabled_at, last_used_step)
+       VALUES ($1, $2, NULL, NULL)
+       ON CONFLICT (user_id) DO UPDATE SET secret = $2, enabled_at = NULL, last_used_step = NULL, updated_at = NOW()`,
+      [user.id, secret],
+    )
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, account: user.email }),
+    }
+  }
+
+  /**
+   * Checks a TOTP code and records its time step so it cannot be replayed
+   * @param {number} userId - User ID
+   * @param {string} code - 6 digit code
+   * @param {boolean} requireEnabled - Only accept codes once enrollment is confirmed
+   * @returns {boolean}
+   */
+  static async verifyTotp(userId, code, requireEnabled = true) {
+    const result = await pool.query("SELECT secret, enabled_at, last_used_step FROM user_mfa WHERE user_id = $1", [
+      userId,
+    ])
+    const row = result.rows[0]
+    if (!row || (requireEnabled && !row.enabled_at)) {
+      return false
+    }
+
+    const step = totp.verifyCode(row.secret, code)
+    if (step === null) {
+      return false
+    }
+
+    // Check and record the step in one statement so two requests cannot both use the same code
+    const used = await pool.query(
+      `UPDATE user_mfa SET last_used_step = $2, updated_at = NOW()
+       WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+      [userId, step],
+    )
+    return used.rowCount > 0
+  }
+
+  /**
+   * Consumes a backup code
+   * @param {number} userId - User ID
+   * @param {string} code - Backup code
+   * @returns {boolean}
+   */
+  static async consumeBackupCode(userId, code) {
+    const normalized = String(code || "").replace(/[\s-]/g, "").toLowerCase()
+    const result = await pool.query(
+      `UPDATE mfa_backup_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(normalized)],
+    )
+
+    if (result.rows.length > 0) {
+      logger.warn(`[MFA] Backup code used by user ${userId}`)
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Replaces all backup codes of a user
+   * @param {number} userId - User ID
+   * @returns {string[]} Plain backup codes (shown once)
+   */
+  static async regenerateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => generateToken(4))
+
+    await pool.query("DELETE FROM mfa_backup_codes WHERE user_id = $1", [userId])
+    for (const code of codes) {
+      await pool.query("INSERT INTO mfa_backup_codes (user_id, code_hash) VALUES ($1, $2)", [userId, hashToken(code)])
+    }
+
+    return codes.map((code) => `${code.slice(0, 4)}-${code.slice(4)}`)
+  }
+
+  /**
+   * Confirms enrollment with a first valid code
+   * @param {number} userId - User ID
+   * @param {string} code - 6 digit code
+   * @returns {string[]|null} Backup codes, or null when the code is wrong
+   */
+  static async enable(userId, code) {
+    if (!(await MfaService.verifyTotp(userId, code, false))) {
+      return null
+    }
+
+    await pool.query("UPDATE user_mfa SET enabled_at = NOW(), updated_at = NOW() WHERE user_id = $1", [userId])
+    logger.info(`[MFA] Two-factor authentication enabled for user ${userId}`)
+
+    return MfaService.regenerateBackupCodes(userId)
+  }
+
+  /**
+   * Removes the authenticator and backup codes of a user
+   * @param {number} userId - User ID
+   */
+  static async disable(userId) {
+    await pool.query("DELETE FROM user_mfa WHERE user_id = $1", [userId])
+    await pool.query("DELETE FROM mfa_backup_codes WHERE user_id = $1", [userId])
+    logger.info(`[MFA] Two-factor authentication disabled for user ${userId}`)
+  }
+
+  /**
+   * Signs the short-lived token that links the password step to the code step of a login
+   * @param {number} userId - User ID
+   * @returns {string} MFA challenge token
+   */
+  static signChallengeToken(userId) {
+    return jwt.sign({ userId, purpose: "mfa_challenge" }, process.env.JWT_SECRET, {
+      expiresIn: MFA_TOKEN_EXPIRES_IN,
+    })
+  }
+
+  /**
+   * Verifies a challenge token
+   * @param {string} token - MFA challenge token
+   * @returns {number|null} User ID, or null when invalid or expired
+   */
+  static verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      return decoded.purpose === "mfa_challenge" ? decoded.userId : null
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+module.exports = MfaService
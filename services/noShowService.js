@@ -0,0 +1,326 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("./paymentService")
+
+// Only no-shows detected within this long after the appointment are penalized; older appointments
+// left booked (e.g. from before detection ran) are only marked
+const PENALTY_WINDOW_HOURS = 24
+
+const POLICY_FIELDS = {
+  graceMinutes: "grace_minutes",
+  penalty: "penalty",
+  feeAmount: "fee_amount",
+  prepayAfter: "prepay_after",
+  blockAfter: "block_after",
+  lookbackDays: "lookback_days",
+}
+
+/**
+ * Error raised when the no-show policy refuses a booking or a change
+ */
+class NoShowError extends Error {
+  constructor(message, status = 400, code = null) {
+    super(message)
+    this.name = "NoShowError"
+    this.status = status
+    this.code = code
+  }
+}
+
+const formatSlotTime = (date) => new Date(date).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" })
+
+/**
+ * Marks one appointment as a no-show and applies the penalty, in its own transaction
+ * @returns {Object|null} No-show record, or null when the appointment was checked in meanwhile
+ */
+const markNoShow = async (appointmentId) => {
+  const client = await pool.connect()
+  let record
+  let appointment
+
+  try {
+    await client.query("BEGIN")
+    const result = await client.query(
+      `SELECT a.id, a.patient_id, a.doctor_id, a.clinic_id, sl.start_time,
+              sl.start_time >= NOW() - make_interval(hours => $2) AS penalize,
+              d.full_name AS doctor_name
+       FROM appointments a
+       JOIN availability_slots sl ON sl.id = a.slot_id
+       JOIN users d ON d.id = a.doctor_id
+       WHERE a.id = $1 AND a.status = 'booked' AND a.check_in_time IS NULL
+       FOR UPDATE OF a`,
+      [appointmentId, PENALTY_WINDOW_HOURS],
+    )
+    appointment = result.rows[0]
+    if (!appointment) {
+      await client.query("ROLLBACK")
+      return null
+    }
+
+    const policy = await NoShowService.getPolicy(appointment.clinic_id, client)
+    const penalty = appointment.penalize ? policy.penalty : "none"
+    let feeStatus = "none"
+    let amount = 0
+
+    const pending = await client.query(
+      `SELECT amount FROM patient_transactions
+       WHERE related_appointment_id = $1 AND patient_id = $2 AND type = 'payment' AND status = 'pending'`,
+      [appointment.id, appointment.patient_id],
+    )
+    if (pending.rows.length > 0) {
+      if (penalty === "forfeit") {
+        // The prepaid fee goes to the doctor as if the visit had taken place
+        await PaymentService.processCompletionPayment({
+          appointmentId: appointment.id,
+          patientId: appointment.patient_id,
+          doctorId: appointment.doctor_id,
+          appointmentType: "no-show",
+          dbTransaction: client,
+        })
+        feeStatus = "forfeited"
+        amount = Number(pending.rows[0].amount)
+      } else {
+        await PaymentService.processRefund({
+          appointmentId: appointment.id,
+          patientId: appointment.patient_id,
+          reason: "No-show",
+          dbTransaction: client,
+        })
+      }
+    }
+
+    if (penalty === "fee" && Number(policy.fee_amount) > 0) {
+      const fee = await PaymentService.processNoShowFee({
+        appointmentId: appointment.id,
+        patientId: appointment.patient_id,
+        doctorId: appointment.doctor_id,
+        amount: Number(policy.fee_amount),
+        dbTransaction: client,
+      })
+      feeStatus = fee.charged ? "charged" : "unpaid"
+      amount = Number(policy.fee_amount)
+    }
+
+    // Set after the payment calls, which update the status themselves
+    await client.query("UPDATE appointments SET status = 'no-show', updated_at = NOW() WHERE id = $1", [appointment.id])
+    const recordResult = await client.query(
+      `INSERT INTO appointment_no_shows (appointment_id, patient_id, doctor_id, clinic_id, penalty, amount, fee_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [appointment.id, appointment.patient_id, appointment.doctor_id, appointment.clinic_id, penalty, amount, feeStatus],
+    )
+    record = recordResult.rows[0]
+    await client.query("COMMIT")
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+
+  const consequence = {
+    forfeited: ` Your payment of ${record.amount} DZD is not refunded.`,
+    charged: ` A no-show fee of ${record.amount} DZD was charged.`,
+    unpaid: ` A no-show fee of ${record.amount} DZD is due.`,
+    none: "",
+  }[record.fee_status]
+  await NotificationController.createNotification({
+    userId: appointment.patient_id,
+    message: `You missed your appointment with Dr. ${appointment.doctor_name} on ${formatSlotTime(appointment.start_time)}.${consequence}`,
+    type: "appointment",
+    priority: "high",
+    refId: appointment.id,
+  })
+  return record
+}
+
+class NoShowService {
+  /**
+   * The no-show policy of a clinic, or the platform default
+   * @param {number|null} clinicId - Clinic ID (null: telemedicine, the platform default)
+   * @param {Object} client - Optional transaction client
+   * @returns {Object} Policy row
+   */
+  static async getPolicy(clinicId, client = pool) {
+    const result = await client.query(
+      `SELECT * FROM no_show_policies
+       WHERE clinic_id = $1 OR clinic_id IS NULL
+       ORDER BY clinic_id NULLS LAST
+       LIMIT 1`,
+      [clinicId],
+    )
+    return result.rows[0] || { clinic_id: null, grace_minutes: 15, penalty: "none", fee_amount: 0, lookback_days: 180 }
+  }
+
+  /**
+   * Sets a clinic's policy (or the platform default)
+   * @param {number|null} clinicId - Clinic ID (null: the platform default)
+   * @param {Object} changes - { graceMinutes, penalty, feeAmount, prepayAfter, blockAfter, lookbackDays }
+   * @param {number} userId - User making the change
+   * @returns {Object} Policy
+   */
+  static async setPolicy(clinicId, changes, userId) {
+    const current = await NoShowService.getPolicy(clinicId)
+    const policy = { ...current }
+    for (const [key, column] of Object.entries(POLICY_FIELDS)) {
+      if (changes[key] !== undefined) {
+        policy[column] = changes[key]
+      }
+    }
+    if (policy.penalty === "fee" && !(Number(policy.fee_amount) > 0)) {
+      throw new NoShowError("Set the no-show fee amount")
+    }
+
+    const result = await pool.query(
+      `INSERT INTO no_show_policies
+       (clinic_id, grace_minutes, penalty, fee_amount, prepay_after, block_after, lookback_days, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT ((COALESCE(clinic_id, 0)))
+       DO UPDATE SET grace_minutes = $2, penalty = $3, fee_amount = $4, prepay_after = $5, block_after = $6,
+                     lookback_days = $7, updated_by = $8, updated_at = NOW()
+       RETURNING *`,
+      [
+        clinicId,
+        policy.grace_minutes,
+        policy.penalty,
+        policy.fee_amount,
+        policy.prepay_after ?? null,
+        policy.block_after ?? null,
+        policy.lookback_days,
+        userId,
+      ],
+    )
+    logger.info(`[NO-SHOW] Policy of ${clinicId ? `clinic ${clinicId}` : "the platform"} updated by user ${userId}`)
+    return result.rows[0]
+  }
+
+  /**
+   * Marks booked appointments nobody checked in to as no-shows once their clinic's grace period
+   * has passed
+   * @returns {Object} { marked, failed } counts
+   */
+  static async detectNoShows() {
+    const overdue = await pool.query(
+      `SELECT a.id FROM appointments a
+       JOIN availability_slots sl ON sl.id = a.slot_id
+       LEFT JOIN no_show_policies cp ON cp.clinic_id = a.clinic_id
+       LEFT JOIN no_show_policies dp ON dp.clinic_id IS NULL
+       WHERE a.status = 'booked' AND a.check_in_time IS NULL
+         AND sl.start_time + make_interval(mins => COALESCE(cp.grace_minutes, dp.grace_minutes, 15)) < NOW()
+       ORDER BY sl.start_time`,
+    )
+
+    let marked = 0
+    let failed = 0
+    for (const { id } of overdue.rows) {
+      try {
+        if (await markNoShow(id)) {
+          marked++
+        }
+      } catch (error) {
+        failed++
+        logger.error(`[NO-SHOW] Could not mark appointment ${id}: ${error.message}`)
+      }
+    }
+
+    if (marked > 0 || failed > 0) {
+      logger.info(`[NO-SHOW] ${marked} appointment(s) marked as no-show, ${failed} failed`)
+    }
+    return { marked, failed }
+  }
+
+  /**
+   * Counts a patient's recent no-shows that were not waived, at the clinic when given
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { clinicId, lookbackDays }
+   * @returns {number}
+   */
+  static async countRecent(patientId, { clinicId = null, lookbackDays }) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM appointment_no_shows
+       WHERE patient_id = $1 AND waived_at IS NULL
+         AND created_at > NOW() - make_interval(days => $2)
+         AND ($3::int IS NULL OR clinic_id = $3)`,
+      [patientId, lookbackDays, clinicId],
+    )
+    return result.rows[0].count
+  }
+
+  /**
+   * Applies the clinic's policy to a booking by the patient: blocked after too many recent
+   * no-shows, or only with payment from the balance
+   * @param {number} patientId - Patient user ID
+   * @param {number|null} clinicId - Clinic of the appointment (null: telemedicine)
+   * @param {string|null} paymentMethod - balance|cash (null: not paying yet, only the block applies)
+   * @throws {NoShowError} 403 when blocked, 402 when prepayment is required
+   */
+  static async checkBookingAllowed(patientId, clinicId, paymentMethod = null) {
+    const policy = await NoShowService.getPolicy(clinicId)
+    if (!policy.prepay_after && !policy.block_after) {
+      return
+    }
+
+    const count = await NoShowService.countRecent(patientId, { clinicId, lookbackDays: policy.lookback_days })
+    if (policy.block_after && count >= policy.block_after) {
+      throw new NoShowError(
+        `Online booking is blocked after ${count} missed appointments. Please contact the clinic.`,
+        403,
+        "NO_SHOW_BLOCKED",
+      )
+    }
+    if (paymentMethod && paymentMethod !== "balance" && policy.prepay_after && count >= policy.prepay_after) {
+      throw new NoShowError(
+        `After ${count} missed appointments, appointments must be paid in advance from your balance`,
+        402,
+        "PREPAYMENT_REQUIRED",
+      )
+    }
+  }
+
+  /**
+   * A patient's no-show history
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { clinicIds (null: every clinic) }
+   * @returns {Array}
+   */
+  static async getHistory(patientId, { clinicIds = null } = {}) {
+    const result = await pool.query(
+      `SELECT n.id, n.appointment_id, n.clinic_id, c.name AS clinic_name, d.full_name AS doctor_name,
+              sl.start_time, n.penalty, n.amount, n.fee_status, n.waived_at, n.waive_reason, n.created_at
+       FROM appointment_no_shows n
+       JOIN appointments a ON a.id = n.appointment_id
+       LEFT JOIN availability_slots sl ON sl.id = a.slot_id
+       LEFT JOIN clinics c ON c.id = n.clinic_id
+       LEFT JOIN users d ON d.id = n.doctor_id
+       WHERE n.patient_id = $1 AND ($2::int[] IS NULL OR n.clinic_id = ANY($2))
+       ORDER BY n.created_at DESC`,
+      [patientId, clinicIds],
+    )
+    return result.rows
+  }
+
+  /**
+   * Waives a no-show so it no longer counts towards the policy (fees are not refunded)
+   * @param {number} noShowId - No-show record ID
+   * @param {Object} options - { waivedBy, reason, clinicIds (null: any clinic) }
+   * @returns {Object|null} Record, or null when not found
+   */
+  static async waive(noShowId, { waivedBy, reason, clinicIds = null }) {
+    const result = await pool.query(
+      `UPDATE appointment_no_shows
+       SET waived_at = NOW(), waived_by = $2, waive_reason = $3
+       WHERE id = $1 AND waived_at IS NULL AND ($4::int[] IS NULL OR clinic_id = ANY($4))
+       RETURNING *`,
+      [noShowId, waivedBy, reason, clinicIds],
+    )
+    if (result.rows[0]) {
+      logger.info(`[NO-SHOW] No-show ${noShowId} waived by user ${waivedBy}`)
+    }
+    return result.rows[0] || null
+  }
+}
+
+NoShowService.NoShowError = NoShowError
+
+module.exports = NoShowService
@@ -610,6 +610,80 @@ class PaymentService {
     }
   }
 
+  /**
+   * Charge the no-show fee of a missed appointment from the patient's balance to the doctor
+   * @param {Object} params - Fee parameters
+   * @param {number} params.appointmentId - Appointment ID
+   * @param {number} params.patientId - Patient ID
+   * @param {number} params.doctorId - Doctor ID
+   * @param {number} params.amount - Fee amount
+   * @param {Object} params.dbTransaction - Database transaction object (required)
+   * @returns {Object} Fee result; charged is false when the balance is too low
+   */
+  static async processNoShowFee({
+    appointmentId,
+    patientId,
+    doctorId,
+    amount,
+    dbTransaction
+  }) {
+    if (!dbTransaction || !dbTransaction.query) {
+      throw new Error('No-show fees are charged inside the caller\'s transaction')
+    }
+
+    const patientBalanceQuery = await dbTransaction.query(
+      'SELECT balance FROM users WHERE id = $1 FOR UPDATE',
+      [patientId]
+    )
+    if (patientBalanceQuery.rows.length === 0) {
+      throw new Error('Patient not found')
+    }
+
+    const currentBalance = Number(patientBalanceQuery.rows[0].balance) || 0
+    if (currentBalance < amount) {
+      logger.info(`[PAYMENT] No-show fee of ${amount} DZD not charged for appointment #${appointmentId} - Available: ${currentBalance} DZD`)
+      return {
+        success: true,
+        charged: false,
+        message: `Insufficient balance. Required: ${amount} DZD, Available: ${currentBalance} DZD`
+      }
+    }
+
+    await dbTransaction.query(
+      'UPDATE users SET balance = balance - $1 WHERE id = $2',
+      [amount, patientId]
+    )
+    await dbTransaction.query(
+      'UPDATE users SET balance = balance + $1 WHERE id = $2',
+      [amount, doctorId]
+    )
+    const transactionResult = await dbTransaction.query(
+      `INSERT INTO patient_transactions
+       (patient_id, type, amount, description, payment_method, status, related_appointment_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [
+        patientId,
+        'payment',
+        amount,
+        `No-show fee - Appointment #${appointmentId}`,
+        'balance',
+        'completed',
+        appointmentId
+      ]
+    )
+
+    logger.info(`[PAYMENT] No-show fee charged for patient ${patientId} (Appointment #${appointmentId}) - Amount: ${amount} DZD`)
+
+    return {
+      success: true,
+      charged: true,
+      transactionId: transactionResult.rows[0].id,
+      newBalance: currentBalance - amount,
+      message: `No-show fee of ${amount} DZD charged`
+    }
+  }
+
   /**
    * Get appointment payment status
    * @param {number} appointmentId - Appointment ID
@@ -0,0 +1,400 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const ApiKeyService = require("./apiKeyService")
+
+// Role that holds every permission; it cannot be edited so admins cannot lock themselves out
+const SUPER_ROLE = "platform_admin"
+// System role mappings change rarely, keep them in memory for this long
+const ROLE_CACHE_TTL_MS = 60 * 1000
+
+// Starting points offered when a clinic admin creates a custom role
+const CLINIC_ROLE_TEMPLATES = {
+  receptionist: {
+    description: "Front desk: manages the appointment book and sees clinic staff",
+    permissions: ["appointments:read:clinic", "appointments:create", "appointments:cancel", "clinics:staff:read"],
+  },
+  cashier: {
+    description: "Handles clinic payments and salary payouts",
+    permissions: ["appointments:read:clinic", "salary:staff:read", "salary:payments:read", "salary:payments:manage"],
+  },
+  lab_supervisor: {
+    description: "Oversees the lab queue, technicians and equipment",
+    permissions: [
+      "labs:staff:read",
+      "labs:requests:read",
+      "labs:requests:assign",
+      "labs:requests:update_status",
+      "labs:results:read",
+      "labs:equipment:read",
+      "labs:equipment:maintenance",
+    ],
+  },
+}
+
+// Permissions a clinic's custom roles cannot carry: platform-wide ones and role management itself
+const RESERVED_PERMISSIONS = [
+  "clinics:create",
+  "clinics:admins:manage",
+  "users:read",
+  "users:manage",
+  "users:security",
+  "permissions:manage",
+  "clinic_roles:manage",
+  "api_keys:manage",
+  "users:impersonate",
+  "audit:verify",
+  "privacy:manage",
+]
+
+// Clinic membership tables, used to check that a custom role is given to the clinic's own staff
+const MEMBERSHIP_QUERY = `
+  SELECT 1 FROM doctor_clinics WHERE doctor_id = $1 AND clinic_id = $2
+  UNION ALL SELECT 1 FROM nurse_clinics WHERE nurse_id = $1 AND clinic_id = $2
+  UNION ALL SELECT 1 FROM lab_clinics WHERE lab_id = $1 AND clinic_id = $2
+  UNION ALL SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2
+  LIMIT 1
+`
+
+let roleCache = null
+let roleCacheLoadedAt = 0
+
+class PermissionService {
+  /**
+   * Drops the cached role mappings (call after editing them)
+   */
+  static invalidateCache() {
+    roleCache = null
+    roleCacheLoadedAt = 0
+  }
+
+  /**
+   * Loads system role -> permission keys, cached
+   * @returns {Map<string, Set<string>>}
+   */
+  static async getRoleMap() {
+    if (roleCache && Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+      return roleCache
+    }
+
+    const result = await pool.query(
+      `SELECT r.name AS role, p.key
+       FROM role_permissions rp
+       JOIN roles r ON r.id = rp.role_id
+       JOIN permissions p ON p.id = rp.permission_id`,
+    )
+
+    const map = new Map()
+    for (const row of result.rows) {
+      if (!map.has(row.role)) {
+        map.set(row.role, new Set())
+      }
+      map.get(row.role).add(row.key)
+    }
+
+    roleCache = map
+    roleCacheLoadedAt = Date.now()
+    return map
+  }
+
+  /**
+   * Effective permissions of a user: system role plus custom clinic roles
+   * @param {Object} user - req.user ({ id, role, clinic_id })
+   * @param {number} clinicId - Clinic the request targets; custom roles from other clinics are ignored,
+   *   and without a clinic only the system role counts
+   * @returns {Set<string>} Permission keys
+   */
+  static async getUserPermissions(user, clinicId = user.clinic_id) {
+    const roleMap = await PermissionService.getRoleMap()
+    const permissions = new Set(roleMap.get(user.role) || [])
+    if (!clinicId) {
+      return permissions
+    }
+
+    // Custom roles only count in the clinic the request is about
+    const result = await pool.query(
+      `SELECT DISTINCT p.key
+       FROM user_clinic_roles ucr
+       JOIN clinic_roles cr ON cr.id = ucr.clinic_role_id
+       JOIN clinic_role_permissions crp ON crp.clinic_role_id = cr.id
+       JOIN permissions p ON p.id = crp.permission_id
+       WHERE ucr.user_id = $1 AND cr.clinic_id = $2`,
+      [user.id, clinicId],
+    )
+    for (const row of result.rows) {
+      permissions.add(row.key)
+    }
+
+    return permissions
+  }
+
+  /**
+   * Whether the user holds at least one of the permissions
+   * @param {Object} user - req.user
+   * @param {string[]} keys - Permission keys
+   * @param {number} clinicId - Clinic the request targets
+   * @returns {boolean}
+   */
+  static async hasAny(user, keys, clinicId) {
+    if (user.role === SUPER_ROLE) {
+      return true
+    }
+    // API keys hold only what their scopes grant, and a clinic-restricted key nothing outside its clinic
+    if (user.apiKey) {
+      if (user.apiKey.clinicId && clinicId && Number.parseInt(clinicId) !== user.apiKey.clinicId) {
+        return false
+      }
+      const grants = ApiKeyService.getScopeGrants(user.apiKey.scopes)
+      return keys.some((key) => grants.has(key))
+    }
+    const permissions = await PermissionService.getUserPermissions(user, clinicId)
+    return keys.some((key) => permissions.has(key))
+  }
+
+  /**
+   * Lists the permission catalogue
+   */
+  static async listPermissions() {
+    const result = await pool.query("SELECT id, key, description FROM permissions ORDER BY key")
+    return result.rows
+  }
+
+  /**
+   * Returns the keys in the list that are not in the catalogue
+   * @param {string[]} keys - Permission keys
+   * @returns {string[]}
+   */
+  static async findUnknownKeys(keys) {
+    const result = await pool.query("SELECT key FROM permissions WHERE key = ANY($1::text[])", [keys])
+    const known = new Set(result.rows.map((row) => row.key))
+    return keys.filter((key) => !known.has(key))
+  }
+
+  /**
+   * Lists system roles with their permission keys
+   */
+  static async listRolePermissions() {
+    const result = await pool.query(
+      `SELECT r.id, r.name,
+              COALESCE(array_agg(p.key ORDER BY p.key) FILTER (WHERE p.key IS NOT NULL), '{}') AS permissions
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role_id = r.id
+       LEFT JOIN permissions p ON p.id = rp.permission_id
+       GROUP BY r.id, r.name
+       ORDER BY r.name`,
+    )
+    return result.rows.map((row) => ({
+      ...row,
+      permissions: row.name === SUPER_ROLE ? ["*"] : row.permissions,
+    }))
+  }
+
+  /**
+   * Replaces the permission set of a system role
+   * @param {string} roleName - Role name
+   * @param {string[]} keys - Permission keys
+   * @returns {boolean} False when the role does not exist
+   */
+  static async setRolePermissions(roleName, keys) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const roleResult = await client.query("SELECT id FROM roles WHERE name = $1", [roleName])
+      if (roleResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return false
+      }
+      const roleId = roleResult.rows[0].id
+
+      await client.query("DELETE FROM role_permissions WHERE role_id = $1", [roleId])
+      await client.query(
+        `INSERT INTO role_permissions (role_id, permission_id)
+         SELECT $1, id FROM permissions WHERE key = ANY($2::text[])`,
+        [roleId, keys],
+      )
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    PermissionService.invalidateCache()
+    return true
+  }
+
+  /**
+   * Whether the user may manage custom roles of the clinic
+   * @param {Object} user - req.user
+   * @param {number} clinicId - Clinic ID
+   * @returns {boolean}
+   */
+  static async canManageClinic(user, clinicId) {
+    if (user.role === SUPER_ROLE) {
+      return true
+    }
+    const result = await pool.query("SELECT 1 FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2", [
+      user.id,
+      clinicId,
+    ])
+    return result.rows.length > 0
+  }
+
+  /**
+   * Whether the user is staff of the clinic
+   * @param {number} userId - User ID
+   * @param {number} clinicId - Clinic ID
+   * @returns {boolean}
+   */
+  static async isClinicMember(userId, clinicId) {
+    const result = await pool.query(MEMBERSHIP_QUERY, [userId, clinicId])
+    return result.rows.length > 0
+  }
+
+  /**
+   * Lists the custom roles of a clinic with their permissions and members
+   * @param {number} clinicId - Clinic ID
+   */
+  static async listClinicRoles(clinicId) {
+    const result = await pool.query(
+      `SELECT cr.id, cr.clinic_id, cr.name, cr.description, cr.created_at, cr.updated_at,
+              COALESCE((SELECT array_agg(p.key ORDER BY p.key)
+                        FROM clinic_role_permissions crp JOIN permissions p ON p.id = crp.permission_id
+                        WHERE crp.clinic_role_id = cr.id), '{}') AS permissions,
+              COALESCE((SELECT json_agg(json_build_object('id', u.id, 'full_name', u.full_name, 'email', u.email))
+                        FROM user_clinic_roles ucr JOIN users u ON u.id = ucr.user_id
+                        WHERE ucr.clinic_role_id = cr.id), '[]') AS members
+       FROM clinic_roles cr
+       WHERE cr.clinic_id = $1
+       ORDER BY cr.name`,
+      [clinicId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Finds a custom role inside a clinic
+   * @returns {Object|null}
+   */
+  static async getClinicRole(clinicId, roleId) {
+    const result = await pool.query("SELECT * FROM clinic_roles WHERE id = $1 AND clinic_id = $2", [roleId, clinicId])
+    return result.rows[0] || null
+  }
+
+  /**
+   * Creates a custom clinic role
+   * @param {number} clinicId - Clinic ID
+   * @param {Object} data - { name, description, permissions }
+   * @param {number} createdBy - User creating the role
+   * @returns {Object} Created role
+   */
+  static async createClinicRole(clinicId, { name, description, permissions }, createdBy) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(
+        `INSERT INTO clinic_roles (clinic_id, name, description, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [clinicId, name, description || null, createdBy],
+      )
+      const role = result.rows[0]
+
+      await PermissionService.replaceClinicRolePermissions(client, role.id, permissions)
+
+      await client.query("COMMIT")
+      logger.info(`[PERMISSIONS] Clinic role "${name}" created in clinic ${clinicId} by user ${createdBy}`)
+      return { ...role, permissions }
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Updates a custom clinic role; permissions are replaced when given
+   * @param {number} roleId - Clinic role ID
+   * @param {Object} data - { name, description, permissions }
+   */
+  static async updateClinicRole(roleId, { name, description, permissions }) {
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      await client.query(
+        `UPDATE clinic_roles
+         SET name = COALESCE($2, name), description = COALESCE($3, description), updated_at = NOW()
+         WHERE id = $1`,
+        [roleId, name || null, description === undefined ? null : description],
+      )
+      if (permissions) {
+        await PermissionService.replaceClinicRolePermissions(client, roleId, permissions)
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Replaces the permissions of a clinic role inside a caller's transaction
+   */
+  static async replaceClinicRolePermissions(client, roleId, keys) {
+    await client.query("DELETE FROM clinic_role_permissions WHERE clinic_role_id = $1", [roleId])
+    await client.query(
+      `INSERT INTO clinic_role_permissions (clinic_role_id, permission_id)
+       SELECT $1, id FROM permissions WHERE key = ANY($2::text[])`,
+      [roleId, keys],
+    )
+  }
+
+  /**
+   * Deletes a custom clinic role (members lose it immediately)
+   * @param {number} roleId - Clinic role ID
+   */
+  static async deleteClinicRole(roleId) {
+    await pool.query("DELETE FROM clinic_roles WHERE id = $1", [roleId])
+  }
+
+  /**
+   * Gives a custom clinic role to a user
+   */
+  static async addClinicRoleMember(roleId, userId, assignedBy) {
+    await pool.query(
+      `INSERT INTO user_clinic_roles (user_id, clinic_role_id, assigned_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [userId, roleId, assignedBy],
+    )
+  }
+
+  /**
+   * Takes a custom clinic role away from a user
+   * @returns {boolean} Whether the user had the role
+   */
+  static async removeClinicRoleMember(roleId, userId) {
+    const result = await pool.query("DELETE FROM user_clinic_roles WHERE clinic_role_id = $1 AND user_id = $2", [
+      roleId,
+      userId,
+    ])
+    return result.rowCount > 0
+  }
+}
+
+PermissionService.SUPER_ROLE = SUPER_ROLE
+PermissionService.CLINIC_ROLE_TEMPLATES = CLINIC_ROLE_TEMPLATES
+PermissionService.RESERVED_PERMISSIONS = RESERVED_PERMISSIONS
+
+module.exports = PermissionService
@@ -0,0 +1,404 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const SessionService = require("./sessionService")
+const AuditService = require("./auditService")
+const EncryptionService = require("./encryptionService")
+const WaitlistService = require("./waitlistService")
+const SlotBookingService = require("./slotBookingService")
+const { createZip } = require("../utils/zipUtils")
+
+// Name and e-mail domain left on an erased account
+const ERASED_NAME = "Erased patient"
+const ERASED_EMAIL_DOMAIN = "erased.invalid"
+
+// User columns never included in an export
+const HIDDEN_USER_FIELDS = ["password_hash"]
+
+// Sections of a patient data export; every query takes the patient ID as $1
+const EXPORT_SECTIONS = {
+  profile: `SELECT u.*, r.name AS role FROM users u LEFT JOIN roles r ON r.id = u.role_id WHERE u.id = $1`,
+  medical_profile: "SELECT * FROM patient_medical_profiles WHERE patient_id = $1",
+  appointments: `SELECT a.*, s.start_time, s.end_time, d.full_name AS doctor_name, c.name AS clinic_name
+                 FROM appointments a
+                 LEFT JOIN availability_slots s ON s.id = a.slot_id
+                 LEFT JOIN users d ON d.id = a.doctor_id
+                 LEFT JOIN clinics c ON c.id = a.clinic_id
+                 WHERE a.patient_id = $1
+                 ORDER BY a.id`,
+  prescriptions: `SELECT p.*, d.full_name AS doctor_name FROM prescriptions p
+                  LEFT JOIN users d ON d.id = p.doctor_id
+                  WHERE p.patient_id = $1
+                  ORDER BY p.id`,
+  lab_requests: "SELECT * FROM lab_requests WHERE patient_id = $1 ORDER BY id",
+  lab_results: `SELECT lres.* FROM lab_results lres
+                JOIN lab_requests lr ON lr.id = lres.lab_request_id
+                WHERE lr.patient_id = $1
+                ORDER BY lres.id`,
+  medical_records: `SELECT mr.*, d.full_name AS doctor_name FROM medical_records mr
+                    LEFT JOIN users d ON d.id = mr.doctor_id
+                    WHERE mr.patient_id = $1
+                    ORDER BY mr.id`,
+  transactions: "SELECT * FROM patient_transactions WHERE patient_id = $1 ORDER BY id",
+  payment_methods: "SELECT * FROM patient_payment_methods WHERE patient_id = $1 ORDER BY id",
+  feedback: "SELECT * FROM doctor_feedback WHERE patient_id = $1 ORDER BY id",
+  consents: "SELECT * FROM patient_consents WHERE patient_id = $1 ORDER BY id",
+  consent_requests: "SELECT * FROM consent_requests WHERE patient_id = $1 ORDER BY id",
+  family_access: "SELECT * FROM patient_delegations WHERE guardian_id = $1 OR dependent_id = $1 ORDER BY id",
+  notifications: "SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at",
+}
+
+// Sections holding encrypted fields, and the table the fields belong to
+const ENCRYPTED_SECTIONS = {
+  medical_profile: "patient_medical_profiles",
+  prescriptions: "prescriptions",
+  medical_records: "medical_records",
+}
+
+/**
+ * Error raised when a deletion request cannot be made or carried out
+ */
+class PrivacyError extends Error {
+  constructor(message, status = 400, blockers = null) {
+    super(message)
+    this.name = "PrivacyError"
+    this.status = status
+    this.blockers = blockers
+  }
+}
+
+class PrivacyService {
+  /**
+   * Collects everything stored about a patient
+   * @param {number} patientId - Patient user ID
+   * @returns {Object} { exportedAt, patientId, sections: { name: rows } }
+   */
+  static async buildExport(patientId) {
+    const sections = {}
+
+    for (const [name, query] of Object.entries(EXPORT_SECTIONS)) {
+      try {
+        const result = await pool.query(query, [patientId])
+        sections[name] = ENCRYPTED_SECTIONS[name]
+          ? EncryptionService.decryptRows(result.rows, ENCRYPTED_SECTIONS[name])
+          : result.rows
+      } catch (error) {
+        // Optional modules (payments, feedback...) may not be installed
+        if (error.code !== "42P01") {
+          throw error
+        }
+        sections[name] = []
+      }
+    }
+
+    sections.profile = sections.profile.map((row) => {
+      const profile = { ...row }
+      for (const field of HIDDEN_USER_FIELDS) {
+        delete profile[field]
+      }
+      return profile
+    })
+
+    const accessLog = await AuditService.listPatientAccesses(patientId, {}, { limit: null, offset: 0 })
+    sections.access_log = accessLog.entries
+
+    return { exportedAt: new Date().toISOString(), patientId, sections }
+  }
+
+  /**
+   * Packs an export as a ZIP archive: one JSON file per section and a manifest
+   * @param {Object} data - Result of buildExport
+   * @returns {Buffer}
+   */
+  static buildExportZip(data) {
+    const manifest = {
+      exportedAt: data.exportedAt,
+      patientId: data.patientId,
+      files: Object.entries(data.sections).map(([name, rows]) => ({ file: `${name}.json`, records: rows.length })),
+    }
+
+    return createZip([
+      { name: "manifest.json", content: JSON.stringify(manifest, null, 2) },
+      ...Object.entries(data.sections).map(([name, rows]) => ({
+        name: `${name}.json`,
+        content: JSON.stringify(rows, null, 2),
+      })),
+    ])
+  }
+
+  /**
+   * What keeps a patient account from being erased right now
+   * @param {number} patientId - Patient user ID
+   * @returns {Array} Blocker codes with a message each
+   */
+  static async getErasureBlockers(patientId) {
+    const result = await pool.query(
+      `SELECT u.balance,
+              (SELECT COUNT(*)::int FROM patient_delegations
+               WHERE guardian_id = u.id AND kind = 'minor' AND ended_at IS NULL) AS minor_dependents,
+              (SELECT COUNT(*)::int FROM appointments a
+               JOIN availability_slots s ON s.id = a.slot_id
+               WHERE a.patient_id = u.id AND a.status = 'booked' AND s.start_time > NOW()
+                 AND EXISTS (SELECT 1 FROM patient_transactions t
+                             WHERE t.related_appointment_id = a.id AND t.patient_id = a.patient_id
+                               AND t.type = 'payment' AND t.status = 'pending')) AS prepaid_appointments
+       FROM users u WHERE u.id = $1`,
+      [patientId],
+    )
+    const { balance, minor_dependents: minorDependents, prepaid_appointments: prepaidAppointments } = result.rows[0] || {}
+    const blockers = []
+
+    if (Number(balance) > 0) {
+      blockers.push({ code: "POSITIVE_BALANCE", message: "The account still has a balance; refund it first" })
+    }
+    if (minorDependents > 0) {
+      blockers.push({
+        code: "GUARDIAN_OF_MINORS",
+        message: "The patient is the guardian of minors; hand their accounts over to another guardian first",
+      })
+    }
+    // Erasure would cancel them without giving the fee back; cancelling them first refunds it to the balance
+    if (prepaidAppointments > 0) {
+      blockers.push({
+        code: "PREPAID_APPOINTMENTS",
+        message: "The patient has paid upcoming appointments; cancel them first so their fees are refunded",
+      })
+    }
+    return blockers
+  }
+
+  /**
+   * Asks for the patient's account to be erased
+   * @param {number} patientId - Patient user ID
+   * @param {Object} request - { reason }
+   * @param {number} requestedBy - The patient or their guardian
+   * @returns {Object} Request
+   */
+  static async createDeletionRequest(patientId, { reason = null }, requestedBy) {
+    const patient = await pool.query("SELECT anonymized_at FROM users WHERE id = $1", [patientId])
+    if (patient.rows.length === 0 || patient.rows[0].anonymized_at) {
+      throw new PrivacyError("This account has already been erased", 409)
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO data_deletion_requests (patient_id, requested_by, reason)
+         VALUES ($1, $2, $3)
+         RETURNING id, patient_id, reason, status, created_at`,
+        [patientId, requestedBy, reason],
+      )
+      logger.info(`[PRIVACY] Erasure of patient ${patientId} requested by user ${requestedBy}`)
+      return result.rows[0]
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new PrivacyError("An erasure request is already pending", 409)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Latest deletion request of a patient
+   * @returns {Object|null}
+   */
+  static async getLatestRequest(patientId) {
+    const result = await pool.query(
+      `SELECT id, patient_id, reason, status, review_note, reviewed_at, completed_at, created_at
+       FROM data_deletion_requests WHERE patient_id = $1
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [patientId],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Withdraws the patient's pending deletion request
+   * @returns {boolean} Whether a pending request was found
+   */
+  static async cancelDeletionRequest(patientId) {
+    const result = await pool.query(
+      "UPDATE data_deletion_requests SET status = 'cancelled' WHERE patient_id = $1 AND status = 'pending'",
+      [patientId],
+    )
+    return result.rowCount > 0
+  }
+
+  /**
+   * Lists deletion requests, oldest first
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Array}
+   */
+  static async listDeletionRequests({ status = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT r.id, r.patient_id, p.full_name AS patient_name, p.email AS patient_email, r.reason, r.status,
+              r.requested_by, rb.full_name AS requested_by_name, r.created_at,
+              r.reviewed_by, rv.full_name AS reviewed_by_name, r.reviewed_at, r.review_note, r.completed_at
+       FROM data_deletion_requests r
+       LEFT JOIN users p ON p.id = r.patient_id
+       LEFT JOIN users rb ON rb.id = r.requested_by
+       LEFT JOIN users rv ON rv.id = r.reviewed_by
+       WHERE ($1::text IS NULL OR r.status = $1)
+       ORDER BY r.created_at, r.id
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset],
+    )
+    return result.rows
+  }
+
+  /**
+   * Carries out a pending deletion request
+   * @param {number} requestId - Request ID
+   * @param {number} reviewedBy - Platform admin
+   * @param {string} note - Review note
+   */
+  static async approveDeletionRequest(requestId, reviewedBy, note = null) {
+    const result = await pool.query("SELECT patient_id FROM data_deletion_requests WHERE id = $1 AND status = 'pending'", [
+      requestId,
+    ])
+    if (result.rows.length === 0) {
+      throw new PrivacyError("No pending erasure request with this ID", 404)
+    }
+    await PrivacyService.erasePatient(result.rows[0].patient_id, { erasedBy: reviewedBy, note })
+  }
+
+  /**
+   * Turns down a pending deletion request and tells whoever made it
+   * @returns {boolean} Whether a pending request was found
+   */
+  static async rejectDeletionRequest(requestId, reviewedBy, note) {
+    const result = await pool.query(
+      `UPDATE data_deletion_requests SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+       WHERE id = $1 AND status = 'pending'
+       RETURNING patient_id, requested_by`,
+      [requestId, reviewedBy, note],
+    )
+    if (result.rows.length === 0) {
+      return false
+    }
+
+    const { patient_id: patientId, requested_by: requestedBy } = result.rows[0]
+    await NotificationController.createNotification({
+      userId: requestedBy || patientId,
+      message: `Your request to erase the account was declined: ${note}`,
+      type: "privacy",
+      priority: "high",
+      refId: String(requestId),
+    })
+    return true
+  }
+
+  /**
+   * Anonymizes a patient account. Personal identifiers, sign-in data, payment methods, notifications
+   * and feedback comments are removed, future appointments, waitlist entries and slot holds cancelled;
+   * appointment history, prescriptions, lab data, medical records, transactions and the access log are
+   * kept under the anonymized user ID. A pending deletion request is marked completed.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { erasedBy, note }
+   */
+  static async erasePatient(patientId, { erasedBy, note = null }) {
+    const blockers = await PrivacyService.getErasureBlockers(patientId)
+    if (blockers.length > 0) {
+      throw new PrivacyError("The account cannot be erased yet", 409, blockers)
+    }
+
+    const client = await pool.connect()
+    const freedSlotIds = []
+
+    try {
+      await client.query("BEGIN")
+
+      const patient = await client.query("SELECT anonymized_at FROM users WHERE id = $1 FOR UPDATE", [patientId])
+      if (patient.rows.length === 0) {
+        throw new PrivacyError("Patient not found", 404)
+      }
+      if (patient.rows[0].anonymized_at) {
+        throw new PrivacyError("This account has already been erased", 409)
+      }
+
+      await client.query(
+        `UPDATE users SET full_name = $2, email = 'erased-' || id || '@' || $3, phone = NULL, password_hash = '!',
+                email_verified_at = NULL, phone_verified_at = NULL, profile_image = NULL, emergency_contact = NULL,
+                access_alerts_enabled = FALSE, anonymized_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [patientId, ERASED_NAME, ERASED_EMAIL_DOMAIN],
+      )
+      // Year of birth is kept for age-dependent clinical data
+      await client.query(
+        `UPDATE patient_medical_profiles
+         SET emergency_contact_name = NULL, emergency_contact_phone = NULL, emergency_contact_relationship = NULL,
+             insurance_provider = NULL, insurance_policy_number = NULL,
+             date_of_birth = date_trunc('year', date_of_birth)::date
+         WHERE patient_id = $1`,
+        [patientId],
+      )
+
+      await SessionService.revokeAllUserSessions(patientId, "account_erased", client, { revokedBy: erasedBy })
+      await client.query("DELETE FROM user_mfa WHERE user_id = $1", [patientId])
+      await client.query("DELETE FROM mfa_backup_codes WHERE user_id = $1", [patientId])
+      await client.query("DELETE FROM verification_codes WHERE user_id = $1", [patientId])
+      await client.query("DELETE FROM password_reset_tokens WHERE user_id = $1", [patientId])
+      await client.query("UPDATE login_attempts SET email = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = $1", [
+        patientId,
+      ])
+      await client.query("DELETE FROM patient_payment_methods WHERE patient_id = $1", [patientId])
+      await client.query("DELETE FROM notifications WHERE user_id = $1", [patientId])
+      await client.query("UPDATE doctor_feedback SET comments = NULL WHERE patient_id = $1", [patientId])
+
+      await client.query(
+        `UPDATE patient_delegations SET ended_at = NOW(), ended_by = $2, ended_reason = 'account_erased', updated_at = NOW()
+         WHERE (guardian_id = $1 OR dependent_id = $1) AND ended_at IS NULL`,
+        [patientId, erasedBy],
+      )
+      await client.query(
+        `UPDATE patient_consents SET revoked_at = NOW(), revoked_by = $2, revoke_reason = 'account_erased'
+         WHERE patient_id = $1 AND revoked_at IS NULL`,
+        [patientId, erasedBy],
+      )
+      await client.query("UPDATE consent_requests SET status = 'cancelled' WHERE patient_id = $1 AND status = 'pending'", [
+        patientId,
+      ])
+
+      // Future bookings are cancelled and their slots freed; past appointments stay as history
+      const cancelled = await client.query(
+        `WITH cancelled AS (
+           UPDATE appointments a SET status = 'cancelled'
+           FROM availability_slots s
+           WHERE s.id = a.slot_id AND a.patient_id = $1 AND a.status = 'booked' AND s.start_time > NOW()
+           RETURNING a.slot_id
+         )
+         UPDATE availability_slots SET is_available = TRUE WHERE id IN (SELECT slot_id FROM cancelled)
+         RETURNING id`,
+        [patientId],
+      )
+      freedSlotIds.push(...cancelled.rows.map((row) => row.id))
+      freedSlotIds.push(...(await WaitlistService.cancelForPatient(client, patientId)))
+      await SlotBookingService.releaseForPatient(client, patientId)
+
+      await client.query(
+        `UPDATE data_deletion_requests
+         SET status = 'completed', reviewed_by = $2, reviewed_at = NOW(), review_note = COALESCE($3, review_note),
+             completed_at = NOW()
+         WHERE patient_id = $1 AND status = 'pending'`,
+        [patientId, erasedBy, note],
+      )
+
+      await client.query("COMMIT")
+      logger.info(`[PRIVACY] Patient ${patientId} erased by user ${erasedBy}`)
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    // Freed slots go to the next patients on the waitlist
+    for (const slotId of freedSlotIds) {
+      await WaitlistService.offerSlot(slotId)
+    }
+  }
+}
+
+PrivacyService.PrivacyError = PrivacyError
+
+module.exports = PrivacyService
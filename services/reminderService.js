@@ -0,0 +1,471 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const MailService = require("./mailService")
+const PaymentService = require("./paymentService")
+const WaitlistService = require("./waitlistService")
+const CalendarService = require("./calendarService")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+
+const CHANNELS = ["sms", "email", "in_app"]
+// Values a template may use, e.g. "Dr. {doctor_name} on {date} at {time}"
+const PLACEHOLDERS = ["patient_name", "doctor_name", "clinic_name", "clinic", "date", "time", "confirm_url", "cancel_url"]
+const REPLY_ACTIONS = ["confirm", "cancel"]
+
+/**
+ * Error raised when reminder settings or a reply link are refused
+ */
+class ReminderError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "ReminderError"
+    this.status = status
+  }
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString("en-GB", { dateStyle: "medium" })
+const formatTime = (date) => new Date(date).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" })
+
+// Replaces {placeholder} with its value; unknown names are left as they are
+const render = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+
+/**
+ * Reminder rules grouped by clinic (null: platform defaults), nearest offset first
+ * @returns {Map}
+ */
+const loadRules = async () => {
+  const result = await pool.query("SELECT clinic_id, offset_minutes, channels FROM reminder_rules ORDER BY offset_minutes")
+  const rules = new Map()
+  for (const rule of result.rows) {
+    if (!rules.has(rule.clinic_id)) {
+      rules.set(rule.clinic_id, [])
+    }
+    rules.get(rule.clinic_id).push(rule)
+  }
+  return rules
+}
+
+/**
+ * The template a clinic uses for a channel: its own, otherwise the platform default
+ */
+const loadTemplate = async (clinicId, channel) => {
+  const result = await pool.query(
+    `SELECT clinic_id, channel, subject, body FROM reminder_templates
+     WHERE channel = $2 AND (clinic_id = $1 OR clinic_id IS NULL)
+     ORDER BY clinic_id NULLS LAST
+     LIMIT 1`,
+    [clinicId, channel],
+  )
+  return result.rows[0] || null
+}
+
+/**
+ * Sends one channel of a reminder
+ * @returns {Object} { status (sent|failed|skipped), error }
+ */
+const deliver = async (channel, appointment, values) => {
+  const template = await loadTemplate(appointment.clinic_id, channel)
+  if (!template) {
+    return { status: "skipped", error: "No template for this channel" }
+  }
+  const message = render(template.body, values)
+
+  if (channel === "sms") {
+    if (!appointment.patient_phone) {
+      return { status: "skipped", error: "No phone number" }
+    }
+    const sent = await NotificationController.sendSms({ to: appointment.patient_phone, body: message })
+    return sent ? { status: "sent" } : { status: "failed", error: "SMS could not be sent" }
+  }
+
+  if (channel === "email") {
+    if (!appointment.patient_email) {
+      return { status: "skipped", error: "No email address" }
+    }
+    await MailService.sendMail({
+      to: appointment.patient_email,
+      subject: render(template.subject || "Appointment reminder", values),
+      text: message,
+    })
+    return { status: "sent" }
+  }
+
+  await NotificationController.createNotification({
+    userId: appointment.patient_id,
+    message,
+    type: "appointment_reminder",
+    priority: "normal",
+    refId: appointment.id,
+  })
+  return { status: "sent" }
+}
+
+/**
+ * Checks that a template only uses known placeholders
+ */
+const checkPlaceholders = (...texts) => {
+  const unknown = texts
+    .filter(Boolean)
+    .flatMap((text) => [...text.matchAll(/\{(\w+)\}/g)].map((match) => match[1]))
+    .filter((name) => !PLACEHOLDERS.includes(name))
+  if (unknown.length > 0) {
+    throw new ReminderError(
+      `Unknown placeholder(s): ${[...new Set(unknown)].join(", ")}. Available: ${PLACEHOLDERS.map((name) => `{${name}}`).join(", ")}`,
+    )
+  }
+}
+
+class ReminderService {
+  /**
+   * Link the patient follows to confirm or cancel
+   * @param {string} token - Plain reply token
+   * @param {string} action - confirm|cancel
+   */
+  static buildReplyUrl(token, action) {
+    return `${process.env.FRONTEND_URL}/appointment-reply?token=${token}&action=${action}`
+  }
+
+  /**
+   * Sends the reminders that are due. For each upcoming appointment only the nearest due rule of
+   * its clinic is used, so an appointment booked at short notice gets one reminder, not several.
+   * @returns {Object} { appointments, deliveries } counts
+   */
+  static async sendDueReminders() {
+    const rules = await loadRules()
+    const maxOffset = Math.max(0, ...[...rules.values()].flat().map((rule) => rule.offset_minutes))
+    if (maxOffset === 0) {
+      return { appointments: 0, deliveries: 0 }
+    }
+
+    const upcoming = await pool.query(
+      `SELECT a.id, a.patient_id, a.doctor_id, a.clinic_id, sl.start_time,
+              p.full_name AS patient_name, p.phone AS patient_phone, p.email AS patient_email,
+              d.full_name AS doctor_name, c.name AS clinic_name
+       FROM appointments a
+       JOIN availability_slots sl ON sl.id = a.slot_id
+       JOIN users p ON p.id = a.patient_id AND p.deleted_at IS NULL
+       JOIN users d ON d.id = a.doctor_id
+       LEFT JOIN clinics c ON c.id = a.clinic_id
+       WHERE a.status = 'booked' AND sl.start_time > NOW() AND sl.start_time <= NOW() + make_interval(mins => $1)
+       ORDER BY sl.start_time`,
+      [maxOffset],
+    )
+
+    let reminded = 0
+    let deliveries = 0
+    for (const appointment of upcoming.rows) {
+      const minutesLeft = (new Date(appointment.start_time) - Date.now()) / 60000
+      const clinicRules = rules.get(appointment.clinic_id) || rules.get(null) || []
+      const rule = clinicRules.find((candidate) => candidate.offset_minutes >= minutesLeft)
+      if (!rule) {
+        continue
+      }
+
+      const alreadySent = await pool.query(
+        "SELECT 1 FROM appointment_reminders WHERE appointment_id = $1 AND offset_minutes <= $2 LIMIT 1",
+        [appointment.id, rule.offset_minutes],
+      )
+      if (alreadySent.rows.length > 0) {
+        continue
+      }
+
+      try {
+        deliveries += await ReminderService.sendReminder(appointment, rule)
+        reminded++
+      } catch (error) {
+        logger.error(`[REMINDERS] Reminder for appointment ${appointment.id} failed: ${error.message}`)
+      }
+    }
+
+    if (reminded > 0) {
+      logger.info(`[REMINDERS] ${deliveries} reminder(s) sent for ${reminded} appointment(s)`)
+    }
+    return { appointments: reminded, deliveries }
+  }
+
+  /**
+   * Sends a reminder over the channels of a rule and records each delivery
+   * @param {Object} appointment - Appointment with start_time, patient and doctor details
+   * @param {Object} rule - { offset_minutes, channels }
+   * @returns {number} Deliveries that went out
+   */
+  static async sendReminder(appointment, rule) {
+    const token = generateToken()
+    await pool.query("INSERT INTO appointment_reply_tokens (appointment_id, token_hash, expires_at) VALUES ($1, $2, $3)", [
+      appointment.id,
+      hashToken(token),
+      appointment.start_time,
+    ])
+
+    const values = {
+      patient_name: appointment.patient_name,
+      doctor_name: appointment.doctor_name,
+      clinic_name: appointment.clinic_name || "",
+      clinic: appointment.clinic_name ? ` at ${appointment.clinic_name}` : " (video call)",
+      date: formatDate(appointment.start_time),
+      time: formatTime(appointment.start_time),
+      confirm_url: ReminderService.buildReplyUrl(token, "confirm"),
+      cancel_url: ReminderService.buildReplyUrl(token, "cancel"),
+    }
+
+    let sent = 0
+    for (const channel of rule.channels) {
+      // The row doubles as a claim so a delivery is never sent twice
+      const claim = await pool.query(
+        `INSERT INTO appointment_reminders (appointment_id, offset_minutes, channel)
+         VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [appointment.id, rule.offset_minutes, channel],
+      )
+      if (claim.rows.length === 0) {
+        continue
+      }
+
+      let outcome
+      try {
+        outcome = await deliver(channel, appointment, values)
+      } catch (error) {
+        outcome = { status: "failed", error: error.message }
+      }
+      await pool.query(
+        `UPDATE appointment_reminders
+         SET status = $2, error = $3, sent_at = CASE WHEN $4 THEN NOW() END
+         WHERE id = $1`,
+        [claim.rows[0].id, outcome.status, outcome.error || null, outcome.status === "sent"],
+      )
+      if (outcome.status === "sent") {
+        sent++
+      }
+    }
+    return sent
+  }
+
+  /**
+   * Delivery history of an appointment's reminders
+   * @param {number} appointmentId - Appointment ID
+   * @returns {Array}
+   */
+  static async listDeliveries(appointmentId) {
+    const result = await pool.query(
+      `SELECT id, offset_minutes, channel, status, error, sent_at, created_at
+       FROM appointment_reminders
+       WHERE appointment_id = $1
+       ORDER BY created_at, channel`,
+      [appointmentId],
+    )
+    return result.rows
+  }
+
+  /**
+   * What a reply link is for, without acting on it
+   * @param {string} token - Plain reply token
+   * @returns {Object} Appointment summary
+   */
+  static async getReply(token) {
+    const result = await pool.query(
+      `SELECT t.used_at, t.expires_at <= NOW() AS expired, a.id AS appointment_id, a.status, a.confirmed_at,
+              sl.start_time, d.full_name AS doctor_name, c.name AS clinic_name
+       FROM appointment_reply_tokens t
+       JOIN appointments a ON a.id = t.appointment_id
+       LEFT JOIN availability_slots sl ON sl.id = a.slot_id
+       JOIN users d ON d.id = a.doctor_id
+       LEFT JOIN clinics c ON c.id = a.clinic_id
+       WHERE t.token_hash = $1`,
+      [hashToken(token)],
+    )
+    const reply = result.rows[0]
+    if (!reply) {
+      throw new ReminderError("This link is not valid", 404)
+    }
+    if (reply.used_at || reply.expired) {
+      throw new ReminderError("This link has expired", 410)
+    }
+
+    return {
+      appointmentId: reply.appointment_id,
+      status: reply.status,
+      confirmed: Boolean(reply.confirmed_at),
+      startTime: reply.start_time,
+      doctorName: reply.doctor_name,
+      clinicName: reply.clinic_name,
+    }
+  }
+
+  /**
+   * Confirms or cancels the appointment of a reply link. Cancelling refunds the patient, frees the
+   * slot for the waitlist and retires every link of the appointment.
+   * @param {string} token - Plain reply token
+   * @param {string} action - confirm|cancel
+   * @returns {Object} { appointmentId, status }
+   */
+  static async reply(token, action) {
+    const client = await pool.connect()
+    let appointment
+
+    try {
+      await client.query("BEGIN")
+      const result = await client.query(
+        `SELECT t.id AS token_id, t.used_at, t.expires_at <= NOW() AS expired, a.*, p.full_name AS patient_name
+         FROM appointment_reply_tokens t
+         JOIN appointments a ON a.id = t.appointment_id
+         JOIN users p ON p.id = a.patient_id
+         WHERE t.token_hash = $1
+         FOR UPDATE OF t, a`,
+        [hashToken(token)],
+      )
+      appointment = result.rows[0]
+      if (!appointment) {
+        throw new ReminderError("This link is not valid", 404)
+      }
+      if (appointment.used_at || appointment.expired) {
+        throw new ReminderError("This link has expired", 410)
+      }
+      if (appointment.status !== "booked") {
+        throw new ReminderError(`This appointment is ${appointment.status}`, 409)
+      }
+
+      if (action === "confirm") {
+        await client.query("UPDATE appointments SET confirmed_at = NOW(), updated_at = NOW() WHERE id = $1", [appointment.id])
+      } else {
+        await client.query("UPDATE appointments SET status = 'cancelled', updated_at = NOW() WHERE id = $1", [appointment.id])
+        if (appointment.slot_id) {
+          await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", [appointment.slot_id])
+        }
+        try {
+          await PaymentService.processRefund({
+            appointmentId: appointment.id,
+            patientId: appointment.patient_id,
+            reason: "Cancelled from a reminder",
+            dbTransaction: client,
+          })
+        } catch (refundError) {
+          // Don't fail the cancellation if refund fails, just log it
+          logger.error(`[REMINDERS] Refund error for appointment ${appointment.id}: ${refundError.message}`)
+        }
+        await client.query("UPDATE appointment_reply_tokens SET used_at = NOW() WHERE appointment_id = $1 AND used_at IS NULL", [
+          appointment.id,
+        ])
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[REMINDERS] Appointment ${appointment.id} ${action === "confirm" ? "confirmed" : "cancelled"} from a reminder`)
+    if (action === "cancel") {
+      if (appointment.slot_id) {
+        WaitlistService.offerSlot(appointment.slot_id)
+      }
+      await NotificationController.createNotification({
+        userId: appointment.doctor_id,
+        message: `Appointment cancelled by ${appointment.patient_name}`,
+        type: "appointment",
+        priority: "high",
+        refId: appointment.id,
+      })
+      CalendarService.sendAppointmentEmail([appointment.id], "cancelled")
+    }
+    return { appointmentId: appointment.id, status: action === "confirm" ? "confirmed" : "cancelled" }
+  }
+
+  /**
+   * Rules and templates in effect for a clinic, and whether they are the platform defaults
+   * @param {number|null} clinicId - Clinic ID (null: the platform defaults)
+   * @returns {Object} { rules, usesDefaultRules, templates }
+   */
+  static async getSettings(clinicId) {
+    const rules = await loadRules()
+    const ownRules = clinicId ? rules.get(clinicId) : rules.get(null)
+
+    const templates = []
+    for (const channel of CHANNELS) {
+      const template = await loadTemplate(clinicId, channel)
+      templates.push({
+        channel,
+        subject: template?.subject || null,
+        body: template?.body || null,
+        custom: Boolean(clinicId && template?.clinic_id === clinicId),
+      })
+    }
+
+    return {
+      rules: (ownRules || rules.get(null) || []).map(({ offset_minutes, channels }) => ({ offsetMinutes: offset_minutes, channels })),
+      usesDefaultRules: Boolean(clinicId) && !ownRules,
+      templates,
+      placeholders: PLACEHOLDERS,
+    }
+  }
+
+  /**
+   * Replaces a clinic's reminder rules; an empty list goes back to the platform defaults
+   * @param {number|null} clinicId - Clinic ID (null: the platform defaults)
+   * @param {Array} rules - [{ offsetMinutes, channels }]
+   */
+  static async setRules(clinicId, rules) {
+    const offsets = rules.map((rule) => rule.offsetMinutes)
+    if (new Set(offsets).size !== offsets.length) {
+      throw new ReminderError("Two reminders cannot be sent at the same time before the appointment")
+    }
+
+    const client = await pool.connect()
+    try {
+      await client.query("BEGIN")
+      await client.query("DELETE FROM reminder_rules WHERE clinic_id IS NOT DISTINCT FROM $1", [clinicId])
+      for (const rule of rules) {
+        await client.query("INSERT INTO reminder_rules (clinic_id, offset_minutes, channels) VALUES ($1, $2, $3)", [
+          clinicId,
+          rule.offsetMinutes,
+          [...new Set(rule.channels)],
+        ])
+      }
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[REMINDERS] Reminder rules of ${clinicId ? `clinic ${clinicId}` : "the platform"} set to ${offsets.join(", ") || "defaults"}`)
+  }
+
+  /**
+   * Sets the wording of a channel for a clinic
+   * @param {number|null} clinicId - Clinic ID (null: the platform default)
+   * @param {string} channel - sms|email|in_app
+   * @param {Object} template - { subject (email), body }
+   * @param {number} userId - User making the change
+   */
+  static async setTemplate(clinicId, channel, { subject = null, body }, userId) {
+    checkPlaceholders(subject, body)
+
+    await pool.query(
+      `INSERT INTO reminder_templates (clinic_id, channel, subject, body, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT ((COALESCE(clinic_id, 0)), channel)
+       DO UPDATE SET subject = $3, body = $4, updated_by = $5, updated_at = NOW()`,
+      [clinicId, channel, channel === "email" ? subject : null, body, userId],
+    )
+    logger.info(`[REMINDERS] ${channel} template of ${clinicId ? `clinic ${clinicId}` : "the platform"} updated by user ${userId}`)
+  }
+
+  /**
+   * Drops a clinic's own wording for a channel so the platform default applies again
+   * @returns {boolean} Whether the clinic had its own template
+   */
+  static async resetTemplate(clinicId, channel) {
+    const result = await pool.query("DELETE FROM reminder_templates WHERE clinic_id = $1 AND channel = $2", [clinicId, channel])
+    return result.rowCount > 0
+  }
+}
+
+ReminderService.ReminderError = ReminderError
+ReminderService.CHANNELS = CHANNELS
+ReminderService.REPLY_ACTIONS = REPLY_ACTIONS
+
+module.exports = ReminderService
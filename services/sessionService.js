@@ -0,0 +1,300 @@
+const jwt = require("jsonwebtoken")
+const { v4: uuidv4 } = require("uuid")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const { hashToken } = require("../utils/tokenUtils")
+const { describeDevice } = require("../utils/deviceUtils")
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "10h"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "7")
+// last_seen_at is only written when older than this, to avoid a write on every request
+const LAST_SEEN_RESOLUTION_SECONDS = 60
+
+/**
+ * Error raised when a refresh token cannot be exchanged
+ */
+class RefreshTokenError extends Error {
+  constructor(message, reason) {
+    super(message)
+    this.name = "RefreshTokenError"
+    this.reason = reason
+  }
+}
+
+class SessionService {
+  /**
+   * Signs an access token bound to a session
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {boolean} mfaVerified - Whether the session passed two-factor authentication
+   * @returns {string} Access token
+   */
+  static signAccessToken(userId, sessionId, mfaVerified = false) {
+    return jwt.sign({ userId, sid: sessionId, mfa: Boolean(mfaVerified) }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    })
+  }
+
+  /**
+   * Signs and stores a refresh token for a session
+   * @param {Object} client - pg client or pool
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { refreshToken, id }
+   */
+  static async issueRefreshToken(client, userId, sessionId) {
+    const refreshToken = jwt.sign({ userId, sid: sessionId, jti: uuidv4() }, process.env.JWT_REFRESH_SECRET, {
+      expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+    })
+
+    const result = await client.query(
+      `INSERT INTO refresh_tokens (session_id, user_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+       RETURNING id`,
+      [sessionId, userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS],
+    )
+
+    return { refreshToken, id: result.rows[0].id }
+  }
+
+  /**
+   * Opens a new session and returns its first token pair
+   * @param {number} userId - User ID
+   * @param {Object} options - Session options
+   * @param {boolean} options.mfaVerified - Whether the login passed two-factor authentication
+   * @param {string} options.ip - Client IP address
+   * @param {string} options.userAgent - Client User-Agent
+   * @param {string} options.deviceName - Device label sent by the client (falls back to the User-Agent)
+   * @returns {Object} { accessToken, refreshToken, sessionId }
+   */
+  static async createSession(userId, { mfaVerified = false, ip = null, userAgent = null, deviceName = null } = {}) {
+    const sessionId = uuidv4()
+
+    await pool.query(
+      `INSERT INTO user_sessions (id, user_id, expires_at, mfa_verified, device_name, user_agent, ip_address, last_seen_at)
+       VALUES ($1, $2, NOW() + make_interval(days => $3), $4, $5, $6, $7, NOW())`,
+      [
+        sessionId,
+        userId,
+        REFRESH_TOKEN_TTL_DAYS,
+        mfaVerified,
+        (deviceName || describeDevice(userAgent)).substring(0, 100),
+        userAgent,
+        ip,
+      ],
+    )
+
+    const { refreshToken } = await SessionService.issueRefreshToken(pool, userId, sessionId)
+    const accessToken = SessionService.signAccessToken(userId, sessionId, mfaVerified)
+
+    logger.info(`[SESSION] Session ${sessionId} created for user ${userId}`)
+
+    return { accessToken, refreshToken, sessionId }
+  }
+
+  /**
+   * Exchanges a refresh token for a new token pair.
+   * The presented token is consumed; presenting it again is treated as theft and
+   * revokes the whole session (token family).
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object} { accessToken, refreshToken, sessionId, userId }
+   */
+  static async rotateRefreshToken(refreshToken) {
+    let decoded
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
+    } catch (error) {
+      throw new RefreshTokenError("Invalid refresh token", "invalid")
+    }
+
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const tokenResult = await client.query(
+        `SELECT rt.id, rt.user_id, rt.session_id, rt.used_at, rt.expires_at,
+                s.revoked_at AS session_revoked_at, s.mfa_verified
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON s.id = rt.session_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)],
+      )
+
+      if (tokenResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        throw new RefreshTokenError("Invalid refresh token", "unknown")
+      }
+
+      const stored = tokenResult.rows[0]
+
+      if (stored.session_revoked_at) {
+        await client.query("ROLLBACK")
+        throw new RefreshTokenError("Session has been revoked", "revoked")
+      }
+
+      if (stored.used_at) {
+        // Reuse of a rotated token: someone else holds a copy, kill the family
+        await SessionService.revokeSession(stored.session_id, "token_reuse", client)
+        await client.query("COMMIT")
+        logger.warn(`[SESSION] Refresh token reuse detected for user ${stored.user_id}; session ${stored.session_id} revoked`)
+        throw new RefreshTokenError("Refresh token reuse detected", "reuse")
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        await client.query("ROLLBACK")
+        throw new RefreshTokenError("Refresh token expired", "expired")
+      }
+
+      const next = await SessionService.issueRefreshToken(client, stored.user_id, stored.session_id)
+
+      await client.query("UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $1 WHERE id = $2", [
+        next.id,
+        stored.id,
+      ])
+      await client.query(
+        "UPDATE user_sessions SET expires_at = NOW() + make_interval(days => $1) WHERE id = $2",
+        [REFRESH_TOKEN_TTL_DAYS, stored.session_id],
+      )
+
+      await client.query("COMMIT")
+
+      return {
+        accessToken: SessionService.signAccessToken(stored.user_id, stored.session_id, stored.mfa_verified),
+        refreshToken: next.refreshToken,
+        sessionId: stored.session_id,
+        userId: stored.user_id,
+      }
+    } catch (error) {
+      if (!(error instanceof RefreshTokenError)) {
+        await client.query("ROLLBACK")
+      }
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Marks a session as having passed two-factor authentication
+   * @param {string} sessionId - Session ID
+   */
+  static async markSessionMfaVerified(sessionId) {
+    await pool.query("UPDATE user_sessions SET mfa_verified = TRUE WHERE id = $1", [sessionId])
+  }
+
+  /**
+   * Revokes a session and every refresh token in it
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} client - Optional pg client (to run inside a caller's transaction)
+   * @returns {boolean} Whether an active session was revoked
+   */
+  static async revokeSession(sessionId, reason = "logout", client = pool, revokedBy = null) {
+    const result = await client.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2, revoked_by = $3
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, reason, revokedBy],
+    )
+    return result.rows.length > 0
+  }
+
+  /**
+   * Revokes every active session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} client - Optional pg client (to run inside a caller's transaction)
+   * @param {Object} options - { exceptSessionId, revokedBy }
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeAllUserSessions(userId, reason, client = pool, { exceptSessionId = null, revokedBy = null } = {}) {
+    const result = await client.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2, revoked_by = $4
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+      [userId, reason, exceptSessionId, revokedBy],
+    )
+    logger.info(`[SESSION] Revoked ${result.rowCount} session(s) for user ${userId} (${reason})`)
+    return result.rowCount
+  }
+
+  /**
+   * Revokes the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   * @returns {boolean} Whether a session was revoked
+   */
+  static async revokeByRefreshToken(refreshToken) {
+    const result = await pool.query("SELECT session_id FROM refresh_tokens WHERE token_hash = $1", [
+      hashToken(refreshToken),
+    ])
+    if (result.rows.length === 0) {
+      return false
+    }
+    return SessionService.revokeSession(result.rows[0].session_id, "logout")
+  }
+
+  /**
+   * Checks whether a session is still usable
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True when the session exists and is not revoked or expired
+   */
+  static async isSessionActive(sessionId) {
+    const result = await pool.query(
+      "SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()",
+      [sessionId],
+    )
+    return result.rows.length > 0
+  }
+
+  /**
+   * Records activity on a session (throttled)
+   * @param {string} sessionId - Session ID
+   * @param {string} ip - Client IP address
+   */
+  static async touchSession(sessionId, ip = null) {
+    await pool.query(
+      `UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+       WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < NOW() - make_interval(secs => $3))`,
+      [sessionId, ip, LAST_SEEN_RESOLUTION_SECONDS],
+    )
+  }
+
+  /**
+   * Lists the active sessions of a user, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Array} Sessions
+   */
+  static async listUserSessions(userId) {
+    const result = await pool.query(
+      `SELECT id, device_name, user_agent, ip_address, mfa_verified, created_at, last_seen_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC NULLS LAST`,
+      [userId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Revokes a session only if it belongs to the given user
+   * @param {number} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @param {number} revokedBy - User performing the revocation
+   * @returns {boolean} Whether an active session was revoked
+   */
+  static async revokeUserSession(userId, sessionId, reason, revokedBy = null) {
+    const result = await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3, revoked_by = $4
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, userId, reason, revokedBy],
+    )
+    return result.rows.length > 0
+  }
+}
+
+SessionService.RefreshTokenError = RefreshTokenError
+
+module.exports = SessionService
@@ -0,0 +1,325 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const { formatDateForDB } = require("../utils/dateUtils")
+
+// How long a hold keeps a slot for the patient before it is released
+const HOLD_MINUTES = Number.parseInt(process.env.SLOT_HOLD_MINUTES || "10")
+// First key of the advisory locks taken per doctor (the second one is the doctor ID)
+const BOOKING_LOCK_NAMESPACE = 4201
+
+/**
+ * Error raised when a slot cannot be reserved or a hold cannot be used
+ */
+class SlotError extends Error {
+  constructor(message, status = 409, code = null) {
+    super(message)
+    this.name = "SlotError"
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Frees the slots of closed holds: slots made for a hold are deleted so the time is not published as
+ * availability the doctor never offered, published slots are re-opened
+ * @param {Object} client - Client or pool
+ * @param {Array} holds - Rows with slot_id and created_slot
+ */
+const freeSlots = async (client, holds) => {
+  const created = holds.filter((hold) => hold.created_slot).map((hold) => hold.slot_id)
+  const published = holds.filter((hold) => !hold.created_slot).map((hold) => hold.slot_id)
+  if (created.length > 0) {
+    await client.query("DELETE FROM availability_slots WHERE id = ANY($1::int[])", [created])
+  }
+  if (published.length > 0) {
+    await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = ANY($1::int[])", [published])
+  }
+}
+
+/**
+ * Expires the holds that ran out (of one doctor, or all) and frees their slots
+ * @returns {number} Holds expired
+ */
+const expireHolds = async (client, doctorId = null) => {
+  const result = await client.query(
+    `UPDATE slot_holds SET status = 'expired', closed_at = NOW()
+     WHERE status = 'active' AND expires_at <= NOW() AND ($1::int IS NULL OR doctor_id = $1)
+     RETURNING slot_id, created_slot`,
+    [doctorId],
+  )
+  await freeSlots(client, result.rows)
+  return result.rows.length
+}
+
+/**
+ * Closes an active hold (released, or replaced by a new one) and frees its slot
+ */
+const closeHold = async (client, holdId, status) => {
+  const result = await client.query(
+    `UPDATE slot_holds SET status = $2, closed_at = NOW()
+     WHERE id = $1 AND status = 'active'
+     RETURNING slot_id, created_slot`,
+    [holdId, status],
+  )
+  await freeSlots(client, result.rows)
+  return result.rows.length > 0
+}
+
+/**
+ * Takes a free slot of the doctor covering the time range, or creates one, and marks it taken
+ * @returns {Object} { slotId, created } - created is true when no published slot covered the time
+ * @throws {SlotError} 409 when the time overlaps a booked or held slot
+ */
+const takeSlot = async (client, { doctorId, clinicId, start, end, ignoreSlotIds = [] }) => {
+  await SlotBookingService.lockDoctor(client, doctorId)
+
+  if (await SlotBookingService.findConflict(client, doctorId, start, end, ignoreSlotIds)) {
+    throw new SlotError("This time is no longer available. Please choose another slot.", 409, "SLOT_TAKEN")
+  }
+
+  const existing = await client.query(
+    `SELECT id FROM availability_slots
+     WHERE provider_id = $1 AND provider_type = 'doctor' AND start_time <= $2 AND end_time >= $3 AND is_available = TRUE
+     LIMIT 1
+     FOR UPDATE`,
+    [doctorId, formatDateForDB(start), formatDateForDB(end)],
+  )
+  if (existing.rows.length > 0) {
+    await client.query("UPDATE availability_slots SET is_available = FALSE WHERE id = $1", [existing.rows[0].id])
+    return { slotId: existing.rows[0].id, created: false }
+  }
+
+  const created = await client.query(
+    `INSERT INTO availability_slots (provider_id, provider_type, clinic_id, start_time, end_time, is_available)
+     VALUES ($1, 'doctor', $2, $3, $4, FALSE)
+     RETURNING id`,
+    [doctorId, clinicId, formatDateForDB(start), formatDateForDB(end)],
+  )
+  return { slotId: created.rows[0].id, created: true }
+}
+
+class SlotBookingService {
+  /**
+   * Serializes the bookings of a doctor until the caller's transaction ends, and expires the
+   * doctor's holds that ran out so their slots count as free again
+   * @param {Object} client - Transaction client
+   * @param {number} doctorId - Doctor user ID
+   */
+  static async lockDoctor(client, doctorId) {
+    await client.query("SELECT pg_advisory_xact_lock($1, $2)", [BOOKING_LOCK_NAMESPACE, doctorId])
+    await expireHolds(client, doctorId)
+  }
+
+  /**
+   * Finds a booked (or held) slot of the doctor overlapping a time range
+   * @param {Object} client - Transaction client
+   * @param {number} doctorId - Doctor user ID
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range
+   * @param {Array<number>} ignoreSlotIds - Slots being moved away from
+   * @returns {Object|null} Conflicting slot
+   */
+  static async findConflict(client, doctorId, start, end, ignoreSlotIds = []) {
+    const result = await client.query(
+      `SELECT id, start_time, end_time FROM availability_slots
+       WHERE provider_id = $1 AND provider_type = 'doctor' AND is_available = FALSE
+         AND start_time < $3 AND end_time > $2
+         AND NOT (id = ANY($4::int[]))
+       LIMIT 1`,
+      [doctorId, formatDateForDB(start), formatDateForDB(end), ignoreSlotIds],
+    )
+    return result.rows[0] || null
+  }
+
+  /**
+   * Takes a free slot of the doctor covering the time range, or creates one, and marks it taken.
+   * Runs inside the caller's transaction, under the doctor's booking lock.
+   * @param {Object} client - Transaction client
+   * @param {Object} options - { doctorId, clinicId, start, end, ignoreSlotIds }
+   * @returns {number} Slot ID
+   * @throws {SlotError} 409 when the time overlaps a booked or held slot
+   */
+  static async reserveSlot(client, options) {
+    const { slotId } = await takeSlot(client, options)
+    return slotId
+  }
+
+  /**
+   * Holds a slot for the patient while they pay or fill in forms. Each holder keeps one hold per
+   * patient: a new hold releases the previous one placed by the same user, never someone else's.
+   * @param {number} patientId - Patient user ID
+   * @param {Object} options - { doctorId, clinicId (in-person), type, start, end }
+   * @param {number} heldBy - User placing the hold (patient, guardian or staff)
+   * @returns {Object} Hold
+   */
+  static async hold(patientId, { doctorId, clinicId, type, start, end }, heldBy) {
+    if (start <= new Date()) {
+      throw new SlotError("Choose a time in the future", 400)
+    }
+
+    const client = await pool.connect()
+    let hold
+    try {
+      await client.query("BEGIN")
+      const previous = await client.query(
+        "SELECT id FROM slot_holds WHERE patient_id = $1 AND held_by = $2 AND status = 'active'",
+        [patientId, heldBy],
+      )
+      for (const { id } of previous.rows) {
+        await closeHold(client, id, "released")
+      }
+
+      const { slotId, created } = await takeSlot(client, {
+        doctorId,
+        clinicId: type === "in-person" ? clinicId : null,
+        start,
+        end,
+      })
+      const result = await client.query(
+        `INSERT INTO slot_holds (slot_id, patient_id, doctor_id, clinic_id, type, expires_at, held_by, created_slot)
+         VALUES ($1, $2, $3, $4, $5, LEAST(NOW() + make_interval(mins => $6), $7::timestamp), $8, $9)
+         RETURNING *`,
+        [
+          slotId,
+          patientId,
+          doctorId,
+          type === "in-person" ? clinicId : null,
+          type,
+          HOLD_MINUTES,
+          formatDateForDB(start),
+          heldBy,
+          created,
+        ],
+      )
+      hold = result.rows[0]
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[SLOTS] Slot ${hold.slot_id} of doctor ${doctorId} held for patient ${patientId} (hold ${hold.id})`)
+    return { ...hold, start_time: start, end_time: end }
+  }
+
+  /**
+   * Active holds of a patient, or those a staff member placed for patients
+   * @param {Object} filter - { patientId } or { heldBy }
+   * @returns {Array}
+   */
+  static async listActive({ patientId = null, heldBy = null }) {
+    const result = await pool.query(
+      `SELECT h.id, h.slot_id, h.doctor_id, d.full_name AS doctor_name, h.clinic_id, c.name AS clinic_name, h.type,
+              h.patient_id, s.start_time, s.end_time, h.expires_at
+       FROM slot_holds h
+       JOIN availability_slots s ON s.id = h.slot_id
+       JOIN users d ON d.id = h.doctor_id
+       LEFT JOIN clinics c ON c.id = h.clinic_id
+       WHERE ($1::int IS NULL OR h.patient_id = $1) AND ($2::int IS NULL OR h.held_by = $2)
+         AND h.status = 'active' AND h.expires_at > NOW()
+       ORDER BY h.created_at DESC`,
+      [patientId, heldBy],
+    )
+    return result.rows
+  }
+
+  /**
+   * Releases a hold before it expires. The patient it is for and the user who placed it may release it.
+   * @param {number} holdId - Hold ID
+   * @param {Object} requester - { patientId, userId } of the request
+   * @returns {boolean} Whether an active hold was released
+   */
+  static async release(holdId, { patientId, userId }) {
+    const client = await pool.connect()
+    try {
+      await client.query("BEGIN")
+      const owned = await client.query(
+        "SELECT id FROM slot_holds WHERE id = $1 AND (patient_id = $2 OR held_by = $3) AND status = 'active' FOR UPDATE",
+        [holdId, patientId, userId],
+      )
+      const released = owned.rows.length > 0 && (await closeHold(client, holdId, "released"))
+      await client.query("COMMIT")
+      return released
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  /**
+   * Releases every active hold of a patient in the caller's transaction (account erased)
+   * @param {Object} client - Transaction client
+   * @param {number} patientId - Patient user ID
+   * @returns {number} Holds released
+   */
+  static async releaseForPatient(client, patientId) {
+    const result = await client.query(
+      `UPDATE slot_holds SET status = 'released', closed_at = NOW()
+       WHERE patient_id = $1 AND status = 'active'
+       RETURNING slot_id, created_slot`,
+      [patientId],
+    )
+    await freeSlots(client, result.rows)
+    return result.rows.length
+  }
+
+  /**
+   * Turns the patient's hold into the booking, in the caller's transaction. The slot stays taken.
+   * @param {Object} client - Transaction client
+   * @param {number} holdId - Hold ID
+   * @param {Object} booking - { patientId, doctorId, type, clinicId } the hold must match
+   * @returns {Object} Hold with the slot's start_time and end_time
+   * @throws {SlotError} 409 when the hold expired, was released or is for another booking
+   */
+  static async consumeHold(client, holdId, { patientId, doctorId, type, clinicId }) {
+    await SlotBookingService.lockDoctor(client, doctorId)
+
+    const result = await client.query(
+      `SELECT h.*, s.start_time, s.end_time FROM slot_holds h
+       JOIN availability_slots s ON s.id = h.slot_id
+       WHERE h.id = $1 AND h.patient_id = $2 AND h.doctor_id = $3 AND h.type = $4
+         AND h.clinic_id IS NOT DISTINCT FROM $5 AND h.status = 'active' AND h.expires_at > NOW()
+       FOR UPDATE OF h`,
+      [holdId, patientId, doctorId, type, type === "in-person" ? clinicId : null],
+    )
+    if (result.rows.length === 0) {
+      throw new SlotError("Your hold on this slot has expired or does not match this booking", 409, "HOLD_INVALID")
+    }
+
+    await client.query("UPDATE slot_holds SET status = 'booked', closed_at = NOW() WHERE id = $1", [holdId])
+    return result.rows[0]
+  }
+
+  /**
+   * Expires every hold that ran out and frees its slot
+   * @returns {Object} { expired } count
+   */
+  static async releaseExpired() {
+    const client = await pool.connect()
+    let expired
+    try {
+      await client.query("BEGIN")
+      expired = await expireHolds(client)
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    if (expired > 0) {
+      logger.info(`[SLOTS] ${expired} expired hold(s) released`)
+    }
+    return { expired }
+  }
+}
+
+SlotBookingService.SlotError = SlotError
+SlotBookingService.HOLD_MINUTES = HOLD_MINUTES
+
+module.exports = SlotBookingService
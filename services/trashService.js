@@ -0,0 +1,202 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const PrivacyService = require("./privacyService")
+const EncryptionService = require("./encryptionService")
+
+// How long deleted items stay restorable before the purge job removes them
+const TRASH_RETENTION_DAYS = Number.parseInt(process.env.TRASH_RETENTION_DAYS || "30")
+
+// Users who belong to a clinic, whatever their role
+const USER_IN_CLINIC = (param) => `(
+  EXISTS (SELECT 1 FROM doctor_clinics WHERE doctor_id = t.id AND clinic_id = ${param})
+  OR EXISTS (SELECT 1 FROM nurse_clinics WHERE nurse_id = t.id AND clinic_id = ${param})
+  OR EXISTS (SELECT 1 FROM lab_clinics WHERE lab_id = t.id AND clinic_id = ${param})
+  OR EXISTS (SELECT 1 FROM admin_clinics WHERE admin_id = t.id AND clinic_id = ${param})
+  OR EXISTS (SELECT 1 FROM patient_clinics WHERE patient_id = t.id AND clinic_id = ${param})
+)`
+
+/**
+ * Removes a clinic for good, with its memberships and open availability
+ */
+const purgeClinic = async (clinicId) => {
+  const client = await pool.connect()
+
+  try {
+    await client.query("BEGIN")
+    for (const table of ["doctor_clinics", "nurse_clinics", "lab_clinics", "patient_clinics", "admin_clinics"]) {
+      await client.query(`DELETE FROM ${table} WHERE clinic_id = $1`, [clinicId])
+    }
+    await client.query("DELETE FROM availability_slots WHERE clinic_id = $1 AND is_available = TRUE", [clinicId])
+    await client.query("DELETE FROM clinics WHERE id = $1", [clinicId])
+    await client.query("COMMIT")
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Removes a user for good; patients are anonymized instead so their records can be retained
+ */
+const purgeUser = async (userId) => {
+  const result = await pool.query("SELECT r.name AS role FROM users u LEFT JOIN roles r ON r.id = u.role_id WHERE u.id = $1", [
+    userId,
+  ])
+  if (result.rows.length > 0 && result.rows[0].role === "patient") {
+    await PrivacyService.erasePatient(userId, { erasedBy: null, note: "Trash retention period ended" })
+    return
+  }
+  await pool.query("DELETE FROM users WHERE id = $1", [userId])
+}
+
+// What can be put in the trash. label: what the item is shown as; inClinic: condition for
+// items of a clinic (param placeholder given); active: extra condition for rows still in the trash;
+// restoreWith: rows restored together with the item; purge: permanent removal.
+// Purged in this order, so rows pointing at clinics and users go first.
+const TRASH_TYPES = {
+  medical_record: {
+    table: "medical_records",
+    label: "COALESCE(t.diagnosis, t.entry_type)",
+    inClinic: (param) => `t.clinic_id = ${param}`,
+    purge: (id) => pool.query("DELETE FROM medical_records WHERE id = $1", [id]),
+  },
+  prescription: {
+    table: "prescriptions",
+    label: "t.prescription_number",
+    inClinic: (param) => `t.clinic_id = ${param}`,
+    purge: (id) => pool.query("DELETE FROM prescriptions WHERE id = $1", [id]),
+  },
+  clinic: {
+    table: "clinics",
+    label: "t.name",
+    inClinic: (param) => `t.parent_id = ${param}`,
+    // Child clinics deleted along with their parent come back with it
+    restoreWith: "t.parent_id = target.id AND t.deleted_at = target.deleted_at",
+    purge: purgeClinic,
+  },
+  user: {
+    table: "users",
+    label: "t.full_name",
+    inClinic: USER_IN_CLINIC,
+    // Patients anonymized at the end of the retention period cannot be restored
+    active: "t.anonymized_at IS NULL",
+    purge: purgeUser,
+  },
+}
+
+class TrashService {
+  /**
+   * Moves an item to the trash
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {number} id - Item ID
+   * @param {number} deletedBy - User deleting it
+   * @param {Object} client - Database client, to delete inside a transaction
+   * @returns {boolean} Whether the item existed and was not deleted yet
+   */
+  static async softDelete(type, id, deletedBy, client = pool) {
+    const { table } = TRASH_TYPES[type]
+    const result = await client.query(
+      `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL`,
+      [id, deletedBy],
+    )
+    if (result.rowCount > 0) {
+      logger.info(`[TRASH] ${type} ${id} moved to the trash by user ${deletedBy}`)
+    }
+    return result.rowCount > 0
+  }
+
+  /**
+   * Lists deleted items, most recently deleted first
+   * @param {Object} filters - { clinicId (items of one clinic, null for all), type }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Array} { type, id, label, deleted_at, deleted_by, deleted_by_name, purge_at }
+   */
+  static async listTrash({ clinicId = null, type = null } = {}, { limit = 50, offset = 0 } = {}) {
+    const selects = Object.entries(TRASH_TYPES)
+      .filter(([key]) => !type || key === type)
+      .map(
+        ([key, config]) => `
+          SELECT '${key}' AS type, t.id, ${config.label} AS label, t.deleted_at, t.deleted_by
+          FROM ${config.table} t
+          WHERE t.deleted_at IS NOT NULL ${config.active ? `AND ${config.active}` : ""}
+            AND ($1::int IS NULL OR ${config.inClinic("$1")})`,
+      )
+
+    const result = await pool.query(
+      `SELECT x.type, x.id, x.label, x.deleted_at, x.deleted_by, u.full_name AS deleted_by_name,
+              x.deleted_at + make_interval(days => $2) AS purge_at
+       FROM (${selects.join(" UNION ALL ")}) x
+       LEFT JOIN users u ON u.id = x.deleted_by
+       ORDER BY x.deleted_at DESC
+       LIMIT $3 OFFSET $4`,
+      [clinicId, TRASH_RETENTION_DAYS, limit, offset],
+    )
+    // Record labels come from the encrypted diagnosis
+    return EncryptionService.decryptRows(result.rows, ["label"])
+  }
+
+  /**
+   * Takes an item out of the trash
+   * @param {string} type - Key of TRASH_TYPES
+   * @param {number} id - Item ID
+   * @param {Object} options - { clinicId (only items of this clinic), restoredBy }
+   * @returns {boolean} Whether a deleted item was found
+   */
+  static async restore(type, id, { clinicId = null, restoredBy }) {
+    const config = TRASH_TYPES[type]
+    const result = await pool.query(
+      `WITH target AS (
+         SELECT t.id, t.deleted_at FROM ${config.table} t
+         WHERE t.id = $1 AND t.deleted_at IS NOT NULL ${config.active ? `AND ${config.active}` : ""}
+           AND ($2::int IS NULL OR ${config.inClinic("$2")})
+       )
+       UPDATE ${config.table} t SET deleted_at = NULL, deleted_by = NULL
+       FROM target
+       WHERE t.id = target.id ${config.restoreWith ? `OR (${config.restoreWith})` : ""}`,
+      [id, clinicId],
+    )
+
+    if (result.rowCount > 0) {
+      logger.info(`[TRASH] ${type} ${id} restored by user ${restoredBy}`)
+    }
+    return result.rowCount > 0
+  }
+
+  /**
+   * Permanently removes items deleted longer ago than the retention period.
+   * Items that cannot be removed yet (still referenced, erasure blocked) stay and are retried next run.
+   * @returns {Object} Purged count per type
+   */
+  static async purgeExpired() {
+    const purged = {}
+
+    for (const [type, config] of Object.entries(TRASH_TYPES)) {
+      const expired = await pool.query(
+        `SELECT t.id FROM ${config.table} t
+         WHERE t.deleted_at < NOW() - make_interval(days => $1) ${config.active ? `AND ${config.active}` : ""}
+         ORDER BY t.deleted_at`,
+        [TRASH_RETENTION_DAYS],
+      )
+
+      purged[type] = 0
+      for (const { id } of expired.rows) {
+        try {
+          await config.purge(id)
+          purged[type]++
+        } catch (error) {
+          logger.warn(`[TRASH] Could not purge ${type} ${id}: ${error.message}`)
+        }
+      }
+    }
+
+    logger.info(`[TRASH] Purged deleted items older than ${TRASH_RETENTION_DAYS} days: ${JSON.stringify(purged)}`)
+    return purged
+  }
+}
+
+TrashService.TRASH_TYPES = Object.keys(TRASH_TYPES)
+TrashService.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS
+
+module.exports = TrashService
@@ -0,0 +1,140 @@
+const crypto = require("crypto")
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const MailService = require("./mailService")
+const NotificationController = require("../controllers/notificationController")
+const { generateToken, hashToken } = require("../utils/tokenUtils")
+
+const EMAIL_TOKEN_TTL_HOURS = Number.parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || "24")
+const PHONE_OTP_TTL_MINUTES = Number.parseInt(process.env.PHONE_OTP_TTL_MINUTES || "10")
+const PHONE_OTP_MAX_ATTEMPTS = 5
+
+class VerificationService {
+  /**
+   * Whether a user row counts as verified: email confirmed, and phone confirmed when one is on file
+   * and SMS is configured (without it no code can ever reach the phone)
+   * @param {Object} user - Row with email_verified_at, phone, phone_verified_at
+   * @returns {boolean}
+   */
+  static isVerified(user) {
+    const phoneRequired = Boolean(user.phone) && NotificationController.isSmsEnabled()
+    return Boolean(user.email_verified_at) && (!phoneRequired || Boolean(user.phone_verified_at))
+  }
+
+  /**
+   * Emails a verification link, replacing any outstanding one
+   * @param {Object} user - { id, email, full_name }
+   */
+  static async sendEmailVerification(user) {
+    const token = generateToken()
+
+    await pool.query(
+      "UPDATE verification_codes SET consumed_at = NOW() WHERE user_id = $1 AND channel = 'email' AND consumed_at IS NULL",
+      [user.id],
+    )
+    await pool.query(
+      `INSERT INTO verification_codes (user_id, channel, target, code_hash, expires_at)
+       VALUES ($1, 'email', $2, $3, NOW() + make_interval(hours => $4))`,
+      [user.id, user.email, hashToken(token), EMAIL_TOKEN_TTL_HOURS],
+    )
+
+    await MailService.sendEmailVerificationEmail({
+      to: user.email,
+      fullName: user.full_name,
+      verifyUrl: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+    })
+
+    logger.info(`[VERIFY] Email verification sent to user ${user.id}`)
+  }
+
+  /**
+   * Confirms an email address from a verification link token
+   * @param {string} token - Token from the link
+   * @returns {number|null} Verified user ID, or null when the token is invalid or expired
+   */
+  static async verifyEmailToken(token) {
+    const result = await pool.query(
+      `UPDATE verification_codes SET consumed_at = NOW()
+       WHERE code_hash = $1 AND channel = 'email' AND consumed_at IS NULL AND expires_at > NOW()
+       RETURNING user_id, target`,
+      [hashToken(token)],
+    )
+
+    if (result.rows.length === 0) {
+      return null
+    }
+
+    const { user_id: userId, target } = result.rows[0]
+
+    // Only confirm the address the link was sent to (the user may have changed it since)
+    const updated = await pool.query(
+      "UPDATE users SET email_verified_at = NOW() WHERE id = $1 AND email = $2 RETURNING id",
+      [userId, target],
+    )
+
+    return updated.rows.length > 0 ? userId : null
+  }
+
+  /**
+   * Texts a 6 digit one-time code to the user's phone
+   * @param {Object} user - { id, phone }
+   * @returns {boolean} Whether the SMS was sent
+   */
+  static async sendPhoneOtp(user) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0")
+
+    await pool.query(
+      "UPDATE verification_codes SET consumed_at = NOW() WHERE user_id = $1 AND channel = 'phone' AND consumed_at IS NULL",
+      [user.id],
+    )
+    await pool.query(
+      `INSERT INTO verification_codes (user_id, channel, target, code_hash, expires_at)
+       VALUES ($1, 'phone', $2, $3, NOW() + make_interval(mins => $4))`,
+      [user.id, user.phone, hashToken(code), PHONE_OTP_TTL_MINUTES],
+    )
+
+    const sent = await NotificationController.sendSms({
+      to: user.phone,
+      body: `Your SehhaPro verification code is ${code}. It expires in ${PHONE_OTP_TTL_MINUTES} minutes.`,
+    })
+
+    logger.info(`[VERIFY] Phone verification code ${sent ? "sent" : "not sent"} for user ${user.id}`)
+    return sent
+  }
+
+  /**
+   * Confirms the phone number with the one-time code
+   * @param {number} userId - User ID
+   * @param {string} code - Code received by SMS
+   * @returns {boolean}
+   */
+  static async verifyPhoneOtp(userId, code) {
+    const result = await pool.query(
+      `SELECT id, target, code_hash, attempts FROM verification_codes
+       WHERE user_id = $1 AND channel = 'phone' AND consumed_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId],
+    )
+
+    const pending = result.rows[0]
+    if (!pending || pending.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+      return false
+    }
+
+    if (pending.code_hash !== hashToken(String(code).trim())) {
+      await pool.query("UPDATE verification_codes SET attempts = attempts + 1 WHERE id = $1", [pending.id])
+      return false
+    }
+
+    await pool.query("UPDATE verification_codes SET consumed_at = NOW() WHERE id = $1", [pending.id])
+    const updated = await pool.query(
+      "UPDATE users SET phone_verified_at = NOW() WHERE id = $1 AND phone = $2 RETURNING id",
+      [userId, pending.target],
+    )
+
+    return updated.rows.length > 0
+  }
+}
+
+module.exports = VerificationService
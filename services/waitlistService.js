@@ -0,0 +1,473 @@
+const { pool } = require("../config/database")
+const logger = require("../middleware/logger")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("./paymentService")
+const NoShowService = require("./noShowService")
+const CalendarService = require("./calendarService")
+const SlotBookingService = require("./slotBookingService")
+
+// How long a patient has to accept a freed slot before it passes to the next one in line
+const OFFER_MINUTES = Number.parseInt(process.env.WAITLIST_OFFER_MINUTES || "30")
+// Charged when the doctor has no consultation fee (same default as booking directly)
+const DEFAULT_APPOINTMENT_FEE = 1000
+
+/**
+ * Error raised when a waitlist entry or offer cannot be changed
+ */
+class WaitlistError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "WaitlistError"
+    this.status = status
+  }
+}
+
+const formatSlotTime = (date) => new Date(date).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" })
+
+/**
+ * Holds a free slot for the first matching patient in line and records the offer.
+ * Patients already offered this slot are skipped. Runs inside the caller's transaction.
+ * @returns {Object|null} Offer, or null when the slot is taken or nobody is waiting for it
+ */
+const offerInTransaction = async (client, slotId) => {
+  const doctor = await client.query("SELECT provider_id FROM availability_slots WHERE id = $1 AND provider_type = 'doctor'", [
+    slotId,
+  ])
+  if (doctor.rows.length === 0) {
+    return null
+  }
+  await SlotBookingService.lockDoctor(client, doctor.rows[0].provider_id)
+
+  const slotResult = await client.query(
+    `SELECT id FROM availability_slots
+     WHERE id = $1 AND provider_type = 'doctor' AND is_available = TRUE AND start_time > NOW()
+     FOR UPDATE`,
+    [slotId],
+  )
+  if (slotResult.rows.length === 0) {
+    return null
+  }
+
+  const entryResult = await client.query(
+    `SELECT w.id FROM appointment_waitlist w
+     JOIN availability_slots s ON s.id = $1
+     JOIN users p ON p.id = w.patient_id AND p.deleted_at IS NULL AND p.anonymized_at IS NULL
+     WHERE w.doctor_id = s.provider_id AND w.status = 'waiting'
+       AND s.start_time::date BETWEEN w.date_from AND w.date_to
+       AND (w.type = 'telemedicine' OR w.clinic_id = s.clinic_id)
+       AND NOT EXISTS (SELECT 1 FROM waitlist_offers o WHERE o.entry_id = w.id AND o.slot_id = s.id)
+     ORDER BY w.created_at, w.id
+     LIMIT 1
+     FOR UPDATE OF w SKIP LOCKED`,
+    [slotId],
+  )
+  if (entryResult.rows.length === 0) {
+    return null
+  }
+  const entryId = entryResult.rows[0].id
+
+  await client.query("UPDATE availability_slots SET is_available = FALSE WHERE id = $1", [slotId])
+  await client.query("UPDATE appointment_waitlist SET status = 'offered', updated_at = NOW() WHERE id = $1", [entryId])
+  const offer = await client.query(
+    `INSERT INTO waitlist_offers (entry_id, slot_id, expires_at)
+     SELECT $1, s.id, LEAST(NOW() + make_interval(mins => $3), s.start_time)
+     FROM availability_slots s WHERE s.id = $2
+     RETURNING id, entry_id, slot_id, expires_at`,
+    [entryId, slotId, OFFER_MINUTES],
+  )
+  return offer.rows[0]
+}
+
+/**
+ * Tells the patient (and the guardian who put them on the list) about a new offer
+ */
+const notifyOffer = async (offerId) => {
+  const result = await pool.query(
+    `SELECT o.id, o.expires_at, w.patient_id, w.created_by, s.start_time, d.full_name AS doctor_name, c.name AS clinic_name
+     FROM waitlist_offers o
+     JOIN appointment_waitlist w ON w.id = o.entry_id
+     JOIN availability_slots s ON s.id = o.slot_id
+     JOIN users d ON d.id = w.doctor_id
+     LEFT JOIN clinics c ON c.id = w.clinic_id
+     WHERE o.id = $1`,
+    [offerId],
+  )
+  const offer = result.rows[0]
+  if (!offer) {
+    return
+  }
+
+  const where = offer.clinic_name ? ` at ${offer.clinic_name}` : ""
+  const message =
+    `A slot opened with Dr. ${offer.doctor_name}${where} on ${formatSlotTime(offer.start_time)}. ` +
+    `Accept it in the app before ${formatSlotTime(offer.expires_at)}: ${process.env.FRONTEND_URL}/waitlist/offers/${offer.id}`
+
+  const recipients = new Set([offer.patient_id, offer.created_by].filter(Boolean))
+  for (const userId of recipients) {
+    await NotificationController.createNotification({
+      userId,
+      message,
+      type: "waitlist_offer",
+      priority: "high",
+      sendSms: true,
+      refId: offer.id,
+    })
+  }
+}
+
+/**
+ * Closes a pending offer and passes its slot to the next patient in line
+ * @param {number} offerId - Offer ID
+ * @param {Object} options - { status (declined|expired|withdrawn), entryStatus, patientId (owner check) }
+ * @returns {boolean} Whether a pending offer was closed
+ */
+const closeOffer = async (offerId, { status, entryStatus, patientId = null }) => {
+  const client = await pool.connect()
+  let next = null
+
+  try {
+    await client.query("BEGIN")
+    const result = await client.query(
+      `SELECT o.id, o.slot_id, o.entry_id FROM waitlist_offers o
+       JOIN appointment_waitlist w ON w.id = o.entry_id
+       WHERE o.id = $1 AND o.status = 'pending' AND ($2::int IS NULL OR w.patient_id = $2)
+       FOR UPDATE OF o, w`,
+      [offerId, patientId],
+    )
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK")
+      return false
+    }
+    const { slot_id: slotId, entry_id: entryId } = result.rows[0]
+
+    await client.query("UPDATE waitlist_offers SET status = $2, responded_at = NOW() WHERE id = $1", [offerId, status])
+    await client.query("UPDATE appointment_waitlist SET status = $2, updated_at = NOW() WHERE id = $1", [entryId, entryStatus])
+    await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", [slotId])
+    next = await offerInTransaction(client, slotId)
+    await client.query("COMMIT")
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+
+  logger.info(`[WAITLIST] Offer ${offerId} ${status}${next ? `, slot passed on with offer ${next.id}` : ""}`)
+  if (next) {
+    await notifyOffer(next.id)
+  }
+  return true
+}
+
+class WaitlistService {
+  /**
+   * Puts a patient on a doctor's waitlist
+   * @param {number} patientId - Patient user ID
+   * @param {Object} entry - { doctorId, clinicId (required in person), type, dateFrom, dateTo, reason }
+   * @param {number} createdBy - User adding the entry (patient or guardian)
+   * @returns {Object} Entry
+   */
+  static async join(patientId, { doctorId, clinicId = null, type, dateFrom, dateTo, reason = null }, createdBy) {
+    if (type === "in-person" && !clinicId) {
+      throw new WaitlistError("Choose the clinic for an in-person appointment")
+    }
+    if (dateTo < dateFrom) {
+      throw new WaitlistError("The end of the date range must not be before its start")
+    }
+    await NoShowService.checkBookingAllowed(patientId, type === "in-person" ? clinicId : null)
+
+    const doctor = await pool.query(
+      `SELECT u.id FROM users u JOIN roles r ON r.id = u.role_id
+       WHERE u.id = $1 AND r.name = 'doctor' AND u.deleted_at IS NULL`,
+      [doctorId],
+    )
+    if (doctor.rows.length === 0) {
+      throw new WaitlistError("Doctor not found", 404)
+    }
+    if (type === "in-person") {
+      const membership = await pool.query(
+        `SELECT 1 FROM doctor_clinics dc JOIN clinics c ON c.id = dc.clinic_id
+         WHERE dc.doctor_id = $1 AND dc.clinic_id = $2 AND c.deleted_at IS NULL`,
+        [doctorId, clinicId],
+      )
+      if (membership.rows.length === 0) {
+        throw new WaitlistError("The doctor does not work at this clinic", 404)
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO appointment_waitlist (patient_id, doctor_id, clinic_id, type, date_from, date_to, reason, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [patientId, doctorId, type === "in-person" ? clinicId : null, type, dateFrom, dateTo, reason, createdBy],
+      )
+      logger.info(`[WAITLIST] Patient ${patientId} joined the waitlist of doctor ${doctorId} (entry ${result.rows[0].id})`)
+      return result.rows[0]
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new WaitlistError("You are already on this doctor's waitlist", 409)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Lists a patient's open waitlist entries with their pending offer, if any
+   * @param {number} patientId - Patient user ID
+   * @returns {Array}
+   */
+  static async listForPatient(patientId) {
+    const result = await pool.query(
+      `SELECT w.id, w.doctor_id, d.full_name AS doctor_name, w.clinic_id, c.name AS clinic_name, w.type,
+              w.date_from, w.date_to, w.reason, w.status, w.created_at,
+              o.id AS offer_id, o.expires_at AS offer_expires_at, s.start_time AS offer_start_time, s.end_time AS offer_end_time
+       FROM appointment_waitlist w
+       JOIN users d ON d.id = w.doctor_id
+       LEFT JOIN clinics c ON c.id = w.clinic_id
+       LEFT JOIN waitlist_offers o ON o.entry_id = w.id AND o.status = 'pending'
+       LEFT JOIN availability_slots s ON s.id = o.slot_id
+       WHERE w.patient_id = $1 AND w.status IN ('waiting', 'offered')
+       ORDER BY w.created_at`,
+      [patientId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Lists the patients waiting for the doctors of a clinic, in line order
+   * @param {Object} filters - { clinicId (null: every clinic), doctorId }
+   * @returns {Array}
+   */
+  static async listQueue({ clinicId = null, doctorId = null } = {}) {
+    const result = await pool.query(
+      `SELECT w.id, w.patient_id, p.full_name AS patient_name, w.doctor_id, d.full_name AS doctor_name,
+              w.clinic_id, w.type, w.date_from, w.date_to, w.reason, w.status, w.created_at,
+              ROW_NUMBER() OVER (PARTITION BY w.doctor_id ORDER BY w.created_at, w.id) AS position
+       FROM appointment_waitlist w
+       JOIN users p ON p.id = w.patient_id
+       JOIN users d ON d.id = w.doctor_id
+       WHERE w.status IN ('waiting', 'offered')
+         AND ($1::int IS NULL OR w.clinic_id = $1
+              OR (w.clinic_id IS NULL AND EXISTS (SELECT 1 FROM doctor_clinics dc WHERE dc.doctor_id = w.doctor_id AND dc.clinic_id = $1)))
+         AND ($2::int IS NULL OR w.doctor_id = $2)
+       ORDER BY w.doctor_id, position`,
+      [clinicId, doctorId],
+    )
+    return result.rows
+  }
+
+  /**
+   * Takes a patient off the waitlist; a pending offer passes to the next patient
+   * @param {number} patientId - Patient user ID
+   * @param {number} entryId - Entry ID
+   * @returns {boolean} Whether an open entry was found
+   */
+  static async leave(patientId, entryId) {
+    const pending = await pool.query(
+      `SELECT o.id FROM waitlist_offers o JOIN appointment_waitlist w ON w.id = o.entry_id
+       WHERE w.id = $1 AND w.patient_id = $2 AND o.status = 'pending'`,
+      [entryId, patientId],
+    )
+    if (pending.rows.length > 0) {
+      return closeOffer(pending.rows[0].id, { status: "withdrawn", entryStatus: "cancelled", patientId })
+    }
+
+    const result = await pool.query(
+      `UPDATE appointment_waitlist SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1 AND patient_id = $2 AND status = 'waiting'`,
+      [entryId, patientId],
+    )
+    return result.rowCount > 0
+  }
+
+  /**
+   * Takes a patient off every waitlist in the caller's transaction (account erased). Pending offers
+   * are withdrawn and their slots freed; the caller offers them to the next patients after committing.
+   * @param {Object} client - Transaction client
+   * @param {number} patientId - Patient user ID
+   * @returns {Array<number>} Slots freed from withdrawn offers
+   */
+  static async cancelForPatient(client, patientId) {
+    const offers = await client.query(
+      `UPDATE waitlist_offers o SET status = 'withdrawn', responded_at = NOW()
+       FROM appointment_waitlist w
+       WHERE w.id = o.entry_id AND w.patient_id = $1 AND o.status = 'pending'
+       RETURNING o.slot_id`,
+      [patientId],
+    )
+    const slotIds = offers.rows.map((row) => row.slot_id)
+    if (slotIds.length > 0) {
+      await client.query("UPDATE availability_slots SET is_available = TRUE WHERE id = ANY($1::int[])", [slotIds])
+    }
+
+    await client.query(
+      `UPDATE appointment_waitlist SET status = 'cancelled', updated_at = NOW()
+       WHERE patient_id = $1 AND status IN ('waiting', 'offered')`,
+      [patientId],
+    )
+    return slotIds
+  }
+
+  /**
+   * Offers a slot that was just freed to the first patient waiting for it.
+   * Never throws: a failure only means nobody is told about the slot.
+   * @param {number} slotId - Availability slot ID
+   * @returns {Object|null} Offer
+   */
+  static async offerSlot(slotId) {
+    let offer = null
+    let client
+
+    try {
+      client = await pool.connect()
+      await client.query("BEGIN")
+      offer = await offerInTransaction(client, slotId)
+      await client.query("COMMIT")
+    } catch (error) {
+      await client?.query("ROLLBACK").catch(() => {})
+      logger.error(`[WAITLIST] Could not offer slot ${slotId}: ${error.message}`)
+      return null
+    } finally {
+      client?.release()
+    }
+
+    if (offer) {
+      logger.info(`[WAITLIST] Slot ${slotId} offered to entry ${offer.entry_id} (offer ${offer.id})`)
+      await notifyOffer(offer.id).catch((error) => logger.error(`[WAITLIST] Offer ${offer.id} notification failed: ${error.message}`))
+    }
+    return offer
+  }
+
+  /**
+   * Accepts an offer: books the slot and charges the appointment, all or nothing
+   * @param {number} offerId - Offer ID
+   * @param {number} patientId - Patient the offer was made to
+   * @param {Object} options - { paymentMethod (balance|cash) }
+   * @returns {Object} Appointment
+   */
+  static async acceptOffer(offerId, patientId, { paymentMethod = "balance" } = {}) {
+    const client = await pool.connect()
+    let appointment
+
+    try {
+      await client.query("BEGIN")
+      const result = await client.query(
+        `SELECT o.id, o.status, o.expires_at <= NOW() AS expired, o.slot_id, o.entry_id,
+                w.patient_id, w.doctor_id, w.clinic_id, w.type, w.reason
+         FROM waitlist_offers o
+         JOIN appointment_waitlist w ON w.id = o.entry_id
+         WHERE o.id = $1 AND w.patient_id = $2
+         FOR UPDATE OF o, w`,
+        [offerId, patientId],
+      )
+      const offer = result.rows[0]
+      if (!offer) {
+        throw new WaitlistError("Offer not found", 404)
+      }
+      if (offer.status !== "pending" || offer.expired) {
+        throw new WaitlistError("This offer is no longer available", 410)
+      }
+      await NoShowService.checkBookingAllowed(patientId, offer.clinic_id, paymentMethod)
+
+      const appointmentResult = await client.query(
+        `INSERT INTO appointments (patient_id, doctor_id, clinic_id, slot_id, status, type, reason)
+         VALUES ($1, $2, $3, $4, 'booked', $5, $6)
+         RETURNING *`,
+        [offer.patient_id, offer.doctor_id, offer.clinic_id, offer.slot_id, offer.type, offer.reason || "Booked from the waitlist"],
+      )
+      appointment = appointmentResult.rows[0]
+
+      const feeResult = await client.query("SELECT consultation_fee FROM doctor_portfolios WHERE doctor_id = $1", [
+        offer.doctor_id,
+      ])
+      const amount = Number(feeResult.rows[0]?.consultation_fee) || DEFAULT_APPOINTMENT_FEE
+      try {
+        await PaymentService.processAppointmentPayment({
+          appointmentId: appointment.id,
+          patientId: offer.patient_id,
+          doctorId: offer.doctor_id,
+          appointmentType: offer.type,
+          paymentMethod,
+          amount,
+          dbTransaction: client,
+        })
+      } catch (paymentError) {
+        // The offer stays open so the patient can top up their balance and try again
+        throw new WaitlistError(paymentError.message, 402)
+      }
+
+      await client.query(
+        "UPDATE waitlist_offers SET status = 'accepted', responded_at = NOW(), appointment_id = $2 WHERE id = $1",
+        [offerId, appointment.id],
+      )
+      await client.query("UPDATE appointment_waitlist SET status = 'booked', updated_at = NOW() WHERE id = $1", [
+        offer.entry_id,
+      ])
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    logger.info(`[WAITLIST] Offer ${offerId} accepted: appointment ${appointment.id} booked for patient ${patientId}`)
+    await NotificationController.createNotification({
+      userId: appointment.doctor_id,
+      message: "New appointment booked from your waitlist",
+      type: "appointment",
+      priority: "high",
+      refId: appointment.id,
+    })
+    CalendarService.sendAppointmentEmail([appointment.id], "booked")
+    return appointment
+  }
+
+  /**
+   * Declines an offer; the patient stays on the waitlist and the slot passes to the next one
+   * @param {number} offerId - Offer ID
+   * @param {number} patientId - Patient the offer was made to
+   * @returns {boolean} Whether a pending offer was found
+   */
+  static async declineOffer(offerId, patientId) {
+    return closeOffer(offerId, { status: "declined", entryStatus: "waiting", patientId })
+  }
+
+  /**
+   * Passes offers nobody answered in time to the next patient in line, and closes entries whose
+   * date range is over
+   * @returns {Object} { offers, entries } counts
+   */
+  static async processExpired() {
+    const expired = await pool.query(
+      "SELECT id FROM waitlist_offers WHERE status = 'pending' AND expires_at <= NOW() ORDER BY expires_at",
+    )
+
+    let offers = 0
+    for (const { id } of expired.rows) {
+      try {
+        if (await closeOffer(id, { status: "expired", entryStatus: "waiting" })) {
+          offers++
+        }
+      } catch (error) {
+        logger.error(`[WAITLIST] Could not expire offer ${id}: ${error.message}`)
+      }
+    }
+
+    const entries = await pool.query(
+      `UPDATE appointment_waitlist SET status = 'expired', updated_at = NOW()
+       WHERE status = 'waiting' AND date_to < CURRENT_DATE`,
+    )
+
+    if (offers > 0 || entries.rowCount > 0) {
+      logger.info(`[WAITLIST] ${offers} offer(s) expired and passed on, ${entries.rowCount} entry(ies) closed`)
+    }
+    return { offers, entries: entries.rowCount }
+  }
+}
+
+WaitlistService.WaitlistError = WaitlistError
+WaitlistService.OFFER_MINUTES = OFFER_MINUTES
+
+module.exports = WaitlistService
@@ -0,0 +1,153 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const AccessLogController = require("../controllers/accessLogController")
+const { auditPhi } = require("../middleware/audit")
+
+// Patient 42 (alerts on), their doctor 3, an unrelated doctor 4, guardian 5, plus the audit log,
+// alerts and reports, kept in memory
+const useAccessStore = () => {
+  const store = {
+    alertsEnabled: { 42: true },
+    careTeam: { 42: [3] },
+    guardians: { 42: [5] },
+    names: { 3: "Dr Own", 4: "Dr Other", 5: "Parent" },
+    log: [],
+    alerts: [],
+    reports: [],
+  }
+
+  db.on("SELECT hash FROM phi_audit_log ORDER BY id DESC LIMIT 1", () => store.log.slice(-1))
+  db.on("INSERT INTO phi_audit_log", (params, sql) => {
+    const columns = sql.match(/phi_audit_log \(([^)]+)\)/)[1].split(", ")
+    const row = { id: store.log.length + 1 }
+    columns.forEach((column, index) => {
+      row[column] = params[index]
+    })
+    store.log.push(row)
+    return [{ id: row.id }]
+  })
+  db.on("WHERE d.guardian_id = $1 AND d.dependent_id = $2", ([guardianId, patientId]) =>
+    (store.guardians[patientId] || []).includes(guardianId) ? [{ id: 1, permissions: ["records:view"] }] : [],
+  )
+  db.on("SELECT access_alerts_enabled FROM users WHERE id = $1", ([id]) => [
+    { access_alerts_enabled: Boolean(store.alertsEnabled[id]) },
+  ])
+  db.on("WITH care_clinics AS", ([actorId, patientId]) =>
+    (store.careTeam[patientId] || []).includes(actorId) ? [{ "?column?": 1 }] : [],
+  )
+  db.on("SELECT 1 FROM phi_access_alerts", ([patientId, actorId]) =>
+    store.alerts.filter((alert) => alert.patient_id === patientId && alert.actor_id === actorId),
+  )
+  db.on("INSERT INTO phi_access_alerts", ([patientId, actorId, auditLogId]) => {
+    store.alerts.push({ patient_id: patientId, actor_id: actorId, audit_log_id: auditLogId })
+    return { rowCount: 1 }
+  })
+  db.on("SELECT (SELECT full_name FROM users WHERE id = $1) AS actor_name", ([actorId]) => [
+    { actor_name: store.names[actorId], clinic_name: "Central" },
+  ])
+  db.on("FROM phi_audit_log WHERE id = $1 AND patient_id = $2", ([id, patientId]) =>
+    store.log.filter((row) => row.id === Number(id) && row.patient_id === patientId),
+  )
+  db.on("INSERT INTO phi_access_reports", ([auditLogId, patientId, reportedBy, reason]) => {
+    if (store.reports.some((report) => report.audit_log_id === auditLogId && report.patient_id === patientId)) {
+      return []
+    }
+    const report = { id: store.reports.length + 1, audit_log_id: auditLogId, patient_id: patientId, reason, status: "open" }
+    store.reports.push(report)
+    return [report]
+  })
+
+  return store
+}
+
+// Opens patient 42's records as the user, with the response status given
+const openRecords = async (user, statusCode = 200) => {
+  const req = mockRequest({ user, method: "GET", originalUrl: "/api/patients/42/records", params: { patientId: "42" } })
+  const res = mockResponse()
+  auditPhi("health_record")(req, res, () => res.status(statusCode).json({ success: statusCode < 400 }))
+  // The access is written once the response has been sent
+  await new Promise((resolve) => setTimeout(resolve, 20))
+}
+
+const alertedUsers = () => NotificationController.createNotification.mock.calls.map(([notification]) => notification)
+
+describe("PHI access alerts", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    store = useAccessStore()
+  })
+
+  test("every access is logged, and one from outside the care team alerts the patient once a day", async () => {
+    await openRecords({ id: 4, role: "doctor", clinic_id: 1 })
+    await openRecords({ id: 4, role: "doctor", clinic_id: 1 })
+
+    expect(store.log.map((row) => [row.actor_id, row.patient_id, row.status_code])).toEqual([
+      [4, 42, 200],
+      [4, 42, 200],
+    ])
+    expect(alertedUsers()).toEqual([
+      expect.objectContaining({ userId: 42, type: "security_alert", message: expect.stringContaining("Dr Other") }),
+    ])
+  })
+
+  test("the care team, the patient, their guardian and denied attempts do not alert", async () => {
+    await openRecords({ id: 3, role: "doctor", clinic_id: 1 })
+    await openRecords({ id: 42, role: "patient" })
+    await openRecords({ id: 5, role: "patient" })
+    await openRecords({ id: 4, role: "doctor", clinic_id: 1 }, 403)
+
+    expect(store.log).toHaveLength(4)
+    expect(store.log[3].status_code).toBe(403)
+    expect(alertedUsers()).toEqual([])
+  })
+
+  test("support acting as a care team member still alerts the patient", async () => {
+    await openRecords({ id: 3, role: "doctor", impersonation: { id: "imp", adminId: 1 } })
+
+    expect(store.log[0]).toMatchObject({ actor_id: 3, impersonator_id: 1 })
+    expect(alertedUsers()).toEqual([expect.objectContaining({ message: expect.stringContaining("Platform support") })])
+  })
+
+  test("patients who did not ask for alerts are not alerted", async () => {
+    store.alertsEnabled[42] = false
+
+    await openRecords({ id: 4, role: "doctor", clinic_id: 1 })
+
+    expect(store.log).toHaveLength(1)
+    expect(alertedUsers()).toEqual([])
+  })
+})
+
+describe("Reporting an access", () => {
+  let store
+
+  beforeEach(async () => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    store = useAccessStore()
+    await openRecords({ id: 4, role: "doctor", clinic_id: 1 })
+  })
+
+  const reportAs = async (patientId) => {
+    const req = mockRequest({ user: { id: patientId }, params: { entryId: "1" }, body: { reason: "Not my doctor" } })
+    req.patientId = patientId
+    const res = mockResponse()
+    await AccessLogController.reportAccess(req, res, jest.fn())
+    return res.statusCode
+  }
+
+  test("the patient reports an access once; other patients' accesses are not found", async () => {
+    expect(await reportAs(42)).toBe(201)
+    expect(await reportAs(42)).toBe(409)
+    expect(await reportAs(43)).toBe(404)
+    expect(store.reports).toEqual([expect.objectContaining({ audit_log_id: 1, patient_id: 42, status: "open" })])
+  })
+})
@@ -0,0 +1,148 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const ApiKeyService = require("../services/apiKeyService")
+const { protect, can } = require("../middleware/auth")
+const { hashToken } = require("../utils/tokenUtils")
+
+// API keys of the lab integration service account 50, kept in memory
+const useKeyStore = () => {
+  const store = { keys: [], clinics: [1, 2] }
+
+  db.on("FROM api_keys k JOIN users u ON u.id = k.service_account_id", ([keyHash]) =>
+    store.keys
+      .filter((key) => key.key_hash === keyHash)
+      .map((key) => ({
+        ...key,
+        account_name: "Lab integration",
+        account_email: "svc@service-accounts.invalid",
+        account_role: "service_account",
+        expired: key.expires_at !== null && key.expires_at <= Date.now(),
+      })),
+  )
+  db.on("INSERT INTO api_keys", ([accountId, name, prefix, keyHash, scopes, clinicId, expiresAt, rotatedFrom]) => {
+    const key = {
+      id: store.keys.length + 1,
+      service_account_id: accountId,
+      name,
+      key_prefix: prefix,
+      key_hash: keyHash,
+      scopes,
+      clinic_id: clinicId,
+      expires_at: expiresAt,
+      rotated_from: rotatedFrom,
+      revoked_at: null,
+    }
+    store.keys.push(key)
+    return [{ id: key.id }]
+  })
+  db.on("FROM api_keys k WHERE k.id = $1", ([id]) => store.keys.filter((key) => key.id === id))
+  db.on("UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE id = $1", ([id]) => {
+    const key = store.keys.find((k) => k.id === id && !k.revoked_at)
+    if (key) {
+      key.revoked_at = new Date()
+    }
+    return { rowCount: key ? 1 : 0 }
+  })
+  db.on("SET expires_at = LEAST", ([id, minutes]) => {
+    store.keys.find((k) => k.id === id).expires_at = Date.now() + minutes * 60 * 1000
+    return { rowCount: 1 }
+  })
+  db.on("SELECT 1 FROM clinics WHERE id = $1", ([id]) => (store.clinics.includes(id) ? [{ "?column?": 1 }] : []))
+
+  return store
+}
+
+const issue = (settings) => ApiKeyService.createKey(50, { name: "LIS", ...settings }, 1)
+
+// Runs protect for a request made with an API key and tells how it ended
+const authenticate = async (key, { method = "GET", path = "/api/labs/requests", clinicId } = {}) => {
+  const req = mockRequest({ method, baseUrl: "", path, headers: { "x-api-key": key, "x-clinic-id": clinicId } })
+  const res = mockResponse()
+  const next = jest.fn()
+  await protect(req, res, next)
+  return { passed: next.mock.calls.length === 1, status: res.statusCode, code: res.body && res.body.code, user: req.user }
+}
+
+describe("API keys", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useKeyStore()
+  })
+
+  test("are stored only as a hash and authenticate the service account", async () => {
+    const { key } = await issue({ scopes: ["labs:requests:read"], clinicId: 1 })
+
+    expect(store.keys[0].key_hash).toBe(hashToken(key))
+    const result = await authenticate(key)
+    expect(result.passed).toBe(true)
+    expect(result.user).toMatchObject({ id: 50, role: "service_account", clinic_id: 1 })
+  })
+
+  test("only reach the routes covered by their scopes", async () => {
+    const { key } = await issue({ scopes: ["labs:requests:read"], clinicId: 1 })
+
+    await expect(authenticate(key, { path: "/api/labs/results/7" })).resolves.toMatchObject({
+      passed: false,
+      status: 403,
+      code: "API_KEY_SCOPE_DENIED",
+    })
+    await expect(authenticate(key, { method: "POST", path: "/api/labs/requests" })).resolves.toMatchObject({
+      passed: false,
+      status: 403,
+    })
+  })
+
+  test("restricted to a clinic cannot act for another one", async () => {
+    const { key } = await issue({ scopes: ["labs:requests:read"], clinicId: 1 })
+
+    await expect(authenticate(key, { clinicId: "2" })).resolves.toMatchObject({
+      passed: false,
+      status: 403,
+      code: "CLINIC_ACCESS_DENIED",
+    })
+  })
+
+  test("get the permissions of their scopes, inside their clinic only", async () => {
+    const { key } = await issue({ scopes: ["labs:requests:read"], clinicId: 1 })
+    const { user } = await authenticate(key)
+    const allowed = async (permission, params = {}) => {
+      const next = jest.fn()
+      await can(permission)(mockRequest({ user, params }), mockResponse(), next)
+      return next.mock.calls.length === 1
+    }
+
+    await expect(allowed("labs:requests:read")).resolves.toBe(true)
+    await expect(allowed("labs:results:write")).resolves.toBe(false)
+    await expect(allowed("labs:requests:read", { clinicId: "2" })).resolves.toBe(false)
+  })
+
+  test("stop working once revoked, expired or unknown", async () => {
+    const { key, apiKey } = await issue({ scopes: ["labs:requests:read"] })
+    const expiring = await issue({ scopes: ["labs:requests:read"], expiresAt: Date.now() - 1000 })
+
+    await ApiKeyService.revokeKey(apiKey.id, 1)
+
+    for (const presented of [key, expiring.key, "shp_abcd_not-a-real-key"]) {
+      await expect(authenticate(presented)).resolves.toMatchObject({ passed: false, status: 401, code: "API_KEY_INVALID" })
+    }
+  })
+
+  test("rotation issues a new key with the same settings and keeps the old one for the grace period only", async () => {
+    const old = await issue({ scopes: ["labs:requests:read"], clinicId: 1 })
+
+    const rotated = await ApiKeyService.rotateKey(old.apiKey, 1, { graceMinutes: 10 })
+
+    expect(rotated.apiKey).toMatchObject({ scopes: ["labs:requests:read"], clinic_id: 1, rotated_from: old.apiKey.id })
+    expect(db.lastTransaction()).toBe("committed")
+    await expect(authenticate(rotated.key)).resolves.toMatchObject({ passed: true })
+    await expect(authenticate(old.key)).resolves.toMatchObject({ passed: true })
+
+    store.keys[0].expires_at = Date.now() - 1
+    await expect(authenticate(old.key)).resolves.toMatchObject({ passed: false, status: 401 })
+  })
+})
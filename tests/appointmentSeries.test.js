@@ -0,0 +1,254 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const { useSlots } = require("./helpers/slots")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("../services/paymentService")
+const AppointmentSeriesService = require("../services/appointmentSeriesService")
+
+const FEE = 2000
+
+// Doctor 3 of clinic 1 with a free slot on 14 January 2030 and a booked one on the 21st, the series
+// and their appointments, kept in memory
+const useSeriesStore = () => {
+  const slots = useSlots(db, [
+    { id: 1, doctor_id: 3, clinic_id: 1, start: "2030-01-14 09:00:00", end: "2030-01-14 12:00:00" },
+    { id: 2, doctor_id: 3, clinic_id: 1, start: "2030-01-21 09:00:00", end: "2030-01-21 09:30:00", available: false },
+  ])
+  const store = { slots, series: [], appointments: [] }
+  const upcoming = (seriesId) =>
+    store.appointments
+      .filter((a) => a.series_id === seriesId && a.status === "booked")
+      .sort((a, b) => a.series_index - b.series_index)
+  const toDate = (time) => new Date(time.replace(" ", "T"))
+
+  db.on("LEFT JOIN doctor_portfolios dp ON dp.doctor_id = u.id", ([id]) =>
+    id === 3 ? [{ id, full_name: "House", consultation_fee: String(FEE) }] : [],
+  )
+  db.on("SELECT 1 FROM doctor_clinics WHERE doctor_id = $1 AND clinic_id = $2", ([, clinicId]) =>
+    clinicId === 1 ? [{ "?column?": 1 }] : [],
+  )
+  db.on("INSERT INTO appointment_series", (params) => {
+    const [patientId, doctorId, clinicId, type, , , , , , , , paymentMode, paymentMethod, fee] = params
+    const series = { id: store.series.length + 1, patient_id: patientId, doctor_id: doctorId, clinic_id: clinicId, type }
+    Object.assign(series, { payment_mode: paymentMode, payment_method: paymentMethod, fee, status: "active" })
+    store.series.push(series)
+    return [series]
+  })
+  db.on("INSERT INTO appointments", ([patientId, doctorId, clinicId, slotId, type, reason, seriesId, index]) => {
+    const appointment = { id: 100 + store.appointments.length, patient_id: patientId, doctor_id: doctorId, slot_id: slotId }
+    Object.assign(appointment, { clinic_id: clinicId, type, reason, series_id: seriesId, series_index: index })
+    Object.assign(appointment, { status: "booked", series_charged_at: null })
+    store.appointments.push(appointment)
+    return [appointment]
+  })
+  db.on("UPDATE appointments SET series_charged_at = NOW()", ([id]) => {
+    store.appointments.find((a) => a.id === id).series_charged_at = new Date()
+    return { rowCount: 1 }
+  })
+  db.on("SELECT s.*, p.full_name AS patient_name", ([id]) =>
+    store.series.filter((s) => s.id === id).map((s) => ({ ...s, patient_name: "Jane", doctor_name: "House" })),
+  )
+  db.on("SELECT a.id, a.slot_id, a.series_index, a.series_charged_at", ([seriesId]) =>
+    upcoming(seriesId).map((a) => ({
+      ...a,
+      start_time: toDate(slots.byId(a.slot_id).start),
+      end_time: toDate(slots.byId(a.slot_id).end),
+    })),
+  )
+  db.on("UPDATE appointments SET slot_id = $2", ([id, slotId]) => {
+    store.appointments.find((a) => a.id === id).slot_id = slotId
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE appointments SET status = 'cancelled'", ([id]) => {
+    store.appointments.find((a) => a.id === id).status = "cancelled"
+    return { rowCount: 1 }
+  })
+  db.on("SELECT 1 FROM appointments a JOIN availability_slots sl", ([seriesId]) => upcoming(seriesId).slice(0, 1))
+  db.on("UPDATE appointment_series SET status = 'cancelled'", ([id]) => {
+    store.series.find((s) => s.id === id).status = "cancelled"
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+const weekly = (options = {}) => ({
+  doctorId: 3,
+  clinicId: 1,
+  type: "in-person",
+  start: "2030-01-07T09:00",
+  frequency: "weekly",
+  count: 4,
+  paymentMode: "upfront",
+  ...options,
+})
+
+const startsOf = (store, appointments) => store.slots.startsOf(appointments.map((a) => a.slot_id))
+
+describe("Appointment series", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    jest.spyOn(PaymentService, "processAppointmentPayment").mockResolvedValue({ success: true })
+    jest.spyOn(PaymentService, "processRefund").mockResolvedValue({ success: true })
+    store = useSeriesStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("books every occurrence, in published slots where there are some, and charges them up front", async () => {
+    store.slots.byId(2).available = true
+
+    const { appointments, skipped } = await AppointmentSeriesService.create(42, weekly(), 42)
+
+    expect(startsOf(store, appointments)).toEqual([
+      "2030-01-07 09:00:00",
+      "2030-01-14 09:00:00",
+      "2030-01-21 09:00:00",
+      "2030-01-28 09:00:00",
+    ])
+    expect(appointments.map((a) => a.slot_id).slice(1, 3)).toEqual([1, 2])
+    expect(skipped).toEqual([])
+    expect(PaymentService.processAppointmentPayment).toHaveBeenCalledTimes(4)
+    expect(PaymentService.processAppointmentPayment).toHaveBeenCalledWith(expect.objectContaining({ amount: FEE }))
+    expect(store.appointments.every((a) => a.series_charged_at)).toBe(true)
+    expect(NotificationController.createNotification.mock.calls.map(([n]) => n.userId)).toEqual([3, 42])
+    expect(db.lastTransaction()).toBe("committed")
+  })
+
+  test("occurrences clashing with the doctor's bookings are refused, or skipped when asked", async () => {
+    await expect(AppointmentSeriesService.create(42, weekly(), 42)).rejects.toMatchObject({
+      status: 409,
+      conflicts: [{ index: 3, start: "2030-01-21 09:00:00" }],
+    })
+    expect(db.lastTransaction()).toBe("rolled back")
+
+    const { appointments, skipped } = await AppointmentSeriesService.create(
+      42,
+      weekly({ skipConflicts: true, paymentMode: "per_occurrence" }),
+      42,
+    )
+
+    expect(appointments.map((a) => a.series_index)).toEqual([1, 2, 4])
+    expect(skipped).toEqual([{ index: 3, start: "2030-01-21 09:00:00" }])
+    expect(PaymentService.processAppointmentPayment).not.toHaveBeenCalled()
+  })
+
+  test("a failed up-front payment books nothing", async () => {
+    PaymentService.processAppointmentPayment.mockRejectedValueOnce(new Error("Insufficient balance"))
+
+    await expect(AppointmentSeriesService.create(42, weekly({ count: 2 }), 42)).rejects.toMatchObject({ status: 402 })
+    expect(db.lastTransaction()).toBe("rolled back")
+  })
+
+  test("refuses rules that cannot be booked", async () => {
+    const refused = (options) => expect(AppointmentSeriesService.create(42, weekly(options), 42)).rejects
+
+    await refused({ clinicId: null }).toMatchObject({ status: 400 })
+    await refused({ paymentMethod: "cash" }).toMatchObject({ status: 400 })
+    await refused({ start: "2000-01-03T09:00" }).toMatchObject({ status: 400 })
+    await refused({ frequency: "daily", count: null, until: "2031-01-01" }).toMatchObject({ status: 400 })
+    await refused({ doctorId: 4 }).toMatchObject({ status: 404 })
+    await refused({ clinicId: 2 }).toMatchObject({ status: 404 })
+    expect(store.series).toEqual([])
+  })
+
+  test("moving the following occurrences shifts each by the same days and frees their old slots", async () => {
+    store.slots.byId(2).available = true
+    const { series, appointments } = await AppointmentSeriesService.create(42, weekly({ count: 3 }), 42)
+    const oldSlots = appointments.map((a) => a.slot_id)
+
+    await expect(
+      AppointmentSeriesService.update(series.id, { appointmentId: appointments[1].id, scope: "following", date: "2030-01-16T10:00" }),
+    ).resolves.toBe(2)
+
+    expect(startsOf(store, store.appointments)).toEqual(["2030-01-07 09:00:00", "2030-01-16 10:00:00", "2030-01-23 10:00:00"])
+    expect(store.slots.byId(oldSlots[1]).available).toBe(true)
+    expect(store.slots.byId(oldSlots[0]).available).toBe(false)
+  })
+
+  test("moving onto a booked slot is refused", async () => {
+    const { series, appointments } = await AppointmentSeriesService.create(42, weekly({ count: 1 }), 42)
+
+    await expect(
+      AppointmentSeriesService.update(series.id, { appointmentId: appointments[0].id, scope: "this", date: "2030-01-21T09:00" }),
+    ).rejects.toMatchObject({ status: 409 })
+    expect(startsOf(store, store.appointments)).toEqual(["2030-01-07 09:00:00"])
+  })
+
+  test("cancelling refunds the paid occurrences, and the series ends with its last one", async () => {
+    const { series, appointments } = await AppointmentSeriesService.create(42, weekly({ count: 2 }), 42)
+
+    await expect(
+      AppointmentSeriesService.cancel(series.id, { appointmentId: appointments[0].id, scope: "this" }),
+    ).resolves.toEqual({ cancelled: 1, seriesStatus: "active" })
+    expect(PaymentService.processRefund).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: appointments[0].id }))
+    expect(store.slots.byId(appointments[0].slot_id).available).toBe(true)
+
+    await expect(AppointmentSeriesService.cancel(series.id, { scope: "all" })).resolves.toEqual({
+      cancelled: 1,
+      seriesStatus: "cancelled",
+    })
+    await expect(AppointmentSeriesService.cancel(series.id, { scope: "all" })).rejects.toMatchObject({ status: 409 })
+  })
+})
+
+describe("Booking a series while impersonating", () => {
+  // Runs the handlers of a route of the router in turn, as Express would, until one sends the response
+  const runRoute = async (router, method, path, req, res) => {
+    const { route } = router.stack.find((layer) => layer.route && layer.route.path === path && layer.route.methods[method])
+    for (const layer of route.stack) {
+      let next = false
+      await layer.handle(req, res, () => {
+        next = true
+      })
+      if (!next) {
+        return
+      }
+    }
+  }
+
+  const book = async (user) => {
+    const router = require("../routes/appointmentSeries")
+    const res = mockResponse()
+    const body = { doctorId: 3, clinicId: 1, type: "in-person", date: "2030-01-07T09:00:00", frequency: "weekly" }
+    Object.assign(body, { count: 2, paymentMode: "upfront" })
+    await runRoute(router, "post", "/", mockRequest({ user, body, method: "POST", originalUrl: "/api/appointment-series" }), res)
+    return res
+  }
+
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    jest.spyOn(PaymentService, "processAppointmentPayment").mockResolvedValue({ success: true })
+    store = useSeriesStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("is refused, since it charges the patient", async () => {
+    const patient = { id: 42, role: "patient", verified: true, dependent: null }
+
+    const res = await book({ ...patient, impersonation: { id: "imp", adminId: 1 } })
+
+    expect(res.statusCode).toBe(403)
+    expect(res.body.code).toBe("IMPERSONATION_BLOCKED")
+    expect(res.locals.impersonationBlocked).toBe(true)
+    expect(store.series).toEqual([])
+
+    expect((await book(patient)).statusCode).toBe(201)
+    expect(store.series).toHaveLength(1)
+  })
+})
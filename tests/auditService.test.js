@@ -0,0 +1,111 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const AuditService = require("../services/auditService")
+
+// The PHI access log, kept in memory with the columns the service writes
+const useAuditLog = () => {
+  const rows = []
+
+  db.on("SELECT hash FROM phi_audit_log ORDER BY id DESC LIMIT 1", () => rows.slice(-1))
+  db.on("INSERT INTO phi_audit_log", (params, sql) => {
+    const columns = sql.match(/phi_audit_log \(([^)]+)\)/)[1].split(", ")
+    const row = { id: rows.length ? rows[rows.length - 1].id + 1 : 1 }
+    columns.forEach((column, index) => {
+      row[column] = params[index]
+    })
+    rows.push(row)
+    return [{ id: row.id }]
+  })
+  db.on("SELECT hash FROM phi_audit_log WHERE id < $1", ([id]) =>
+    rows.filter((row) => row.id < id).slice(-1),
+  )
+  db.on("SELECT * FROM phi_audit_log WHERE id > $1", ([cursor, toId, limit]) =>
+    rows.filter((row) => row.id > cursor && (toId === null || row.id <= toId)).slice(0, limit),
+  )
+
+  return rows
+}
+
+const recordReads = async (count) => {
+  for (let index = 1; index <= count; index++) {
+    await AuditService.recordAccess({
+      actorId: 3,
+      actorRole: "doctor",
+      patientId: 42,
+      clinicId: 1,
+      resourceType: "health_record",
+      resourceId: index,
+      action: "read",
+      purpose: "treatment",
+      method: "GET",
+      path: `/api/patients/42/records/${index}`,
+      statusCode: 200,
+    })
+  }
+}
+
+describe("PHI access audit chain", () => {
+  let rows
+
+  beforeEach(() => {
+    db.reset()
+    rows = useAuditLog()
+  })
+
+  test("entries are chained to each other and the chain verifies", async () => {
+    await recordReads(5)
+
+    expect(rows[3].prev_hash).toBe(rows[2].hash)
+    expect(db.transactions.every((transaction) => transaction.status === "committed")).toBe(true)
+    await expect(AuditService.verifyChain()).resolves.toEqual({ valid: true, checked: 5, lastId: 5, brokenAt: null })
+  })
+
+  test("an edited entry is reported", async () => {
+    await recordReads(5)
+    rows[2].patient_id = 99
+
+    await expect(AuditService.verifyChain()).resolves.toEqual({
+      valid: false,
+      checked: 2,
+      lastId: 2,
+      brokenAt: { id: 3, reason: "content_mismatch" },
+    })
+  })
+
+  test("a deleted entry is reported at the entry after it", async () => {
+    await recordReads(5)
+    rows.splice(2, 1)
+
+    await expect(AuditService.verifyChain()).resolves.toEqual({
+      valid: false,
+      checked: 2,
+      lastId: 2,
+      brokenAt: { id: 4, reason: "previous_row_mismatch" },
+    })
+  })
+
+  test("an entry that cannot be written is not chained", async () => {
+    await recordReads(2)
+    db.on("INSERT INTO phi_audit_log", () => {
+      throw new Error("disk full")
+    })
+
+    await expect(recordReads(1)).rejects.toThrow("disk full")
+    expect(db.lastTransaction()).toBe("rolled back")
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({ valid: true, checked: 2 })
+  })
+
+  test("a range is checked from the hash of the entry before it", async () => {
+    await recordReads(5)
+    rows[0].action = "delete"
+
+    await expect(AuditService.verifyChain({ fromId: 3, toId: 4 })).resolves.toEqual({
+      valid: true,
+      checked: 2,
+      lastId: 4,
+      brokenAt: null,
+    })
+  })
+})
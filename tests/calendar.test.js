@@ -0,0 +1,202 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/mailService")
+
+const db = require("./helpers/database")
+const logger = require("./helpers/logger")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const MailService = require("../services/mailService")
+const CalendarService = require("../services/calendarService")
+const CalendarController = require("../controllers/calendarController")
+const { hashToken } = require("../utils/tokenUtils")
+
+const ADDRESS = "Building 12, Boulevard Mohamed V, Hydra, Algiers, next to the central post office"
+
+// Doctor 3, patient 42 and nurse 20, feed tokens and the appointments of the patient with the doctor,
+// kept in memory
+const useCalendarStore = () => {
+  const store = {
+    users: { 3: "doctor", 42: "patient", 20: "nurse" },
+    tokens: [],
+    appointments: [
+      {
+        id: 100,
+        type: "in-person",
+        status: "booked",
+        ics_sequence: 0,
+        clinic_name: "Central",
+        clinic_address: ADDRESS,
+        appointment_time: new Date("2030-01-07T09:00:00Z"),
+        appointment_end_time: new Date("2030-01-07T09:30:00Z"),
+      },
+      {
+        id: 101,
+        type: "telemedicine",
+        status: "cancelled",
+        ics_sequence: 2,
+        appointment_time: new Date("2030-01-14T10:00:00Z"),
+        appointment_end_time: new Date("2030-01-14T10:30:00Z"),
+      },
+      { id: 102, type: "in-person", status: "completed", appointment_time: new Date("2020-01-01T09:00:00Z") },
+    ].map((a) => ({ patient_id: 42, doctor_id: 3, patient_name: "Jane Doe", doctor_name: "House", ...a })),
+  }
+  const active = (userId) => store.tokens.filter((t) => t.user_id === userId && !t.revoked_at)
+  const since = (date) => store.appointments.filter((a) => a.appointment_time >= date)
+
+  db.on("UPDATE calendar_feed_tokens SET revoked_at = NOW()", ([userId]) => {
+    const tokens = active(userId)
+    tokens.forEach((t) => {
+      t.revoked_at = new Date()
+    })
+    return { rowCount: tokens.length }
+  })
+  db.on("INSERT INTO calendar_feed_tokens", ([userId, tokenHash]) => {
+    store.tokens.push({ user_id: userId, token_hash: tokenHash, created_at: new Date(), revoked_at: null })
+    return { rowCount: 1 }
+  })
+  db.on("SELECT created_at, last_used_at FROM calendar_feed_tokens", ([userId]) => active(userId))
+  db.on("UPDATE calendar_feed_tokens t SET last_used_at = NOW()", ([tokenHash]) =>
+    store.tokens
+      .filter((t) => t.token_hash === tokenHash && !t.revoked_at)
+      .map((t) => {
+        t.last_used_at = new Date()
+        return { id: t.user_id, role: store.users[t.user_id] }
+      }),
+  )
+  db.on("JOIN users u ON a.patient_id = u.id", ([doctorId, date]) => since(date).filter((a) => a.doctor_id === doctorId))
+  db.on("JOIN users u1 ON a.patient_id = u1.id", ([patientId, date]) => since(date).filter((a) => a.patient_id === patientId))
+  db.on("WHERE a.id = ANY($1::int[]) AND s.start_time IS NOT NULL", ([ids]) =>
+    store.appointments.filter((a) => ids.includes(a.id)).map((a) => ({ ...a, patient_email: "jane@example.com" })),
+  )
+
+  return store
+}
+
+// Unfolds an iCalendar document into its events, each a map of property name (without parameters) to value
+const parseEvents = (calendar) =>
+  calendar
+    .replace(/\r\n /g, "")
+    .split("BEGIN:VEVENT\r\n")
+    .slice(1)
+    .map((event) =>
+      Object.fromEntries(
+        event
+          .split("\r\n")
+          .filter((line) => line && !line.startsWith("END:"))
+          .map((line) => {
+            const separator = line.indexOf(":")
+            return [line.slice(0, separator).split(";")[0], line.slice(separator + 1)]
+          }),
+      ),
+    )
+
+const call = async (handler, user, params = {}) => {
+  const res = mockResponse()
+  await CalendarController[handler](mockRequest({ user, params, protocol: "https", headers: { host: "api.test" } }), res, jest.fn())
+  return res
+}
+
+// Issues a feed and returns the token of its URL
+const subscribe = async (user) => {
+  const res = await call("createFeed", user)
+  expect(res.statusCode).toBe(201)
+  return res.body.data.url.match(/\/api\/calendar\/feed\/([0-9a-f]{64})\.ics$/)[1]
+}
+
+const patient = { id: 42, role: "patient" }
+const doctor = { id: 3, role: "doctor" }
+
+describe("Calendar feeds", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useCalendarStore()
+  })
+
+  test("a patient's feed holds their recent and upcoming appointments, cancelled ones marked so", async () => {
+    const token = await subscribe(patient)
+
+    const res = await call("serveFeed", null, { token })
+
+    expect(res.headers["Content-Type"]).toBe("text/calendar; charset=utf-8")
+    expect(res.body.split("\r\n").every((line) => Buffer.byteLength(line) <= 75)).toBe(true)
+    const events = parseEvents(res.body)
+    expect(events.map((e) => [e.UID, e.SEQUENCE, e.STATUS])).toEqual([
+      ["appointment-100@sehhapro.com", "0", "CONFIRMED"],
+      ["appointment-101@sehhapro.com", "2", "CANCELLED"],
+    ])
+    expect(events[0]).toMatchObject({
+      DTSTART: "20300107T090000Z",
+      DTEND: "20300107T093000Z",
+      SUMMARY: "Appointment with Dr. House",
+      LOCATION: `Central\\, ${ADDRESS.replace(/,/g, "\\,")}`,
+    })
+    expect(events[1].LOCATION).toBe("Telemedicine (SehhaPro)")
+    expect((await call("getFeed", patient)).body.data).toMatchObject({ active: true, lastUsedAt: expect.any(Date) })
+  })
+
+  test("a doctor's feed names the patients", async () => {
+    const token = await subscribe(doctor)
+
+    const events = parseEvents((await call("serveFeed", null, { token })).body)
+
+    expect(events.map((e) => e.SUMMARY)).toEqual(["Appointment: Jane Doe", "Appointment: Jane Doe"])
+  })
+
+  test("a feed URL stops working once replaced or revoked, and only doctors and patients get one", async () => {
+    expect((await call("createFeed", { id: 20, role: "nurse" })).statusCode).toBe(403)
+
+    const first = await subscribe(patient)
+    const second = await subscribe(patient)
+
+    expect((await call("serveFeed", null, { token: first })).statusCode).toBe(404)
+    expect((await call("serveFeed", null, { token: second })).statusCode).toBe(200)
+
+    expect((await call("revokeFeed", patient)).statusCode).toBe(200)
+    expect((await call("serveFeed", null, { token: second })).statusCode).toBe(404)
+    expect((await call("revokeFeed", patient)).statusCode).toBe(404)
+    expect((await call("getFeed", patient)).body.data).toEqual({ active: false })
+    expect(store.tokens.map((t) => t.token_hash)).toEqual([hashToken(first), hashToken(second)])
+  })
+})
+
+describe("Appointment emails", () => {
+  beforeEach(() => {
+    db.reset()
+    useCalendarStore()
+    MailService.sendMail.mockReset().mockResolvedValue(true)
+    logger.error.mockClear()
+  })
+
+  const sentAttachment = () => MailService.sendMail.mock.calls[0][0].attachments[0]
+
+  test("carry an invitation that adds the appointment to the patient's calendar", async () => {
+    await CalendarService.sendAppointmentEmail([100], "booked")
+
+    expect(MailService.sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "jane@example.com", subject: "Your SehhaPro appointment is booked" }),
+    )
+    const attachment = sentAttachment()
+    expect(attachment).toMatchObject({ filename: "appointment.ics", contentType: "text/calendar; charset=utf-8; method=REQUEST" })
+    expect(attachment.content).toContain("\r\nMETHOD:REQUEST\r\n")
+    expect(parseEvents(attachment.content)).toEqual([
+      expect.objectContaining({ UID: "appointment-100@sehhapro.com", ATTENDEE: "mailto:jane@example.com" }),
+    ])
+  })
+
+  test("of a cancellation remove every appointment from the calendar", async () => {
+    await CalendarService.sendAppointmentEmail([100, 101], "cancelled")
+
+    const attachment = sentAttachment()
+    expect(attachment).toMatchObject({ filename: "appointments.ics", contentType: "text/calendar; charset=utf-8; method=CANCEL" })
+    expect(parseEvents(attachment.content).map((e) => e.STATUS)).toEqual(["CANCELLED", "CANCELLED"])
+  })
+
+  test("that cannot be sent are logged without failing the change that sent them", async () => {
+    MailService.sendMail.mockRejectedValue(new Error("SMTP down"))
+
+    await expect(CalendarService.sendAppointmentEmail([100], "updated")).resolves.toBeUndefined()
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining("SMTP down"))
+  })
+})
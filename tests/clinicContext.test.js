@@ -0,0 +1,165 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const ClinicContextService = require("../services/clinicContextService")
+const ClinicContextController = require("../controllers/clinicContextController")
+const AppointmentController = require("../controllers/appointmentController")
+const { requireClinic } = require("../middleware/auth")
+
+const SESSION = "6f1c2d3e-4a5b-4c6d-8e9f-0a1b2c3d4e5f"
+
+// Clinics, the clinic admin 30 working at clinics 1 (primary) and 2, and the clinic chosen per session
+const useClinicStore = () => {
+  const store = {
+    clinics: [
+      { id: 1, name: "Central", deleted: false },
+      { id: 2, name: "North", deleted: false },
+      { id: 3, name: "South", deleted: false },
+      { id: 4, name: "Closed", deleted: true },
+    ],
+    adminClinics: [
+      { admin_id: 30, clinic_id: 2, is_primary: false },
+      { admin_id: 30, clinic_id: 1, is_primary: true },
+    ],
+    sessions: { [SESSION]: { active_clinic_id: null } },
+  }
+  const existing = (id) => store.clinics.find((clinic) => clinic.id === id && !clinic.deleted)
+
+  db.on("FROM admin_clinics m JOIN clinics c", ([adminId]) =>
+    store.adminClinics
+      .filter((member) => member.admin_id === adminId && existing(member.clinic_id))
+      .sort((a, b) => b.is_primary - a.is_primary || a.clinic_id - b.clinic_id)
+      .map((member) => ({ id: member.clinic_id, name: existing(member.clinic_id).name, is_primary: member.is_primary })),
+  )
+  db.on("SELECT 1 FROM clinics WHERE id = $1 AND deleted_at IS NULL", ([id]) => (existing(id) ? [{ "?column?": 1 }] : []))
+  db.on("SELECT active_clinic_id FROM user_sessions WHERE id = $1", ([id]) =>
+    store.sessions[id] ? [store.sessions[id]] : [],
+  )
+  db.on("UPDATE user_sessions SET active_clinic_id = $2 WHERE id = $1", ([id, clinicId]) => {
+    store.sessions[id].active_clinic_id = clinicId
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+const admin = { id: 30, role: "clinic_admin" }
+
+describe("ClinicContextService.resolve", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useClinicStore()
+  })
+
+  test("staff act for their primary clinic unless they ask for another of theirs", async () => {
+    await expect(ClinicContextService.resolve(admin)).resolves.toEqual({ clinicId: 1, clinicIds: [1, 2] })
+    await expect(ClinicContextService.resolve(admin, { requestedClinicId: "2" })).resolves.toEqual({
+      clinicId: 2,
+      clinicIds: [1, 2],
+    })
+  })
+
+  test("staff cannot act for a clinic they do not belong to", async () => {
+    await expect(ClinicContextService.resolve(admin, { requestedClinicId: "3" })).rejects.toBeInstanceOf(
+      ClinicContextService.ClinicContextError,
+    )
+  })
+
+  test("the clinic chosen for a session stays active while the user still belongs to it", async () => {
+    store.sessions[SESSION].active_clinic_id = 2
+    await expect(ClinicContextService.resolve(admin, { sessionId: SESSION })).resolves.toMatchObject({ clinicId: 2 })
+
+    store.adminClinics = store.adminClinics.filter((member) => member.clinic_id !== 2)
+    await expect(ClinicContextService.resolve(admin, { sessionId: SESSION })).resolves.toMatchObject({ clinicId: 1 })
+  })
+
+  test("patients have no clinic context, whatever they send", async () => {
+    await expect(
+      ClinicContextService.resolve({ id: 7, role: "patient" }, { requestedClinicId: "1" }),
+    ).resolves.toEqual({ clinicId: null, clinicIds: [] })
+  })
+
+  test("platform admins may pick any existing clinic", async () => {
+    const platformAdmin = { id: 1, role: "platform_admin" }
+
+    await expect(ClinicContextService.resolve(platformAdmin)).resolves.toMatchObject({ clinicId: null })
+    await expect(ClinicContextService.resolve(platformAdmin, { requestedClinicId: "3" })).resolves.toMatchObject({
+      clinicId: 3,
+    })
+    await expect(ClinicContextService.resolve(platformAdmin, { requestedClinicId: "4" })).rejects.toBeInstanceOf(
+      ClinicContextService.ClinicContextError,
+    )
+  })
+})
+
+describe("ClinicContextController.switchClinic", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useClinicStore()
+  })
+
+  const switchTo = async (clinicId, user = { ...admin, sessionId: SESSION }) => {
+    const res = mockResponse()
+    await ClinicContextController.switchClinic(mockRequest({ user, body: { clinicId } }), res, jest.fn())
+    return res
+  }
+
+  test("switches the session to another of the user's clinics", async () => {
+    const res = await switchTo(2)
+
+    expect(res.body.data.activeClinicId).toBe(2)
+    expect(store.sessions[SESSION].active_clinic_id).toBe(2)
+  })
+
+  test("refuses clinics the user does not belong to and tokens without a session", async () => {
+    expect((await switchTo(3)).statusCode).toBe(403)
+    expect((await switchTo(2, admin)).statusCode).toBe(400)
+    expect(store.sessions[SESSION].active_clinic_id).toBeNull()
+  })
+})
+
+describe("requireClinic", () => {
+  test("stops clinic-scoped requests that have no active clinic", () => {
+    const next = jest.fn()
+    const refused = mockResponse()
+
+    requireClinic(mockRequest({ user: { ...admin, clinic_id: null } }), refused, next)
+    requireClinic(mockRequest({ user: { ...admin, clinic_id: 1 } }), mockResponse(), next)
+
+    expect(refused.statusCode).toBe(400)
+    expect(refused.body.code).toBe("CLINIC_CONTEXT_REQUIRED")
+    expect(next).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("AppointmentController.getAll", () => {
+  beforeEach(() => {
+    db.reset()
+    db.on("FROM appointments a", ([clinicId]) => [{ id: 11, clinic_id: clinicId }])
+  })
+
+  const list = async (user) => {
+    const res = mockResponse()
+    await AppointmentController.getAll(mockRequest({ user }), res)
+    return res
+  }
+
+  test("lists the appointments of the active clinic", async () => {
+    const res = await list({ id: 20, role: "nurse", clinic_id: 2 })
+
+    expect(res.body.data).toEqual([{ id: 11, clinic_id: 2 }])
+  })
+
+  test("asks staff without an active clinic to pick one instead of listing nothing", async () => {
+    const res = await list({ id: 20, role: "nurse", clinic_id: null })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.code).toBe("CLINIC_CONTEXT_REQUIRED")
+  })
+})
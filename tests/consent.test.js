@@ -0,0 +1,175 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const ConsentService = require("../services/consentService")
+const { requireConsent } = require("../middleware/consent")
+
+// Consents and consent requests of patient 42 (whose parent is user 5), kept in memory
+const useConsentStore = () => {
+  const store = { consents: [], requests: [], now: Date.now() }
+  const active = (consent) => !consent.revoked && (consent.expires_at === null || consent.expires_at > store.now)
+
+  db.on("SELECT c.scope FROM patient_consents c", ([patientId, clinicId]) =>
+    store.consents
+      .filter((c) => c.patient_id === patientId && active(c) && (c.scope !== "clinic" || c.clinic_id === clinicId))
+      .map((c) => ({ scope: c.scope })),
+  )
+  db.on("SELECT 1 FROM clinics WHERE id = $1", ([id]) => ([1, 2].includes(Number(id)) ? [{ "?column?": 1 }] : []))
+  db.on("revoke_reason = 'replaced'", ([patientId, scope, clinicId]) => {
+    const replaced = store.consents.filter(
+      (c) => c.patient_id === patientId && c.scope === scope && c.clinic_id === clinicId && !c.revoked,
+    )
+    replaced.forEach((c) => {
+      c.revoked = "replaced"
+    })
+    return { rowCount: replaced.length }
+  })
+  db.on("INSERT INTO patient_consents", ([patientId, scope, clinicId, grantedBy, expiresAt, requestId]) => {
+    const consent = {
+      id: store.consents.length + 1,
+      patient_id: patientId,
+      scope,
+      clinic_id: clinicId,
+      granted_by: grantedBy,
+      expires_at: expiresAt,
+      request_id: requestId,
+      revoked: false,
+    }
+    store.consents.push(consent)
+    return [consent]
+  })
+  db.on("UPDATE patient_consents SET revoked_at = NOW(), revoked_by = $3", ([id, patientId, , reason]) => {
+    const consent = store.consents.find((c) => c.id === Number(id) && c.patient_id === patientId && !c.revoked)
+    if (consent) {
+      consent.revoked = reason || "revoked"
+    }
+    return { rowCount: consent ? 1 : 0 }
+  })
+  db.on("FROM users u JOIN roles r ON r.id = u.role_id WHERE u.id = $1 AND r.name = 'patient'", ([id]) =>
+    id === 42 ? [{ id }] : [],
+  )
+  db.on("INSERT INTO consent_requests", ([patientId, clinicId, scope, reason, requestedBy]) => {
+    if (store.requests.some((r) => r.patient_id === patientId && r.clinic_id === clinicId && r.status === "pending")) {
+      return []
+    }
+    const request = { id: store.requests.length + 1, patient_id: patientId, clinic_id: clinicId, scope, reason }
+    Object.assign(request, { requested_by: requestedBy, status: "pending" })
+    store.requests.push(request)
+    return [request]
+  })
+  db.on("SELECT name FROM clinics WHERE id = $1", [{ name: "Central" }])
+  db.on("WHERE d.dependent_id = $1 AND", ([patientId]) =>
+    patientId === 42 ? [{ id: 5, kind: "minor", permissions: [] }] : [],
+  )
+  db.on("UPDATE consent_requests SET status = $2", ([id, status]) => {
+    const request = store.requests.find((r) => r.id === id && r.status === "pending")
+    if (request) {
+      request.status = status
+    }
+    return { rowCount: request ? 1 : 0 }
+  })
+
+  return store
+}
+
+// Runs requireConsent for patient 42 and tells whether the request went through
+const reads = async (user, level = ConsentService.ACCESS_FULL) => {
+  const res = mockResponse()
+  const next = jest.fn()
+  await requireConsent(undefined, level)(mockRequest({ user, params: { patientId: "42" } }), res, next)
+  return next.mock.calls.length === 1 ? true : res.body
+}
+
+const doctorAt = (clinicId) => ({ id: 3, role: "doctor", clinic_id: clinicId })
+
+describe("Patient consent", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    store = useConsentStore()
+  })
+
+  test("a clinic sees the record only while the patient shares it with that clinic", async () => {
+    await expect(reads(doctorAt(1))).resolves.toMatchObject({ code: "CONSENT_REQUIRED", access: null })
+
+    const consent = await ConsentService.grantConsent(42, { scope: "clinic", clinicId: 1 }, 42)
+
+    await expect(reads(doctorAt(1))).resolves.toBe(true)
+    await expect(reads(doctorAt(2))).resolves.toMatchObject({ code: "CONSENT_REQUIRED" })
+
+    await ConsentService.revokeConsent(42, consent.id, 42, "changed doctor")
+    await expect(reads(doctorAt(1))).resolves.toMatchObject({ code: "CONSENT_REQUIRED" })
+  })
+
+  test("emergency-only consent opens emergency data but not the full record", async () => {
+    await ConsentService.grantConsent(42, { scope: "emergency_only" }, 42)
+
+    await expect(reads(doctorAt(2), ConsentService.ACCESS_EMERGENCY)).resolves.toBe(true)
+    await expect(reads(doctorAt(2))).resolves.toMatchObject({ code: "CONSENT_REQUIRED", access: "emergency" })
+  })
+
+  test("sharing with every clinic opens the record to all of them until the consent expires", async () => {
+    await ConsentService.grantConsent(42, { scope: "all_clinics", expiresAt: store.now + 60 * 1000 }, 42)
+
+    await expect(reads(doctorAt(1))).resolves.toBe(true)
+    await expect(reads(doctorAt(2))).resolves.toBe(true)
+
+    store.now += 2 * 60 * 1000
+    await expect(reads(doctorAt(2))).resolves.toMatchObject({ code: "CONSENT_REQUIRED" })
+  })
+
+  test("granting the same consent again replaces the earlier one", async () => {
+    await ConsentService.grantConsent(42, { scope: "clinic", clinicId: 1 }, 42)
+    await ConsentService.grantConsent(42, { scope: "clinic", clinicId: 1 }, 5)
+
+    expect(store.consents.map((c) => c.revoked)).toEqual(["replaced", false])
+    await expect(ConsentService.grantConsent(42, { scope: "clinic", clinicId: 9 }, 42)).rejects.toMatchObject({ status: 404 })
+  })
+
+  test("a clinic asks for consent, the patient and guardian are told, and approving shares the record", async () => {
+    const request = await ConsentService.requestConsent(
+      { patientId: 42, clinicId: 1, scope: "clinic", reason: "Follow-up" },
+      doctorAt(1),
+    )
+    await expect(
+      ConsentService.requestConsent({ patientId: 42, clinicId: 1, scope: "clinic", reason: "Again" }, doctorAt(1)),
+    ).rejects.toMatchObject({ status: 409 })
+    expect(NotificationController.createNotification.mock.calls.map(([n]) => n.userId)).toEqual([42, 5])
+
+    await ConsentService.respondToRequest(request, true, 42)
+
+    await expect(reads(doctorAt(1))).resolves.toBe(true)
+    await expect(ConsentService.respondToRequest(request, false, 42)).rejects.toMatchObject({ status: 409 })
+  })
+})
+
+describe("Access without a clinic consent", () => {
+  beforeEach(() => {
+    db.reset()
+    useConsentStore()
+  })
+
+  test("patients read their own data, and a guardian that of a dependent they may see records of", async () => {
+    const dependent = (permissions) => ({ id: 42, permissions })
+
+    await expect(reads({ id: 42, role: "patient" })).resolves.toBe(true)
+    await expect(reads({ id: 43, role: "patient" })).resolves.toMatchObject({ code: "CONSENT_REQUIRED" })
+    await expect(reads({ id: 5, role: "patient", dependent: dependent(["records:view"]) })).resolves.toBe(true)
+    await expect(reads({ id: 8, role: "patient", dependent: dependent(["appointments:book"]) })).resolves.toMatchObject({
+      code: "CONSENT_REQUIRED",
+    })
+  })
+
+  test("an API key without a clinic needs the patients:all_clinics scope", async () => {
+    const key = (scopes) => ({ id: 50, role: "service_account", apiKey: { clinicId: null, scopes } })
+
+    await expect(reads(key(["labs:results:read"]))).resolves.toMatchObject({ code: "CONSENT_REQUIRED" })
+    await expect(reads(key(["labs:results:read", "patients:all_clinics"]))).resolves.toBe(true)
+  })
+})
@@ -0,0 +1,141 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const jwt = require("jsonwebtoken")
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const DelegationService = require("../services/delegationService")
+const { protect, forPatient } = require("../middleware/auth")
+
+process.env.JWT_SECRET = "test-access-secret"
+
+const yearsAgo = (years) => {
+  const date = new Date()
+  date.setFullYear(date.getFullYear() - years)
+  return date.toISOString().slice(0, 10)
+}
+
+// Parent 5 with child 6, caregiver 8 of adult 9 (booking only), and stranger 10, kept in memory
+const useFamilyStore = () => {
+  const store = {
+    patients: {
+      5: { full_name: "Parent", date_of_birth: yearsAgo(40) },
+      6: { full_name: "Child", date_of_birth: yearsAgo(10) },
+      8: { full_name: "Caregiver", date_of_birth: yearsAgo(35) },
+      9: { full_name: "Grandmother", date_of_birth: yearsAgo(80) },
+      10: { full_name: "Stranger", date_of_birth: yearsAgo(30) },
+    },
+    delegations: [
+      { id: 1, guardian_id: 5, dependent_id: 6, kind: "minor", relationship: "parent", ended: false },
+      { id: 2, guardian_id: 8, dependent_id: 9, kind: "delegated", relationship: "caregiver", ended: false },
+    ],
+  }
+  store.delegations[0].permissions = Object.keys(DelegationService.DELEGATION_PERMISSIONS)
+  store.delegations[1].permissions = ["appointments:book"]
+
+  // Mirrors ACTIVE_CONDITION: not ended, and for minors not past the age of majority
+  const active = (delegation) =>
+    !delegation.ended &&
+    !(delegation.kind === "minor" && store.patients[delegation.dependent_id].date_of_birth <= yearsAgo(18))
+
+  db.on("FROM users u LEFT JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND u.deleted_at IS NULL", ([id]) =>
+    store.patients[id] ? [{ id, full_name: store.patients[id].full_name, role: "patient" }] : [],
+  )
+  db.on("WHERE d.guardian_id = $1 AND d.dependent_id = $2", ([guardianId, dependentId]) =>
+    store.delegations
+      .filter((d) => d.guardian_id === guardianId && d.dependent_id === dependentId && active(d))
+      .map((d) => ({ ...d, dependent_name: store.patients[d.dependent_id].full_name })),
+  )
+  db.on("SELECT COUNT(*)::int AS count FROM users u JOIN roles r", ([ids]) => [
+    { count: ids.filter((id) => store.patients[id]).length },
+  ])
+  db.on("SELECT date_of_birth FROM patient_medical_profiles WHERE patient_id = $1", ([id]) =>
+    store.patients[id] ? [{ date_of_birth: store.patients[id].date_of_birth }] : [],
+  )
+  db.on("INSERT INTO patient_delegations", ([guardianId, dependentId, kind, relationship, permissions]) => {
+    const delegation = {
+      id: store.delegations.length + 1,
+      guardian_id: guardianId,
+      dependent_id: dependentId,
+      kind,
+      relationship,
+      permissions,
+      ended: false,
+    }
+    store.delegations.push(delegation)
+    return [delegation]
+  })
+  db.on("SET ended_at = NOW(), ended_reason = 'came_of_age'", () => {
+    const handedOver = store.delegations.filter(
+      (d) => d.kind === "minor" && !d.ended && store.patients[d.dependent_id].date_of_birth <= yearsAgo(18),
+    )
+    handedOver.forEach((d) => {
+      d.ended = true
+    })
+    return handedOver
+  })
+
+  return store
+}
+
+// Sends a request as a patient, optionally for another patient, through protect and forPatient
+const actFor = async (userId, patientId, permission = "appointments:book") => {
+  const token = jwt.sign({ userId }, process.env.JWT_SECRET)
+  const headers = { authorization: `Bearer ${token}`, "x-patient-id": patientId ? String(patientId) : undefined }
+  const req = mockRequest({ headers })
+  const res = mockResponse()
+  await protect(req, res, () => forPatient(permission)(req, res, () => {}))
+  return { patientId: req.patientId, status: res.statusCode, code: res.body && res.body.code }
+}
+
+describe("Acting for family members", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    store = useFamilyStore()
+  })
+
+  test("a parent acts for their child with every permission", async () => {
+    await expect(actFor(5, 6)).resolves.toMatchObject({ patientId: 6, status: 200 })
+    await expect(actFor(5, 6, "wallet:pay")).resolves.toMatchObject({ patientId: 6, status: 200 })
+    await expect(actFor(5, null)).resolves.toMatchObject({ patientId: 5 })
+  })
+
+  test("a delegate only gets the permissions the patient granted", async () => {
+    await expect(actFor(8, 9)).resolves.toMatchObject({ patientId: 9 })
+    await expect(actFor(8, 9, "wallet:pay")).resolves.toMatchObject({
+      patientId: undefined,
+      status: 403,
+      code: "DELEGATION_PERMISSION_DENIED",
+    })
+  })
+
+  test("nobody else can act for a patient", async () => {
+    await expect(actFor(10, 6)).resolves.toMatchObject({ status: 403, code: "DEPENDENT_ACCESS_DENIED" })
+  })
+
+  test("a parent loses access on the child's 18th birthday and the handover tells both of them", async () => {
+    store.patients[6].date_of_birth = yearsAgo(18)
+
+    await expect(actFor(5, 6)).resolves.toMatchObject({ status: 403, code: "DEPENDENT_ACCESS_DENIED" })
+    await expect(DelegationService.processAgeHandovers()).resolves.toBe(1)
+    expect(store.delegations[0].ended).toBe(true)
+    expect(NotificationController.createNotification.mock.calls.map(([notification]) => notification.userId)).toEqual([
+      5, 6,
+    ])
+    await expect(DelegationService.processAgeHandovers()).resolves.toBe(0)
+  })
+
+  test("minor guardianship needs a dependent under age and nobody guards themselves", async () => {
+    const link = (dependentId) =>
+      DelegationService.createDelegation({ guardianId: 5, dependentId, kind: "minor", relationship: "parent" }, 5)
+
+    await expect(link(10)).rejects.toMatchObject({ status: 400 })
+    await expect(link(5)).rejects.toBeInstanceOf(DelegationService.DelegationError)
+    expect(store.delegations).toHaveLength(2)
+  })
+})
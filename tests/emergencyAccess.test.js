@@ -0,0 +1,139 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const ConsentService = require("../services/consentService")
+const ConsentController = require("../controllers/consentController")
+const AuditController = require("../controllers/auditController")
+const { requireConsent } = require("../middleware/consent")
+
+// Patient 42 (guarded by parent 5), the admin 30 of clinic 1, consents and break-the-glass grants,
+// kept in memory
+const useEmergencyStore = () => {
+  const store = { consents: [], grants: [], now: Date.now() }
+
+  db.on("WHERE u.id = $1 AND r.name = 'patient' AND u.deleted_at IS NULL", ([id]) => (id === 42 ? [{ id }] : []))
+  db.on("SELECT c.scope FROM patient_consents c", ([patientId, clinicId]) =>
+    store.consents.filter((c) => c.patient_id === patientId && c.clinic_id === clinicId).map((c) => ({ scope: c.scope })),
+  )
+  db.on("FROM emergency_access_grants WHERE granted_to = $1 AND patient_id = $2", ([userId, patientId]) =>
+    store.grants.filter((g) => g.granted_to === userId && g.patient_id === patientId && g.expires_at > store.now),
+  )
+  db.on("INSERT INTO emergency_access_grants", ([patientId, grantedTo, clinicId, reason, minutes]) => {
+    const grant = {
+      id: store.grants.length + 1,
+      patient_id: patientId,
+      granted_to: grantedTo,
+      clinic_id: clinicId,
+      reason,
+      expires_at: store.now + minutes * 60 * 1000,
+      review_status: "pending",
+    }
+    store.grants.push(grant)
+    return [grant]
+  })
+  db.on("SELECT name FROM clinics WHERE id = $1", [{ name: "Central" }])
+  db.on("FROM patient_delegations d JOIN users g ON g.id = d.guardian_id", ([patientId]) =>
+    patientId === 42 ? [{ id: 5, kind: "minor", permissions: [] }] : [],
+  )
+  db.on("SELECT ac.admin_id FROM admin_clinics ac", ([clinicId]) => (clinicId === 1 ? [{ admin_id: 30 }] : []))
+  db.on("LEFT JOIN patient_medical_profiles pmp ON pmp.patient_id = u.id", ([id]) => [
+    { id, full_name: "Jane Doe", blood_type: "O+", allergies: "Penicillin" },
+  ])
+  db.on("UPDATE emergency_access_grants SET review_status = $2", ([id, status, reviewedBy, note, clinicIds]) => {
+    const grant = store.grants.find(
+      (g) => g.id === Number(id) && g.review_status === "pending" && (!clinicIds || clinicIds.includes(g.clinic_id)),
+    )
+    if (!grant) {
+      return []
+    }
+    Object.assign(grant, { review_status: status, reviewed_by: reviewedBy, review_note: note })
+    if (status === "unjustified") {
+      grant.expires_at = Math.min(grant.expires_at, store.now)
+    }
+    return [grant]
+  })
+
+  return store
+}
+
+const doctor = { id: 3, role: "doctor", full_name: "House", clinic_id: 1 }
+
+const breakGlass = async (patientId, user = doctor) => {
+  const res = mockResponse()
+  const req = mockRequest({ user, params: { id: String(patientId) }, body: { reason: "Unconscious in the ER, no relatives" } })
+  await ConsentController.breakGlass(req, res, jest.fn())
+  return res
+}
+
+// Runs requireConsent for patient 42 and tells whether the request went through
+const reads = async (level, user = doctor) => {
+  const next = jest.fn()
+  await requireConsent(undefined, level)(mockRequest({ user, params: { patientId: "42" } }), mockResponse(), next)
+  return next.mock.calls.length === 1
+}
+
+const review = async (user, grantId, status) => {
+  const res = mockResponse()
+  await AuditController.reviewEmergencyAccess(
+    mockRequest({ user, params: { grantId: String(grantId) }, body: { status } }),
+    res,
+    jest.fn(),
+  )
+  return res.statusCode
+}
+
+describe("Break-the-glass emergency access", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    store = useEmergencyStore()
+  })
+
+  test("a doctor without consent gets the emergency data for a limited time, and everyone concerned is told", async () => {
+    expect(await reads(ConsentService.ACCESS_EMERGENCY)).toBe(false)
+
+    const res = await breakGlass(42)
+
+    expect(res.statusCode).toBe(201)
+    expect(res.body.data).toMatchObject({ blood_type: "O+", allergies: "Penicillin" })
+    expect(NotificationController.createNotification.mock.calls.map(([n]) => [n.userId, n.sendSms])).toEqual([
+      [42, true],
+      [5, false],
+      [30, false],
+    ])
+    expect(await reads(ConsentService.ACCESS_EMERGENCY)).toBe(true)
+    expect(await reads(ConsentService.ACCESS_FULL)).toBe(false)
+
+    await breakGlass(42)
+    expect(store.grants).toHaveLength(1)
+
+    store.now += 2 * 60 * 60 * 1000
+    expect(await reads(ConsentService.ACCESS_EMERGENCY)).toBe(false)
+  })
+
+  test("is not needed when the patient shares their data, and not possible for someone who is not a patient", async () => {
+    store.consents.push({ patient_id: 42, clinic_id: 1, scope: "emergency_only" })
+
+    expect((await breakGlass(42)).statusCode).toBe(409)
+    expect((await breakGlass(99)).statusCode).toBe(404)
+    expect(store.grants).toEqual([])
+    expect(NotificationController.createNotification).not.toHaveBeenCalled()
+  })
+
+  test("an access reviewed as unjustified ends at once; other clinics cannot review it", async () => {
+    await breakGlass(42)
+
+    expect(await review({ id: 31, role: "clinic_admin", clinic_id: 2 }, 1, "unjustified")).toBe(404)
+    expect(await review({ id: 30, role: "clinic_admin", clinic_id: 1 }, 1, "unjustified")).toBe(200)
+    expect(await review({ id: 30, role: "clinic_admin", clinic_id: 1 }, 1, "justified")).toBe(404)
+
+    expect(store.grants[0]).toMatchObject({ review_status: "unjustified", reviewed_by: 30 })
+    expect(await reads(ConsentService.ACCESS_EMERGENCY)).toBe(false)
+  })
+})
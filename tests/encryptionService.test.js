@@ -0,0 +1,154 @@
+const crypto = require("crypto")
+
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+// Bytes of the wrapped data key at the start of a stored payload (iv | tag | key)
+const WRAPPED_BYTES = 12 + 16 + 32
+const sealedData = (value) => Buffer.from(value.split(":").pop(), "base64").subarray(WRAPPED_BYTES)
+
+const OLD_KEY = `old:${crypto.randomBytes(32).toString("base64")}`
+const NEW_KEY = `new:${crypto.randomBytes(32).toString("base64")}`
+
+// Loads the service with the given key settings (they are read once, when the module loads).
+// The database it sees is its own, loadedDb.
+let loadedDb
+const loadService = (keys, activeKeyId) => {
+  process.env.FIELD_ENCRYPTION_KEYS = keys
+  if (activeKeyId) {
+    process.env.FIELD_ENCRYPTION_KEY_ID = activeKeyId
+  } else {
+    delete process.env.FIELD_ENCRYPTION_KEY_ID
+  }
+
+  let service
+  jest.isolateModules(() => {
+    service = require("../services/encryptionService")
+    loadedDb = require("./helpers/database")
+  })
+  return service
+}
+
+describe("EncryptionService", () => {
+  const originalEnv = { ...process.env }
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+  })
+
+  test("encrypt and decrypt round-trip, with a fresh data key for every value", () => {
+    const EncryptionService = loadService(OLD_KEY)
+
+    const first = EncryptionService.encrypt("Penicillin, latex")
+    const second = EncryptionService.encrypt("Penicillin, latex")
+
+    expect(first).toMatch(/^enc:v1:old:/)
+    expect(first).not.toBe(second)
+    expect(EncryptionService.decrypt(first)).toBe("Penicillin, latex")
+    expect(EncryptionService.decrypt(second)).toBe("Penicillin, latex")
+  })
+
+  test("leaves null, encrypted and legacy plain values as they are", () => {
+    const EncryptionService = loadService(OLD_KEY)
+    const encrypted = EncryptionService.encrypt("asthma")
+
+    expect(EncryptionService.encrypt(null)).toBeNull()
+    expect(EncryptionService.encrypt(undefined)).toBeUndefined()
+    expect(EncryptionService.encrypt(encrypted)).toBe(encrypted)
+    expect(EncryptionService.decrypt("stored before encryption")).toBe("stored before encryption")
+  })
+
+  test("stores values unencrypted when no key is configured", () => {
+    const EncryptionService = loadService("")
+
+    expect(EncryptionService.isEnabled()).toBe(false)
+    expect(EncryptionService.encrypt("asthma")).toBe("asthma")
+  })
+
+  test("refuses a tampered value", () => {
+    const EncryptionService = loadService(OLD_KEY)
+    const encrypted = EncryptionService.encrypt("asthma")
+    const payload = Buffer.from(encrypted.slice("enc:v1:old:".length), "base64")
+    payload[payload.length - 1] ^= 1
+
+    expect(() => EncryptionService.decrypt(`enc:v1:old:${payload.toString("base64")}`)).toThrow()
+  })
+
+  test("rewrap moves a value to the active key without changing its data", () => {
+    const encrypted = loadService(OLD_KEY).encrypt("type 2 diabetes")
+    const EncryptionService = loadService(`${OLD_KEY},${NEW_KEY}`)
+
+    const rewrapped = EncryptionService.rewrap(encrypted)
+
+    expect(rewrapped).toMatch(/^enc:v1:new:/)
+    // Same data key and ciphertext, only the wrapping changed
+    expect(sealedData(rewrapped)).toEqual(sealedData(encrypted))
+    expect(EncryptionService.rewrap(rewrapped)).toBe(rewrapped)
+    // Readable once the old key is retired
+    expect(loadService(NEW_KEY).decrypt(rewrapped)).toBe("type 2 diabetes")
+  })
+
+  test("rewrap encrypts plain values", () => {
+    const EncryptionService = loadService(`${OLD_KEY},${NEW_KEY}`, "old")
+    const rewrapped = EncryptionService.rewrap("hypertension")
+
+    expect(rewrapped).toMatch(/^enc:v1:old:/)
+    expect(EncryptionService.decrypt(rewrapped)).toBe("hypertension")
+  })
+
+  test("a value under a key that is no longer configured cannot be read", () => {
+    const encrypted = loadService(OLD_KEY).encrypt("asthma")
+
+    expect(() => loadService(NEW_KEY).decrypt(encrypted)).toThrow('Encryption key "old" is not configured')
+  })
+
+  test("refuses badly formed key settings", () => {
+    expect(() => loadService("old:c2hvcnQ=")).toThrow("FIELD_ENCRYPTION_KEYS")
+    expect(() => loadService(OLD_KEY, "missing")).toThrow('FIELD_ENCRYPTION_KEY_ID "missing"')
+  })
+
+  test("key rotation moves every stored value to the active key and leaves rows changed meanwhile alone", async () => {
+    const oldService = loadService(OLD_KEY)
+    const records = [
+      { id: 1, diagnosis: oldService.encrypt("asthma"), treatment: "inhaler", notes: null },
+      { id: 2, diagnosis: "migraine", treatment: null, notes: null },
+    ]
+    const EncryptionService = loadService(`${OLD_KEY},${NEW_KEY}`)
+    const fields = ["diagnosis", "treatment", "notes"]
+    let edited = false
+    loadedDb.on("SELECT id, diagnosis, treatment, notes FROM medical_records", ([current, lastId, limit]) => {
+      const stale = (row) => fields.some((f) => row[f] !== null && !row[f].startsWith(current.slice(0, -1)))
+      const batch = records.filter((row) => row.id > lastId && stale(row)).slice(0, limit).map((row) => ({ ...row }))
+      // Someone edits record 2 while the first batch is being rewritten
+      if (!edited) {
+        records[1].diagnosis = "cluster headache"
+        edited = true
+      }
+      return batch
+    })
+    loadedDb.on("UPDATE medical_records SET", ([id, ...values]) => {
+      const row = records.find((r) => r.id === id && fields.every((f, i) => r[f] === values[fields.length + i]))
+      if (row) {
+        fields.forEach((f, i) => {
+          row[f] = values[i]
+        })
+      }
+      return { rowCount: row ? 1 : 0 }
+    })
+
+    await expect(EncryptionService.rotateKeys()).resolves.toMatchObject({ medical_records: 1 })
+
+    expect(records[0].diagnosis).toMatch(/^enc:v1:new:/)
+    expect(records[0].treatment).toMatch(/^enc:v1:new:/)
+    expect(loadService(NEW_KEY).decryptFields({ ...records[0] }, "medical_records")).toMatchObject({
+      diagnosis: "asthma",
+      treatment: "inhaler",
+      notes: null,
+    })
+    expect(records[1].diagnosis).toBe("cluster headache")
+
+    // The edited record is picked up by the next run
+    await expect(EncryptionService.rotateKeys()).resolves.toMatchObject({ medical_records: 1 })
+    expect(EncryptionService.decrypt(records[1].diagnosis)).toBe("cluster headache")
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * Stand-in for config/database in unit tests:
+ *
+ *   jest.mock("../config/database", () => require("./helpers/database"))
+ *   const db = require("./helpers/database")
+ *
+ * A test describes the database with db.on(fragment, respond): a statement containing the fragment
+ * (whitespace collapsed) is answered by respond(params, sql), which returns the rows, a full
+ * { rows, rowCount } result, or throws. Later handlers win over earlier ones; statements nobody
+ * handles return no rows. Transactions are recorded in db.transactions as "open", "committed" or
+ * "rolled back", so that a test can check what was kept.
+ */
+const handlers = []
+const transactions = []
+
+const normalize = (sql) => String(sql).replace(/\s+/g, " ").trim()
+
+async function answer(sql, params = []) {
+  const text = normalize(sql)
+  const handler = handlers.find(({ fragment }) => text.includes(fragment))
+  if (!handler) {
+    return { rows: [], rowCount: 0 }
+  }
+
+  const result = await handler.respond(params, text)
+  if (Array.isArray(result)) {
+    return { rows: result, rowCount: result.length }
+  }
+  return { rows: [], rowCount: result && result.rows ? result.rows.length : 0, ...result }
+}
+
+// Runs a statement for one connection, keeping track of its transaction
+function connection() {
+  let current = null
+
+  return async (sql, params) => {
+    switch (normalize(sql)) {
+      case "BEGIN":
+        current = { status: "open" }
+        transactions.push(current)
+        return { rows: [], rowCount: 0 }
+      case "COMMIT":
+        if (current) current.status = "committed"
+        return { rows: [], rowCount: 0 }
+      case "ROLLBACK":
+        if (current) current.status = "rolled back"
+        return { rows: [], rowCount: 0 }
+      default:
+        return answer(sql, params)
+    }
+  }
+}
+
+const pool = {
+  query: jest.fn(connection()),
+  connect: jest.fn(async () => ({ query: jest.fn(connection()), release: jest.fn() })),
+  on: jest.fn(),
+  end: jest.fn(),
+}
+
+const db = {
+  pool,
+  transactions,
+
+  /**
+   * Answers the statements containing a fragment of SQL
+   * @param {string} fragment - Text the statement contains
+   * @param {Function|Array|Object} respond - (params, sql) => rows or result, or a fixed result
+   */
+  on(fragment, respond) {
+    handlers.unshift({
+      fragment: normalize(fragment),
+      respond: typeof respond === "function" ? respond : () => respond,
+    })
+    return db
+  },
+
+  /**
+   * Forgets the handlers and transactions of the previous test
+   */
+  reset() {
+    handlers.length = 0
+    transactions.length = 0
+    pool.query.mockImplementation(connection())
+    pool.query.mockClear()
+    pool.connect.mockClear()
+  },
+
+  /**
+   * Status of the last transaction, or null when none was opened
+   */
+  lastTransaction() {
+    return transactions.length ? transactions[transactions.length - 1].status : null
+  },
+}
+
+module.exports = db
@@ -0,0 +1,77 @@
+/**
+ * Request and response doubles for calling controllers and middleware directly
+ */
+
+/**
+ * Builds a request; headers are looked up case-insensitively like Express does
+ * @param {Object} overrides - Fields of the request (body, params, query, user, headers...)
+ */
+function mockRequest({ headers = {}, ...overrides } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  return {
+    body: {},
+    params: {},
+    query: {},
+    ip: "10.0.0.1",
+    headers: lowered,
+    get: (name) => lowered[name.toLowerCase()],
+    header: (name) => lowered[name.toLowerCase()],
+    ...overrides,
+  }
+}
+
+/**
+ * Builds a response that records the status, headers and body sent; "finish" listeners run once
+ * the response is sent
+ */
+function mockResponse() {
+  const listeners = []
+  const finish = () => listeners.splice(0).forEach((listener) => listener())
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    locals: {},
+  }
+  res.status = jest.fn((code) => {
+    res.statusCode = code
+    return res
+  })
+  res.json = jest.fn((body) => {
+    res.body = body
+    finish()
+    return res
+  })
+  res.send = jest.fn((body) => {
+    res.body = body
+    finish()
+    return res
+  })
+  res.set = jest.fn((name, value) => {
+    if (typeof name === "object") {
+      Object.assign(res.headers, name)
+    } else {
+      res.headers[name] = value
+    }
+    return res
+  })
+  res.setHeader = res.set
+  res.type = jest.fn(() => res)
+  res.attachment = jest.fn(() => res)
+  res.end = jest.fn(() => {
+    finish()
+    return res
+  })
+  res.on = jest.fn((event, listener) => {
+    if (event === "finish") {
+      listeners.push(listener)
+    }
+    return res
+  })
+  return res
+}
+
+module.exports = {
+  mockRequest,
+  mockResponse,
+}
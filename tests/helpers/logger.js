@@ -0,0 +1,11 @@
+/**
+ * Silent stand-in for middleware/logger in unit tests:
+ *
+ *   jest.mock("../middleware/logger", () => require("./helpers/logger"))
+ */
+module.exports = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}
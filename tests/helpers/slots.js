@@ -0,0 +1,56 @@
+/**
+ * Availability slots of doctors kept in memory, for tests booking appointments:
+ *
+ *   const slots = useSlots(db, [{ id: 1, doctor_id: 3, start: "2030-01-07 09:00:00", end: "2030-01-07 09:30:00" }])
+ *
+ * Answers the statements that look for free or clashing slots, take, create, free and delete them.
+ * Times are local "YYYY-MM-DD HH:MM:SS" strings, as the services write them. Slots are free unless
+ * given available: false.
+ */
+const useSlots = (db, initial = []) => {
+  const slots = initial.map((slot) => ({ clinic_id: null, available: true, ...slot }))
+  const byId = (id) => slots.find((slot) => slot.id === Number(id))
+  const setAvailable = (ids, available) => {
+    const found = ids.map(byId).filter(Boolean)
+    found.forEach((slot) => {
+      slot.available = available
+    })
+    return { rowCount: found.length }
+  }
+
+  db.on("SELECT id, start_time, end_time FROM availability_slots", ([doctorId, start, end, ignored = []]) =>
+    slots
+      .filter((s) => s.doctor_id === doctorId && !s.available && s.start < end && s.end > start && !ignored.includes(s.id))
+      .slice(0, 1)
+      .map((s) => ({ id: s.id, start_time: s.start, end_time: s.end })),
+  )
+  db.on("SELECT id FROM availability_slots WHERE provider_id = $1", ([doctorId, start, end]) =>
+    slots
+      .filter((s) => s.doctor_id === doctorId && s.available && s.start <= start && s.end >= end)
+      .slice(0, 1)
+      .map((s) => ({ id: s.id })),
+  )
+  db.on("INSERT INTO availability_slots", ([doctorId, clinicId, start, end]) => {
+    const slot = { id: 100 + slots.length, doctor_id: doctorId, clinic_id: clinicId, start, end, available: false }
+    slots.push(slot)
+    return [{ id: slot.id }]
+  })
+  db.on("UPDATE availability_slots SET is_available = FALSE WHERE id = $1", ([id]) => setAvailable([id], false))
+  db.on("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", ([id]) => setAvailable([id], true))
+  db.on("UPDATE availability_slots SET is_available = TRUE WHERE id = ANY($1::int[])", ([ids]) => setAvailable(ids, true))
+  db.on("DELETE FROM availability_slots WHERE id = ANY($1::int[])", ([ids]) => {
+    const kept = slots.filter((slot) => !ids.includes(slot.id))
+    const rowCount = slots.length - kept.length
+    slots.splice(0, slots.length, ...kept)
+    return { rowCount }
+  })
+
+  return {
+    slots,
+    byId,
+    /** Start times of the slots given, in the order given */
+    startsOf: (ids) => ids.map((id) => byId(id).start),
+  }
+}
+
+module.exports = { useSlots }
@@ -0,0 +1,142 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const ImpersonationController = require("../controllers/impersonationController")
+const ImpersonationService = require("../services/impersonationService")
+const { protect, denyWhileImpersonating } = require("../middleware/auth")
+
+process.env.JWT_SECRET = "test-access-secret"
+
+// Users, impersonations and the impersonation audit trail, kept in memory
+const useImpersonationStore = () => {
+  const store = {
+    users: [
+      { id: 1, full_name: "Support", role: "platform_admin" },
+      { id: 2, full_name: "Other admin", role: "platform_admin" },
+      { id: 7, full_name: "Jane Doe", role: "patient", email_verified_at: new Date(), phone: null },
+    ],
+    impersonations: [],
+    trail: [],
+  }
+  const userById = (id) => store.users.find((user) => user.id === Number(id))
+
+  db.on("FROM users u LEFT JOIN roles r ON r.id = u.role_id WHERE u.id = $1", ([id]) =>
+    userById(id) ? [userById(id)] : [],
+  )
+  db.on("FROM users u LEFT JOIN roles r ON u.role_id = r.id WHERE u.id = $1 AND u.deleted_at IS NULL", ([id]) =>
+    userById(id) ? [userById(id)] : [],
+  )
+  db.on("INSERT INTO impersonation_sessions", ([id, adminId, targetUserId, reason]) => {
+    const impersonation = { id, admin_id: adminId, target_user_id: targetUserId, reason, ended: false }
+    store.impersonations.push(impersonation)
+    return [impersonation]
+  })
+  db.on("FROM impersonation_sessions i JOIN users a ON a.id = i.admin_id WHERE i.id = $1", ([id]) =>
+    store.impersonations
+      .filter((impersonation) => impersonation.id === id && !impersonation.ended)
+      .map((impersonation) => ({ ...impersonation, admin_name: userById(impersonation.admin_id).full_name })),
+  )
+  db.on("UPDATE impersonation_sessions SET ended_at = NOW()", ([id]) => {
+    const running = store.impersonations.find((impersonation) => impersonation.id === id && !impersonation.ended)
+    if (running) {
+      running.ended = true
+    }
+    return { rowCount: running ? 1 : 0 }
+  })
+  db.on("INSERT INTO impersonation_audit_log", ([impersonationId, method, path, statusCode, blocked]) => {
+    store.trail.push({ impersonationId, method, path, statusCode, blocked })
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+const start = async (targetId, admin = { id: 1, role: "platform_admin" }) => {
+  const res = mockResponse()
+  await ImpersonationController.start(
+    mockRequest({ user: admin, params: { id: String(targetId) }, body: { reason: "Ticket 4521" } }),
+    res,
+    jest.fn(),
+  )
+  return res
+}
+
+// Sends a request with the token through protect and then the given middleware
+const send = async (token, { method = "GET", path = "/api/appointments", guard = null } = {}) => {
+  const req = mockRequest({ method, originalUrl: path, headers: { authorization: `Bearer ${token}` } })
+  const res = mockResponse()
+  let passed = false
+  await protect(req, res, () => {
+    if (!guard) {
+      passed = true
+      return res.json({ success: true })
+    }
+    return guard(req, res, () => {
+      passed = true
+      res.json({ success: true })
+    })
+  })
+  // Audit writes are not awaited by the middleware
+  await new Promise((resolve) => setImmediate(resolve))
+  return { passed, res }
+}
+
+describe("Impersonation", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useImpersonationStore()
+  })
+
+  test("support acts as the user, and every request lands in the user's audit trail", async () => {
+    const started = await start(7)
+    const { token, impersonation } = started.body.data
+
+    expect(started.statusCode).toBe(201)
+    const { passed, res } = await send(token)
+
+    expect(passed).toBe(true)
+    expect(res.headers["X-Impersonated-By"]).toBe("1")
+    expect(store.trail).toEqual([
+      { impersonationId: impersonation.id, method: "GET", path: "/api/appointments", statusCode: 200, blocked: false },
+    ])
+  })
+
+  test("payments and other blocked actions are refused and recorded as blocked", async () => {
+    const { token } = (await start(7)).body.data
+
+    const { passed, res } = await send(token, { method: "POST", path: "/api/payments", guard: denyWhileImpersonating })
+
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(403)
+    expect(res.body.code).toBe("IMPERSONATION_BLOCKED")
+    expect(store.trail[0]).toMatchObject({ path: "/api/payments", statusCode: 403, blocked: true })
+  })
+
+  test("the token stops working as soon as the impersonation ends", async () => {
+    const { token, impersonation } = (await start(7)).body.data
+
+    await ImpersonationService.end(impersonation.id)
+    const { passed, res } = await send(token)
+
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(401)
+    expect(res.body.code).toBe("IMPERSONATION_ENDED")
+  })
+
+  test("other platform admins, oneself and unknown users cannot be impersonated", async () => {
+    expect((await start(2)).statusCode).toBe(403)
+    expect((await start(1)).statusCode).toBe(400)
+    expect((await start(99)).statusCode).toBe(404)
+    expect(store.impersonations).toHaveLength(0)
+  })
+
+  test("an impersonation cannot be started from inside another one", async () => {
+    const admin = { id: 1, role: "platform_admin", impersonation: { id: "running" } }
+
+    expect((await start(7, admin)).statusCode).toBe(403)
+  })
+})
@@ -0,0 +1,167 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/mailService")
+jest.mock("../controllers/notificationController")
+
+const bcrypt = require("bcryptjs")
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const MailService = require("../services/mailService")
+const InvitationService = require("../services/invitationService")
+const InvitationController = require("../controllers/invitationController")
+const AuthController = require("../controllers/authController")
+const { hashToken } = require("../utils/tokenUtils")
+
+process.env.FRONTEND_URL = "https://app.example.com"
+
+// Clinic 1, its invitations, users and staff links, kept in memory
+const useInvitationStore = () => {
+  const store = { invitations: [], users: [{ id: 40, email: "doc@example.com", phone: null, role: "doctor" }], links: [] }
+  const statusOf = (invitation) => {
+    if (invitation.accepted_by) return "accepted"
+    if (invitation.revoked) return "revoked"
+    return "pending"
+  }
+  const withStatus = (invitation) => ({ ...invitation, status: statusOf(invitation) })
+
+  db.on("SELECT id, name FROM clinics WHERE id = $1", ([id]) => (id === 1 ? [{ id, name: "Central" }] : []))
+  db.on("SELECT id FROM clinics WHERE id = $1", ([id]) => (id === 1 ? [{ id }] : []))
+  db.on("UPDATE clinic_invitations SET revoked_at = NOW(), revoked_by = $4", ([clinicId, email]) => {
+    const pending = store.invitations.filter(
+      (i) => i.clinic_id === clinicId && statusOf(i) === "pending" && email && i.email === email,
+    )
+    pending.forEach((i) => {
+      i.revoked = true
+    })
+    return { rowCount: pending.length }
+  })
+  db.on("INSERT INTO clinic_invitations", ([clinicId, email, phone, role, tokenHash]) => {
+    const invitation = { id: store.invitations.length + 1, clinic_id: clinicId, email, phone, role, token_hash: tokenHash }
+    store.invitations.push(invitation)
+    return [{ id: invitation.id }]
+  })
+  db.on("FROM clinic_invitations i WHERE i.id = $1 AND i.clinic_id = $2", ([id]) =>
+    store.invitations.filter((i) => i.id === id).map(withStatus),
+  )
+  db.on("WHERE i.token_hash = $1", ([tokenHash]) =>
+    store.invitations
+      .filter((i) => i.token_hash === tokenHash)
+      .map((i) => ({
+        ...withStatus(i),
+        clinic_name: "Central",
+        existing_account: store.users.some((user) => user.email === i.email),
+      })),
+  )
+  db.on("SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)", ([email]) =>
+    store.users.filter((user) => user.email === email),
+  )
+  db.on("INSERT INTO users", ([fullName, email, passwordHash, phone, emailVerified, , role]) => {
+    const user = { id: 100 + store.users.length, full_name: fullName, email, password_hash: passwordHash, phone, role }
+    user.email_verified = emailVerified
+    store.users.push(user)
+    return [user]
+  })
+  db.on("UPDATE clinic_invitations SET accepted_at = NOW(), accepted_by = $2", ([id, userId]) => {
+    const invitation = store.invitations.find((i) => i.id === id && statusOf(i) === "pending")
+    if (invitation) {
+      invitation.accepted_by = userId
+    }
+    return { rowCount: invitation ? 1 : 0 }
+  })
+  db.on("SELECT EXISTS (SELECT FROM information_schema.tables", [{ exists: true }])
+  db.on("INSERT INTO doctor_clinics", ([userId, clinicId]) => {
+    store.links.push({ table: "doctor_clinics", user_id: userId, clinic_id: clinicId })
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+const inviter = { id: 30, full_name: "Clinic Admin", role: "clinic_admin" }
+
+const mailedToken = () => {
+  const { acceptUrl } = MailService.sendClinicInvitationEmail.mock.calls.at(-1)[0]
+  return new URL(acceptUrl).searchParams.get("token")
+}
+
+describe("Clinic invitations", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    MailService.sendClinicInvitationEmail.mockReset().mockResolvedValue(true)
+    store = useInvitationStore()
+  })
+
+  test("the invitee creates their account from the link and joins the clinic with the invited role", async () => {
+    await InvitationService.createInvitation(1, { email: "new@example.com", role: "doctor" }, inviter)
+    const token = mailedToken()
+    expect(store.invitations[0].token_hash).toBe(hashToken(token))
+
+    const invitation = await InvitationService.findByToken(token)
+    const user = await InvitationService.registerAndAccept(invitation, { full_name: "Dr New", password: "S3cure-pass" })
+
+    expect(user).toMatchObject({ email: "new@example.com", role: "doctor" })
+    expect(store.users.at(-1).email_verified).toBe(true)
+    await expect(bcrypt.compare("S3cure-pass", store.users.at(-1).password_hash)).resolves.toBe(true)
+    expect(store.links).toEqual([{ table: "doctor_clinics", user_id: user.id, clinic_id: 1 }])
+    await expect(InvitationService.findByToken(token)).rejects.toMatchObject({ status: 410 })
+  })
+
+  test("an existing account accepts the invitation sent to its address", async () => {
+    await InvitationService.createInvitation(1, { email: "doc@example.com", role: "doctor" }, inviter)
+    const res = mockResponse()
+
+    await InvitationController.accept(
+      mockRequest({ params: { token: mailedToken() }, user: store.users[0] }),
+      res,
+      jest.fn(),
+    )
+
+    expect(res.body.success).toBe(true)
+    expect(store.links).toEqual([{ table: "doctor_clinics", user_id: 40, clinic_id: 1 }])
+  })
+
+  test("an invitation cannot be accepted by someone else or with another role", async () => {
+    await InvitationService.createInvitation(1, { email: "doc@example.com", role: "doctor" }, inviter)
+    const invitation = await InvitationService.findByToken(mailedToken())
+
+    await expect(
+      InvitationService.acceptForUser(invitation, { id: 41, email: "other@example.com", role: "doctor" }),
+    ).rejects.toMatchObject({ status: 403, code: "INVITATION_MISMATCH" })
+    await expect(
+      InvitationService.acceptForUser(invitation, { id: 40, email: "doc@example.com", role: "nurse" }),
+    ).rejects.toMatchObject({ status: 409, code: "INVITATION_ROLE_MISMATCH" })
+    expect(store.links).toEqual([])
+  })
+
+  test("inviting the same person again makes the earlier link stop working", async () => {
+    await InvitationService.createInvitation(1, { email: "new@example.com", role: "nurse" }, inviter)
+    const first = mailedToken()
+    await InvitationService.createInvitation(1, { email: "new@example.com", role: "doctor" }, inviter)
+
+    await expect(InvitationService.findByToken(first)).rejects.toMatchObject({ status: 410, code: "INVITATION_UNAVAILABLE" })
+    await expect(InvitationService.findByToken(mailedToken())).resolves.toMatchObject({ role: "doctor" })
+    await expect(InvitationService.findByToken("made-up")).rejects.toMatchObject({ status: 404 })
+  })
+})
+
+describe("Self-registration", () => {
+  test("cannot create staff or admin accounts", async () => {
+    db.reset()
+    const created = []
+    db.on("INSERT INTO users", (params) => {
+      created.push(params)
+      return [{ id: 100 }]
+    })
+    const res = mockResponse()
+
+    await AuthController.register(
+      mockRequest({ body: { full_name: "Eve", email: "eve@example.com", password: "S3cure-pass", role: "clinic_admin" } }),
+      res,
+    )
+
+    expect(res.statusCode).toBe(403)
+    expect(created).toEqual([])
+  })
+})
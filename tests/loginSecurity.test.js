@@ -0,0 +1,171 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/mailService")
+jest.mock("../controllers/notificationController")
+
+const bcrypt = require("bcryptjs")
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const MailService = require("../services/mailService")
+const AuthController = require("../controllers/authController")
+const LoginSecurityService = require("../services/loginSecurityService")
+
+process.env.JWT_SECRET = "test-access-secret"
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret"
+
+const PASSWORD = "C0rrect-horse"
+const account = {
+  id: 7,
+  full_name: "Jane Doe",
+  email: "jane@example.com",
+  password_hash: bcrypt.hashSync(PASSWORD, 4),
+  role: "patient",
+  phone: null,
+}
+
+// Lockout state and the attempt log, kept in memory against a clock the tests move forward
+const useLoginStore = () => {
+  const store = { now: Date.now(), security: null, attempts: [] }
+  const secondsSince = (time) => (time === null ? null : (store.now - time) / 1000)
+
+  db.on("FROM users u LEFT JOIN roles r ON u.role_id = r.id WHERE u.email = $1", ([email]) =>
+    email === account.email ? [account] : [],
+  )
+  db.on("INSERT INTO login_attempts", ([userId, email, , , success, reason]) => {
+    store.attempts.push({ user_id: userId, email, success, failure_reason: reason, created_at: store.now })
+    return { rowCount: 1 }
+  })
+  db.on("FROM user_login_security WHERE user_id = $1", () => {
+    const { security } = store
+    if (!security) {
+      return []
+    }
+    return [
+      {
+        ...security,
+        lock_seconds_left: security.locked_until === null ? null : (security.locked_until - store.now) / 1000,
+        seconds_since_failure: secondsSince(security.last_failed_at),
+      },
+    ]
+  })
+  db.on("INSERT INTO user_login_security", () => {
+    store.security = store.security || { failed_attempts: 0, locked_until: null, lockout_count: 0 }
+    store.security.failed_attempts += 1
+    store.security.last_failed_at = store.now
+    return [store.security]
+  })
+  db.on("SET locked_until = NOW() + make_interval", ([, minutes]) => {
+    Object.assign(store.security, {
+      locked_until: store.now + minutes * 60 * 1000,
+      lockout_count: store.security.lockout_count + 1,
+      failed_attempts: 0,
+    })
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE user_login_security SET failed_attempts = 0, last_failed_at = NULL", () => {
+    if (store.security) {
+      Object.assign(store.security, { failed_attempts: 0, last_failed_at: null })
+    }
+    return { rowCount: 1 }
+  })
+  db.on("SET locked_until = NULL", () => {
+    store.security = { failed_attempts: 0, locked_until: null, lockout_count: 0, last_failed_at: null }
+    return [{ user_id: account.id }]
+  })
+  // Lockouts of an address without an account, and its failures since the last one
+  db.on("FROM login_attempts WHERE user_id IS NULL AND email = $1 AND failure_reason = 'lockout'", ([email]) => {
+    const ofEmail = store.attempts.filter((attempt) => attempt.user_id === null && attempt.email === email)
+    const lockouts = ofEmail.filter((attempt) => attempt.failure_reason === "lockout").map((attempt) => attempt.created_at)
+    const lockedAt = lockouts.length ? Math.max(...lockouts) : null
+    const failures = ofEmail
+      .filter((attempt) => attempt.failure_reason === "unknown_email" && (lockedAt === null || attempt.created_at > lockedAt))
+      .map((attempt) => attempt.created_at)
+    return [
+      {
+        lockout_count: lockouts.length,
+        failed_attempts: failures.length,
+        seconds_since_lockout: secondsSince(lockedAt),
+        seconds_since_failure: failures.length ? secondsSince(Math.max(...failures)) : null,
+      },
+    ]
+  })
+  db.on("INSERT INTO refresh_tokens", [{ id: 1 }])
+
+  return store
+}
+
+const login = async (email, password) => {
+  const res = mockResponse()
+  await AuthController.login(mockRequest({ body: { email, password }, headers: { "user-agent": "jest" } }), res)
+  return res
+}
+
+describe("Login lockout", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    MailService.sendMail.mockReset().mockResolvedValue(true)
+    store = useLoginStore()
+  })
+
+  test("after three failures each further attempt must wait longer", async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      expect((await login(account.email, "wrong")).statusCode).toBe(401)
+    }
+
+    const early = await login(account.email, PASSWORD)
+    expect(early.statusCode).toBe(429)
+    expect(early.headers["Retry-After"]).toBe("1")
+
+    store.now += 1000
+    expect((await login(account.email, "wrong")).statusCode).toBe(401)
+    expect((await login(account.email, PASSWORD)).body.retryAfter).toBe(2)
+  })
+
+  test("ten failures lock the account and tell its owner; the right password is refused until unlocked", async () => {
+    const statuses = []
+    for (let attempt = 0; attempt < 10; attempt++) {
+      statuses.push((await login(account.email, "wrong")).statusCode)
+      store.now += 60 * 1000
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 401, 401, 401, 401, 401, 401, 423])
+    expect(MailService.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: account.email }))
+    expect((await login(account.email, PASSWORD)).statusCode).toBe(423)
+
+    await LoginSecurityService.unlock(account.id, 1)
+    const res = await login(account.email, PASSWORD)
+    expect(res.statusCode).toBe(200)
+    expect(res.body.token).toEqual(expect.any(String))
+  })
+
+  test("a successful login clears the failure count", async () => {
+    await login(account.email, "wrong")
+    await login(account.email, "wrong")
+
+    expect((await login(account.email, PASSWORD)).statusCode).toBe(200)
+    expect(store.security.failed_attempts).toBe(0)
+  })
+
+  // Every attempt on an unknown email checks the password against a full-cost hash, which is slow
+  test("unknown emails are throttled and locked exactly like real accounts", async () => {
+    const sequence = async (email) => {
+      const statuses = []
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const res = await login(email, "wrong")
+        statuses.push([res.statusCode, res.body])
+        // Every other attempt comes too early
+        store.now += attempt % 2 ? 60 * 1000 : 0
+      }
+      return statuses
+    }
+
+    const known = await sequence(account.email)
+    store.now += 24 * 60 * 60 * 1000
+    const unknown = await sequence("nobody@example.com")
+
+    expect(unknown).toEqual(known)
+    expect(known.map(([status]) => status)).toEqual(expect.arrayContaining([401, 429, 423]))
+  }, 30000)
+})
@@ -0,0 +1,113 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const MfaService = require("../services/mfaService")
+const totp = require("../utils/totp")
+const { hashToken } = require("../utils/tokenUtils")
+
+// The authenticator and backup codes of user 7, kept in memory
+const useMfaStore = () => {
+  const store = { mfa: null, backupCodes: [] }
+
+  db.on("FROM user_mfa WHERE user_id = $1 AND enabled_at IS NOT NULL", () =>
+    store.mfa && store.mfa.enabled_at ? [{ "?column?": 1 }] : [],
+  )
+  db.on("SELECT secret, enabled_at, last_used_step FROM user_mfa", () => (store.mfa ? [{ ...store.mfa }] : []))
+  db.on("INSERT INTO user_mfa", ([, secret]) => {
+    store.mfa = { secret, enabled_at: null, last_used_step: null }
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE user_mfa SET enabled_at", () => {
+    store.mfa.enabled_at = new Date()
+    return { rowCount: 1 }
+  })
+  // Records the step only when it is later than the last one used, like the conditional UPDATE
+  db.on("UPDATE user_mfa SET last_used_step", ([, step]) => {
+    if (store.mfa.last_used_step !== null && store.mfa.last_used_step >= step) {
+      return { rowCount: 0 }
+    }
+    store.mfa.last_used_step = step
+    return { rowCount: 1 }
+  })
+  db.on("DELETE FROM mfa_backup_codes", () => {
+    store.backupCodes = []
+    return { rowCount: 0 }
+  })
+  db.on("INSERT INTO mfa_backup_codes", ([, codeHash]) => {
+    store.backupCodes.push({ code_hash: codeHash, used: false })
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE mfa_backup_codes SET used_at", ([, codeHash]) => {
+    const code = store.backupCodes.find((backup) => backup.code_hash === codeHash && !backup.used)
+    if (!code) {
+      return []
+    }
+    code.used = true
+    return [{ id: 1 }]
+  })
+
+  return store
+}
+
+// A code other than the ones currently accepted
+const wrongCode = (secret) => {
+  const step = Math.floor(Date.now() / 30000)
+  const accepted = [step - 1, step, step + 1].map((s) => totp.generateCode(secret, s))
+  return ["000000", "111111", "222222", "333333"].find((code) => !accepted.includes(code))
+}
+
+describe("MfaService", () => {
+  let store
+  let secret
+
+  beforeEach(async () => {
+    db.reset()
+    store = useMfaStore()
+    ;({ secret } = await MfaService.startEnrollment({ id: 7, email: "jane@example.com" }))
+  })
+
+  test("enrollment is only confirmed by a valid code, and returns single-use backup codes", async () => {
+    await expect(MfaService.enable(7, wrongCode(secret))).resolves.toBeNull()
+    await expect(MfaService.isEnabled(7)).resolves.toBe(false)
+
+    const backupCodes = await MfaService.enable(7, totp.generateCode(secret))
+
+    expect(backupCodes).toHaveLength(10)
+    await expect(MfaService.isEnabled(7)).resolves.toBe(true)
+    await expect(MfaService.consumeBackupCode(7, backupCodes[0])).resolves.toBe(true)
+    await expect(MfaService.consumeBackupCode(7, backupCodes[0])).resolves.toBe(false)
+    // Stored only as hashes
+    expect(store.backupCodes[0].code_hash).toBe(hashToken(backupCodes[0].replace("-", "")))
+  })
+
+  test("codes are refused until enrollment is confirmed", async () => {
+    await expect(MfaService.verifyTotp(7, totp.generateCode(secret))).resolves.toBe(false)
+  })
+
+  test("a code cannot be replayed once it was accepted", async () => {
+    await MfaService.enable(7, totp.generateCode(secret, Math.floor(Date.now() / 30000) - 1))
+    const code = totp.generateCode(secret)
+
+    await expect(MfaService.verifyTotp(7, code)).resolves.toBe(true)
+    await expect(MfaService.verifyTotp(7, code)).resolves.toBe(false)
+    await expect(MfaService.verifyTotp(7, wrongCode(secret))).resolves.toBe(false)
+  })
+
+  test("two concurrent logins with the same code cannot both pass", async () => {
+    await MfaService.enable(7, totp.generateCode(secret, Math.floor(Date.now() / 30000) - 1))
+    const code = totp.generateCode(secret)
+
+    const results = await Promise.all([MfaService.verifyTotp(7, code), MfaService.verifyTotp(7, code)])
+
+    expect(results.filter(Boolean)).toHaveLength(1)
+  })
+
+  test("challenge tokens only identify the user for the second login step", () => {
+    process.env.JWT_SECRET = "test-access-secret"
+    const challenge = MfaService.signChallengeToken(7)
+
+    expect(MfaService.verifyChallengeToken(challenge)).toBe(7)
+    expect(MfaService.verifyChallengeToken(`${challenge}x`)).toBeNull()
+  })
+})
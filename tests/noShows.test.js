@@ -0,0 +1,196 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("../services/paymentService")
+const NoShowService = require("../services/noShowService")
+const NoShowController = require("../controllers/noShowController")
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+const ago = (ms) => new Date(Date.now() - ms)
+
+// No-show policies (platform default: no penalty), appointments of patient 42 with the fee they
+// prepaid, and no-show records, kept in memory
+const useNoShowStore = () => {
+  const store = {
+    policies: [{ clinic_id: null, grace_minutes: 15, penalty: "none", fee_amount: "0", lookback_days: 180 }],
+    appointments: [],
+    noShows: [],
+  }
+  const policyOf = (clinicId) =>
+    store.policies.find((p) => p.clinic_id === clinicId) || store.policies.find((p) => p.clinic_id === null)
+  const appointment = (id) => store.appointments.find((a) => a.id === id)
+
+  db.on("SELECT * FROM no_show_policies", ([clinicId]) => [policyOf(clinicId)])
+  db.on("INSERT INTO no_show_policies", (params) => {
+    const [clinicId, graceMinutes, penalty, feeAmount, prepayAfter, blockAfter, lookbackDays] = params
+    const policy = { clinic_id: clinicId, grace_minutes: graceMinutes, penalty, fee_amount: feeAmount }
+    Object.assign(policy, { prepay_after: prepayAfter, block_after: blockAfter, lookback_days: lookbackDays })
+    store.policies = [...store.policies.filter((p) => p.clinic_id !== clinicId), policy]
+    return [policy]
+  })
+  db.on("SELECT a.id FROM appointments a JOIN availability_slots sl", () =>
+    store.appointments
+      .filter((a) => a.status === "booked" && !a.check_in_time)
+      .filter((a) => a.start_time.getTime() + policyOf(a.clinic_id).grace_minutes * MINUTE < Date.now())
+      .sort((a, b) => a.start_time - b.start_time)
+      .map((a) => ({ id: a.id })),
+  )
+  db.on("sl.start_time >= NOW() - make_interval(hours => $2) AS penalize", ([id, hours]) =>
+    store.appointments
+      .filter((a) => a.id === id && a.status === "booked" && !a.check_in_time)
+      .map((a) => ({ ...a, penalize: a.start_time >= ago(hours * 60 * MINUTE), doctor_name: "House" })),
+  )
+  db.on("SELECT amount FROM patient_transactions", ([id]) =>
+    appointment(id).prepaid ? [{ amount: String(appointment(id).prepaid) }] : [],
+  )
+  db.on("UPDATE appointments SET status = 'no-show'", ([id]) => {
+    appointment(id).status = "no-show"
+    return { rowCount: 1 }
+  })
+  db.on("INSERT INTO appointment_no_shows", ([appointmentId, patientId, doctorId, clinicId, penalty, amount, feeStatus]) => {
+    const record = { id: store.noShows.length + 1, appointment_id: appointmentId, patient_id: patientId, clinic_id: clinicId }
+    Object.assign(record, { doctor_id: doctorId, penalty, amount, fee_status: feeStatus, created_at: new Date(), waived_at: null })
+    store.noShows.push(record)
+    return [record]
+  })
+  db.on("SELECT COUNT(*)::int AS count FROM appointment_no_shows", ([patientId, days, clinicId]) => [
+    {
+      count: store.noShows.filter(
+        (n) =>
+          n.patient_id === patientId &&
+          !n.waived_at &&
+          n.created_at > ago(days * DAY) &&
+          (clinicId === null || n.clinic_id === clinicId),
+      ).length,
+    },
+  ])
+  db.on("UPDATE appointment_no_shows", ([id, waivedBy, reason, clinicIds]) => {
+    const record = store.noShows.find((n) => n.id === id && !n.waived_at && (!clinicIds || clinicIds.includes(n.clinic_id)))
+    if (!record) {
+      return []
+    }
+    Object.assign(record, { waived_at: new Date(), waived_by: waivedBy, waive_reason: reason })
+    return [record]
+  })
+
+  return store
+}
+
+// An appointment of patient 42 with doctor 3 at the clinic, starting at the given time
+const book = (store, clinicId, startTime, fields = {}) => {
+  const appointment = { id: 100 + store.appointments.length, patient_id: 42, doctor_id: 3, clinic_id: clinicId }
+  Object.assign(appointment, { start_time: startTime, status: "booked", check_in_time: null, prepaid: null, ...fields })
+  store.appointments.push(appointment)
+  return appointment
+}
+
+const callAs = async (handler, user, { query = {}, params = {}, body = {} } = {}) => {
+  const res = mockResponse()
+  await NoShowController[handler](mockRequest({ user, query, params, body }), res, jest.fn())
+  return res
+}
+
+const clinicAdmin = { id: 30, role: "clinic_admin", clinic_id: 1 }
+
+describe("No-shows", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    jest.spyOn(PaymentService, "processCompletionPayment").mockResolvedValue({ success: true })
+    jest.spyOn(PaymentService, "processRefund").mockResolvedValue({ success: true })
+    jest.spyOn(PaymentService, "processNoShowFee").mockResolvedValue({ charged: true })
+    store = useNoShowStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("a patient missing a prepaid appointment past the grace period loses the fee where the clinic says so", async () => {
+    store.policies.push({ clinic_id: 1, grace_minutes: 10, penalty: "forfeit", fee_amount: "0", lookback_days: 180 })
+    const missed = book(store, 1, ago(20 * MINUTE), { prepaid: 2000 })
+    const late = book(store, 1, ago(5 * MINUTE))
+    const checkedIn = book(store, 1, ago(60 * MINUTE), { check_in_time: ago(65 * MINUTE) })
+    const longAgo = book(store, 1, ago(3 * DAY), { prepaid: 1500 })
+
+    await expect(NoShowService.detectNoShows()).resolves.toEqual({ marked: 2, failed: 0 })
+
+    expect(store.noShows.map((n) => [n.appointment_id, n.penalty, n.amount, n.fee_status])).toEqual([
+      [longAgo.id, "none", 0, "none"],
+      [missed.id, "forfeit", 2000, "forfeited"],
+    ])
+    expect([missed, late, checkedIn, longAgo].map((a) => a.status)).toEqual(["no-show", "booked", "booked", "no-show"])
+    expect(PaymentService.processCompletionPayment).toHaveBeenCalledTimes(1)
+    expect(PaymentService.processCompletionPayment).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: missed.id }))
+    // Too old to be penalized: the prepaid fee goes back
+    expect(PaymentService.processRefund).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: longAgo.id }))
+    expect(NotificationController.createNotification).toHaveBeenLastCalledWith(
+      expect.objectContaining({ userId: 42, message: expect.stringContaining("Your payment of 2000 DZD is not refunded.") }),
+    )
+  })
+
+  test("a fee policy charges the fee, and an appointment that fails is left for the next run", async () => {
+    store.policies[0] = { ...store.policies[0], penalty: "fee", fee_amount: "500" }
+    const first = book(store, null, ago(2 * 60 * MINUTE))
+    const second = book(store, 2, ago(60 * MINUTE))
+    PaymentService.processNoShowFee.mockResolvedValueOnce({ charged: false }).mockRejectedValueOnce(new Error("Ledger down"))
+
+    await expect(NoShowService.detectNoShows()).resolves.toEqual({ marked: 1, failed: 1 })
+
+    expect(store.noShows.map((n) => [n.appointment_id, n.amount, n.fee_status])).toEqual([[first.id, 500, "unpaid"]])
+    expect(second.status).toBe("booked")
+    expect(db.lastTransaction()).toBe("rolled back")
+    expect(NotificationController.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ message: expect.stringContaining("A no-show fee of 500 DZD is due.") }),
+    )
+  })
+
+  test("repeated no-shows require prepayment, then block booking, until the clinic waives them", async () => {
+    store.policies.push({ clinic_id: 1, grace_minutes: 15, penalty: "none", prepay_after: 1, block_after: 2, lookback_days: 90 })
+    const noShow = (clinicId, createdAt = new Date()) =>
+      store.noShows.push({ id: store.noShows.length + 1, patient_id: 42, clinic_id: clinicId, created_at: createdAt })
+    noShow(1, ago(100 * DAY))
+    noShow(2)
+
+    await expect(NoShowService.checkBookingAllowed(42, 1, "cash")).resolves.toBeUndefined()
+
+    noShow(1)
+    await expect(NoShowService.checkBookingAllowed(42, 1, "cash")).rejects.toMatchObject({
+      status: 402,
+      code: "PREPAYMENT_REQUIRED",
+    })
+    await expect(NoShowService.checkBookingAllowed(42, 1, "balance")).resolves.toBeUndefined()
+
+    noShow(1)
+    await expect(NoShowService.checkBookingAllowed(42, 1, null)).rejects.toMatchObject({ status: 403, code: "NO_SHOW_BLOCKED" })
+    await expect(NoShowService.checkBookingAllowed(42, 2, "cash")).resolves.toBeUndefined()
+
+    expect((await callAs("waive", { ...clinicAdmin, clinic_id: 2 }, { params: { id: "4" } })).statusCode).toBe(404)
+    expect((await callAs("waive", clinicAdmin, { params: { id: "4" }, body: { reason: "Hospitalized" } })).statusCode).toBe(200)
+    expect((await callAs("waive", clinicAdmin, { params: { id: "4" } })).statusCode).toBe(404)
+    await expect(NoShowService.checkBookingAllowed(42, 1, "balance")).resolves.toBeUndefined()
+  })
+
+  test("clinic admins set the policy of their own clinic, and a fee needs an amount", async () => {
+    const fee = { penalty: "fee" }
+
+    expect((await callAs("updatePolicy", { ...clinicAdmin, clinic_id: null }, { body: fee })).statusCode).toBe(400)
+    expect((await callAs("updatePolicy", clinicAdmin, { query: { clinicId: "2" }, body: fee })).statusCode).toBe(403)
+    expect((await callAs("updatePolicy", clinicAdmin, { body: fee })).statusCode).toBe(400)
+    expect(store.policies).toHaveLength(1)
+
+    const saved = await callAs("updatePolicy", clinicAdmin, { body: { ...fee, feeAmount: 800, graceMinutes: 30 } })
+
+    expect(saved.statusCode).toBe(200)
+    expect(saved.body.data).toMatchObject({ clinic_id: 1, penalty: "fee", fee_amount: 800, grace_minutes: 30, lookback_days: 180 })
+    expect((await callAs("getPolicy", clinicAdmin)).body.data).toMatchObject({ penalty: "fee", isDefault: false })
+    expect((await callAs("getPolicy", { ...clinicAdmin, clinic_id: 2 })).body.data).toMatchObject({ isDefault: true })
+  })
+})
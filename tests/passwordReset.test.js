@@ -0,0 +1,116 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/mailService")
+
+const bcrypt = require("bcryptjs")
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const MailService = require("../services/mailService")
+const AuthController = require("../controllers/authController")
+const { hashToken } = require("../utils/tokenUtils")
+
+const user = { id: 7, full_name: "Jane Doe", email: "jane@example.com" }
+
+process.env.FRONTEND_URL = "https://app.example.com"
+
+describe("AuthController.forgotPassword", () => {
+  let storedTokens
+
+  beforeEach(() => {
+    db.reset()
+    MailService.sendPasswordResetEmail.mockReset().mockResolvedValue(true)
+    storedTokens = []
+    db.on("FROM users WHERE email = $1", ([email]) => (email === user.email ? [user] : []))
+    db.on("INSERT INTO password_reset_tokens", ([userId, tokenHash]) => {
+      storedTokens.push({ userId, tokenHash })
+      return { rowCount: 1 }
+    })
+  })
+
+  test("mails a link whose token is stored only as a hash", async () => {
+    const res = mockResponse()
+
+    await AuthController.forgotPassword(mockRequest({ body: { email: user.email } }), res)
+
+    expect(res.body.success).toBe(true)
+    expect(MailService.sendPasswordResetEmail).toHaveBeenCalledTimes(1)
+    const { to, resetUrl } = MailService.sendPasswordResetEmail.mock.calls[0][0]
+    const token = new URL(resetUrl).searchParams.get("token")
+    expect(to).toBe(user.email)
+    expect(storedTokens).toEqual([{ userId: 7, tokenHash: hashToken(token) }])
+    expect(storedTokens[0].tokenHash).not.toBe(token)
+  })
+
+  test("answers an unknown email the same way without creating a token", async () => {
+    const known = mockResponse()
+    const unknown = mockResponse()
+
+    await AuthController.forgotPassword(mockRequest({ body: { email: user.email } }), known)
+    await AuthController.forgotPassword(mockRequest({ body: { email: "nobody@example.com" } }), unknown)
+
+    expect(unknown.statusCode).toBe(known.statusCode)
+    expect(unknown.body).toEqual(known.body)
+    expect(storedTokens).toHaveLength(1)
+    expect(MailService.sendPasswordResetEmail).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("AuthController.resetPassword", () => {
+  const token = "a".repeat(64)
+  let account
+  let resetToken
+
+  beforeEach(() => {
+    db.reset()
+    account = { passwordHash: "old-hash", sessionsRevoked: null }
+    resetToken = { id: 3, user_id: 7, token_hash: hashToken(token), used: false }
+
+    db.on("FROM password_reset_tokens", ([tokenHash]) =>
+      tokenHash === resetToken.token_hash && !resetToken.used ? [resetToken] : [],
+    )
+    db.on("UPDATE users SET password_hash", ([passwordHash]) => {
+      account.passwordHash = passwordHash
+      return { rowCount: 1 }
+    })
+    db.on("UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1", () => {
+      resetToken.used = true
+      return { rowCount: 1 }
+    })
+    db.on("UPDATE user_sessions SET revoked_at", ([, reason]) => {
+      account.sessionsRevoked = reason
+      return { rowCount: 2 }
+    })
+  })
+
+  test("sets the new password, uses up the token and signs the user out everywhere", async () => {
+    const res = mockResponse()
+
+    await AuthController.resetPassword(mockRequest({ body: { token, password: "N3w-passw0rd!" } }), res)
+
+    expect(res.statusCode).toBe(200)
+    expect(await bcrypt.compare("N3w-passw0rd!", account.passwordHash)).toBe(true)
+    expect(resetToken.used).toBe(true)
+    expect(account.sessionsRevoked).toBe("password_reset")
+    expect(db.lastTransaction()).toBe("committed")
+  })
+
+  test("refuses a token that was already used", async () => {
+    await AuthController.resetPassword(mockRequest({ body: { token, password: "N3w-passw0rd!" } }), mockResponse())
+    const res = mockResponse()
+
+    await AuthController.resetPassword(mockRequest({ body: { token, password: "An0ther-pass!" } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(await bcrypt.compare("An0ther-pass!", account.passwordHash)).toBe(false)
+    expect(db.lastTransaction()).toBe("rolled back")
+  })
+
+  test("refuses an unknown token", async () => {
+    const res = mockResponse()
+
+    await AuthController.resetPassword(mockRequest({ body: { token: "b".repeat(64), password: "N3w-passw0rd!" } }), res)
+
+    expect(res.statusCode).toBe(400)
+    expect(account.passwordHash).toBe("old-hash")
+  })
+})
@@ -0,0 +1,143 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const PermissionService = require("../services/permissionService")
+const PermissionController = require("../controllers/permissionController")
+const { can } = require("../middleware/auth")
+
+const CATALOGUE = [
+  "appointments:read:clinic",
+  "appointments:create",
+  "appointments:cancel",
+  "clinics:staff:read",
+  "salary:payments:manage",
+  "users:manage",
+]
+
+// System role grants, custom clinic roles and clinic admins, kept in memory
+const usePermissionStore = () => {
+  const store = {
+    roleGrants: { doctor: ["appointments:read:clinic"], nurse: ["clinics:staff:read"] },
+    // Nurse 20 is cashier in clinic 1
+    clinicRoles: [{ id: 1, clinic_id: 1, name: "cashier", permissions: ["salary:payments:manage"], members: [20] }],
+    clinicAdmins: [{ admin_id: 30, clinic_id: 1 }],
+  }
+
+  db.on("FROM role_permissions rp", () =>
+    Object.entries(store.roleGrants).flatMap(([role, keys]) => keys.map((key) => ({ role, key }))),
+  )
+  db.on("FROM user_clinic_roles ucr", ([userId, clinicId]) =>
+    store.clinicRoles
+      .filter((role) => role.clinic_id === Number(clinicId) && role.members.includes(userId))
+      .flatMap((role) => role.permissions.map((key) => ({ key }))),
+  )
+  db.on("SELECT key FROM permissions WHERE key = ANY", ([keys]) =>
+    keys.filter((key) => CATALOGUE.includes(key)).map((key) => ({ key })),
+  )
+  db.on("SELECT id FROM roles WHERE name = $1", ([name]) => (store.roleGrants[name] ? [{ id: name }] : []))
+  db.on("INSERT INTO role_permissions", ([role, keys]) => {
+    store.roleGrants[role] = keys
+    return { rowCount: keys.length }
+  })
+  db.on("FROM admin_clinics WHERE admin_id = $1 AND clinic_id = $2", ([adminId, clinicId]) =>
+    store.clinicAdmins.filter((admin) => admin.admin_id === adminId && admin.clinic_id === Number(clinicId)),
+  )
+  db.on("INSERT INTO clinic_roles", ([clinicId, name, description]) => {
+    const role = { id: store.clinicRoles.length + 1, clinic_id: Number(clinicId), name, description, permissions: [], members: [] }
+    store.clinicRoles.push(role)
+    return [role]
+  })
+  db.on("INSERT INTO clinic_role_permissions", ([roleId, keys]) => {
+    store.clinicRoles.find((role) => role.id === roleId).permissions = keys
+    return { rowCount: keys.length }
+  })
+
+  return store
+}
+
+// Runs the can() middleware and tells whether the request went through
+const allowed = async (user, permissions, params = {}) => {
+  const next = jest.fn()
+  const res = mockResponse()
+  await can(...permissions)(mockRequest({ user, params }), res, next)
+  return next.mock.calls.length === 1 ? true : res.statusCode
+}
+
+const call = async (handler, request) => {
+  const res = mockResponse()
+  await handler(mockRequest(request), res)
+  return res
+}
+
+describe("Permission-based access", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    PermissionService.invalidateCache()
+    store = usePermissionStore()
+  })
+
+  test("a system role passes with any of the required permissions and is refused otherwise", async () => {
+    const doctor = { id: 10, role: "doctor", clinic_id: 1 }
+
+    await expect(allowed(doctor, ["appointments:read:clinic", "users:manage"])).resolves.toBe(true)
+    await expect(allowed(doctor, ["users:manage"])).resolves.toBe(403)
+    await expect(allowed({ id: 1, role: "platform_admin" }, ["users:manage"])).resolves.toBe(true)
+  })
+
+  test("a custom clinic role only applies inside its own clinic", async () => {
+    const nurse = { id: 20, role: "nurse", clinic_id: 1 }
+
+    await expect(allowed(nurse, ["salary:payments:manage"])).resolves.toBe(true)
+    await expect(allowed({ ...nurse, clinic_id: 2 }, ["salary:payments:manage"])).resolves.toBe(403)
+    await expect(allowed(nurse, ["salary:payments:manage"], { clinicId: "2" })).resolves.toBe(403)
+    await expect(allowed({ ...nurse, clinic_id: null }, ["salary:payments:manage"])).resolves.toBe(403)
+    await expect(allowed({ ...nurse, clinic_id: 2 }, ["clinics:staff:read"])).resolves.toBe(true)
+  })
+
+  test("editing a system role takes effect immediately", async () => {
+    const res = await call(PermissionController.updateRolePermissions, {
+      user: { id: 1, role: "platform_admin" },
+      params: { roleName: "nurse" },
+      body: { permissions: ["appointments:cancel"] },
+    })
+
+    expect(res.statusCode).toBe(200)
+    await expect(allowed({ id: 21, role: "nurse" }, ["appointments:cancel"])).resolves.toBe(true)
+    await expect(allowed({ id: 21, role: "nurse" }, ["clinics:staff:read"])).resolves.toBe(403)
+  })
+
+  test("clinic admins create roles from templates for their own clinic only", async () => {
+    const admin = { id: 30, role: "clinic_admin" }
+
+    const created = await call(PermissionController.createClinicRole, {
+      user: admin,
+      params: { clinicId: "1" },
+      body: { template: "receptionist" },
+    })
+    const elsewhere = await call(PermissionController.createClinicRole, {
+      user: admin,
+      params: { clinicId: "2" },
+      body: { template: "receptionist" },
+    })
+
+    expect(created.statusCode).toBe(201)
+    expect(store.clinicRoles[1]).toMatchObject({ clinic_id: 1, name: "receptionist" })
+    expect(store.clinicRoles[1].permissions).toEqual(PermissionService.CLINIC_ROLE_TEMPLATES.receptionist.permissions)
+    expect(elsewhere.statusCode).toBe(403)
+  })
+
+  test("custom roles cannot carry platform-wide permissions", async () => {
+    const res = await call(PermissionController.createClinicRole, {
+      user: { id: 30, role: "clinic_admin" },
+      params: { clinicId: "1" },
+      body: { name: "superuser", permissions: ["users:manage"] },
+    })
+
+    expect(res.statusCode).toBe(400)
+    expect(store.clinicRoles).toHaveLength(1)
+  })
+})
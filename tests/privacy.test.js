@@ -0,0 +1,144 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const PrivacyService = require("../services/privacyService")
+
+// Patient 42 with their sessions, appointments, slots and deletion request, kept in memory
+const usePatientStore = () => {
+  const store = {
+    patient: {
+      id: 42,
+      full_name: "Jane Doe",
+      email: "jane@example.com",
+      phone: "+15550100",
+      password_hash: "$2a$10$hash",
+      balance: 0,
+      anonymized_at: null,
+    },
+    minorDependents: 0,
+    sessions: [{ user_id: 42, revoked: false }],
+    slots: { 1: { available: false, future: false }, 2: { available: false, future: true } },
+    appointments: [
+      { id: 1, slot_id: 1, status: "completed", paid: false },
+      { id: 2, slot_id: 2, status: "booked", paid: false },
+    ],
+    request: { status: "pending" },
+  }
+
+  db.on("SELECT u.*, r.name AS role FROM users u", () => [{ ...store.patient, role: "patient" }])
+  db.on("FROM appointments a LEFT JOIN availability_slots s", () => store.appointments)
+  db.on("SELECT * FROM patient_payment_methods", () => {
+    throw Object.assign(new Error('relation "patient_payment_methods" does not exist'), { code: "42P01" })
+  })
+  db.on("SELECT COUNT(*)::int AS total FROM phi_audit_log", [{ total: 0 }])
+  db.on("SELECT u.balance", () => [
+    {
+      balance: store.patient.balance,
+      minor_dependents: store.minorDependents,
+      prepaid_appointments: store.appointments.filter(
+        (a) => a.paid && a.status === "booked" && store.slots[a.slot_id].future,
+      ).length,
+    },
+  ])
+  db.on("SELECT anonymized_at FROM users WHERE id = $1", () => [{ anonymized_at: store.patient.anonymized_at }])
+  db.on("UPDATE users SET full_name = $2", ([, name, domain]) => {
+    Object.assign(store.patient, { full_name: name, email: `erased-42@${domain}`, phone: null, password_hash: "!" })
+    store.patient.anonymized_at = new Date()
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE user_sessions SET revoked_at = NOW()", () => {
+    const active = store.sessions.filter((session) => !session.revoked)
+    active.forEach((session) => {
+      session.revoked = true
+    })
+    return { rowCount: active.length }
+  })
+  db.on("WITH cancelled AS", () => {
+    const cancelled = store.appointments.filter((a) => a.status === "booked" && store.slots[a.slot_id].future)
+    cancelled.forEach((a) => {
+      a.status = "cancelled"
+      store.slots[a.slot_id].available = true
+    })
+    return cancelled.map((a) => ({ id: a.slot_id }))
+  })
+  db.on("UPDATE data_deletion_requests SET status = 'completed'", () => {
+    store.request.status = "completed"
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+describe("Patient data export", () => {
+  beforeEach(() => {
+    db.reset()
+    usePatientStore()
+  })
+
+  test("holds every section without the password hash, and the archive lists its files", async () => {
+    const data = await PrivacyService.buildExport(42)
+
+    expect(data.sections.profile).toEqual([expect.objectContaining({ email: "jane@example.com", role: "patient" })])
+    expect(data.sections.profile[0]).not.toHaveProperty("password_hash")
+    expect(data.sections.appointments).toHaveLength(2)
+    expect(data.sections.payment_methods).toEqual([])
+    expect(data.sections.access_log).toEqual([])
+
+    const zip = PrivacyService.buildExportZip(data).toString("latin1")
+    expect(zip.startsWith("PK")).toBe(true)
+    expect(zip).toContain("manifest.json")
+    expect(zip).toContain("appointments.json")
+    expect(zip).toContain("access_log.json")
+  })
+})
+
+describe("Patient erasure", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = usePatientStore()
+  })
+
+  test("anonymizes the account, signs it out and cancels its future bookings", async () => {
+    await PrivacyService.erasePatient(42, { erasedBy: 1 })
+
+    expect(store.patient).toMatchObject({ full_name: "Erased patient", phone: null, password_hash: "!" })
+    expect(store.patient.email).toBe("erased-42@erased.invalid")
+    expect(store.sessions.every((session) => session.revoked)).toBe(true)
+    expect(store.appointments.map((a) => a.status)).toEqual(["completed", "cancelled"])
+    expect(store.slots[2].available).toBe(true)
+    expect(store.request.status).toBe("completed")
+    expect(db.transactions[0].status).toBe("committed")
+
+    await expect(PrivacyService.erasePatient(42, { erasedBy: 1 })).rejects.toMatchObject({ status: 409 })
+  })
+
+  test("is refused while the patient has a balance or guards a minor", async () => {
+    store.patient.balance = "12.50"
+    store.minorDependents = 1
+
+    await expect(PrivacyService.erasePatient(42, { erasedBy: 1 })).rejects.toMatchObject({
+      status: 409,
+      blockers: [
+        expect.objectContaining({ code: "POSITIVE_BALANCE" }),
+        expect.objectContaining({ code: "GUARDIAN_OF_MINORS" }),
+      ],
+    })
+    expect(store.patient.full_name).toBe("Jane Doe")
+    expect(db.transactions).toEqual([])
+  })
+
+  test("is refused while an upcoming appointment is paid, so its fee is not lost", async () => {
+    store.appointments[1].paid = true
+
+    await expect(PrivacyService.erasePatient(42, { erasedBy: 1 })).rejects.toMatchObject({
+      status: 409,
+      blockers: [expect.objectContaining({ code: "PREPAID_APPOINTMENTS" })],
+    })
+    expect(store.appointments[1].status).toBe("booked")
+    expect(store.patient.anonymized_at).toBeNull()
+  })
+})
@@ -0,0 +1,252 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+jest.mock("../services/mailService")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const NotificationController = require("../controllers/notificationController")
+const MailService = require("../services/mailService")
+const PaymentService = require("../services/paymentService")
+const WaitlistService = require("../services/waitlistService")
+const ReminderService = require("../services/reminderService")
+const ReminderController = require("../controllers/reminderController")
+const { hashToken } = require("../utils/tokenUtils")
+
+const MINUTE = 60 * 1000
+
+// Reminder rules (a day before by SMS and email; clinic 1: an hour before in the app and a day before
+// by email), templates, appointments, reminders sent and reply links, kept in memory
+const useReminderStore = () => {
+  const store = {
+    rules: [
+      { clinic_id: null, offset_minutes: 1440, channels: ["sms", "email"] },
+      { clinic_id: 1, offset_minutes: 60, channels: ["in_app"] },
+      { clinic_id: 1, offset_minutes: 1440, channels: ["email"] },
+    ],
+    templates: [
+      { clinic_id: null, channel: "sms", subject: null, body: "Dr. {doctor_name}{clinic} on {date} at {time}. Cancel: {cancel_url}" },
+      { clinic_id: null, channel: "email", subject: "Appointment on {date}", body: "See you at {time}" },
+      { clinic_id: null, channel: "in_app", subject: null, body: "Appointment at {time}" },
+      { clinic_id: 1, channel: "in_app", subject: null, body: "{clinic_name} expects you. Confirm: {confirm_url}" },
+    ],
+    appointments: [],
+    reminders: [],
+    tokens: [],
+    slots: { 7: { available: false } },
+  }
+  const appointment = (id) => store.appointments.find((a) => a.id === id)
+  const byToken = (hash) =>
+    store.tokens
+      .filter((t) => t.token_hash === hash)
+      .map((t) => ({ ...appointment(t.appointment_id), used_at: t.used_at, expired: t.expires_at <= new Date(), token_id: t.id }))
+
+  db.on("SELECT clinic_id, offset_minutes, channels FROM reminder_rules", () =>
+    [...store.rules].sort((a, b) => a.offset_minutes - b.offset_minutes),
+  )
+  db.on("SELECT clinic_id, channel, subject, body FROM reminder_templates", ([clinicId, channel]) =>
+    store.templates
+      .filter((t) => t.channel === channel && (t.clinic_id === clinicId || t.clinic_id === null))
+      .sort((a, b) => (a.clinic_id === null) - (b.clinic_id === null))
+      .slice(0, 1),
+  )
+  db.on("SELECT a.id, a.patient_id, a.doctor_id, a.clinic_id, sl.start_time", ([minutes]) =>
+    store.appointments.filter(
+      (a) => a.status === "booked" && a.start_time > new Date() && a.start_time <= new Date(Date.now() + minutes * MINUTE),
+    ),
+  )
+  db.on("SELECT 1 FROM appointment_reminders WHERE appointment_id = $1", ([id, offset]) =>
+    store.reminders.filter((r) => r.appointment_id === id && r.offset_minutes <= offset),
+  )
+  db.on("INSERT INTO appointment_reply_tokens", ([appointmentId, tokenHash, expiresAt]) => {
+    store.tokens.push({ id: store.tokens.length + 1, appointment_id: appointmentId, token_hash: tokenHash, expires_at: expiresAt })
+    return { rowCount: 1 }
+  })
+  db.on("INSERT INTO appointment_reminders", ([appointmentId, offset, channel]) => {
+    const taken = store.reminders.some(
+      (r) => r.appointment_id === appointmentId && r.offset_minutes === offset && r.channel === channel,
+    )
+    if (taken) {
+      return []
+    }
+    const reminder = { id: store.reminders.length + 1, appointment_id: appointmentId, offset_minutes: offset, channel }
+    store.reminders.push(reminder)
+    return [{ id: reminder.id }]
+  })
+  db.on("UPDATE appointment_reminders", ([id, status, error]) => {
+    Object.assign(store.reminders.find((r) => r.id === id), { status, error })
+    return { rowCount: 1 }
+  })
+  db.on("SELECT t.used_at, t.expires_at <= NOW() AS expired, a.id AS appointment_id", ([hash]) =>
+    byToken(hash).map((a) => ({ ...a, appointment_id: a.id })),
+  )
+  db.on("SELECT t.id AS token_id", ([hash]) => byToken(hash))
+  db.on("UPDATE appointments SET confirmed_at = NOW()", ([id]) => {
+    appointment(id).confirmed_at = new Date()
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE appointments SET status = 'cancelled'", ([id]) => {
+    appointment(id).status = "cancelled"
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", ([id]) => {
+    store.slots[id].available = true
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE appointment_reply_tokens SET used_at = NOW()", ([id]) => {
+    const open = store.tokens.filter((t) => t.appointment_id === id && !t.used_at)
+    open.forEach((t) => {
+      t.used_at = new Date()
+    })
+    return { rowCount: open.length }
+  })
+  db.on("DELETE FROM reminder_rules", ([clinicId]) => {
+    store.rules = store.rules.filter((r) => r.clinic_id !== clinicId)
+    return { rowCount: 1 }
+  })
+  db.on("INSERT INTO reminder_rules", ([clinicId, offset, channels]) => {
+    store.rules.push({ clinic_id: clinicId, offset_minutes: offset, channels })
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+// An appointment of patient 42 with doctor House starting in the given number of minutes
+const bookIn = (store, minutes, fields = {}) => {
+  const appointment = {
+    id: 100 + store.appointments.length,
+    patient_id: 42,
+    doctor_id: 3,
+    clinic_id: 1,
+    slot_id: 7,
+    status: "booked",
+    start_time: new Date(Date.now() + minutes * MINUTE),
+    patient_name: "Jane",
+    patient_phone: "+971500000000",
+    patient_email: "jane@example.com",
+    doctor_name: "House",
+    clinic_name: "Central",
+    ...fields,
+  }
+  store.appointments.push(appointment)
+  return appointment
+}
+
+// The token of the last reply link sent in the app
+const lastReplyToken = () => {
+  const { message } = NotificationController.createNotification.mock.calls.at(-1)[0]
+  return message.match(/token=(\w+)&action=confirm/)[1]
+}
+
+describe("Appointment reminders", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    NotificationController.sendSms.mockReset().mockResolvedValue(true)
+    MailService.sendMail.mockReset().mockResolvedValue(true)
+    jest.spyOn(PaymentService, "processRefund").mockResolvedValue({ success: true })
+    jest.spyOn(WaitlistService, "offerSlot").mockResolvedValue(null)
+    store = useReminderStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("each appointment gets the nearest due reminder of its clinic, in the clinic's wording, once", async () => {
+    const soon = bookIn(store, 30)
+    const tomorrow = bookIn(store, 20 * 60, { clinic_id: 2, clinic_name: null, patient_phone: null })
+    bookIn(store, 3 * 24 * 60)
+
+    await expect(ReminderService.sendDueReminders()).resolves.toEqual({ appointments: 2, deliveries: 2 })
+
+    expect(store.reminders.map((r) => [r.appointment_id, r.offset_minutes, r.channel, r.status])).toEqual([
+      [soon.id, 60, "in_app", "sent"],
+      [tomorrow.id, 1440, "sms", "skipped"],
+      [tomorrow.id, 1440, "email", "sent"],
+    ])
+    expect(NotificationController.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 42, message: expect.stringMatching(/^Central expects you\. Confirm: /) }),
+    )
+    expect(MailService.sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "jane@example.com", subject: expect.stringMatching(/^Appointment on /) }),
+    )
+    expect(NotificationController.sendSms).not.toHaveBeenCalled()
+
+    await expect(ReminderService.sendDueReminders()).resolves.toEqual({ appointments: 0, deliveries: 0 })
+    expect(store.reminders).toHaveLength(3)
+  })
+
+  test("a delivery that fails is recorded and does not stop the other channels", async () => {
+    bookIn(store, 20 * 60, { clinic_id: 2 })
+    NotificationController.sendSms.mockResolvedValue(false)
+
+    await expect(ReminderService.sendDueReminders()).resolves.toEqual({ appointments: 1, deliveries: 1 })
+    expect(store.reminders.map((r) => [r.channel, r.status, r.error])).toEqual([
+      ["sms", "failed", "SMS could not be sent"],
+      ["email", "sent", null],
+    ])
+  })
+
+  test("the patient confirms from the link, then cancels, which refunds them and frees the slot", async () => {
+    const appointment = bookIn(store, 30)
+    await ReminderService.sendDueReminders()
+    const token = lastReplyToken()
+
+    await expect(ReminderService.getReply(token)).resolves.toMatchObject({ appointmentId: appointment.id, confirmed: false })
+    await expect(ReminderService.reply(token, "confirm")).resolves.toEqual({ appointmentId: appointment.id, status: "confirmed" })
+    expect(appointment.confirmed_at).toEqual(expect.any(Date))
+
+    await expect(ReminderService.reply(token, "cancel")).resolves.toMatchObject({ status: "cancelled" })
+    expect(appointment.status).toBe("cancelled")
+    expect(store.slots[7].available).toBe(true)
+    expect(PaymentService.processRefund).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: appointment.id }))
+    expect(WaitlistService.offerSlot).toHaveBeenCalledWith(7)
+    expect(NotificationController.createNotification).toHaveBeenLastCalledWith(expect.objectContaining({ userId: 3 }))
+    expect(db.lastTransaction()).toBe("committed")
+
+    await expect(ReminderService.reply(token, "confirm")).rejects.toMatchObject({ status: 410 })
+    await expect(ReminderService.getReply(token)).rejects.toMatchObject({ status: 410 })
+  })
+
+  test("a link is refused when unknown, expired or for an appointment no longer booked", async () => {
+    const appointment = bookIn(store, 30)
+    await ReminderService.sendDueReminders()
+    const token = lastReplyToken()
+
+    await expect(ReminderService.reply("unknown", "confirm")).rejects.toMatchObject({ status: 404 })
+
+    appointment.status = "completed"
+    await expect(ReminderService.reply(token, "cancel")).rejects.toMatchObject({ status: 409 })
+    expect(db.lastTransaction()).toBe("rolled back")
+
+    store.tokens.find((t) => t.token_hash === hashToken(token)).expires_at = new Date(Date.now() - MINUTE)
+    await expect(ReminderService.reply(token, "cancel")).rejects.toMatchObject({ status: 410 })
+    expect(PaymentService.processRefund).not.toHaveBeenCalled()
+  })
+
+  test("clinic admins change the schedule and wording of their own clinic only", async () => {
+    const call = async (handler, user, { query = {}, params = {}, body = {} }) => {
+      const res = mockResponse()
+      await ReminderController[handler](mockRequest({ user, query, params, body }), res, jest.fn())
+      return res
+    }
+    const admin = { id: 30, role: "clinic_admin", clinic_id: 2 }
+    const rules = [{ offsetMinutes: "120", channels: ["sms", "sms"] }]
+
+    expect((await call("setRules", { ...admin, clinic_id: null }, { body: { rules } })).statusCode).toBe(400)
+    expect((await call("setRules", admin, { query: { clinicId: "1" }, body: { rules } })).statusCode).toBe(403)
+    expect((await call("setRules", admin, { body: { rules: [...rules, ...rules] } })).statusCode).toBe(400)
+    const template = { params: { channel: "sms" }, body: { body: "See you {when}" } }
+    expect((await call("setTemplate", admin, template)).statusCode).toBe(400)
+
+    const saved = await call("setRules", admin, { body: { rules } })
+
+    expect(saved.statusCode).toBe(200)
+    expect(saved.body.data).toMatchObject({ rules: [{ offsetMinutes: 120, channels: ["sms"] }], usesDefaultRules: false })
+    expect(store.rules.filter((r) => r.clinic_id === 1)).toHaveLength(2)
+  })
+})
@@ -0,0 +1,103 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const SessionController = require("../controllers/sessionController")
+const { describeDevice } = require("../utils/deviceUtils")
+
+const PHONE = "6f1c2d3e-4a5b-4c6d-8e9f-0a1b2c3d4e5f"
+const LAPTOP = "1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e"
+const OTHER_USERS = "2c3d4e5f-6a7b-4c8d-9e0f-1a2b3c4d5e6f"
+
+// Signed-in devices of users 7 and 8, kept in memory
+const useSessions = () => {
+  const sessions = [
+    { id: PHONE, user_id: 7, device_name: "Chrome on Android", revoked_reason: null },
+    { id: LAPTOP, user_id: 7, device_name: "Firefox on Windows", revoked_reason: null },
+    { id: OTHER_USERS, user_id: 8, device_name: "Safari on iOS", revoked_reason: null },
+  ]
+  const active = (session) => session.revoked_reason === null
+
+  db.on("FROM user_sessions WHERE user_id = $1 AND revoked_at IS NULL", ([userId]) =>
+    sessions.filter((session) => session.user_id === userId && active(session)),
+  )
+  db.on("WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL", ([id, userId, reason]) => {
+    const session = sessions.find((s) => s.id === id && s.user_id === userId && active(s))
+    if (!session) {
+      return []
+    }
+    session.revoked_reason = reason
+    return [{ id }]
+  })
+  db.on("WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL", ([userId, reason, exceptId]) => {
+    const revoked = sessions.filter((s) => s.user_id === userId && active(s) && s.id !== exceptId)
+    revoked.forEach((session) => {
+      session.revoked_reason = reason
+    })
+    return { rowCount: revoked.length }
+  })
+  db.on("SELECT id FROM users WHERE id = $1", ([id]) => (id === 7 || id === 8 ? [{ id }] : []))
+
+  return sessions
+}
+
+const call = async (handler, request) => {
+  const res = mockResponse()
+  await handler(mockRequest(request), res)
+  return res
+}
+
+describe("SessionController", () => {
+  let sessions
+
+  beforeEach(() => {
+    db.reset()
+    sessions = useSessions()
+  })
+
+  test("lists the user's own devices and marks the one making the request", async () => {
+    const res = await call(SessionController.getMySessions, { user: { id: 7, sessionId: LAPTOP } })
+
+    expect(res.body.data.map(({ id, current }) => [id, current])).toEqual([
+      [PHONE, false],
+      [LAPTOP, true],
+    ])
+  })
+
+  test("signs out one of the user's devices, but not another user's", async () => {
+    const own = await call(SessionController.revokeMySession, { user: { id: 7 }, params: { sessionId: PHONE } })
+    const foreign = await call(SessionController.revokeMySession, { user: { id: 7 }, params: { sessionId: OTHER_USERS } })
+
+    expect(own.statusCode).toBe(200)
+    expect(foreign.statusCode).toBe(404)
+    expect(sessions.map((session) => session.revoked_reason)).toEqual(["user_revoked", null, null])
+  })
+
+  test("signs out every other device and keeps the current one", async () => {
+    const res = await call(SessionController.revokeMyOtherSessions, { user: { id: 7, sessionId: LAPTOP } })
+
+    expect(res.body.revoked).toBe(1)
+    expect(sessions.map((session) => session.revoked_reason)).toEqual(["user_revoked_others", null, null])
+  })
+
+  test("an admin can end all sessions of a user, e.g. after a stolen phone", async () => {
+    const res = await call(SessionController.revokeAllUserSessions, { user: { id: 1 }, params: { id: "8" } })
+
+    expect(res.body.revoked).toBe(1)
+    expect(sessions[2].revoked_reason).toBe("admin_revoked")
+    expect((await call(SessionController.getUserSessions, { user: { id: 1 }, params: { id: "9" } })).statusCode).toBe(404)
+  })
+})
+
+describe("describeDevice", () => {
+  test("names the browser and system of common user agents", () => {
+    expect(
+      describeDevice("Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/126.0 Mobile Safari/537.36"),
+    ).toBe("Chrome on Android")
+    expect(describeDevice("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Safari/604.1")).toBe(
+      "Safari on iOS",
+    )
+    expect(describeDevice(null)).toBe("Unknown device")
+  })
+})
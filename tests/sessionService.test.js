@@ -0,0 +1,104 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const jwt = require("jsonwebtoken")
+const db = require("./helpers/database")
+const SessionService = require("../services/sessionService")
+
+process.env.JWT_SECRET = "test-access-secret"
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret"
+
+// Sessions and refresh tokens kept in memory, answering the statements of the session service
+const useSessionStore = () => {
+  const sessions = new Map()
+  const tokens = []
+
+  db.on("INSERT INTO user_sessions", ([id, userId]) => {
+    sessions.set(id, { id, user_id: userId, revoked_at: null, revoked_reason: null, mfa_verified: false })
+    return { rowCount: 1 }
+  })
+  db.on("INSERT INTO refresh_tokens", ([sessionId, userId, tokenHash]) => {
+    const token = { id: tokens.length + 1, session_id: sessionId, user_id: userId, token_hash: tokenHash, used_at: null }
+    token.expires_at = new Date(Date.now() + 60 * 60 * 1000)
+    tokens.push(token)
+    return [{ id: token.id }]
+  })
+  db.on("FROM refresh_tokens rt", ([tokenHash]) =>
+    tokens
+      .filter((token) => token.token_hash === tokenHash)
+      .map((token) => {
+        const session = sessions.get(token.session_id)
+        return { ...token, session_revoked_at: session.revoked_at, mfa_verified: session.mfa_verified }
+      }),
+  )
+  db.on("SELECT session_id FROM refresh_tokens", ([tokenHash]) => tokens.filter((token) => token.token_hash === tokenHash))
+  db.on("UPDATE refresh_tokens SET used_at = NOW(), replaced_by", ([, id]) => {
+    tokens.find((token) => token.id === id).used_at = new Date()
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE user_sessions SET revoked_at", ([id, reason]) => {
+    const session = sessions.get(id)
+    if (!session || session.revoked_at) {
+      return []
+    }
+    Object.assign(session, { revoked_at: new Date(), revoked_reason: reason })
+    return [{ id }]
+  })
+
+  return { sessions, tokens }
+}
+
+describe("SessionService refresh tokens", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useSessionStore()
+  })
+
+  test("a refresh token is exchanged once for a new pair in the same session", async () => {
+    const { refreshToken, sessionId } = await SessionService.createSession(7)
+
+    const next = await SessionService.rotateRefreshToken(refreshToken)
+
+    expect(next).toMatchObject({ sessionId, userId: 7 })
+    expect(next.refreshToken).not.toBe(refreshToken)
+    expect(jwt.verify(next.accessToken, process.env.JWT_SECRET)).toMatchObject({ userId: 7, sid: sessionId })
+    await expect(SessionService.rotateRefreshToken(next.refreshToken)).resolves.toMatchObject({ sessionId })
+  })
+
+  test("reusing a rotated token revokes the session, so the thief's newer token dies with it", async () => {
+    const { refreshToken, sessionId } = await SessionService.createSession(7)
+    const next = await SessionService.rotateRefreshToken(refreshToken)
+
+    await expect(SessionService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      name: "RefreshTokenError",
+      reason: "reuse",
+    })
+
+    expect(store.sessions.get(sessionId).revoked_reason).toBe("token_reuse")
+    expect(db.lastTransaction()).toBe("committed")
+    await expect(SessionService.rotateRefreshToken(next.refreshToken)).rejects.toMatchObject({ reason: "revoked" })
+  })
+
+  test("logging out revokes the session of the token", async () => {
+    const { refreshToken, sessionId } = await SessionService.createSession(7)
+
+    await expect(SessionService.revokeByRefreshToken(refreshToken)).resolves.toBe(true)
+
+    expect(store.sessions.get(sessionId).revoked_reason).toBe("logout")
+    await expect(SessionService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ reason: "revoked" })
+  })
+
+  test("unknown, expired and badly signed tokens are refused", async () => {
+    const { refreshToken } = await SessionService.createSession(7)
+    const unknown = jwt.sign({ userId: 7, sid: "another" }, process.env.JWT_REFRESH_SECRET)
+    const forged = jwt.sign({ userId: 7, sid: "another" }, "another-secret")
+
+    await expect(SessionService.rotateRefreshToken(unknown)).rejects.toMatchObject({ reason: "unknown" })
+    await expect(SessionService.rotateRefreshToken(forged)).rejects.toMatchObject({ reason: "invalid" })
+
+    store.tokens[0].expires_at = new Date(Date.now() - 1000)
+    await expect(SessionService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ reason: "expired" })
+  })
+})
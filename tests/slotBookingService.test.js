@@ -0,0 +1,218 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+
+const db = require("./helpers/database")
+const { useSlots } = require("./helpers/slots")
+const SlotBookingService = require("../services/slotBookingService")
+const PrivacyService = require("../services/privacyService")
+
+const START = new Date(2030, 0, 15, 9, 0)
+const END = new Date(2030, 0, 15, 9, 30)
+const PAST = new Date(Date.now() - 60 * 1000)
+
+// Doctor 5 with a free morning on 15 January 2030 and a booking on the 16th, and the holds placed on
+// their slots, kept in memory
+const useHoldStore = () => {
+  const slots = useSlots(db, [
+    { id: 1, doctor_id: 5, clinic_id: 1, start: "2030-01-15 08:00:00", end: "2030-01-15 12:00:00" },
+    { id: 2, doctor_id: 5, clinic_id: 1, start: "2030-01-16 09:00:00", end: "2030-01-16 09:30:00", available: false },
+  ])
+  const store = { slots, holds: [] }
+  const close = (holds, status) =>
+    holds.map((hold) => {
+      hold.status = status
+      return { slot_id: hold.slot_id, created_slot: hold.created_slot }
+    })
+
+  db.on("UPDATE slot_holds SET status = 'expired'", ([doctorId]) =>
+    close(
+      store.holds.filter(
+        (h) => h.status === "active" && h.expires_at <= new Date() && (doctorId === null || h.doctor_id === doctorId),
+      ),
+      "expired",
+    ),
+  )
+  db.on("UPDATE slot_holds SET status = $2", ([id, status]) =>
+    close(
+      store.holds.filter((h) => h.id === id && h.status === "active"),
+      status,
+    ),
+  )
+  db.on("UPDATE slot_holds SET status = 'released', closed_at = NOW() WHERE patient_id = $1", ([patientId]) =>
+    close(
+      store.holds.filter((h) => h.patient_id === patientId && h.status === "active"),
+      "released",
+    ),
+  )
+  db.on("UPDATE slot_holds SET status = 'booked'", ([id]) => close(store.holds.filter((h) => h.id === id), "booked"))
+  db.on("SELECT id FROM slot_holds WHERE patient_id = $1 AND held_by = $2", ([patientId, heldBy]) =>
+    store.holds.filter((h) => h.patient_id === patientId && h.held_by === heldBy && h.status === "active"),
+  )
+  db.on("SELECT id FROM slot_holds WHERE id = $1 AND (patient_id = $2 OR held_by = $3)", ([id, patientId, userId]) =>
+    store.holds.filter((h) => h.id === id && (h.patient_id === patientId || h.held_by === userId) && h.status === "active"),
+  )
+  db.on("INSERT INTO slot_holds", (params) => {
+    const [slotId, patientId, doctorId, clinicId, type, minutes, start, heldBy, created] = params
+    const hold = { id: store.holds.length + 1, slot_id: slotId, patient_id: patientId, doctor_id: doctorId, clinic_id: clinicId }
+    Object.assign(hold, { type, held_by: heldBy, created_slot: created, status: "active" })
+    hold.expires_at = new Date(Math.min(Date.now() + minutes * 60 * 1000, new Date(start.replace(" ", "T"))))
+    store.holds.push(hold)
+    return [hold]
+  })
+  db.on("SELECT h.*, s.start_time, s.end_time FROM slot_holds h", ([id, patientId, doctorId, type, clinicId]) =>
+    store.holds.filter(
+      (h) =>
+        h.id === id &&
+        h.patient_id === patientId &&
+        h.doctor_id === doctorId &&
+        h.type === type &&
+        h.clinic_id === clinicId &&
+        h.status === "active" &&
+        h.expires_at > new Date(),
+    ),
+  )
+
+  return store
+}
+
+const visit = (start = START, end = END) => ({ doctorId: 5, clinicId: 1, type: "in-person", start, end })
+
+describe("Slot reservation", () => {
+  let store
+  let client
+
+  beforeEach(async () => {
+    db.reset()
+    store = useHoldStore()
+    client = await db.pool.connect()
+  })
+
+  test("takes the published free slot covering the time, or makes a taken one", async () => {
+    await expect(SlotBookingService.reserveSlot(client, visit())).resolves.toBe(1)
+    expect(store.slots.byId(1).available).toBe(false)
+
+    const slotId = await SlotBookingService.reserveSlot(client, visit(new Date(2030, 0, 17, 9), new Date(2030, 0, 17, 9, 30)))
+
+    expect(store.slots.byId(slotId)).toMatchObject({ doctor_id: 5, start: "2030-01-17 09:00:00", available: false })
+  })
+
+  test("refuses a time overlapping a booking, unless it is the one being moved", async () => {
+    const moved = visit(new Date(2030, 0, 16, 9, 15), new Date(2030, 0, 16, 9, 45))
+
+    await expect(SlotBookingService.reserveSlot(client, moved)).rejects.toMatchObject({
+      name: "SlotError",
+      status: 409,
+      code: "SLOT_TAKEN",
+    })
+    expect(store.slots.slots).toHaveLength(2)
+
+    await expect(SlotBookingService.reserveSlot(client, { ...moved, ignoreSlotIds: [2] })).resolves.toBeGreaterThan(2)
+  })
+})
+
+describe("Slot holds", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    store = useHoldStore()
+  })
+
+  test("keep the time from other patients until they run out", async () => {
+    const hold = await SlotBookingService.hold(42, visit(), 42)
+
+    expect(hold).toMatchObject({ slot_id: 1, patient_id: 42, created_slot: false, start_time: START })
+    await expect(SlotBookingService.hold(43, visit(), 43)).rejects.toMatchObject({ code: "SLOT_TAKEN" })
+    expect(db.lastTransaction()).toBe("rolled back")
+
+    store.holds[0].expires_at = PAST
+    await expect(SlotBookingService.hold(43, visit(), 43)).resolves.toMatchObject({ slot_id: 1, patient_id: 43 })
+    expect(store.holds.map((h) => h.status)).toEqual(["expired", "active"])
+  })
+
+  test("a new hold replaces the holder's previous one, never one placed by someone else", async () => {
+    const tuesday = visit(new Date(2030, 0, 22, 9), new Date(2030, 0, 22, 9, 30))
+    const byStaff = await SlotBookingService.hold(42, tuesday, 8)
+    const first = await SlotBookingService.hold(42, visit(new Date(2030, 0, 17, 9), new Date(2030, 0, 17, 9, 30)), 42)
+    await SlotBookingService.hold(42, visit(), 42)
+
+    expect(store.holds.map((h) => [h.held_by, h.status])).toEqual([
+      [8, "active"],
+      [42, "released"],
+      [42, "active"],
+    ])
+    // The slot made for the released hold is gone rather than published as availability
+    expect(store.slots.byId(first.slot_id)).toBeUndefined()
+    expect(store.slots.byId(byStaff.slot_id).available).toBe(false)
+  })
+
+  test("are released by their patient or whoever placed them, freeing the slot", async () => {
+    const hold = await SlotBookingService.hold(42, visit(), 8)
+
+    await expect(SlotBookingService.release(hold.id, { patientId: 43, userId: 43 })).resolves.toBe(false)
+    expect(store.slots.byId(1).available).toBe(false)
+
+    await expect(SlotBookingService.release(hold.id, { patientId: 42, userId: 42 })).resolves.toBe(true)
+    expect(store.slots.byId(1).available).toBe(true)
+    await expect(SlotBookingService.release(hold.id, { patientId: 42, userId: 42 })).resolves.toBe(false)
+  })
+
+  test("the expiry job frees the slots of holds that ran out", async () => {
+    await SlotBookingService.hold(42, visit(), 42)
+    const made = await SlotBookingService.hold(43, visit(new Date(2030, 0, 17, 9), new Date(2030, 0, 17, 9, 30)), 43)
+    await SlotBookingService.hold(44, visit(new Date(2030, 0, 18, 9), new Date(2030, 0, 18, 9, 30)), 44)
+    store.holds[0].expires_at = PAST
+    store.holds[1].expires_at = PAST
+
+    await expect(SlotBookingService.releaseExpired()).resolves.toEqual({ expired: 2 })
+
+    expect(store.slots.byId(1).available).toBe(true)
+    expect(store.slots.byId(made.slot_id)).toBeUndefined()
+    expect(store.holds.map((h) => h.status)).toEqual(["expired", "expired", "active"])
+  })
+
+  test("are turned into the booking they were placed for, while they last", async () => {
+    const client = await db.pool.connect()
+    const hold = await SlotBookingService.hold(42, visit(), 42)
+    const booking = { patientId: 42, doctorId: 5, type: "in-person", clinicId: 1 }
+
+    await expect(SlotBookingService.consumeHold(client, hold.id, { ...booking, type: "telemedicine" })).rejects.toMatchObject({
+      status: 409,
+      code: "HOLD_INVALID",
+    })
+    await expect(SlotBookingService.consumeHold(client, hold.id, booking)).resolves.toMatchObject({ slot_id: 1 })
+    expect(store.holds[0].status).toBe("booked")
+    expect(store.slots.byId(1).available).toBe(false)
+
+    const late = await SlotBookingService.hold(43, visit(new Date(2030, 0, 17, 9), new Date(2030, 0, 17, 9, 30)), 43)
+    store.holds[1].expires_at = PAST
+    await expect(SlotBookingService.consumeHold(client, late.id, { ...booking, patientId: 43 })).rejects.toMatchObject({
+      code: "HOLD_INVALID",
+    })
+  })
+
+  test("refuse a time in the past", async () => {
+    await expect(SlotBookingService.hold(42, visit(new Date(2000, 0, 1), END), 42)).rejects.toMatchObject({ status: 400 })
+    expect(db.transactions).toEqual([])
+  })
+})
+
+describe("Erasing a patient", () => {
+  test("releases their holds, and only theirs", async () => {
+    db.reset()
+    const store = useHoldStore()
+    db.on("SELECT anonymized_at FROM users WHERE id = $1", [{ anonymized_at: null }])
+    const made = await SlotBookingService.hold(42, visit(new Date(2030, 0, 17, 9), new Date(2030, 0, 17, 9, 30)), 8)
+    await SlotBookingService.hold(43, visit(), 43)
+
+    await PrivacyService.erasePatient(42, { erasedBy: 1 })
+
+    expect(store.holds.map((h) => [h.patient_id, h.status])).toEqual([
+      [42, "released"],
+      [43, "active"],
+    ])
+    expect(store.slots.byId(made.slot_id)).toBeUndefined()
+    expect(store.slots.byId(1).available).toBe(false)
+    expect(db.lastTransaction()).toBe("committed")
+  })
+})
@@ -0,0 +1,59 @@
+const totp = require("../utils/totp")
+
+// RFC 6238 appendix B test secret ("12345678901234567890" in base32)
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+const stepAt = (seconds) => Math.floor(seconds / 30)
+
+describe("totp", () => {
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test("base32 round-trips bytes and ignores case and padding", () => {
+    const bytes = Buffer.from("12345678901234567890")
+    expect(totp.base32Encode(bytes)).toBe(RFC_SECRET)
+    expect(totp.base32Decode(`${RFC_SECRET.toLowerCase()}====`)).toEqual(bytes)
+    expect(() => totp.base32Decode("not-base32!")).toThrow("Invalid base32 secret")
+  })
+
+  test("generates the RFC 6238 SHA-1 codes (last 6 digits)", () => {
+    expect(totp.generateCode(RFC_SECRET, stepAt(59))).toBe("287082")
+    expect(totp.generateCode(RFC_SECRET, stepAt(1111111109))).toBe("081804")
+    expect(totp.generateCode(RFC_SECRET, stepAt(1234567890))).toBe("005924")
+    expect(totp.generateCode(RFC_SECRET, stepAt(2000000000))).toBe("279037")
+  })
+
+  test("generated secrets are 160 bits", () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20)
+  })
+
+  test("verifyCode returns the matching step within one step of clock drift", () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 })
+    const step = stepAt(1111111109)
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step))).toBe(step)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1)
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull()
+  })
+
+  test("verifyCode accepts spaces and rejects malformed codes", () => {
+    jest.useFakeTimers({ now: 59 * 1000 })
+
+    expect(totp.verifyCode(RFC_SECRET, "287 082")).toBe(1)
+    expect(totp.verifyCode(RFC_SECRET, "28708")).toBeNull()
+    expect(totp.verifyCode(RFC_SECRET, "abcdef")).toBeNull()
+    expect(totp.verifyCode(RFC_SECRET, null)).toBeNull()
+  })
+
+  test("buildOtpauthUri describes the secret for authenticator apps", () => {
+    const uri = new URL(totp.buildOtpauthUri({ secret: RFC_SECRET, account: "jane@example.com" }))
+
+    expect(uri.protocol).toBe("otpauth:")
+    expect(uri.host).toBe("totp")
+    expect(decodeURIComponent(uri.pathname)).toBe("/SehhaPro:jane@example.com")
+    expect(uri.searchParams.get("secret")).toBe(RFC_SECRET)
+    expect(uri.searchParams.get("digits")).toBe("6")
+    expect(uri.searchParams.get("period")).toBe("30")
+  })
+})
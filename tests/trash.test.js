@@ -0,0 +1,205 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/privacyService")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const PrivacyService = require("../services/privacyService")
+const PermissionService = require("../services/permissionService")
+const TrashService = require("../services/trashService")
+const TrashController = require("../controllers/trashController")
+const UserController = require("../controllers/userController")
+
+const DAY = 24 * 60 * 60 * 1000
+const daysAgo = (days) => new Date(Date.now() - days * DAY)
+
+// Clinics 1 and 2, their records and users, kept in memory. Rows name the clinic they belong to
+// in `clinic` (the parent clinic for a branch).
+const useTrashStore = () => {
+  const store = {
+    clinics: [
+      { id: 1, clinic: null, deleted_at: null },
+      { id: 2, clinic: 1, deleted_at: null },
+    ],
+    medical_records: [
+      { id: 1, clinic: 1, deleted_at: null },
+      { id: 2, clinic: 2, deleted_at: null },
+    ],
+    prescriptions: [],
+    users: [
+      { id: 20, role: "nurse", clinic: 1, deleted_at: null, anonymized_at: null },
+      { id: 42, role: "patient", clinic: 1, deleted_at: null, anonymized_at: null },
+    ],
+    doctor_clinics: [],
+    user_sessions: [{ user_id: 20, revoked: false }],
+  }
+  const inClinic = (row, clinicId) => clinicId === null || row.clinic === clinicId
+  const inTrash = (row) => row.deleted_at !== null && !row.anonymized_at
+
+  db.on("SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL", ([id, deletedBy], sql) => {
+    const row = store[sql.match(/UPDATE (\w+) SET/)[1]].find((r) => r.id === id && r.deleted_at === null)
+    if (row) {
+      Object.assign(row, { deleted_at: new Date(), deleted_by: deletedBy })
+    }
+    return { rowCount: row ? 1 : 0 }
+  })
+  db.on("SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL", ([id]) =>
+    store.users.filter((user) => user.id === id && user.deleted_at === null),
+  )
+  db.on("UPDATE user_sessions SET revoked_at = NOW()", ([userId]) => {
+    const active = store.user_sessions.filter((session) => session.user_id === userId && !session.revoked)
+    active.forEach((session) => {
+      session.revoked = true
+    })
+    return { rowCount: active.length }
+  })
+  db.on("WITH target AS", ([id, clinicId], sql) => {
+    const rows = store[sql.match(/FROM (\w+) t WHERE t.id = \$1/)[1]]
+    const target = rows.find((row) => row.id === id && inTrash(row) && inClinic(row, clinicId))
+    if (!target) {
+      return { rowCount: 0 }
+    }
+    // Branches deleted along with a clinic come back with it
+    const restored = rows.filter(
+      (row) =>
+        row === target ||
+        (sql.includes("t.parent_id = target.id") && row.clinic === target.id && row.deleted_at === target.deleted_at),
+    )
+    restored.forEach((row) => {
+      row.deleted_at = null
+    })
+    return { rowCount: restored.length }
+  })
+  db.on("WHERE t.deleted_at < NOW() - make_interval(days => $1)", ([days], sql) =>
+    store[sql.match(/SELECT t.id FROM (\w+) t/)[1]].filter((row) => inTrash(row) && row.deleted_at < daysAgo(days)),
+  )
+  db.on("SELECT r.name AS role FROM users u", ([id]) => store.users.filter((user) => user.id === id))
+  db.on("DELETE FROM", (params, sql) => {
+    const [, table, column] = sql.match(/DELETE FROM (\w+) WHERE (\w+) = \$1/)
+    const kept = (store[table] || []).filter((row) => row[column] !== params[0])
+    const rowCount = (store[table] || []).length - kept.length
+    store[table] = kept
+    return { rowCount }
+  })
+
+  return store
+}
+
+const platformAdmin = { id: 1, role: "platform_admin" }
+const clinicAdmin = { id: 30, role: "clinic_admin", clinic_id: 1 }
+
+// Restores an item through the controller and returns the response status
+const restoreAs = async (user, type, id, query = {}) => {
+  const res = mockResponse()
+  await TrashController.restoreItem(mockRequest({ user, params: { type, id: String(id) }, query }), res, jest.fn())
+  return res.statusCode
+}
+
+describe("Trash", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    PrivacyService.erasePatient.mockReset().mockResolvedValue()
+    jest.spyOn(PermissionService, "hasAny").mockImplementation(async (user) => user.role === "platform_admin")
+    store = useTrashStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("a deleted user is signed out and stays in the trash until restored", async () => {
+    const res = mockResponse()
+    await UserController.deleteUser(mockRequest({ user: platformAdmin, params: { id: "20" } }), res)
+
+    expect(res.body.success).toBe(true)
+    expect(store.users[0]).toMatchObject({ deleted_by: 1, deleted_at: expect.any(Date) })
+    expect(store.user_sessions[0].revoked).toBe(true)
+    expect(db.lastTransaction()).toBe("committed")
+
+    const again = mockResponse()
+    await UserController.deleteUser(mockRequest({ user: platformAdmin, params: { id: "20" } }), again)
+    expect(again.statusCode).toBe(404)
+
+    expect(await restoreAs(platformAdmin, "user", 20)).toBe(200)
+    expect(store.users[0].deleted_at).toBeNull()
+  })
+
+  test("clinic admins restore only what belongs to their active clinic", async () => {
+    await TrashService.softDelete("medical_record", 1, 30)
+    await TrashService.softDelete("medical_record", 2, 30)
+    await TrashService.softDelete("user", 20, 30)
+
+    expect(await restoreAs(clinicAdmin, "medical_record", 2)).toBe(404)
+    expect(await restoreAs(clinicAdmin, "medical_record", 1, { clinicId: "2" })).toBe(403)
+    expect(await restoreAs({ ...clinicAdmin, clinic_id: null }, "medical_record", 1)).toBe(400)
+    expect(await restoreAs(clinicAdmin, "user", 20)).toBe(403)
+    expect(await restoreAs(clinicAdmin, "medical_record", 1)).toBe(200)
+
+    expect(store.medical_records.map((record) => record.deleted_at === null)).toEqual([true, false])
+    expect(store.users[0].deleted_at).not.toBeNull()
+  })
+
+  test("restoring a clinic brings back the branches deleted along with it", async () => {
+    const deletedAt = daysAgo(1)
+    store.clinics.push({ id: 3, clinic: 1, deleted_at: daysAgo(5) })
+    Object.assign(store.clinics[0], { deleted_at: deletedAt })
+    Object.assign(store.clinics[1], { deleted_at: deletedAt })
+
+    expect(await restoreAs(platformAdmin, "clinic", 1)).toBe(200)
+    expect(store.clinics.map((clinic) => clinic.deleted_at === null)).toEqual([true, true, false])
+  })
+
+  test("the purge removes what outlived the retention period, and anonymizes patients instead", async () => {
+    store.medical_records[0].deleted_at = daysAgo(TrashService.TRASH_RETENTION_DAYS + 1)
+    store.medical_records[1].deleted_at = daysAgo(1)
+    store.users[0].deleted_at = daysAgo(TrashService.TRASH_RETENTION_DAYS + 1)
+    store.users[1].deleted_at = daysAgo(TrashService.TRASH_RETENTION_DAYS + 1)
+    store.clinics[1].deleted_at = daysAgo(TrashService.TRASH_RETENTION_DAYS + 1)
+    store.doctor_clinics.push({ doctor_id: 3, clinic_id: 2 }, { doctor_id: 3, clinic_id: 1 })
+
+    await expect(TrashService.purgeExpired()).resolves.toEqual({ medical_record: 1, prescription: 0, clinic: 1, user: 2 })
+
+    expect(store.medical_records.map((record) => record.id)).toEqual([2])
+    expect(store.clinics.map((clinic) => clinic.id)).toEqual([1])
+    expect(store.doctor_clinics).toEqual([{ doctor_id: 3, clinic_id: 1 }])
+    expect(store.users.map((user) => user.id)).toEqual([42])
+    expect(PrivacyService.erasePatient).toHaveBeenCalledWith(42, expect.objectContaining({ erasedBy: null }))
+  })
+
+  test("an item that cannot be purged yet stays and does not stop the others", async () => {
+    store.users.forEach((user) => {
+      user.deleted_at = daysAgo(TrashService.TRASH_RETENTION_DAYS + 1)
+    })
+    PrivacyService.erasePatient.mockRejectedValue(new Error("The account cannot be erased yet"))
+
+    await expect(TrashService.purgeExpired()).resolves.toMatchObject({ user: 1 })
+    expect(store.users.map((user) => user.id)).toEqual([42])
+  })
+})
+
+describe("Platform stats", () => {
+  test("leave out users and clinics in the trash", async () => {
+    db.reset()
+    const users = [{ role: "doctor" }, { role: "doctor", deleted: true }, { role: "patient" }]
+    const clinics = [{}, { deleted: true }]
+    // Rows the statement counts, without the trashed ones when it filters them out
+    const counted = (rows, sql) => (sql.includes("deleted_at IS NULL") ? rows.filter((row) => !row.deleted) : rows)
+    db.on("SELECT COUNT(*) as count FROM users", (params, sql) => [{ count: String(counted(users, sql).length) }])
+    db.on("SELECT COUNT(*) as count FROM clinics", (params, sql) => [{ count: String(counted(clinics, sql).length) }])
+    db.on("SELECT r.name as role, COUNT(*) as count", (params, sql) =>
+      ["doctor", "patient"].map((role) => ({
+        role,
+        count: String(counted(users, sql).filter((user) => user.role === role).length),
+      })),
+    )
+    const router = require("../routes/dashboard")
+    const route = router.stack.find((layer) => layer.route && layer.route.path === "/platform-admin/stats").route
+    const res = mockResponse()
+
+    await route.stack[route.stack.length - 1].handle(mockRequest({ user: platformAdmin }), res)
+
+    expect(res.body.data).toMatchObject({ totalUsers: 2, totalClinics: 1, totalDoctors: 1, totalPatients: 1 })
+  })
+})
@@ -0,0 +1,181 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../services/mailService")
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const { mockRequest, mockResponse } = require("./helpers/http")
+const MailService = require("../services/mailService")
+const NotificationController = require("../controllers/notificationController")
+const VerificationService = require("../services/verificationService")
+const UserController = require("../controllers/userController")
+const { requireVerified } = require("../middleware/auth")
+
+process.env.FRONTEND_URL = "https://app.example.com"
+
+// One user and their verification codes, kept in memory
+const useVerificationStore = () => {
+  const user = { id: 7, full_name: "Jane Doe", email: "jane@example.com", phone: "+213555000111" }
+  Object.assign(user, { email_verified_at: null, phone_verified_at: null })
+  const codes = []
+
+  const channelOf = (sql) => (sql.includes("'phone'") ? "phone" : "email")
+
+  db.on("UPDATE verification_codes SET consumed_at = NOW() WHERE user_id", (params, sql) => {
+    codes.filter((c) => c.channel === channelOf(sql)).forEach((c) => {
+      c.consumed = true
+    })
+    return { rowCount: 0 }
+  })
+  db.on("INSERT INTO verification_codes", ([userId, target, codeHash], sql) => {
+    codes.push({
+      id: codes.length + 1,
+      user_id: userId,
+      channel: channelOf(sql),
+      target,
+      code_hash: codeHash,
+      attempts: 0,
+      consumed: false,
+    })
+    return { rowCount: 1 }
+  })
+  db.on("WHERE code_hash = $1 AND channel = 'email'", ([codeHash]) => {
+    const code = codes.find((c) => c.channel === "email" && c.code_hash === codeHash && !c.consumed)
+    if (!code) {
+      return []
+    }
+    code.consumed = true
+    return [{ user_id: code.user_id, target: code.target }]
+  })
+  db.on("UPDATE users SET email_verified_at = NOW()", ([, email]) => {
+    if (email !== user.email) {
+      return []
+    }
+    user.email_verified_at = new Date()
+    return [{ id: user.id }]
+  })
+  db.on("FROM verification_codes WHERE user_id = $1 AND channel = 'phone'", () =>
+    codes.filter((c) => c.channel === "phone" && !c.consumed).slice(-1),
+  )
+  db.on("SET attempts = attempts + 1", ([id]) => {
+    codes.find((c) => c.id === id).attempts += 1
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE verification_codes SET consumed_at = NOW() WHERE id = $1", ([id]) => {
+    codes.find((c) => c.id === id).consumed = true
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE users SET phone_verified_at = NOW()", ([, phone]) => {
+    if (phone !== user.phone) {
+      return []
+    }
+    user.phone_verified_at = new Date()
+    return [{ id: user.id }]
+  })
+
+  return { user, codes }
+}
+
+const mailedToken = () => {
+  const { verifyUrl } = MailService.sendEmailVerificationEmail.mock.calls.at(-1)[0]
+  return new URL(verifyUrl).searchParams.get("token")
+}
+
+beforeEach(() => {
+  db.reset()
+  MailService.sendEmailVerificationEmail.mockReset().mockResolvedValue(true)
+  NotificationController.sendSms.mockReset().mockResolvedValue(true)
+  NotificationController.isSmsEnabled.mockReturnValue(true)
+})
+
+describe("VerificationService", () => {
+  test("an emailed link confirms the address it was sent to, once", async () => {
+    const { user } = useVerificationStore()
+
+    await VerificationService.sendEmailVerification(user)
+    const token = mailedToken()
+
+    await expect(VerificationService.verifyEmailToken(token)).resolves.toBe(7)
+    expect(user.email_verified_at).not.toBeNull()
+    await expect(VerificationService.verifyEmailToken(token)).resolves.toBeNull()
+  })
+
+  test("a link sent to an address the user has since changed confirms nothing", async () => {
+    const { user } = useVerificationStore()
+    await VerificationService.sendEmailVerification(user)
+    user.email = "new@example.com"
+
+    await expect(VerificationService.verifyEmailToken(mailedToken())).resolves.toBeNull()
+    expect(user.email_verified_at).toBeNull()
+  })
+
+  test("the phone code is accepted once and stops working after too many wrong tries", async () => {
+    const { user } = useVerificationStore()
+
+    await VerificationService.sendPhoneOtp(user)
+    const code = NotificationController.sendSms.mock.calls[0][0].body.match(/\d{6}/)[0]
+    await expect(VerificationService.verifyPhoneOtp(7, code)).resolves.toBe(true)
+    expect(user.phone_verified_at).not.toBeNull()
+
+    await VerificationService.sendPhoneOtp(user)
+    const next = NotificationController.sendSms.mock.calls[1][0].body.match(/\d{6}/)[0]
+    const wrong = next === "000000" ? "111111" : "000000"
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(VerificationService.verifyPhoneOtp(7, wrong)).resolves.toBe(false)
+    }
+    await expect(VerificationService.verifyPhoneOtp(7, next)).resolves.toBe(false)
+  })
+
+  test("a user is verified with a confirmed email and, when SMS works, a confirmed phone", () => {
+    const user = { email_verified_at: new Date(), phone: "+213555000111", phone_verified_at: null }
+
+    expect(VerificationService.isVerified(user)).toBe(false)
+    expect(VerificationService.isVerified({ ...user, phone_verified_at: new Date() })).toBe(true)
+    expect(VerificationService.isVerified({ ...user, email_verified_at: null, phone: null })).toBe(false)
+
+    NotificationController.isSmsEnabled.mockReturnValue(false)
+    expect(VerificationService.isVerified(user)).toBe(true)
+  })
+})
+
+describe("requireVerified", () => {
+  test("blocks unverified patients and lets everyone else through", () => {
+    const next = jest.fn()
+    const blocked = mockResponse()
+
+    requireVerified(mockRequest({ user: { id: 7, role: "patient", verified: false } }), blocked, next)
+    requireVerified(mockRequest({ user: { id: 7, role: "patient", verified: true } }), mockResponse(), next)
+    requireVerified(mockRequest({ user: { id: 3, role: "doctor", verified: false } }), mockResponse(), next)
+
+    expect(blocked.statusCode).toBe(403)
+    expect(blocked.body.code).toBe("ACCOUNT_NOT_VERIFIED")
+    expect(next).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe("UserController.updateProfile", () => {
+  test("sends a verification link to a new email address", async () => {
+    const { user } = useVerificationStore()
+    db.on("SELECT email, phone FROM users WHERE id = $1", () => [{ email: user.email, phone: user.phone }])
+    db.on("UPDATE users SET full_name", ([, email]) => {
+      user.email = email || user.email
+      return [{ ...user, role: "patient" }]
+    })
+
+    await UserController.updateProfile(mockRequest({ user: { id: 7 }, body: { email: "new@example.com" } }), mockResponse())
+
+    expect(MailService.sendEmailVerificationEmail).toHaveBeenCalledWith(expect.objectContaining({ to: "new@example.com" }))
+    await expect(VerificationService.verifyEmailToken(mailedToken())).resolves.toBe(7)
+    expect(NotificationController.sendSms).not.toHaveBeenCalled()
+  })
+
+  test("sends nothing when the address is unchanged", async () => {
+    const { user } = useVerificationStore()
+    db.on("SELECT email, phone FROM users WHERE id = $1", () => [{ email: user.email, phone: user.phone }])
+    db.on("UPDATE users SET full_name", () => [{ ...user, role: "patient" }])
+
+    await UserController.updateProfile(mockRequest({ user: { id: 7 }, body: { name: "Jane D." } }), mockResponse())
+
+    expect(MailService.sendEmailVerificationEmail).not.toHaveBeenCalled()
+  })
+})
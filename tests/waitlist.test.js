@@ -0,0 +1,221 @@
+jest.mock("../config/database", () => require("./helpers/database"))
+jest.mock("../middleware/logger", () => require("./helpers/logger"))
+jest.mock("../controllers/notificationController")
+
+const db = require("./helpers/database")
+const NotificationController = require("../controllers/notificationController")
+const PaymentService = require("../services/paymentService")
+const WaitlistService = require("../services/waitlistService")
+const PrivacyService = require("../services/privacyService")
+
+// Slot 5 of doctor 3 at clinic 1, patients 42 then 43 waiting for it, offers and bookings, kept in memory
+const useWaitlistStore = () => {
+  const store = {
+    slots: { 5: { id: 5, doctor_id: 3, clinic_id: 1, available: true } },
+    entries: [
+      { id: 1, patient_id: 42, doctor_id: 3, clinic_id: 1, type: "in-person", status: "waiting" },
+      { id: 2, patient_id: 43, doctor_id: 3, clinic_id: 1, type: "in-person", status: "waiting" },
+    ],
+    offers: [],
+    appointments: [],
+  }
+  const entry = (id) => store.entries.find((e) => e.id === id)
+
+  db.on("SELECT provider_id FROM availability_slots WHERE id = $1", ([id]) =>
+    store.slots[id] ? [{ provider_id: store.slots[id].doctor_id }] : [],
+  )
+  db.on("SELECT id FROM availability_slots WHERE id = $1 AND provider_type = 'doctor' AND is_available = TRUE", ([id]) =>
+    store.slots[id] && store.slots[id].available ? [{ id }] : [],
+  )
+  db.on("SELECT w.id FROM appointment_waitlist w JOIN availability_slots s ON s.id = $1", ([slotId]) => {
+    const slot = store.slots[slotId]
+    return store.entries
+      .filter((e) => e.doctor_id === slot.doctor_id && e.clinic_id === slot.clinic_id && e.status === "waiting")
+      .filter((e) => !store.offers.some((o) => o.entry_id === e.id && o.slot_id === slotId))
+      .slice(0, 1)
+  })
+  db.on("UPDATE availability_slots SET is_available = FALSE WHERE id = $1", ([id]) => {
+    store.slots[id].available = false
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE availability_slots SET is_available = TRUE WHERE id = $1", ([id]) => {
+    store.slots[id].available = true
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE availability_slots SET is_available = TRUE WHERE id = ANY($1::int[])", ([ids]) => {
+    ids.forEach((id) => {
+      store.slots[id].available = true
+    })
+    return { rowCount: ids.length }
+  })
+  db.on("UPDATE appointment_waitlist SET status = 'offered'", ([id]) => {
+    entry(id).status = "offered"
+    return { rowCount: 1 }
+  })
+  db.on("INSERT INTO waitlist_offers", ([entryId, slotId]) => {
+    const offer = { id: store.offers.length + 1, entry_id: entryId, slot_id: slotId, status: "pending", expired: false }
+    store.offers.push(offer)
+    return [offer]
+  })
+  db.on("SELECT o.id, o.expires_at, w.patient_id, w.created_by", ([id]) =>
+    store.offers
+      .filter((o) => o.id === id)
+      .map((o) => ({ id: o.id, patient_id: entry(o.entry_id).patient_id, doctor_name: "House", clinic_name: "Central" })),
+  )
+  db.on("SELECT o.id, o.slot_id, o.entry_id FROM waitlist_offers o", ([id, patientId]) =>
+    store.offers.filter(
+      (o) => o.id === id && o.status === "pending" && (patientId === null || entry(o.entry_id).patient_id === patientId),
+    ),
+  )
+  db.on("UPDATE waitlist_offers SET status = $2", ([id, status]) => {
+    store.offers.find((o) => o.id === id).status = status
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE appointment_waitlist SET status = $2", ([id, status]) => {
+    entry(id).status = status
+    return { rowCount: 1 }
+  })
+  db.on("SELECT id FROM waitlist_offers WHERE status = 'pending' AND expires_at <= NOW()", () =>
+    store.offers.filter((o) => o.status === "pending" && o.expired),
+  )
+  db.on("SELECT o.id, o.status, o.expires_at <= NOW() AS expired", ([id, patientId]) =>
+    store.offers
+      .filter((o) => o.id === id && entry(o.entry_id).patient_id === patientId)
+      .map((o) => ({ ...entry(o.entry_id), ...o, entry_id: o.entry_id })),
+  )
+  db.on("INSERT INTO appointments", ([patientId, doctorId, clinicId, slotId]) => {
+    const appointment = { id: 100 + store.appointments.length, patient_id: patientId, doctor_id: doctorId, slot_id: slotId }
+    Object.assign(appointment, { clinic_id: clinicId, status: "booked" })
+    store.appointments.push(appointment)
+    return [appointment]
+  })
+  db.on("SELECT consultation_fee FROM doctor_portfolios", [{ consultation_fee: "2500" }])
+  db.on("UPDATE waitlist_offers SET status = 'accepted'", ([id, appointmentId]) => {
+    Object.assign(store.offers.find((o) => o.id === id), { status: "accepted", appointment_id: appointmentId })
+    return { rowCount: 1 }
+  })
+  db.on("UPDATE appointment_waitlist SET status = 'booked'", ([id]) => {
+    entry(id).status = "booked"
+    return { rowCount: 1 }
+  })
+
+  return store
+}
+
+const offeredTo = () => NotificationController.createNotification.mock.calls.map(([n]) => n.userId)
+
+describe("Appointment waitlist", () => {
+  let store
+
+  beforeEach(() => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    jest.spyOn(PaymentService, "processAppointmentPayment").mockResolvedValue({ success: true })
+    store = useWaitlistStore()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test("a freed slot is held for the first patient in line, who books it by accepting", async () => {
+    const offer = await WaitlistService.offerSlot(5)
+
+    expect(offer).toMatchObject({ entry_id: 1, slot_id: 5 })
+    expect(store.slots[5].available).toBe(false)
+    expect(offeredTo()).toEqual([42])
+
+    const appointment = await WaitlistService.acceptOffer(offer.id, 42)
+
+    expect(appointment).toMatchObject({ patient_id: 42, doctor_id: 3, slot_id: 5, status: "booked" })
+    expect(PaymentService.processAppointmentPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ appointmentId: appointment.id, patientId: 42, amount: 2500 }),
+    )
+    expect(store.offers[0].status).toBe("accepted")
+    expect(store.entries.map((e) => e.status)).toEqual(["booked", "waiting"])
+    expect(db.lastTransaction()).toBe("committed")
+  })
+
+  test("a declined or unanswered offer passes the slot to the next patient in line", async () => {
+    await WaitlistService.offerSlot(5)
+
+    await expect(WaitlistService.declineOffer(1, 42)).resolves.toBe(true)
+    expect(store.offers.map((o) => [o.entry_id, o.status])).toEqual([
+      [1, "declined"],
+      [2, "pending"],
+    ])
+    expect(offeredTo()).toEqual([42, 43])
+
+    store.offers[1].expired = true
+    await expect(WaitlistService.processExpired()).resolves.toMatchObject({ offers: 1 })
+
+    // Patient 42 already turned this slot down, so it is free again
+    expect(store.offers[1].status).toBe("expired")
+    expect(store.entries.map((e) => e.status)).toEqual(["waiting", "waiting"])
+    expect(store.slots[5].available).toBe(true)
+  })
+
+  test("an offer is only accepted once, by its patient, and stays open when the payment fails", async () => {
+    await WaitlistService.offerSlot(5)
+    PaymentService.processAppointmentPayment.mockRejectedValueOnce(new Error("Insufficient balance"))
+
+    await expect(WaitlistService.acceptOffer(1, 42)).rejects.toMatchObject({ status: 402 })
+    expect(db.lastTransaction()).toBe("rolled back")
+    await expect(WaitlistService.acceptOffer(1, 43)).rejects.toMatchObject({ status: 404 })
+
+    await WaitlistService.acceptOffer(1, 42)
+    await expect(WaitlistService.acceptOffer(1, 42)).rejects.toMatchObject({ status: 410 })
+  })
+
+  test("joining needs the clinic for in-person visits, a doctor who works there and no open entry", async () => {
+    const join = (entry) =>
+      WaitlistService.join(42, { doctorId: 3, type: "in-person", dateFrom: "2026-11-01", dateTo: "2026-11-30", ...entry }, 42)
+    db.on("WHERE u.id = $1 AND r.name = 'doctor' AND u.deleted_at IS NULL", ([id]) => (id === 3 ? [{ id }] : []))
+    db.on("SELECT 1 FROM doctor_clinics dc", ([, clinicId]) => (clinicId === 1 ? [{ "?column?": 1 }] : []))
+    db.on("INSERT INTO appointment_waitlist", () => {
+      throw Object.assign(new Error("duplicate key value"), { code: "23505" })
+    })
+
+    await expect(join({})).rejects.toMatchObject({ status: 400 })
+    await expect(join({ clinicId: 1, dateTo: "2026-10-01" })).rejects.toMatchObject({ status: 400 })
+    await expect(join({ clinicId: 2 })).rejects.toMatchObject({ status: 404 })
+    await expect(join({ clinicId: 1, doctorId: 4 })).rejects.toMatchObject({ status: 404 })
+    await expect(join({ clinicId: 1 })).rejects.toMatchObject({ status: 409 })
+  })
+})
+
+describe("Erasing a patient on the waitlist", () => {
+  test("withdraws their offer and passes the slot to the next patient in line", async () => {
+    db.reset()
+    NotificationController.createNotification.mockReset().mockResolvedValue(true)
+    const store = useWaitlistStore()
+    db.on("SELECT anonymized_at FROM users WHERE id = $1", [{ anonymized_at: null }])
+    db.on("UPDATE waitlist_offers o SET status = 'withdrawn'", ([patientId]) => {
+      const withdrawn = store.offers.filter(
+        (o) => o.status === "pending" && store.entries.find((e) => e.id === o.entry_id).patient_id === patientId,
+      )
+      withdrawn.forEach((o) => {
+        o.status = "withdrawn"
+      })
+      return withdrawn.map((o) => ({ slot_id: o.slot_id }))
+    })
+    db.on("UPDATE appointment_waitlist SET status = 'cancelled', updated_at = NOW() WHERE patient_id = $1", ([id]) => {
+      const open = store.entries.filter((e) => e.patient_id === id && ["waiting", "offered"].includes(e.status))
+      open.forEach((e) => {
+        e.status = "cancelled"
+      })
+      return { rowCount: open.length }
+    })
+    await WaitlistService.offerSlot(5)
+
+    await PrivacyService.erasePatient(42, { erasedBy: 1 })
+
+    expect(store.entries.map((e) => e.status)).toEqual(["cancelled", "offered"])
+    expect(store.offers.map((o) => [o.entry_id, o.status])).toEqual([
+      [1, "withdrawn"],
+      [2, "pending"],
+    ])
+    expect(store.slots[5].available).toBe(false)
+    expect(offeredTo()).toEqual([42, 43])
+  })
+})
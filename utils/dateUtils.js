@@ -0,0 +1,44 @@
+/**
+ * Date helpers for appointment times
+ * Timestamps are stored without a time zone, in the server's local time.
+ */
+
+// Helper function to parse date strings without timezone conversion
+function parseLocalDateString(dateTimeString) {
+  // If the string already has timezone info, use it as is
+  if (dateTimeString.endsWith("Z") || /[+-]\d{2}:\d{2}$/.test(dateTimeString)) {
+    return new Date(dateTimeString)
+  }
+
+  // Remove any milliseconds and parse as local time
+  const cleanDateString = dateTimeString.split(".")[0]
+  const [datePart, timePart] = cleanDateString.split("T")
+
+  if (!timePart) {
+    // If only date is provided (YYYY-MM-DD)
+    const [year, month, day] = datePart.split("-").map(Number)
+    return new Date(year, month - 1, day)
+  }
+
+  // If date and time are provided (YYYY-MM-DDTHH:MM:SS)
+  const [year, month, day] = datePart.split("-").map(Number)
+  const [hour, minute, second] = timePart.split(":").map(Number)
+  return new Date(year, month - 1, day, hour, minute, second || 0)
+}
+
+// Format date for database without timezone conversion
+function formatDateForDB(date) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, "0")
+  const day = String(date.getDate()).padStart(2, "0")
+  const hours = String(date.getHours()).padStart(2, "0")
+  const minutes = String(date.getMinutes()).padStart(2, "0")
+  const seconds = String(date.getSeconds()).padStart(2, "0")
+
+  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`
+}
+
+module.exports = {
+  parseLocalDateString,
+  formatDateForDB,
+}
@@ -0,0 +1,44 @@
+/**
+ * Device utility functions
+ */
+
+/**
+ * Builds a short, human readable device label from a User-Agent header
+ * e.g. "Chrome on Android", "Safari on iOS"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device label
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return "Unknown device"
+  }
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["SehhaPro app", /okhttp|Dart|CFNetwork|Expo/i],
+  ]
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ]
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))
+
+  if (!browser && !system) {
+    return userAgent.substring(0, 60)
+  }
+
+  return [browser ? browser[0] : "Browser", system ? `on ${system[0]}` : null].filter(Boolean).join(" ")
+}
+
+module.exports = {
+  describeDevice,
+}
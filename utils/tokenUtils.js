@@ -0,0 +1,28 @@
+/**
+ * Token utility functions
+ * Shared helpers for opaque, single-use or long-lived secrets
+ */
+const crypto = require("crypto")
+
+/**
+ * Generates a cryptographically random opaque token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("hex")
+}
+
+/**
+ * Hashes a token for storage so that a database leak does not expose usable secrets
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+}
@@ -0,0 +1,149 @@
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication
+ * Compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+ */
+const crypto = require("crypto")
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const DIGITS = 6
+const PERIOD_SECONDS = 30
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decodes an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Raw bytes
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 secret")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Computes the code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero padded code
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+
+  return String(binary).padStart(DIGITS, "0")
+}
+
+/**
+ * Returns the current time step
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+function currentStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / PERIOD_SECONDS)
+}
+
+/**
+ * Verifies a code, tolerating small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps accepted before/after the current one
+ * @returns {number|null} Matching time step, or null when the code is invalid
+ */
+function verifyCode(secret, code, window = 1) {
+  const normalized = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(normalized)) {
+    return null
+  }
+
+  const now = currentStep()
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, now + offset)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return now + offset
+    }
+  }
+
+  return null
+}
+
+/**
+ * Builds the otpauth:// provisioning URI shown as a QR code during enrollment
+ * @param {Object} params - Parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label (usually the email)
+ * @param {string} params.issuer - Issuer name
+ * @returns {string} Provisioning URI
+ */
+function buildOtpauthUri({ secret, account, issuer = "SehhaPro" }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode,
+}